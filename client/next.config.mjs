@@ -1,9 +1,26 @@
+const API_BASE = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:8000/api';
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   // Fix workspace root warning when using Turbopack
   turbopack: {
     root: '..',
   },
+
+  // Modules shared with the API server live in ../shared (see @shared/* in jsconfig.json)
+  experimental: {
+    externalDir: true,
+  },
+
+  // Images are stored with URLs like /api/media/:key/:variant; serve them from the API
+  async rewrites() {
+    return [
+      {
+        source: '/api/media/:path*',
+        destination: `${API_BASE}/media/:path*`,
+      },
+    ];
+  },
 };
 
 export default nextConfig;
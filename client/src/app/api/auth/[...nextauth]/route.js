@@ -1,6 +1,7 @@
 import NextAuth from 'next-auth';
 import CredentialsProvider from 'next-auth/providers/credentials';
-import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
 
 /**
  * NextAuth Configuration
@@ -12,21 +13,78 @@ import bcrypt from 'bcryptjs';
 // MongoDB connection via backend API
 const API_URL = process.env.NEXT_PUBLIC_API_URL.replace('/api', '');
 
-async function getUserByIdentifier(identifier) {
+// API token settings - must match middleware/auth.js on the Express server
+const API_TOKEN_ISSUER = 'apartment-remodel-web';
+const API_TOKEN_AUDIENCE = 'apartment-remodel-api';
+const API_TOKEN_TTL_SECONDS = 60 * 60; // 1 hour
+const API_TOKEN_REFRESH_MARGIN_SECONDS = 5 * 60; // Re-mint when less than 5 minutes remain
+
+/**
+ * Mint a short-lived signed token the Express API accepts as "Authorization: Bearer"
+ * Signed with JWT_SECRET, which is shared with the backend
+ */
+function mintApiToken(token) {
+    const apiToken = jwt.sign({ role: token.role }, process.env.JWT_SECRET, {
+        algorithm: 'HS256',
+        subject: String(token.id),
+        issuer: API_TOKEN_ISSUER,
+        audience: API_TOKEN_AUDIENCE,
+        expiresIn: API_TOKEN_TTL_SECONDS,
+    });
+
+    return {
+        apiToken,
+        apiTokenExpires: Math.floor(Date.now() / 1000) + API_TOKEN_TTL_SECONDS,
+    };
+}
+
+function apiTokenNeedsRefresh(token) {
+    if (!token.apiToken || !token.apiTokenExpires) return true;
+    const now = Math.floor(Date.now() / 1000);
+    return token.apiTokenExpires - now < API_TOKEN_REFRESH_MARGIN_SECONDS;
+}
+
+/**
+ * Headers passing the browser's address on to the backend, which limits logins per address
+ * Every login reaches the backend from this server, so it cannot see the address itself;
+ * the signature (HMAC with JWT_SECRET) keeps direct callers from choosing their own
+ */
+function clientAddressHeaders(req) {
+    // The last X-Forwarded-For entry is the one added by the proxy in front of this server
+    const forwarded = String(req?.headers?.['x-forwarded-for'] || '').split(',').pop().trim();
+    const ip = forwarded || String(req?.headers?.['x-real-ip'] || '').trim();
+    if (!ip || !process.env.JWT_SECRET) return {};
+
+    return {
+        'X-Client-IP': ip,
+        'X-Client-IP-Signature': crypto.createHmac('sha256', process.env.JWT_SECRET).update(ip).digest('hex'),
+    };
+}
+
+/**
+ * Verify credentials against the backend
+ * The password check, rate limiting and account lockout all happen server-side
+ */
+async function verifyCredentials(identifier, password, req) {
+    let response;
     try {
-        const response = await fetch(`${API_URL}/api/auth/user-by-email`, {
+        response = await fetch(`${API_URL}/api/auth/login`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ identifier }),
+            headers: { 'Content-Type': 'application/json', ...clientAddressHeaders(req) },
+            body: JSON.stringify({ identifier, password }),
         });
-
-        if (!response.ok) return null;
-        const data = await response.json();
-        return data.user;
     } catch (error) {
-        console.error('Error fetching user:', error);
-        return null;
+        console.error('Error verifying credentials:', error);
+        throw new Error('Unable to reach the server. Please try again.');
     }
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        throw new Error(data.message || data.error || 'Login failed');
+    }
+
+    return data.user;
 }
 
 const authOptions = {
@@ -37,44 +95,18 @@ const authOptions = {
                 identifier: { label: 'Email or Username', type: 'text' },
                 password: { label: 'Password', type: 'password' },
             },
-            async authorize(credentials) {
+            async authorize(credentials, req) {
                 if (!credentials?.identifier || !credentials?.password) {
                     throw new Error('Please enter your email/username and password');
                 }
 
-                // Get user from database (by email or username)
-                const user = await getUserByIdentifier(credentials.identifier);
-
-                if (!user) {
-                    throw new Error('No user found with this email or username');
-                }
-
-                if (!user.isActive) {
-                    throw new Error('Your account has been deactivated');
-                }
-
-                // Check if password exists
-                if (!user.password) {
-                    throw new Error('Account configuration error. Please contact support.');
-                }
-
-                // Verify password
-                const isPasswordValid = await bcrypt.compare(
+                // Backend verifies the password and returns the user without its hash
+                const user = await verifyCredentials(
+                    credentials.identifier,
                     credentials.password,
-                    user.password
+                    req
                 );
 
-                if (!isPasswordValid) {
-                    throw new Error('Invalid password');
-                }
-
-                // Update last login via API
-                await fetch(`${API_URL}/api/auth/update-last-login`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ userId: user._id }),
-                });
-
                 // Return user object (will be stored in JWT)
                 return {
                     id: user._id,
@@ -96,6 +128,12 @@ const authOptions = {
                 token.name = user.name;
                 token.role = user.role;
             }
+
+            // Keep a fresh API token on the session for calls to the Express backend
+            if (token.id && apiTokenNeedsRefresh(token)) {
+                Object.assign(token, mintApiToken(token));
+            }
+
             return token;
         },
         async session({ session, token }) {
@@ -106,6 +144,7 @@ const authOptions = {
                 session.user.username = token.username;
                 session.user.name = token.name;
                 session.user.role = token.role;
+                session.apiToken = token.apiToken;
             }
             return session;
         },
@@ -8,17 +8,20 @@
 
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { MainLayout } from '@/components/layout';
-import { Card, LoadingSpinner, Button } from '@/components/ui';
-import { totalsAPI, categoriesAPI, roomsAPI } from '@/lib/api';
-import { formatCurrency } from '@/lib/currency';
+import { Card, LoadingSpinner, Button, Amount, MissingRatesWarning } from '@/components/ui';
+import { totalsAPI, categoriesAPI, roomsAPI, expensesAPI } from '@/lib/api';
+import { formatCurrency, lineTotal } from '@/lib/currency';
+import { useCurrency, entryDate } from '@/contexts/CurrencyContext';
 import Chart from 'chart.js/auto';
 
 export default function BudgetPage() {
+    const { toBase, formatBase } = useCurrency();
     const [totals, setTotals] = useState(null);
     const [categories, setCategories] = useState([]);
     const [rooms, setRooms] = useState([]);
+    const [summary, setSummary] = useState(null); // Totals by room, category and month, including shared expenses
     const [loading, setLoading] = useState(true);
-    const [view, setView] = useState('overview'); // 'overview' or 'room'
+    const [view, setView] = useState('overview'); // 'overview', 'category', 'month' or 'room'
     const [selectedRoom, setSelectedRoom] = useState('');
     const chartRef = useRef(null);
     const chartInstance = useRef(null);
@@ -39,12 +42,15 @@ export default function BudgetPage() {
     const loadData = async () => {
         try {
             setLoading(true);
-            const [totalsData, categoriesData, roomsData] = await Promise.all([
+            const [totalsData, categoriesData, roomsData, summaryData] = await Promise.all([
                 totalsAPI.get(),
                 categoriesAPI.getAll(),
-                roomsAPI.getAll(),
+                // Images and product options are not needed for the charts
+                roomsAPI.getAll({ fields: 'name,slug,budget,items' }),
+                expensesAPI.getSummary(),
             ]);
             setTotals(totalsData);
+            setSummary(summaryData);
             // Ensure categories is always an array
             setCategories(Array.isArray(categoriesData) ? categoriesData : []);
             setRooms(Array.isArray(roomsData) ? roomsData : []);
@@ -73,70 +79,45 @@ export default function BudgetPage() {
         let labels, budgetData, expectedData, actualData;
 
         if (view === 'overview') {
-            // Show all rooms
-            labels = rooms.map((room) => room.name);
-            budgetData = rooms.map((room) => room.budget || 0);
-            
-            // Expected: sum of all item subtotals
-            expectedData = rooms.map((room) => {
-                const items = room.items || [];
-                return items.reduce((sum, item) => {
-                    const qty = parseFloat(item.quantity) || 0;
-                    const actualPrice = parseFloat(item.actual_price || item.actualRate) || 0;
-                    const budgetPrice = parseFloat(item.budget_price || item.budgetRate) || 0;
-                    // Use actual_price if set and non-zero, otherwise budget_price
-                    const price = actualPrice > 0 ? actualPrice : budgetPrice;
-                    return sum + qty * price;
-                }, 0);
-            });
-            
+            // Show all rooms; shared expenses are split by their room allocations
+            const roomGroups = summary?.byRoom || [];
+            labels = roomGroups.map((group) => group.name);
+            budgetData = roomGroups.map((group) => group.budget);
+            expectedData = roomGroups.map((group) => group.expected);
             // Actual: only COMPLETED items
-            actualData = rooms.map((room) => {
-                const items = room.items || [];
-                return items
-                    .filter((item) => item.status === 'Completed')
-                    .reduce((sum, item) => {
-                        const qty = parseFloat(item.quantity) || 0;
-                        const actualPrice =
-                            parseFloat(item.actual_price || item.actualRate) ||
-                            0;
-                        const budgetPrice =
-                            parseFloat(item.budget_price || item.budgetRate) ||
-                            0;
-                        // Use actual_price if set and non-zero, otherwise budget_price
-                        const price =
-                            actualPrice > 0 ? actualPrice : budgetPrice;
-                        return sum + qty * price;
-                    }, 0);
-            });
+            actualData = roomGroups.map((group) => group.actual);
+        } else if (view === 'category' || view === 'month') {
+            // Budget here is the sum at budget prices
+            const groups = (view === 'category' ? summary?.byCategory : summary?.byMonth) || [];
+            labels = groups.map((group) => group.key);
+            budgetData = groups.map((group) => group.budgeted);
+            expectedData = groups.map((group) => group.expected);
+            actualData = groups.map((group) => group.actual);
         } else {
             // Show single room - group by category
             const room = rooms.find((r) => r.name === selectedRoom);
             if (!room) return;
 
-            // Group items by category and calculate totals
+            // Group items by category and calculate totals in the base currency
+            // (items in a currency without rates count as 0, as in the API totals)
             const categoryTotals = {};
             (room.items || []).forEach((item) => {
                 const category = item.category || 'Other';
-                const qty = parseFloat(item.quantity) || 0;
-                const budgetPrice = parseFloat(
-                    item.budgetRate || item.budget_price || 0
-                );
-                const actualPrice = parseFloat(
-                    item.actualRate || item.actual_price || 0
-                );
+                const budgetPrice = item.budgetRate || item.budget_price || 0;
+                const actualPrice = item.actualRate || item.actual_price || 0;
+                const inBase = (cents) => toBase(cents, item.currency, entryDate(item)) || 0;
 
                 if (!categoryTotals[category]) {
                     categoryTotals[category] = { budget: 0, expected: 0, actual: 0 };
                 }
 
-                categoryTotals[category].budget += qty * budgetPrice;
+                categoryTotals[category].budget += inBase(lineTotal(item.quantity, budgetPrice));
                 // Expected: use actual_price if set, otherwise budget_price
-                const expectedPrice = actualPrice > 0 ? actualPrice : budgetPrice;
-                categoryTotals[category].expected += qty * expectedPrice;
+                const expected = inBase(lineTotal(item.quantity, actualPrice > 0 ? actualPrice : budgetPrice));
+                categoryTotals[category].expected += expected;
                 // Actual: only count if item is completed
                 if (item.status === 'Completed') {
-                    categoryTotals[category].actual += qty * (actualPrice > 0 ? actualPrice : budgetPrice);
+                    categoryTotals[category].actual += expected;
                 }
             });
 
@@ -188,7 +169,7 @@ export default function BudgetPage() {
                                 return (
                                     context.dataset.label +
                                     ': ' +
-                                    formatCurrency(context.parsed.y)
+                                    formatBase(context.parsed.y)
                                 );
                             },
                         },
@@ -199,14 +180,14 @@ export default function BudgetPage() {
                         beginAtZero: true,
                         ticks: {
                             callback: function (value) {
-                                return formatCurrency(value);
+                                return formatBase(value);
                             },
                         },
                     },
                 },
             },
         });
-    }, [view, selectedRoom, rooms]);
+    }, [view, selectedRoom, rooms, summary, toBase, formatBase]);
 
     useEffect(() => {
         // Update chart when view or selectedRoom changes
@@ -228,17 +209,8 @@ export default function BudgetPage() {
         );
     }
 
-    // Calculate total expected across all rooms
-    const totalExpected = rooms.reduce((sum, room) => {
-        const roomExpected = (room.items || []).reduce((itemSum, item) => {
-            const qty = parseFloat(item.quantity) || 0;
-            const actualPrice = parseFloat(item.actual_price) || 0;
-            const budgetPrice = parseFloat(item.budget_price) || 0;
-            const price = actualPrice > 0 ? actualPrice : budgetPrice;
-            return itemSum + (qty * price);
-        }, 0);
-        return sum + roomExpected;
-    }, 0);
+    // Total expected across all rooms and expenses
+    const totalExpected = summary?.totals.expected || 0;
 
     const remaining = (totals?.totalBudget || 0) - (totals?.totalExpenses || 0);
     const percentUsed =
@@ -271,7 +243,7 @@ export default function BudgetPage() {
                                 className='stat-value'
                                 style={{ color: '#667eea' }}
                             >
-                                {formatCurrency(totals?.totalBudget || 0)}
+                                {formatBase(totals?.totalBudget || 0)}
                             </div>
                         </div>
 
@@ -281,7 +253,7 @@ export default function BudgetPage() {
                                 className='stat-value'
                                 style={{ color: '#764ba2' }}
                             >
-                                {formatCurrency(totalExpected)}
+                                {formatBase(totalExpected)}
                             </div>
                         </div>
 
@@ -291,7 +263,7 @@ export default function BudgetPage() {
                                 className='stat-value'
                                 style={{ color: '#ee0979' }}
                             >
-                                {formatCurrency(totals?.totalExpenses || 0)}
+                                {formatBase(totals?.totalExpenses || 0)}
                             </div>
                         </div>
 
@@ -304,7 +276,7 @@ export default function BudgetPage() {
                                         remaining >= 0 ? '#11998e' : '#ee0979',
                                 }}
                             >
-                                {formatCurrency(remaining)}
+                                {formatBase(remaining)}
                             </div>
                         </div>
                     </div>
@@ -332,8 +304,37 @@ export default function BudgetPage() {
                             />
                         </div>
                     </div>
+
+                    {/* IGV included in the expected and spent totals */}
+                    {totals?.tax && (
+                        <table className='tax-breakdown'>
+                            <thead>
+                                <tr>
+                                    <th></th>
+                                    <th>Net</th>
+                                    <th>IGV ({totals.taxRate}%)</th>
+                                    <th>Total</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {[
+                                    ['Expected', totals.tax.expected],
+                                    ['Spent', totals.tax.actual],
+                                ].map(([label, amounts]) => (
+                                    <tr key={label}>
+                                        <td>{label}</td>
+                                        <td>{formatBase(amounts.net)}</td>
+                                        <td>{formatBase(amounts.tax)}</td>
+                                        <td>{formatBase(amounts.gross)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
                 </Card>
 
+                <MissingRatesWarning currencies={summary?.missingRates} />
+
                 {/* Chart Section */}
                 <Card title='Budget vs Expected vs Actual'>
                     <div
@@ -363,6 +364,8 @@ export default function BudgetPage() {
                             <option value='overview'>
                                 📊 Project Overview
                             </option>
+                            <option value='category'>🏷️ By Category</option>
+                            <option value='month'>📅 By Month</option>
                             <option value='room'>🏠 Room Details</option>
                         </select>
 
@@ -404,7 +407,7 @@ export default function BudgetPage() {
                     </div>
 
                     {/* Room Breakdown Table */}
-                    {view === 'overview' && rooms.length > 0 && (
+                    {view === 'overview' && summary?.byRoom.length > 0 && (
                         <div style={{ marginTop: '30px' }}>
                             <h3
                                 style={{
@@ -428,48 +431,8 @@ export default function BudgetPage() {
                                         </tr>
                                     </thead>
                                     <tbody>
-                                        {rooms.map((room) => {
-                                            const budget = room.budget || 0;
-                                            
-                                            // Calculate expected total: sum of all item subtotals
-                                            const expected = (room.items || []).reduce((sum, item) => {
-                                                const qty = parseFloat(item.quantity) || 0;
-                                                const actualPrice = parseFloat(item.actual_price || item.actualRate) || 0;
-                                                const budgetPrice = parseFloat(item.budget_price || item.budgetRate) || 0;
-                                                // Use actual_price if set and non-zero, otherwise budget_price
-                                                const price = actualPrice > 0 ? actualPrice : budgetPrice;
-                                                return sum + (qty * price);
-                                            }, 0);
-                                            
-                                            // Calculate actual total: only COMPLETED items
-                                            const actual = (room.items || [])
-                                                .filter(
-                                                    (item) =>
-                                                        item.status ===
-                                                        'Completed'
-                                                )
-                                                .reduce((sum, item) => {
-                                                    const qty =
-                                                        parseFloat(
-                                                            item.quantity
-                                                        ) || 0;
-                                                    const actualPrice =
-                                                        parseFloat(
-                                                            item.actual_price ||
-                                                                item.actualRate
-                                                        ) || 0;
-                                                    const budgetPrice =
-                                                        parseFloat(
-                                                            item.budget_price ||
-                                                                item.budgetRate
-                                                        ) || 0;
-                                                    // Use actual_price if set and non-zero, otherwise budget_price
-                                                    const price =
-                                                        actualPrice > 0
-                                                            ? actualPrice
-                                                            : budgetPrice;
-                                                    return sum + qty * price;
-                                                }, 0);
+                                        {summary.byRoom.map((room) => {
+                                            const { budget, expected, actual } = room;
                                             const difference = budget - actual;
                                             const percentUsed =
                                                 budget > 0
@@ -494,21 +457,21 @@ export default function BudgetPage() {
                                             }
 
                                             return (
-                                                <tr key={room.name}>
+                                                <tr key={room.key}>
                                                     <td>
                                                         <strong>
                                                             {room.name}
                                                         </strong>
                                                     </td>
                                                     <td>
-                                                        {formatCurrency(budget)}
+                                                        {formatBase(budget)}
                                                     </td>
                                                     <td style={{ color: '#764ba2', fontWeight: '600' }}>
-                                                        {formatCurrency(expected)}
+                                                        {formatBase(expected)}
                                                     </td>
                                                     <td>
                                                         {actual > 0
-                                                            ? formatCurrency(
+                                                            ? formatBase(
                                                                   actual
                                                               )
                                                             : 'Not started'}
@@ -520,7 +483,7 @@ export default function BudgetPage() {
                                                                 : 'negative'
                                                         }
                                                     >
-                                                        {formatCurrency(
+                                                        {formatBase(
                                                             difference
                                                         )}
                                                     </td>
@@ -597,20 +560,22 @@ export default function BudgetPage() {
                                                 const qty =
                                                     parseFloat(item.quantity) ||
                                                     0;
-                                                const budgetPrice = parseFloat(
+                                                const budgetPrice =
                                                     item.budgetRate ||
-                                                        item.budget_price ||
-                                                        0
-                                                );
-                                                const actualPrice = parseFloat(
+                                                    item.budget_price ||
+                                                    0;
+                                                const actualPrice =
                                                     item.actualRate ||
-                                                        item.actual_price ||
-                                                        0
+                                                    item.actual_price ||
+                                                    0;
+                                                const budgetTotal = lineTotal(
+                                                    qty,
+                                                    budgetPrice
+                                                );
+                                                const actualTotal = lineTotal(
+                                                    qty,
+                                                    actualPrice
                                                 );
-                                                const budgetTotal =
-                                                    qty * budgetPrice;
-                                                const actualTotal =
-                                                    qty * actualPrice;
 
                                                 return (
                                                     <tr key={idx}>
@@ -660,7 +625,8 @@ export default function BudgetPage() {
                                                             }}
                                                         >
                                                             {formatCurrency(
-                                                                budgetPrice
+                                                                budgetPrice,
+                                                                item.currency
                                                             )}
                                                         </td>
                                                         <td
@@ -670,7 +636,8 @@ export default function BudgetPage() {
                                                             }}
                                                         >
                                                             {formatCurrency(
-                                                                actualPrice
+                                                                actualPrice,
+                                                                item.currency
                                                             )}
                                                         </td>
                                                         <td
@@ -682,9 +649,11 @@ export default function BudgetPage() {
                                                                 color: '#667eea',
                                                             }}
                                                         >
-                                                            {formatCurrency(
-                                                                budgetTotal
-                                                            )}
+                                                            <Amount
+                                                                cents={budgetTotal}
+                                                                currency={item.currency}
+                                                                date={entryDate(item)}
+                                                            />
                                                         </td>
                                                         <td
                                                             style={{
@@ -695,9 +664,11 @@ export default function BudgetPage() {
                                                                 color: '#764ba2',
                                                             }}
                                                         >
-                                                            {formatCurrency(
-                                                                actualTotal
-                                                            )}
+                                                            <Amount
+                                                                cents={actualTotal}
+                                                                currency={item.currency}
+                                                                date={entryDate(item)}
+                                                            />
                                                         </td>
                                                         <td>
                                                             <span
@@ -746,7 +717,7 @@ export default function BudgetPage() {
                                         </span>
                                     </div>
                                     <div className='category-amount'>
-                                        {formatCurrency(cat.total)}
+                                        {formatBase(cat.total)}
                                     </div>
                                 </div>
                             ))}
@@ -800,6 +771,32 @@ export default function BudgetPage() {
                     margin-top: 24px;
                 }
 
+                .tax-breakdown {
+                    width: 100%;
+                    margin-top: 24px;
+                    border-collapse: collapse;
+                    font-size: 0.95rem;
+                }
+
+                .tax-breakdown th,
+                .tax-breakdown td {
+                    padding: 8px;
+                    text-align: right;
+                    border-bottom: 1px solid #f0f0f0;
+                }
+
+                .tax-breakdown th:first-child,
+                .tax-breakdown td:first-child {
+                    text-align: left;
+                    font-weight: 600;
+                }
+
+                .tax-breakdown th {
+                    font-size: 0.85rem;
+                    color: #666;
+                    text-transform: uppercase;
+                }
+
                 .progress-header {
                     display: flex;
                     justify-content: space-between;
@@ -0,0 +1,544 @@
+'use client';
+
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import { MainLayout } from '@/components/layout';
+import { Card, Button, LoadingSpinner, MissingRatesWarning } from '@/components/ui';
+import FundingFormModal from '@/components/funding/FundingFormModal';
+import { fundingAPI } from '@/lib/api';
+import { formatCurrency } from '@/lib/currency';
+import { FUNDING_TYPE_LABELS, FUNDING_STATUS_LABELS } from '@/lib/funding';
+import AdminOnly from '@/components/auth/AdminOnly';
+import { useProject } from '@/contexts/ProjectContext';
+import { useCurrency } from '@/contexts/CurrencyContext';
+import { useToast } from '@/contexts/ToastContext';
+
+const HORIZONS = [6, 12, 24, 36];
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+// "Oct 2026" for 2026-10
+const monthLabel = (month) =>
+    new Date(`${month}-01T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+// What a forecast flow is, for the month details
+function flowLabel(flow) {
+    if (flow.kind === 'funding') return `${FUNDING_TYPE_LABELS[flow.type]}${flow.late ? ' (late)' : ''}`;
+    if (flow.kind === 'installment') return flow.overdue ? 'Installment (overdue)' : 'Installment';
+    if (flow.kind === 'payment') return 'Paid';
+    return flow.phase ? `${flow.status} · ${flow.phase}` : flow.status;
+}
+
+export default function CashFlowPage() {
+    const { currentProject } = useProject();
+    const { baseCurrency, formatBase } = useCurrency();
+    const [forecast, setForecast] = useState(null);
+    const [funding, setFunding] = useState(null);
+    const [months, setMonths] = useState(12);
+    const [openMonth, setOpenMonth] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [form, setForm] = useState(null); // { entry } while the form is open, entry null for a new one
+    const toast = useToast();
+
+    const loadCashFlow = useCallback(async () => {
+        try {
+            setError(null);
+            const [loadedForecast, loadedFunding] = await Promise.all([
+                fundingAPI.getCashFlow(months),
+                fundingAPI.getAll(),
+            ]);
+            setForecast(loadedForecast);
+            setFunding(loadedFunding);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [months]);
+
+    useEffect(() => {
+        if (currentProject?._id) {
+            loadCashFlow();
+        }
+    }, [currentProject?._id, loadCashFlow]);
+
+    const handleSave = async (entry) => {
+        if (form.entry) {
+            await fundingAPI.update(form.entry._id, entry);
+            toast.success('Funding saved');
+        } else {
+            await fundingAPI.create(entry);
+            toast.success('Funding added');
+        }
+        await loadCashFlow();
+    };
+
+    // Expected funding arrived today
+    const markReceived = async (entry) => {
+        try {
+            await fundingAPI.update(entry._id, { status: 'received', date: toDateString(new Date()) });
+            toast.success(`${entry.description}: received`);
+            await loadCashFlow();
+        } catch (err) {
+            toast.error(`Failed to update funding: ${err.message}`);
+        }
+    };
+
+    const handleDelete = async (entry) => {
+        if (!confirm(`Delete ${entry.description}?`)) return;
+
+        try {
+            await fundingAPI.delete(entry._id);
+            toast.success('Funding deleted');
+            await loadCashFlow();
+        } catch (err) {
+            toast.error(`Failed to delete funding: ${err.message}`);
+        }
+    };
+
+    if (loading) {
+        return (
+            <MainLayout>
+                <div style={{ padding: '60px 0', textAlign: 'center' }}>
+                    <LoadingSpinner size='large' text='Loading cash flow...' />
+                </div>
+            </MainLayout>
+        );
+    }
+
+    const upcoming = forecast ? forecast.months.reduce((sum, month) => sum + month.outflow, 0) : 0;
+    const hasLater = forecast && (forecast.later.inflow > 0 || forecast.later.outflow > 0);
+
+    return (
+        <MainLayout>
+            <div className='cashflow-page'>
+                <header className='page-header'>
+                    <div>
+                        <h1>💵 Cash Flow</h1>
+                        <p>
+                            Savings, loans and family contributions against what is still to pay, month by month in{' '}
+                            {baseCurrency}: scheduled installments on their due date, and pending or ordered items
+                            when the timeline phase of their room starts.
+                        </p>
+                    </div>
+                    <AdminOnly>
+                        <Button onClick={() => setForm({ entry: null })} icon='➕'>
+                            Add Funding
+                        </Button>
+                    </AdminOnly>
+                </header>
+
+                {error && <p className='cashflow-error'>Failed to load cash flow: {error}</p>}
+
+                {forecast && (
+                    <>
+                        <MissingRatesWarning currencies={forecast.missingRates} />
+
+                        {forecast.negativeMonths.length > 0 && (
+                            <div className='negative-warning'>
+                                ⚠️ Funds run out in {monthLabel(forecast.negativeMonths[0])}. The balance goes negative in{' '}
+                                {forecast.negativeMonths.length} month{forecast.negativeMonths.length === 1 ? '' : 's'} and
+                                is lowest in {monthLabel(forecast.lowest.month)} at {formatBase(forecast.lowest.balance)}.
+                                Add funding or move payments later.
+                            </div>
+                        )}
+
+                        <Card>
+                            <div className='cashflow-stats'>
+                                <div>
+                                    <span>Available now</span>
+                                    <strong style={{ color: forecast.opening < 0 ? '#ee0979' : '#11998e' }}>
+                                        {formatBase(forecast.opening)}
+                                    </strong>
+                                </div>
+                                <div>
+                                    <span>Expected funding</span>
+                                    <strong>{formatBase(funding?.totals.expected || 0)}</strong>
+                                </div>
+                                <div>
+                                    <span>Going out ({forecast.months.length} months)</span>
+                                    <strong style={{ color: '#ee0979' }}>{formatBase(upcoming)}</strong>
+                                </div>
+                                <div>
+                                    <span>Lowest balance</span>
+                                    <strong style={{ color: forecast.lowest.balance < 0 ? '#ee0979' : '#11998e' }}>
+                                        {formatBase(forecast.lowest.balance)}
+                                    </strong>
+                                </div>
+                            </div>
+                        </Card>
+
+                        <Card>
+                            <div className='card-header'>
+                                <h2>Month by Month</h2>
+                                <label>
+                                    Show
+                                    <select value={months} onChange={(e) => setMonths(Number(e.target.value))}>
+                                        {HORIZONS.map((horizon) => (
+                                            <option key={horizon} value={horizon}>
+                                                {horizon} months
+                                            </option>
+                                        ))}
+                                    </select>
+                                </label>
+                            </div>
+                            <table className='cashflow-table'>
+                                <thead>
+                                    <tr>
+                                        <th>Month</th>
+                                        <th>Funding in</th>
+                                        <th>Going out</th>
+                                        <th>Net</th>
+                                        <th>Balance</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {forecast.months.map((month) => (
+                                        <Fragment key={month.month}>
+                                            <tr
+                                                className={`month-row${month.negative ? ' negative' : ''}`}
+                                                onClick={() => setOpenMonth(openMonth === month.month ? null : month.month)}
+                                            >
+                                                <td>
+                                                    {month.flows.length > 0 && (openMonth === month.month ? '▾ ' : '▸ ')}
+                                                    {monthLabel(month.month)}
+                                                </td>
+                                                <td className='inflow'>{month.inflow ? formatBase(month.inflow) : '—'}</td>
+                                                <td className='outflow'>{month.outflow ? formatBase(month.outflow) : '—'}</td>
+                                                <td>{formatBase(month.inflow - month.outflow)}</td>
+                                                <td className='balance'>{formatBase(month.closing)}</td>
+                                            </tr>
+                                            {openMonth === month.month &&
+                                                month.flows.map((flow, index) => (
+                                                    <tr key={`${month.month}-${index}`} className='flow-row'>
+                                                        <td>{flow.date}</td>
+                                                        <td colSpan='2'>
+                                                            {flow.description}
+                                                            <span className='flow-detail'>
+                                                                {[flowLabel(flow), flow.roomName].filter(Boolean).join(' · ')}
+                                                            </span>
+                                                        </td>
+                                                        <td className={flow.amount < 0 ? 'outflow' : 'inflow'}>
+                                                            {formatBase(flow.amount)}
+                                                        </td>
+                                                        <td></td>
+                                                    </tr>
+                                                ))}
+                                        </Fragment>
+                                    ))}
+                                    {hasLater && (
+                                        <tr className='later-row'>
+                                            <td>Later</td>
+                                            <td className='inflow'>{formatBase(forecast.later.inflow)}</td>
+                                            <td className='outflow'>{formatBase(forecast.later.outflow)}</td>
+                                            <td>{formatBase(forecast.later.inflow - forecast.later.outflow)}</td>
+                                            <td></td>
+                                        </tr>
+                                    )}
+                                </tbody>
+                            </table>
+                        </Card>
+
+                        {forecast.undated.entries.length > 0 && (
+                            <Card title='Not Scheduled'>
+                                <p className='cashflow-note'>
+                                    {formatBase(forecast.undated.total)} of pending items are not in the months above:
+                                    their room has no upcoming timeline phase with a date. Relate the room to a phase on
+                                    the Timeline or schedule their payments to plan them.
+                                </p>
+                                <table className='cashflow-table'>
+                                    <tbody>
+                                        {forecast.undated.entries.map((entry) => (
+                                            <tr key={`${entry.source}-${entry.entryId}`}>
+                                                <td>{entry.description}</td>
+                                                <td>{entry.roomName || 'General'}</td>
+                                                <td className='outflow'>{formatBase(entry.amount)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </Card>
+                        )}
+                    </>
+                )}
+
+                {funding && (
+                    <Card title='Funding Sources'>
+                        {funding.funding.length === 0 ? (
+                            <p className='cashflow-note'>No funding recorded yet. Add your savings, loans and contributions.</p>
+                        ) : (
+                            <table className='cashflow-table'>
+                                <thead>
+                                    <tr>
+                                        <th>Date</th>
+                                        <th>Description</th>
+                                        <th>Type</th>
+                                        <th>Status</th>
+                                        <th>Amount</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {funding.funding.map((entry) => (
+                                        <tr key={entry._id}>
+                                            <td>{entry.date}</td>
+                                            <td>
+                                                {entry.description}
+                                                {entry.notes && <span className='flow-detail'>{entry.notes}</span>}
+                                            </td>
+                                            <td>{FUNDING_TYPE_LABELS[entry.type]}</td>
+                                            <td>
+                                                <span className={`funding-badge badge-${entry.status}`}>
+                                                    {FUNDING_STATUS_LABELS[entry.status]}
+                                                </span>
+                                            </td>
+                                            <td>
+                                                {formatCurrency(entry.amount, entry.currency)}
+                                                {entry.currency !== baseCurrency && entry.amountBase !== null && (
+                                                    <span className='flow-detail'>≈ {formatBase(entry.amountBase)}</span>
+                                                )}
+                                            </td>
+                                            <td>
+                                                <AdminOnly>
+                                                    <div className='funding-actions'>
+                                                        {entry.status === 'expected' && (
+                                                            <Button
+                                                                variant='secondary'
+                                                                size='small'
+                                                                onClick={() => markReceived(entry)}
+                                                                icon='✅'
+                                                            >
+                                                                Received
+                                                            </Button>
+                                                        )}
+                                                        <Button
+                                                            variant='secondary'
+                                                            size='small'
+                                                            onClick={() => setForm({ entry })}
+                                                            icon='✏️'
+                                                            title='Edit funding'
+                                                        />
+                                                        <Button
+                                                            variant='danger'
+                                                            size='small'
+                                                            onClick={() => handleDelete(entry)}
+                                                            icon='🗑️'
+                                                            title='Delete funding'
+                                                        />
+                                                    </div>
+                                                </AdminOnly>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </Card>
+                )}
+            </div>
+
+            <FundingFormModal
+                isOpen={!!form}
+                onClose={() => setForm(null)}
+                entry={form?.entry || null}
+                onSave={handleSave}
+            />
+
+            <style jsx>{`
+                .cashflow-page {
+                    max-width: 1100px;
+                    margin: 0 auto;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 24px;
+                }
+
+                .page-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: flex-start;
+                    gap: 24px;
+                }
+
+                .page-header h1 {
+                    font-size: 2.5rem;
+                    margin: 0 0 10px;
+                    background: linear-gradient(
+                        135deg,
+                        #667eea 0%,
+                        #764ba2 100%
+                    );
+                    -webkit-background-clip: text;
+                    -webkit-text-fill-color: transparent;
+                    background-clip: text;
+                }
+
+                .page-header p {
+                    font-size: 1.1rem;
+                    color: #666;
+                    margin: 0;
+                }
+
+                .cashflow-error {
+                    margin: 0;
+                    color: #ee0979;
+                }
+
+                .negative-warning {
+                    padding: 12px 16px;
+                    border-radius: 8px;
+                    background: #fde8ef;
+                    color: #ee0979;
+                    font-weight: 500;
+                }
+
+                .cashflow-stats {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+                    gap: 24px;
+                }
+
+                .cashflow-stats div {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 6px;
+                }
+
+                .cashflow-stats span {
+                    font-size: 0.9rem;
+                    color: #666;
+                    text-transform: uppercase;
+                }
+
+                .cashflow-stats strong {
+                    font-size: 1.8rem;
+                }
+
+                .card-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    margin-bottom: 16px;
+                }
+
+                .card-header h2 {
+                    margin: 0;
+                    font-size: 1.3rem;
+                    color: #333;
+                }
+
+                .card-header label {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    font-size: 14px;
+                    color: #374151;
+                }
+
+                .card-header select {
+                    padding: 6px 10px;
+                    border: 1px solid #d1d5db;
+                    border-radius: 6px;
+                    font-size: 14px;
+                }
+
+                .cashflow-note {
+                    margin: 0 0 12px;
+                    color: #666;
+                }
+
+                .cashflow-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                }
+
+                .cashflow-table th,
+                .cashflow-table td {
+                    padding: 10px 8px;
+                    text-align: left;
+                    border-bottom: 1px solid #f0f0f0;
+                }
+
+                .cashflow-table th {
+                    font-size: 0.85rem;
+                    color: #666;
+                    text-transform: uppercase;
+                }
+
+                .month-row {
+                    cursor: pointer;
+                }
+
+                .month-row:hover {
+                    background: #f8f9fa;
+                }
+
+                .month-row.negative {
+                    background: #fff5f8;
+                }
+
+                .month-row.negative .balance {
+                    color: #ee0979;
+                }
+
+                .balance {
+                    font-weight: 600;
+                }
+
+                .inflow {
+                    color: #11998e;
+                }
+
+                .outflow {
+                    color: #ee0979;
+                }
+
+                .flow-row td {
+                    padding: 6px 8px;
+                    font-size: 14px;
+                    background: #fafbfc;
+                }
+
+                .later-row td {
+                    color: #666;
+                    font-style: italic;
+                }
+
+                .flow-detail {
+                    display: block;
+                    font-size: 0.8rem;
+                    color: #666;
+                }
+
+                .funding-badge {
+                    padding: 2px 10px;
+                    border-radius: 12px;
+                    font-size: 13px;
+                    font-weight: 500;
+                }
+
+                .badge-received {
+                    background: #e6f7f4;
+                    color: #11998e;
+                }
+
+                .badge-expected {
+                    background: #fff4e0;
+                    color: #b26a00;
+                }
+
+                .funding-actions {
+                    display: flex;
+                    justify-content: flex-end;
+                    gap: 8px;
+                }
+
+                @media (max-width: 768px) {
+                    .page-header {
+                        flex-direction: column;
+                    }
+                }
+            `}</style>
+        </MainLayout>
+    );
+}
@@ -0,0 +1,404 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useSession } from 'next-auth/react';
+import { MainLayout } from '@/components/layout';
+import { Card, Button, LoadingSpinner, ConfirmDialog, DatePicker, CurrencySelect } from '@/components/ui';
+import { exchangeRatesAPI, projectsAPI } from '@/lib/api';
+import { CURRENCY_CODES } from '@/lib/currency';
+import AdminOnly from '@/components/auth/AdminOnly';
+import { useProject } from '@/contexts/ProjectContext';
+import { useCurrency } from '@/contexts/CurrencyContext';
+import { useToast } from '@/contexts/ToastContext';
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+// Form values for a new rate, or for editing an existing one
+function rateForm(baseCurrency, rate = null) {
+    return {
+        currency: rate?.currency || CURRENCY_CODES.find((code) => code !== baseCurrency),
+        rate: rate ? String(rate.rate) : '',
+        effectiveDate: rate ? new Date(rate.effectiveDate) : new Date(),
+        notes: rate?.notes || '',
+    };
+}
+
+export default function ExchangeRatesPage() {
+    const { data: session } = useSession();
+    const { currentProject, reloadProjects } = useProject();
+    const { baseCurrency, rates, reloadRates } = useCurrency();
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [form, setForm] = useState(() => rateForm(baseCurrency));
+    const [editingId, setEditingId] = useState(null);
+    const [deleteTarget, setDeleteTarget] = useState(null);
+    const toast = useToast();
+
+    // Only project owners can change the base currency
+    const canChangeBase =
+        session?.user?.role === 'admin' || currentProject?.role === 'owner';
+
+    useEffect(() => {
+        reloadRates().finally(() => setLoading(false));
+    }, [reloadRates]);
+
+    useEffect(() => {
+        setForm(rateForm(baseCurrency));
+        setEditingId(null);
+    }, [baseCurrency]);
+
+    const handleFormChange = (field, value) => {
+        setForm((prev) => ({ ...prev, [field]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!form.effectiveDate) {
+            toast.error('Choose the date the rate applies from');
+            return;
+        }
+
+        const rate = {
+            currency: form.currency,
+            rate: parseFloat(form.rate),
+            effectiveDate: toDateString(form.effectiveDate),
+            notes: form.notes.trim(),
+        };
+
+        try {
+            setSaving(true);
+            if (editingId) {
+                await exchangeRatesAPI.update(editingId, rate);
+                toast.success(`${rate.currency} rate updated`);
+            } else {
+                await exchangeRatesAPI.create(rate);
+                toast.success(`${rate.currency} rate added`);
+            }
+            setForm(rateForm(baseCurrency));
+            setEditingId(null);
+            await reloadRates();
+        } catch (err) {
+            toast.error(`Failed to save rate: ${err.message}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const startEdit = (rate) => {
+        setEditingId(rate._id);
+        setForm(rateForm(baseCurrency, rate));
+    };
+
+    const cancelEdit = () => {
+        setEditingId(null);
+        setForm(rateForm(baseCurrency));
+    };
+
+    const confirmDelete = async () => {
+        if (!deleteTarget) return;
+
+        try {
+            await exchangeRatesAPI.delete(deleteTarget._id);
+            toast.success(`${deleteTarget.currency} rate deleted`);
+            if (editingId === deleteTarget._id) cancelEdit();
+            await reloadRates();
+        } catch (err) {
+            toast.error(`Failed to delete rate: ${err.message}`);
+        } finally {
+            setDeleteTarget(null);
+        }
+    };
+
+    // Budgets are stored in the base currency and are not converted when it changes
+    const handleBaseCurrencyChange = async (currency) => {
+        if (!confirm(`Use ${currency} as the base currency? Budgets keep their amounts and are read as ${currency}.`)) {
+            return;
+        }
+
+        try {
+            await projectsAPI.update(currentProject._id, { baseCurrency: currency });
+            await reloadProjects();
+            toast.success(`Totals are now shown in ${currency}`);
+        } catch (err) {
+            toast.error(`Failed to change base currency: ${err.message}`);
+        }
+    };
+
+    if (loading) {
+        return (
+            <MainLayout>
+                <div style={{ padding: '60px 0', textAlign: 'center' }}>
+                    <LoadingSpinner size='large' text='Loading exchange rates...' />
+                </div>
+            </MainLayout>
+        );
+    }
+
+    const otherCurrencies = CURRENCY_CODES.filter((code) => code !== baseCurrency);
+
+    return (
+        <MainLayout>
+            <div className='rates-page'>
+                <header className='page-header'>
+                    <h1>💱 Exchange Rates</h1>
+                    <p>
+                        Totals and charts are shown in the project base currency. Amounts in other
+                        currencies are converted with the latest rate in effect on their date.
+                    </p>
+                </header>
+
+                <Card>
+                    <div className='base-currency'>
+                        <span>Base currency</span>
+                        {canChangeBase ? (
+                            <CurrencySelect value={baseCurrency} onChange={handleBaseCurrencyChange} />
+                        ) : (
+                            <strong>{baseCurrency}</strong>
+                        )}
+                    </div>
+                </Card>
+
+                <AdminOnly>
+                    <Card>
+                        <h2 className='rates-section-title'>{editingId ? '✏️ Edit Rate' : '➕ Add Rate'}</h2>
+                        <form className='rate-form' onSubmit={handleSubmit}>
+                            <label>
+                                Currency
+                                <select
+                                    value={form.currency}
+                                    onChange={(e) => handleFormChange('currency', e.target.value)}
+                                >
+                                    {otherCurrencies.map((code) => (
+                                        <option key={code} value={code}>
+                                            {code}
+                                        </option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label>
+                                {baseCurrency} per 1 {form.currency}
+                                <input
+                                    type='number'
+                                    min='0'
+                                    step='0.0001'
+                                    value={form.rate}
+                                    onChange={(e) => handleFormChange('rate', e.target.value)}
+                                    placeholder='e.g. 3.75'
+                                    required
+                                />
+                            </label>
+                            <label>
+                                Effective from
+                                <DatePicker
+                                    selected={form.effectiveDate}
+                                    onChange={(date) => handleFormChange('effectiveDate', date)}
+                                    isClearable={false}
+                                />
+                            </label>
+                            <label className='rate-notes'>
+                                Notes
+                                <input
+                                    type='text'
+                                    value={form.notes}
+                                    onChange={(e) => handleFormChange('notes', e.target.value)}
+                                    placeholder='Source, e.g. SBS closing rate'
+                                />
+                            </label>
+                            <div className='rate-form-actions'>
+                                {editingId && (
+                                    <Button variant='secondary' onClick={cancelEdit} disabled={saving}>
+                                        Cancel
+                                    </Button>
+                                )}
+                                <Button type='submit' disabled={saving} icon='💾'>
+                                    {saving ? 'Saving...' : editingId ? 'Save Rate' : 'Add Rate'}
+                                </Button>
+                            </div>
+                        </form>
+                    </Card>
+                </AdminOnly>
+
+                {otherCurrencies.map((code) => {
+                    const currencyRates = rates.filter((rate) => rate.currency === code);
+
+                    return (
+                        <Card key={code}>
+                            <h2 className='rates-section-title'>
+                                {code} → {baseCurrency}
+                            </h2>
+                            {currencyRates.length === 0 ? (
+                                <p className='rates-empty'>
+                                    No rates yet. Amounts in {code} are left out of the totals until one is added.
+                                </p>
+                            ) : (
+                                <table className='rates-table'>
+                                    <thead>
+                                        <tr>
+                                            <th>Effective from</th>
+                                            <th>Rate</th>
+                                            <th>Notes</th>
+                                            <th></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {currencyRates.map((rate) => (
+                                            <tr key={rate._id} className={editingId === rate._id ? 'editing' : ''}>
+                                                <td>{toDateString(rate.effectiveDate)}</td>
+                                                <td>
+                                                    1 {code} = {rate.rate} {baseCurrency}
+                                                </td>
+                                                <td className='rate-notes-cell'>{rate.notes}</td>
+                                                <td>
+                                                    <AdminOnly>
+                                                        <div className='rate-actions'>
+                                                            <Button
+                                                                variant='secondary'
+                                                                size='small'
+                                                                onClick={() => startEdit(rate)}
+                                                                icon='✏️'
+                                                            >
+                                                                Edit
+                                                            </Button>
+                                                            <Button
+                                                                variant='danger'
+                                                                size='small'
+                                                                onClick={() => setDeleteTarget(rate)}
+                                                                icon='🗑️'
+                                                            >
+                                                                Delete
+                                                            </Button>
+                                                        </div>
+                                                    </AdminOnly>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </Card>
+                    );
+                })}
+            </div>
+
+            <ConfirmDialog
+                isOpen={!!deleteTarget}
+                onClose={() => setDeleteTarget(null)}
+                onConfirm={confirmDelete}
+                title='Delete Rate'
+                message={`Delete the ${deleteTarget?.currency} rate from ${deleteTarget ? toDateString(deleteTarget.effectiveDate) : ''}? Amounts it applied to use the nearest other rate.`}
+                confirmText='Delete'
+            />
+
+            <style jsx>{`
+                .rates-page {
+                    max-width: 1000px;
+                    margin: 0 auto;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 24px;
+                }
+
+                .page-header h1 {
+                    font-size: 2.5rem;
+                    margin: 0 0 10px;
+                    background: linear-gradient(
+                        135deg,
+                        #667eea 0%,
+                        #764ba2 100%
+                    );
+                    -webkit-background-clip: text;
+                    -webkit-text-fill-color: transparent;
+                    background-clip: text;
+                }
+
+                .page-header p {
+                    font-size: 1.1rem;
+                    color: #666;
+                    margin: 0;
+                }
+
+                .base-currency {
+                    display: flex;
+                    align-items: center;
+                    gap: 12px;
+                    font-weight: 600;
+                    color: #333;
+                }
+
+                .base-currency :global(select),
+                .rate-form select,
+                .rate-form input {
+                    padding: 8px 12px;
+                    border: 1px solid #d1d5db;
+                    border-radius: 6px;
+                    font-size: 14px;
+                }
+
+                .rates-section-title {
+                    margin: 0 0 16px;
+                    font-size: 1.3rem;
+                    color: #333;
+                }
+
+                .rate-form {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+                    gap: 16px;
+                    align-items: end;
+                }
+
+                .rate-form label {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 6px;
+                    font-size: 14px;
+                    font-weight: 500;
+                    color: #374151;
+                }
+
+                .rate-form-actions {
+                    display: flex;
+                    gap: 8px;
+                    justify-content: flex-end;
+                }
+
+                .rates-empty {
+                    margin: 0;
+                    color: #666;
+                }
+
+                .rates-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                }
+
+                .rates-table th,
+                .rates-table td {
+                    padding: 10px 8px;
+                    text-align: left;
+                    border-bottom: 1px solid #f0f0f0;
+                }
+
+                .rates-table th {
+                    font-size: 0.85rem;
+                    color: #666;
+                    text-transform: uppercase;
+                }
+
+                .rates-table tr.editing {
+                    background: #f5f7ff;
+                }
+
+                .rate-notes-cell {
+                    color: #666;
+                }
+
+                .rate-actions {
+                    display: flex;
+                    gap: 8px;
+                    justify-content: flex-end;
+                }
+            `}</style>
+        </MainLayout>
+    );
+}
@@ -9,15 +9,24 @@
 import { useState, useEffect } from 'react';
 import { useSession } from 'next-auth/react';
 import { MainLayout } from '@/components/layout';
-import { Card, Button, LoadingSpinner, DatePicker } from '@/components/ui';
+import { Card, Button, LoadingSpinner, DatePicker, MoneyInput, Amount, CurrencySelect, MissingRatesWarning, VendorSelect } from '@/components/ui';
 import CategorySelector from '@/components/CategorySelector';
 import ProductOptionsManager from '@/components/ProductOptionsManager';
-import { expensesAPI, roomsAPI, categoriesAPI } from '@/lib/api';
-import { formatCurrency } from '@/lib/currency';
+import { expensesAPI, roomsAPI, categoriesAPI, attachmentsAPI, isConfirmationRequiredError } from '@/lib/api';
+import { formatCurrency, subtotal as calculateSubtotal, allocate, CURRENCIES } from '@/lib/currency';
+import { RECEIPT_TYPES, RECEIPT_LABELS } from '@/lib/tax';
+import { useCurrency, entryDate } from '@/contexts/CurrencyContext';
 import AdminOnly from '@/components/auth/AdminOnly';
+import HistoryPanel from '@/components/audit/HistoryPanel';
+import PaymentsModal from '@/components/payments/PaymentsModal';
+import ReceiptsModal from '@/components/attachments/ReceiptsModal';
+
+// Rows loaded per page; more are fetched with "Load More"
+const EXPENSES_PAGE_SIZE = 100;
 
 export default function ExpensesPage() {
   const { data: session } = useSession();
+  const { baseCurrency } = useCurrency();
   const [expenses, setExpenses] = useState([]);
   const [rooms, setRooms] = useState([]);
   const [categories, setCategories] = useState([]);
@@ -28,42 +37,101 @@ export default function ExpensesPage() {
   const [openRoomDropdown, setOpenRoomDropdown] = useState(null);
   const [showAllocationModal, setShowAllocationModal] = useState(null); // Track which expense allocation editor is open
   const [editingOptionsId, setEditingOptionsId] = useState(null); // Track which expense product options are being edited
+  const [paymentsId, setPaymentsId] = useState(null); // Expense whose payments are open
+  const [receiptsId, setReceiptsId] = useState(null); // Expense whose receipts are open
+  const [exporting, setExporting] = useState(false);
+  const [historyKey, setHistoryKey] = useState(0); // Bumped after saving to refresh the history panel
+  const [savedRows, setSavedRows] = useState({}); // Rows as last loaded (id -> JSON), to find changed rows
+  const [deletedIds, setDeletedIds] = useState([]); // Saved rows removed since the last save, moved to the trash on save
+  const [totals, setTotals] = useState({ count: 0, spent: 0, expected: 0 }); // Totals of every row matching the filters, in the base currency
+  const [missingRates, setMissingRates] = useState([]); // Currencies of matching rows without exchange rates
+  const [nextCursor, setNextCursor] = useState(null); // Set while more pages are available
+  const [loadingMore, setLoadingMore] = useState(false);
 
   // Filter states
   const [filterDateRange, setFilterDateRange] = useState({ start: null, end: null });
   const [filterCategory, setFilterCategory] = useState('all');
   const [filterRoom, setFilterRoom] = useState('all');
   const [filterStatus, setFilterStatus] = useState('Completed'); // Default to Completed
+  const [filterReceipt, setFilterReceipt] = useState('all'); // 'missing' or 'attached' receipts
 
   useEffect(() => {
     loadData();
   }, []);
 
-  // Calculate subtotal: use actual_price if set, otherwise budget_price
-  const calculateSubtotal = (expense) => {
-    const quantity = parseFloat(expense.quantity) || 0;
-    const actualPrice = parseFloat(expense.actual_price) || 0;
-    const budgetPrice = parseFloat(expense.budget_price) || 0;
+  // Filters and sorting are applied by the server, so changing them reloads the list
+  useEffect(() => {
+    loadExpenses();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filterDateRange, filterCategory, filterRoom, filterStatus, filterReceipt, sortBy, sortDirection]);
+
+  const getFilters = () => ({
+    from: filterDateRange.start ? filterDateRange.start.toISOString().split('T')[0] : null,
+    to: filterDateRange.end ? filterDateRange.end.toISOString().split('T')[0] : null,
+    category: filterCategory !== 'all' ? filterCategory : null,
+    room: filterRoom !== 'all' ? filterRoom : null,
+    status: filterStatus !== 'all' ? filterStatus : null,
+  });
+
+  const getQuery = () => ({
+    ...getFilters(),
+    receipt: filterReceipt !== 'all' ? filterReceipt : null,
+    sort: sortBy,
+    order: sortDirection,
+    limit: EXPENSES_PAGE_SIZE,
+  });
+
+  // Load the first page for the current filters, or the next page when append is true
+  // Unsaved work survives a reload: new rows, edited rows and pending deletions are kept
+  // unless keepUnsaved is false (after saving)
+  const loadExpenses = async ({ append = false, keepUnsaved = true } = {}) => {
+    try {
+      if (append) setLoadingMore(true);
+      const data = await expensesAPI.getAll({ ...getQuery(), cursor: append ? nextCursor : null });
+
+      const loaded = (data.expenses || []).filter(exp => !keepUnsaved || !deletedIds.includes(exp._id));
+      const loadedRows = Object.fromEntries(loaded.map(exp => [exp._id, JSON.stringify(exp)]));
+
+      if (append) {
+        setExpenses(prev => [...prev, ...loaded]);
+        setSavedRows(prev => ({ ...prev, ...loadedRows }));
+      } else if (keepUnsaved) {
+        const { created, updated } = getChanges();
+        const edited = Object.fromEntries(updated.map(exp => [exp._id, exp]));
+        setExpenses([
+          ...created,
+          ...updated.filter(exp => !loadedRows[exp._id]),
+          ...loaded.map(exp => edited[exp._id] || exp)
+        ]);
+        setSavedRows({
+          ...Object.fromEntries(updated.map(exp => [exp._id, savedRows[exp._id]])),
+          ...loadedRows
+        });
+      } else {
+        setExpenses(loaded);
+        setSavedRows(loadedRows);
+        setDeletedIds([]);
+      }
 
-    // Use actual price if it's set and non-zero, otherwise use budget price
-    const price = actualPrice > 0 ? actualPrice : budgetPrice;
-    return quantity * price;
+      setTotals(data.totals || { count: loaded.length, spent: 0, expected: 0 });
+      setMissingRates(data.missingRates || []);
+      setNextCursor(data.nextCursor || null);
+    } catch (err) {
+      console.error('Error loading expenses:', err);
+      if (!append) setExpenses([]);
+    } finally {
+      setLoading(false);
+      setLoadingMore(false);
+    }
   };
 
   const loadData = async () => {
     try {
-      setLoading(true);
-      const [expensesData, roomsData, categoriesData] = await Promise.all([
-        expensesAPI.getAll(),
-        roomsAPI.getAll(),
+      const [roomsData, categoriesData] = await Promise.all([
+        roomsAPI.getSummary(),
         categoriesAPI.getAll(),
       ]);
       
-      if (expensesData.success) {
-        // Backend now sends rooms array directly, just use it
-        setExpenses(expensesData.expenses || []);
-      }
-      
       // Build rooms list from API
       const roomsList = [{ value: 'all', label: 'All Rooms (Split Equally)' }];
       if (Array.isArray(roomsData)) {
@@ -96,20 +164,37 @@ export default function ExpensesPage() {
       
     } catch (err) {
       console.error('Error loading data:', err);
-      setExpenses([]);
       setRooms([{ value: 'all', label: 'All Rooms (Split Equally)' }]);
       setCategories(['Other']);
-    } finally {
-      setLoading(false);
     }
   };
 
+  // Only rows added, edited or deleted since the last load are sent on save
+  const getChanges = () => ({
+    created: expenses.filter(exp => exp._id.startsWith('temp_')),
+    updated: expenses.filter(exp =>
+      !exp._id.startsWith('temp_') && savedRows[exp._id] !== JSON.stringify(exp)
+    ),
+    deleted: deletedIds
+  });
+
+  const changes = getChanges();
+  const changeCount = changes.created.length + changes.updated.length + changes.deleted.length;
+
   const handleSave = async () => {
     try {
       setSaving(true);
       // Backend now handles rooms array directly, no transformation needed
-      await expensesAPI.save(expenses);
-      await loadData();
+      try {
+        await expensesAPI.save(changes);
+      } catch (err) {
+        // Large deletions must be confirmed before the server applies them
+        if (!isConfirmationRequiredError(err)) throw err;
+        if (!window.confirm(`${err.message}. Move ${err.data.deleteCount} expenses to the trash?`)) return;
+        await expensesAPI.save({ ...changes, confirmDelete: true });
+      }
+      await loadExpenses({ keepUnsaved: false });
+      setHistoryKey((key) => key + 1);
     } catch (err) {
       console.error('Error saving expenses:', err);
       alert('Failed to save expenses');
@@ -131,9 +216,16 @@ export default function ExpensesPage() {
       // Quantity and pricing (like room items)
       quantity: 1,
       unit: 'unit',
+      currency: baseCurrency,
       budget_price: 0,
       actual_price: 0,
 
+      // IGV and receipt
+      priceIncludesTax: true,
+      receiptType: 'none',
+      receiptNumber: '',
+      vendor: null,
+
       // Dates
       date: new Date().toISOString().split('T')[0],
       createdDate: new Date().toISOString().split('T')[0],
@@ -158,6 +250,11 @@ export default function ExpensesPage() {
   };
 
   const deleteExpense = (expenseId) => {
+    // Unsaved rows only exist on the page; saved rows are sent for deletion on save
+    if (!expenseId.startsWith('temp_')) {
+      setDeletedIds([...deletedIds, expenseId]);
+    }
+
     setExpenses(expenses.filter(exp => exp._id !== expenseId));
   };
 
@@ -168,6 +265,18 @@ export default function ExpensesPage() {
     setExpenses(updated);
   };
 
+  // Payments and receipts are saved right away: update the row, and its saved copy when it had no other edits
+  const handleSavedChange = (expenseId, changes) => {
+    const expense = expenses.find(exp => exp._id === expenseId);
+    if (!expense) return;
+
+    const updated = { ...expense, ...changes };
+    setExpenses(expenses.map(exp => (exp._id === expenseId ? updated : exp)));
+    if (savedRows[expenseId] === JSON.stringify(expense)) {
+      setSavedRows(prev => ({ ...prev, [expenseId]: JSON.stringify(updated) }));
+    }
+  };
+
   const toggleRoom = (expenseId, roomValue) => {
     const updated = expenses.map(exp => {
       if (exp._id !== expenseId) return exp;
@@ -220,7 +329,7 @@ export default function ExpensesPage() {
     const expense = expenses.find(exp => exp._id === expenseId);
     if (!expense) return;
 
-    const amount = parseFloat(expense.amount) || 0;
+    const amount = calculateSubtotal(expense);
     const expenseRooms = expense.rooms || [];
 
     if (expenseRooms.length <= 1) return;
@@ -232,12 +341,12 @@ export default function ExpensesPage() {
     }
 
     // Initialize with equal split
-    const amountPerRoom = amount / expenseRooms.length;
+    const amounts = allocate(amount, expenseRooms.map(() => 1));
     const percentagePerRoom = 100 / expenseRooms.length;
 
-    const allocations = expenseRooms.map(roomSlug => ({
+    const allocations = expenseRooms.map((roomSlug, index) => ({
       room: roomSlug,
-      amount: amountPerRoom,
+      amount: amounts[index],
       percentage: percentagePerRoom
     }));
 
@@ -252,7 +361,7 @@ export default function ExpensesPage() {
     const updated = expenses.map(exp => {
       if (exp._id !== expenseId) return exp;
 
-      const totalAmount = parseFloat(exp.amount) || 0;
+      const totalAmount = calculateSubtotal(exp);
 
       if (!exp.roomAllocations) {
         initializeRoomAllocations(expenseId);
@@ -267,9 +376,9 @@ export default function ExpensesPage() {
       if (field === 'percentage') {
         const percentage = parseFloat(value) || 0;
         allocations[allocationIndex].percentage = percentage;
-        allocations[allocationIndex].amount = (totalAmount * percentage) / 100;
+        allocations[allocationIndex].amount = Math.round((totalAmount * percentage) / 100);
       } else if (field === 'amount') {
-        const amount = parseFloat(value) || 0;
+        const amount = value;
         allocations[allocationIndex].amount = amount;
         allocations[allocationIndex].percentage = totalAmount > 0 ? (amount / totalAmount) * 100 : 0;
       }
@@ -284,19 +393,19 @@ export default function ExpensesPage() {
     const updated = expenses.map(exp => {
       if (exp._id !== expenseId) return exp;
 
-      const amount = parseFloat(exp.amount) || 0;
+      const amount = calculateSubtotal(exp);
       const expenseRooms = exp.rooms || [];
 
       if (expenseRooms.length <= 1) return exp;
 
-      const amountPerRoom = amount / expenseRooms.length;
+      const amounts = allocate(amount, expenseRooms.map(() => 1));
       const percentagePerRoom = 100 / expenseRooms.length;
 
       return {
         ...exp,
-        roomAllocations: expenseRooms.map(roomSlug => ({
+        roomAllocations: expenseRooms.map((roomSlug, index) => ({
           room: roomSlug,
-          amount: amountPerRoom,
+          amount: amounts[index],
           percentage: percentagePerRoom
         }))
       };
@@ -313,6 +422,8 @@ export default function ExpensesPage() {
     setShowAllocationModal(null);
   };
 
+  const allocationExpense = expenses.find(exp => exp._id === showAllocationModal);
+
   const handleSort = (field) => {
     if (sortBy === field) {
       setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
@@ -322,84 +433,32 @@ export default function ExpensesPage() {
     }
   };
 
-  const getFilteredAndSortedExpenses = () => {
-    // Filter expenses (no need for originalIndex - we use _id + roomSlug)
-    let filtered = [...expenses];
-
-    // Date range filter
-    if (filterDateRange.start || filterDateRange.end) {
-      filtered = filtered.filter(exp => {
-        if (!exp.date) return false;
-        const expDate = new Date(exp.date);
-        if (filterDateRange.start && expDate < filterDateRange.start) return false;
-        if (filterDateRange.end && expDate > filterDateRange.end) return false;
-        return true;
-      });
-    }
-
-    // Category filter
-    if (filterCategory !== 'all') {
-      filtered = filtered.filter(exp => exp.category === filterCategory);
-    }
-
-    // Room filter
-    if (filterRoom !== 'all') {
-      filtered = filtered.filter(exp => {
-        if (!exp.rooms || exp.rooms.length === 0) return filterRoom === 'general';
-        return exp.rooms.includes(filterRoom);
-      });
-    }
-
-    // Status filter
-    if (filterStatus !== 'all') {
-      filtered = filtered.filter(exp => exp.status === filterStatus);
-    }
-
-    // Then sort
-    const sorted = [...filtered].sort((a, b) => {
-      let aVal = a[sortBy];
-      let bVal = b[sortBy];
-
-      if (sortBy === 'subtotal') {
-        // Calculate subtotals for sorting
-        aVal = calculateSubtotal(a);
-        bVal = calculateSubtotal(b);
-      } else if (sortBy === 'amount') {
-        aVal = parseFloat(aVal) || 0;
-        bVal = parseFloat(bVal) || 0;
-      } else if (sortBy === 'date') {
-        aVal = new Date(aVal || 0);
-        bVal = new Date(bVal || 0);
-      } else {
-        aVal = (aVal || '').toLowerCase();
-        bVal = (bVal || '').toLowerCase();
-      }
-
-      if (aVal < bVal) return sortDirection === 'asc' ? -1 : 1;
-      if (aVal > bVal) return sortDirection === 'asc' ? 1 : -1;
-      return 0;
-    });
-
-    return sorted;
-  };
-  
   const clearFilters = () => {
     setFilterDateRange({ start: null, end: null });
     setFilterCategory('all');
     setFilterRoom('all');
     setFilterStatus('Completed'); // Reset to default Completed filter
+    setFilterReceipt('all');
   };
 
-  // Total Spent: Only completed items (using subtotal)
-  const totalSpent = expenses
-    .filter(exp => exp.status === 'Completed')
-    .reduce((sum, exp) => sum + calculateSubtotal(exp), 0);
-
-  // Expected Total: All items regardless of status (using subtotal)
-  const totalExpected = expenses.reduce(
-    (sum, exp) => sum + calculateSubtotal(exp),
-    0
-  );
+  // Download the receipts of the filtered expenses (any receipt status) as a zip with a CSV index
+  const exportReceipts = async () => {
+    try {
+      setExporting(true);
+      const filters = getFilters();
+      const blob = await attachmentsAPI.export(filters);
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `receipts_${filters.from || 'start'}_${filters.to || 'today'}.zip`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (err) {
+      console.error('Error exporting receipts:', err);
+      alert(`Failed to export receipts: ${err.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
 
   if (loading) {
     return (
@@ -411,8 +470,6 @@ export default function ExpensesPage() {
     );
   }
 
-  const sortedExpenses = getFilteredAndSortedExpenses();
-
   return (
     <MainLayout>
       <div className="expenses-page">
@@ -426,8 +483,8 @@ export default function ExpensesPage() {
               <Button onClick={addExpense} icon="➕">
                 Add Expense
               </Button>
-              <Button onClick={handleSave} disabled={saving} icon="💾">
-                {saving ? 'Saving...' : 'Save'}
+              <Button onClick={handleSave} disabled={saving || changeCount === 0} icon="💾">
+                {saving ? 'Saving...' : changeCount > 0 ? `Save (${changeCount})` : 'Save'}
               </Button>
             </div>
           </AdminOnly>
@@ -439,7 +496,7 @@ export default function ExpensesPage() {
             <div className="summary-stat">
               <div className="stat-label">Total Spent (Completed)</div>
               <div className="stat-value" style={{ color: '#ee0979' }}>
-                {formatCurrency(Math.round(totalSpent))}
+                {formatCurrency(totals.spent, baseCurrency)}
               </div>
             </div>
           </Card>
@@ -447,7 +504,7 @@ export default function ExpensesPage() {
             <div className="summary-stat">
               <div className="stat-label">Expected Total (All Items)</div>
               <div className="stat-value" style={{ color: '#764ba2' }}>
-                {formatCurrency(Math.round(totalExpected))}
+                {formatCurrency(totals.expected, baseCurrency)}
               </div>
             </div>
           </Card>
@@ -455,12 +512,14 @@ export default function ExpensesPage() {
             <div className="summary-stat">
               <div className="stat-label">Number of Items</div>
               <div className="stat-value" style={{ color: '#667eea' }}>
-                {expenses.length}
+                {totals.count}
               </div>
             </div>
           </Card>
         </div>
 
+        <MissingRatesWarning currencies={missingRates} />
+
         {/* Filters Section */}
         <Card>
           <div className="filters-section">
@@ -531,19 +590,41 @@ export default function ExpensesPage() {
                   <option value="Completed">Completed</option>
                 </select>
               </div>
+
+              <div className="filter-group">
+                <label>Receipt</label>
+                <select
+                  value={filterReceipt}
+                  onChange={(e) => setFilterReceipt(e.target.value)}
+                  className="filter-select"
+                >
+                  <option value="all">Any</option>
+                  <option value="missing">Missing receipt</option>
+                  <option value="attached">Has receipt</option>
+                </select>
+              </div>
             </div>
             
-            {(filterDateRange.start || filterDateRange.end || filterCategory !== 'all' ||
-              filterRoom !== 'all' || filterStatus !== 'Completed') && (
-              <div className="filter-actions">
-                <Button variant="secondary" onClick={clearFilters} icon="✕">
-                  Clear Filters
-                </Button>
+            <div className="filter-actions">
+              {(filterDateRange.start || filterDateRange.end || filterCategory !== 'all' ||
+                filterRoom !== 'all' || filterStatus !== 'Completed' || filterReceipt !== 'all') ? (
+                <>
+                  <Button variant="secondary" onClick={clearFilters} icon="✕">
+                    Clear Filters
+                  </Button>
+                  <span className="filter-results-count">
+                    Showing {expenses.length} of {totals.count} matching items
+                  </span>
+                </>
+              ) : (
                 <span className="filter-results-count">
-                  Showing {sortedExpenses.length} of {expenses.length} items
+                  Receipts are exported for the date range and filters above
                 </span>
-              </div>
-            )}
+              )}
+              <Button variant="secondary" onClick={exportReceipts} disabled={exporting} icon="📦">
+                {exporting ? 'Exporting...' : 'Export Receipts'}
+              </Button>
+            </div>
           </div>
         </Card>
 
@@ -574,6 +655,7 @@ export default function ExpensesPage() {
                   </th>
                   <th style={{ width: '80px' }}>Qty</th>
                   <th style={{ width: '80px' }}>Unit</th>
+                  <th style={{ width: '80px' }}>Currency</th>
                   <th style={{ width: '100px' }}>Budget Price</th>
                   <th style={{ width: '100px' }}>Actual Price</th>
                   <th
@@ -583,6 +665,8 @@ export default function ExpensesPage() {
                   >
                     Subtotal {sortBy === 'subtotal' && (sortDirection === 'asc' ? '↑' : '↓')}
                   </th>
+                  <th style={{ width: '150px' }}>IGV / Receipt</th>
+                  <th style={{ width: '140px' }}>Vendor</th>
                   <th style={{ width: '200px' }}>
                     Rooms (Split Equally)
                   </th>
@@ -594,19 +678,19 @@ export default function ExpensesPage() {
                     Status {sortBy === 'status' && (sortDirection === 'asc' ? '↑' : '↓')}
                   </th>
                   {session?.user?.role === 'admin' && (
-                    <th style={{ width: '60px' }}>Actions</th>
+                    <th style={{ width: '100px' }}>Actions</th>
                   )}
                 </tr>
               </thead>
               <tbody>
-                {sortedExpenses.length === 0 ? (
+                {expenses.length === 0 ? (
                   <tr>
                     <td colSpan="8" style={{ textAlign: 'center', padding: '40px', color: '#666' }}>
                       No expenses yet. Click &quot;Add Expense&quot; to create one.
                     </td>
                   </tr>
                 ) : (
-                  sortedExpenses.map((expense) => (
+                  expenses.map((expense) => (
                     <tr
                       key={`${expense.roomSlug}-${expense._id}`}
                       className={expense.status === 'Completed' ? 'completed-row' : ''}
@@ -669,83 +753,132 @@ export default function ExpensesPage() {
                         />
                       </td>
                       <td>
-                        <input
-                          type="number"
-                          value={parseFloat(expense.budget_price || 0).toFixed(2)}
-                          onChange={(e) =>
-                            handleExpenseChange(expense._id, 'budget_price', parseFloat(e.target.value) || 0)
-                          }
-                          min="0"
-                          step="0.01"
+                        <CurrencySelect
+                          value={expense.currency || baseCurrency}
+                          onChange={(currency) => handleExpenseChange(expense._id, 'currency', currency)}
                         />
                       </td>
                       <td>
-                        <input
-                          type="number"
-                          value={parseFloat(expense.actual_price || 0).toFixed(2)}
-                          onChange={(e) =>
-                            handleExpenseChange(expense._id, 'actual_price', parseFloat(e.target.value) || 0)
-                          }
-                          min="0"
-                          step="0.01"
+                        <MoneyInput
+                          value={expense.budget_price}
+                          onChange={(cents) => handleExpenseChange(expense._id, 'budget_price', cents)}
+                        />
+                      </td>
+                      <td>
+                        <MoneyInput
+                          value={expense.actual_price}
+                          onChange={(cents) => handleExpenseChange(expense._id, 'actual_price', cents)}
+                          disabled={(expense.payments || []).length > 0}
+                          title={(expense.payments || []).length > 0 ? 'Total of the payments' : undefined}
                         />
                       </td>
                       <td className="subtotal-cell">
-                        {formatCurrency(Math.round(calculateSubtotal(expense)))}
+                        <Amount
+                          cents={calculateSubtotal(expense)}
+                          currency={expense.currency}
+                          date={entryDate(expense)}
+                        />
                       </td>
-                      <td className="room-dropdown-cell">
-                        <div className="room-dropdown-wrapper">
-                          <button
-                            type="button"
-                            className="room-dropdown-button"
-                            onClick={() => setOpenRoomDropdown(
-                              openRoomDropdown === expense._id ? null : expense._id
-                            )}
+                      <td>
+                        <div className="tax-cell">
+                          <label className="tax-included-label" title="Prices include IGV">
+                            <input
+                              type="checkbox"
+                              checked={expense.priceIncludesTax !== false}
+                              onChange={(e) =>
+                                handleExpenseChange(expense._id, 'priceIncludesTax', e.target.checked)
+                              }
+                            />
+                            IGV incl.
+                          </label>
+                          <select
+                            value={expense.receiptType || 'none'}
+                            onChange={(e) => handleExpenseChange(expense._id, 'receiptType', e.target.value)}
                           >
-                            {getRoomDisplay(expense.rooms || [], expense.roomAllocations)}
-                            <span className="dropdown-arrow">▼</span>
-                          </button>
-
-                          {openRoomDropdown === expense._id && (
-                            <div className="room-dropdown-menu">
-                              {rooms.map((room) => {
-                                const isAllRooms = room.value === 'all';
-                                const allRoomValues = rooms.filter(r => r.value !== 'all').map(r => r.value);
-                                const isChecked = isAllRooms
-                                  ? (expense.rooms || []).length === allRoomValues.length
-                                  : (expense.rooms || []).includes(room.value);
-
-                                return (
-                                  <label key={room.value} className="room-checkbox-label">
-                                    <input
-                                      type="checkbox"
-                                      checked={isChecked}
-                                      onChange={() => toggleRoom(expense._id, room.value)}
-                                    />
-                                    <span>{room.label}</span>
-                                  </label>
-                                );
-                              })}
-
-                              {(expense.rooms || []).length > 1 && (
-                                <div className="allocation-actions">
-                                  <button
-                                    type="button"
-                                    className="allocation-edit-btn"
-                                    onClick={(e) => {
-                                      e.stopPropagation();
-                                      setOpenRoomDropdown(null);
-                                      initializeRoomAllocations(expense._id);
-                                    }}
-                                  >
-                                    ⚙️ Customize Split
-                                  </button>
-                                </div>
-                              )}
-                            </div>
+                            {RECEIPT_TYPES.map((type) => (
+                              <option key={type} value={type}>
+                                {RECEIPT_LABELS[type]}
+                              </option>
+                            ))}
+                          </select>
+                          {expense.receiptType && expense.receiptType !== 'none' && (
+                            <input
+                              type="text"
+                              value={expense.receiptNumber || ''}
+                              onChange={(e) =>
+                                handleExpenseChange(expense._id, 'receiptNumber', e.target.value)
+                              }
+                              placeholder="F001-123"
+                            />
                           )}
                         </div>
                       </td>
+                      <td>
+                        <VendorSelect
+                          value={expense.vendor}
+                          onChange={(vendor) => handleExpenseChange(expense._id, 'vendor', vendor)}
+                        />
+                      </td>
+                      <td className="room-dropdown-cell">
+                        {expense.source === "rooms" ? (
+                          // Room items stay in their room; move them from the room page
+                          <span className="room-static-label">
+                            {getRoomDisplay(expense.rooms || [], expense.roomAllocations)}
+                          </span>
+                        ) : (
+                          <div className="room-dropdown-wrapper">
+                            <button
+                              type="button"
+                              className="room-dropdown-button"
+                              onClick={() => setOpenRoomDropdown(
+                                openRoomDropdown === expense._id ? null : expense._id
+                              )}
+                            >
+                              {getRoomDisplay(expense.rooms || [], expense.roomAllocations)}
+                              <span className="dropdown-arrow">▼</span>
+                            </button>
+
+                            {openRoomDropdown === expense._id && (
+                              <div className="room-dropdown-menu">
+                                {rooms.map((room) => {
+                                  const isAllRooms = room.value === 'all';
+                                  const allRoomValues = rooms.filter(r => r.value !== 'all').map(r => r.value);
+                                  const isChecked = isAllRooms
+                                    ? (expense.rooms || []).length === allRoomValues.length
+                                    : (expense.rooms || []).includes(room.value);
+
+                                  return (
+                                    <label key={room.value} className="room-checkbox-label">
+                                      <input
+                                        type="checkbox"
+                                        checked={isChecked}
+                                        onChange={() => toggleRoom(expense._id, room.value)}
+                                      />
+                                      <span>{room.label}</span>
+                                    </label>
+                                  );
+                                })}
+
+                                {(expense.rooms || []).length > 1 && (
+                                  <div className="allocation-actions">
+                                    <button
+                                      type="button"
+                                      className="allocation-edit-btn"
+                                      onClick={(e) => {
+                                        e.stopPropagation();
+                                        setOpenRoomDropdown(null);
+                                        initializeRoomAllocations(expense._id);
+                                      }}
+                                    >
+                                      ⚙️ Customize Split
+                                    </button>
+                                  </div>
+                                )}
+                              </div>
+                            )}
+                          </div>
+                        )}
+                      </td>
                       <td>
                         <select
                           value={expense.status || 'Pending'}
@@ -763,6 +896,23 @@ export default function ExpensesPage() {
                       {session?.user?.role === 'admin' && (
                         <td>
                           <div className="actions-cell">
+                            <button
+                              className="options-btn"
+                              onClick={() => setPaymentsId(expense._id)}
+                              title="Payments"
+                            >
+                              💳
+                            </button>
+                            <button
+                              className="options-btn receipts-btn"
+                              onClick={() => setReceiptsId(expense._id)}
+                              title={`Receipts (${(expense.attachments || []).length})`}
+                            >
+                              📎
+                              {(expense.attachments || []).length > 0 && (
+                                <span className="receipt-count">{expense.attachments.length}</span>
+                              )}
+                            </button>
                             <button
                               className="options-btn"
                               onClick={() => setEditingOptionsId(expense._id)}
@@ -786,10 +936,17 @@ export default function ExpensesPage() {
               </tbody>
             </table>
           </div>
+          {nextCursor && (
+            <div className="load-more">
+              <Button variant="secondary" onClick={() => loadExpenses({ append: true })} disabled={loadingMore}>
+                {loadingMore ? 'Loading...' : 'Load More'}
+              </Button>
+            </div>
+          )}
         </Card>
 
         {/* Allocation Editor Modal */}
-        {showAllocationModal !== null && expenses[showAllocationModal] && (
+        {allocationExpense && (
           <div className="allocation-modal-overlay" onClick={() => setShowAllocationModal(null)}>
             <div className="allocation-modal" onClick={(e) => e.stopPropagation()}>
               <div className="allocation-modal-header">
@@ -804,13 +961,13 @@ export default function ExpensesPage() {
 
               <div className="allocation-modal-body">
                 <div className="allocation-info">
-                  <strong>Expense:</strong> {expenses[showAllocationModal].description || 'Unnamed'}
+                  <strong>Expense:</strong> {allocationExpense.description || 'Unnamed'}
                   <br />
-                  <strong>Total Amount:</strong> {formatCurrency(Math.round(parseFloat(expenses[showAllocationModal].amount) || 0))}
+                  <strong>Total Amount:</strong> {formatCurrency(calculateSubtotal(allocationExpense), allocationExpense.currency)}
                 </div>
 
                 <div className="allocation-grid">
-                  {(expenses[showAllocationModal].roomAllocations || []).map((allocation) => {
+                  {(allocationExpense.roomAllocations || []).map((allocation) => {
                     const room = rooms.find(r => r.value === allocation.room);
                     return (
                       <div key={allocation.room} className="allocation-row">
@@ -837,19 +994,18 @@ export default function ExpensesPage() {
                           </div>
                           <div className="allocation-input-group">
                             <label>Amount</label>
-                            <input
-                              type="number"
-                              value={Math.round(allocation.amount)}
-                              onChange={(e) => updateRoomAllocation(
+                            <MoneyInput
+                              value={allocation.amount}
+                              onChange={(cents) => updateRoomAllocation(
                                 showAllocationModal,
                                 allocation.room,
                                 'amount',
-                                e.target.value
+                                cents
                               )}
-                              step="1"
-                              min="0"
                             />
-                            <span className="input-suffix">S/</span>
+                            <span className="input-suffix">
+                              {(CURRENCIES[allocationExpense.currency] || CURRENCIES[baseCurrency]).symbol}
+                            </span>
                           </div>
                         </div>
                       </div>
@@ -861,7 +1017,7 @@ export default function ExpensesPage() {
                   <div className="allocation-summary-row">
                     <span>Total Percentage:</span>
                     <strong>
-                      {(expenses[showAllocationModal].roomAllocations || [])
+                      {(allocationExpense.roomAllocations || [])
                         .reduce((sum, a) => sum + (parseFloat(a.percentage) || 0), 0)
                         .toFixed(2)}%
                     </strong>
@@ -870,8 +1026,9 @@ export default function ExpensesPage() {
                     <span>Total Amount:</span>
                     <strong>
                       {formatCurrency(
-                        Math.round((expenses[showAllocationModal].roomAllocations || [])
-                          .reduce((sum, a) => sum + (parseFloat(a.amount) || 0), 0))
+                        (allocationExpense.roomAllocations || [])
+                          .reduce((sum, a) => sum + (a.amount || 0), 0),
+                        allocationExpense.currency
                       )}
                     </strong>
                   </div>
@@ -941,11 +1098,29 @@ export default function ExpensesPage() {
           ) : null;
         })()}
 
+        <PaymentsModal
+          entry={expenses.find(exp => exp._id === paymentsId)}
+          onClose={() => setPaymentsId(null)}
+          onChange={({ version, ...changes }) => handleSavedChange(paymentsId, changes)}
+        />
+
+        <ReceiptsModal
+          entry={expenses.find(exp => exp._id === receiptsId)}
+          onClose={() => setReceiptsId(null)}
+          onChange={({ version, ...changes }) => handleSavedChange(receiptsId, changes)}
+        />
+
+        <HistoryPanel
+          title="Expense History"
+          filters={{ entityType: 'expense,room_item' }}
+          refreshKey={historyKey}
+        />
+
         {/* Bottom Actions */}
         <AdminOnly>
           <div className="bottom-actions">
-            <Button onClick={handleSave} disabled={saving} icon="💾" variant="primary">
-              {saving ? 'Saving...' : 'Save All Changes'}
+            <Button onClick={handleSave} disabled={saving || changeCount === 0} icon="💾" variant="primary">
+              {saving ? 'Saving...' : changeCount > 0 ? `Save ${changeCount} Changes` : 'No Unsaved Changes'}
             </Button>
           </div>
         </AdminOnly>
@@ -1129,6 +1304,25 @@ export default function ExpensesPage() {
           text-align: right;
         }
 
+        .tax-cell {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+        }
+
+        .tax-included-label {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          font-size: 12px;
+          color: #666;
+          white-space: nowrap;
+        }
+
+        .tax-included-label input {
+          width: auto;
+        }
+
         /* Actions Cell */
         .actions-cell {
           display: flex;
@@ -1151,6 +1345,24 @@ export default function ExpensesPage() {
           opacity: 1;
         }
 
+        .receipts-btn {
+          position: relative;
+        }
+
+        .receipt-count {
+          position: absolute;
+          top: -2px;
+          right: -4px;
+          min-width: 16px;
+          padding: 0 4px;
+          border-radius: 8px;
+          font-size: 10px;
+          font-weight: 600;
+          line-height: 16px;
+          background: #667eea;
+          color: white;
+        }
+
         .bottom-actions {
           display: flex;
           justify-content: flex-end;
@@ -1169,6 +1381,13 @@ export default function ExpensesPage() {
           position: relative;
         }
 
+        .room-static-label {
+          display: block;
+          padding: 8px 12px;
+          font-size: 14px;
+          color: #666;
+        }
+
         .room-dropdown-button {
           width: 100%;
           padding: 8px 12px;
@@ -1595,17 +1814,25 @@ export default function ExpensesPage() {
           display: flex;
           justify-content: space-between;
           align-items: center;
+          gap: 12px;
           padding-top: 16px;
           border-top: 1px solid #e5e5e5;
           margin-top: 8px;
         }
 
         .filter-results-count {
+          flex: 1;
           color: #666;
           font-size: 0.9rem;
           font-weight: 500;
         }
 
+        .load-more {
+          display: flex;
+          justify-content: center;
+          padding-top: 16px;
+        }
+
         @media (max-width: 768px) {
           .editor-header {
             flex-direction: column;
@@ -0,0 +1,474 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { MainLayout } from '@/components/layout';
+import { Card, Button, LoadingSpinner } from '@/components/ui';
+import InvoiceFormModal from '@/components/invoices/InvoiceFormModal';
+import { invoicesAPI, expensesAPI, roomsAPI } from '@/lib/api';
+import { formatCurrency } from '@/lib/currency';
+import { RECEIPT_LABELS } from '@/lib/tax';
+import { ADJUSTMENT_LABELS } from '@/lib/invoices';
+import AdminOnly from '@/components/auth/AdminOnly';
+import { useProject } from '@/contexts/ProjectContext';
+import { useVendors } from '@/contexts/VendorContext';
+import { useToast } from '@/contexts/ToastContext';
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+function statusText(invoice) {
+    const { reconciliation } = invoice;
+    if (reconciliation.reconciled) return '✅ Reconciled';
+    if (reconciliation.unexplained !== 0) {
+        return `Unexplained ${formatCurrency(reconciliation.unexplained, invoice.currency)}`;
+    }
+    return `${reconciliation.unlinked} line${reconciliation.unlinked === 1 ? '' : 's'} not linked`;
+}
+
+export default function InvoicesPage() {
+    const { currentProject } = useProject();
+    const { vendors } = useVendors();
+    const [result, setResult] = useState(null);
+    const [entries, setEntries] = useState([]);
+    const [rooms, setRooms] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [form, setForm] = useState(null); // { invoice } while the form is open, invoice null for a new one
+    const toast = useToast();
+
+    const loadInvoices = useCallback(async () => {
+        try {
+            setError(null);
+            setResult(await invoicesAPI.getAll());
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    // Room items and expenses the lines can be linked to
+    const loadEntries = useCallback(async () => {
+        try {
+            const loaded = await expensesAPI.getAll();
+            setEntries(loaded.expenses || []);
+        } catch (err) {
+            console.error('Failed to load expenses:', err);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (!currentProject?._id) return;
+
+        loadInvoices();
+        loadEntries();
+        roomsAPI
+            .getAll({ fields: 'name,slug' })
+            .then(setRooms)
+            .catch((err) => console.error('Failed to load rooms:', err));
+    }, [currentProject?._id, loadInvoices, loadEntries]);
+
+    const vendorName = (id) => vendors.find((vendor) => vendor._id === id)?.name || null;
+
+    const handleSave = async (invoice) => {
+        if (form.invoice) {
+            await invoicesAPI.update(form.invoice._id, invoice);
+            toast.success('Invoice saved');
+        } else {
+            await invoicesAPI.create(invoice);
+            toast.success('Invoice added');
+        }
+        await loadInvoices();
+    };
+
+    const handleAllocate = async (invoice) => {
+        const replaces = invoice.allocations.length > 0 ? ' The expenses of the last allocation are replaced.' : '';
+        if (!confirm(`Allocate the adjustments of ${invoice.number || 'this invoice'} to the rooms as expenses?${replaces}`)) {
+            return;
+        }
+
+        try {
+            const allocated = await invoicesAPI.allocate(invoice._id);
+            toast.success(allocated.message);
+            await Promise.all([loadInvoices(), loadEntries()]);
+        } catch (err) {
+            toast.error(`Failed to allocate invoice: ${err.message}`);
+        }
+    };
+
+    const handleDelete = async (invoice) => {
+        const allocated = invoice.allocations.length > 0
+            ? ` The ${invoice.allocations.length} expense(s) its adjustments were allocated as are deleted too.`
+            : '';
+        if (!confirm(`Delete invoice ${invoice.number || toDateString(invoice.date)}?${allocated}`)) return;
+
+        try {
+            await invoicesAPI.delete(invoice._id);
+            toast.success('Invoice deleted');
+            await Promise.all([loadInvoices(), loadEntries()]);
+        } catch (err) {
+            toast.error(`Failed to delete invoice: ${err.message}`);
+        }
+    };
+
+    if (loading) {
+        return (
+            <MainLayout>
+                <div style={{ padding: '60px 0', textAlign: 'center' }}>
+                    <LoadingSpinner size='large' text='Loading invoices...' />
+                </div>
+            </MainLayout>
+        );
+    }
+
+    const invoices = result?.invoices || [];
+
+    return (
+        <MainLayout>
+            <div className='invoices-page'>
+                <header className='page-header'>
+                    <div>
+                        <h1>🧮 Invoices</h1>
+                        <p>
+                            Split a receipt that paid for items of several rooms into its lines, check its total
+                            against what the items record and allocate IGV, discounts and delivery back to the rooms.
+                        </p>
+                    </div>
+                    <AdminOnly>
+                        <Button onClick={() => setForm({ invoice: null })} icon='➕'>
+                            New Invoice
+                        </Button>
+                    </AdminOnly>
+                </header>
+
+                {error && <p className='invoices-error'>Failed to load invoices: {error}</p>}
+
+                {result?.unreconciled > 0 && (
+                    <div className='reconcile-warning'>
+                        ⚠️ {result.unreconciled} invoice{result.unreconciled === 1 ? ' does' : 's do'} not reconcile:
+                        link every line and explain the difference with adjustments.
+                    </div>
+                )}
+
+                {invoices.length === 0 && <p className='invoices-empty'>No invoices yet.</p>}
+
+                {invoices.map((invoice) => {
+                    const currency = invoice.currency;
+                    const { reconciliation } = invoice;
+                    // Also shown when the adjustments were removed after being allocated
+                    const allocatable = invoice.allocation.length > 0 || invoice.allocations.length > 0;
+
+                    return (
+                        <Card key={invoice._id}>
+                            <div className='invoice-header'>
+                                <h2>
+                                    {RECEIPT_LABELS[invoice.receiptType]} {invoice.number || '(no number)'}
+                                </h2>
+                                <span>
+                                    {[vendorName(invoice.vendor), toDateString(invoice.date)].filter(Boolean).join(' · ')}
+                                </span>
+                                <strong className='invoice-total'>{formatCurrency(invoice.total, currency)}</strong>
+                                <span className={`invoice-badge ${reconciliation.reconciled ? 'badge-reconciled' : 'badge-open'}`}>
+                                    {statusText(invoice)}
+                                </span>
+                            </div>
+
+                            <table className='invoice-table'>
+                                <thead>
+                                    <tr>
+                                        <th>Line</th>
+                                        <th>Paid for</th>
+                                        <th>Invoiced</th>
+                                        <th>Recorded</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {invoice.lines.map((line, index) => (
+                                        <tr key={index}>
+                                            <td>{line.description}</td>
+                                            <td>
+                                                {line.entry ? (
+                                                    <>
+                                                        {line.entry.description}
+                                                        <span className='invoice-detail'>
+                                                            {line.entry.roomName} · {line.entry.status}
+                                                        </span>
+                                                    </>
+                                                ) : line.missing ? (
+                                                    <span className='invoice-missing'>Deleted item or expense</span>
+                                                ) : (
+                                                    <span className='invoice-detail'>Not linked</span>
+                                                )}
+                                            </td>
+                                            <td className='amount'>{formatCurrency(line.amount, currency)}</td>
+                                            <td className={`amount${line.entry && line.entry.amount !== line.amount ? ' mismatch' : ''}`}>
+                                                {line.entry ? formatCurrency(line.entry.amount, currency) : '—'}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                    {invoice.adjustments.map((adjustment, index) => (
+                                        <tr key={`adjustment-${index}`} className='adjustment-row'>
+                                            <td>{ADJUSTMENT_LABELS[adjustment.type]}</td>
+                                            <td className='invoice-detail'>{adjustment.description}</td>
+                                            <td className='amount'>{formatCurrency(adjustment.amount, currency)}</td>
+                                            <td></td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                                <tfoot>
+                                    <tr>
+                                        <td colSpan='2'>Linked entries and adjustments</td>
+                                        <td className='amount'>{formatCurrency(invoice.total, currency)}</td>
+                                        <td className='amount'>
+                                            {formatCurrency(reconciliation.linkedTotal + reconciliation.adjustmentsTotal, currency)}
+                                        </td>
+                                    </tr>
+                                </tfoot>
+                            </table>
+
+                            {allocatable && (
+                                <div className='invoice-allocation'>
+                                    <h3>Adjustments by room</h3>
+                                    <ul>
+                                        {invoice.allocation.map((part) => (
+                                            <li key={`${part.type}:${part.room}`}>
+                                                <span>
+                                                    {ADJUSTMENT_LABELS[part.type]} · {part.roomName}
+                                                </span>
+                                                <span>{formatCurrency(part.amount, currency)}</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                    <p className='invoice-detail'>
+                                        {invoice.allocatedAt
+                                            ? `Allocated as expenses on ${toDateString(invoice.allocatedAt)}`
+                                            : 'Not allocated yet'}
+                                    </p>
+                                    {invoice.allocationOutdated && (
+                                        <p className='invoice-outdated'>
+                                            ⚠️ The adjustments or linked items changed since they were allocated. Allocate
+                                            again to update the expenses.
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+
+                            {invoice.notes && <p className='invoice-detail'>{invoice.notes}</p>}
+
+                            <AdminOnly>
+                                <div className='invoice-actions'>
+                                    {allocatable && (
+                                        <Button size='small' onClick={() => handleAllocate(invoice)} icon='🔀'>
+                                            {invoice.allocatedAt ? 'Allocate Again' : 'Allocate to Rooms'}
+                                        </Button>
+                                    )}
+                                    <Button
+                                        variant='secondary'
+                                        size='small'
+                                        onClick={() => setForm({ invoice })}
+                                        icon='✏️'
+                                        title='Edit invoice'
+                                    />
+                                    <Button
+                                        variant='danger'
+                                        size='small'
+                                        onClick={() => handleDelete(invoice)}
+                                        icon='🗑️'
+                                        title='Delete invoice'
+                                    />
+                                </div>
+                            </AdminOnly>
+                        </Card>
+                    );
+                })}
+            </div>
+
+            <InvoiceFormModal
+                isOpen={!!form}
+                onClose={() => setForm(null)}
+                invoice={form?.invoice || null}
+                entries={entries}
+                rooms={rooms}
+                onSave={handleSave}
+            />
+
+            <style jsx>{`
+                .invoices-page {
+                    max-width: 1200px;
+                    margin: 0 auto;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 24px;
+                }
+
+                .page-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: flex-start;
+                    gap: 24px;
+                }
+
+                .page-header h1 {
+                    font-size: 2.5rem;
+                    margin: 0 0 10px;
+                    background: linear-gradient(
+                        135deg,
+                        #667eea 0%,
+                        #764ba2 100%
+                    );
+                    -webkit-background-clip: text;
+                    -webkit-text-fill-color: transparent;
+                    background-clip: text;
+                }
+
+                .page-header p {
+                    font-size: 1.1rem;
+                    color: #666;
+                    margin: 0;
+                }
+
+                .invoices-error,
+                .invoice-missing {
+                    margin: 0;
+                    color: #ee0979;
+                }
+
+                .invoices-empty {
+                    margin: 0;
+                    color: #666;
+                }
+
+                .reconcile-warning,
+                .invoice-outdated {
+                    padding: 12px 16px;
+                    border-radius: 8px;
+                    background: #fff4e0;
+                    color: #b26a00;
+                }
+
+                .invoice-header {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: baseline;
+                    gap: 12px;
+                    margin-bottom: 16px;
+                }
+
+                .invoice-header h2 {
+                    margin: 0;
+                    font-size: 1.3rem;
+                    color: #333;
+                }
+
+                .invoice-header span:first-of-type {
+                    margin-right: auto;
+                    color: #666;
+                }
+
+                .invoice-total {
+                    font-size: 1.2rem;
+                }
+
+                .invoice-badge {
+                    padding: 2px 10px;
+                    border-radius: 12px;
+                    font-size: 13px;
+                    font-weight: 500;
+                }
+
+                .badge-reconciled {
+                    background: #e6f7f4;
+                    color: #11998e;
+                }
+
+                .badge-open {
+                    background: #fff4e0;
+                    color: #b26a00;
+                }
+
+                .invoice-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 14px;
+                }
+
+                .invoice-table th,
+                .invoice-table td {
+                    padding: 8px;
+                    border-bottom: 1px solid #f0f0f0;
+                    text-align: left;
+                    vertical-align: top;
+                }
+
+                .invoice-table th {
+                    color: #666;
+                    font-weight: 500;
+                }
+
+                .invoice-table .amount {
+                    text-align: right;
+                    white-space: nowrap;
+                }
+
+                .invoice-table .mismatch {
+                    color: #b26a00;
+                    font-weight: 600;
+                }
+
+                .adjustment-row td {
+                    background: #f8f9fa;
+                }
+
+                .invoice-table tfoot td {
+                    font-weight: 600;
+                    border-bottom: none;
+                }
+
+                .invoice-detail {
+                    display: block;
+                    margin: 0;
+                    font-size: 13px;
+                    color: #666;
+                }
+
+                .invoice-allocation {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 8px;
+                    margin-top: 16px;
+                }
+
+                .invoice-allocation h3 {
+                    margin: 0;
+                    font-size: 1rem;
+                    color: #333;
+                }
+
+                .invoice-allocation ul {
+                    margin: 0;
+                    padding: 0;
+                    list-style: none;
+                }
+
+                .invoice-allocation li {
+                    display: flex;
+                    justify-content: space-between;
+                    padding: 4px 0;
+                    font-size: 14px;
+                }
+
+                .invoice-actions {
+                    display: flex;
+                    justify-content: flex-end;
+                    gap: 8px;
+                    margin-top: 16px;
+                }
+
+                @media (max-width: 768px) {
+                    .page-header {
+                        flex-direction: column;
+                    }
+                }
+            `}</style>
+        </MainLayout>
+    );
+}
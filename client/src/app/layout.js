@@ -1,6 +1,9 @@
 import { Geist, Geist_Mono } from 'next/font/google';
 import './globals.css';
 import { ToastProvider } from '@/contexts/ToastContext';
+import { ProjectProvider } from '@/contexts/ProjectContext';
+import { CurrencyProvider } from '@/contexts/CurrencyContext';
+import { VendorProvider } from '@/contexts/VendorContext';
 import { AuthGuard, SessionProvider } from '@/components/auth';
 
 const geistSans = Geist({
@@ -25,7 +28,13 @@ export default function RootLayout({ children }) {
                 <SessionProvider>
                     <ToastProvider>
                         <AuthGuard>
-                            {children}
+                            <ProjectProvider>
+                                <CurrencyProvider>
+                                    <VendorProvider>
+                                        {children}
+                                    </VendorProvider>
+                                </CurrencyProvider>
+                            </ProjectProvider>
                         </AuthGuard>
                     </ToastProvider>
                 </SessionProvider>
@@ -2,12 +2,13 @@
 
 import { useState, useEffect } from 'react';
 import { MainLayout } from '@/components/layout';
-import { Card, Button, LoadingSpinner } from '@/components/ui';
+import { Card, Button, LoadingSpinner, MissingRatesWarning } from '@/components/ui';
 import { totalsAPI } from '@/lib/api';
-import { formatCurrency } from '@/lib/currency';
+import { useCurrency } from '@/contexts/CurrencyContext';
 import Link from 'next/link';
 
 export default function Home() {
+  const { formatBase } = useCurrency();
   const [totals, setTotals] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -58,22 +59,23 @@ export default function Home() {
 
         {!loading && !error && totals && (
           <>
+            <MissingRatesWarning currencies={totals.missingRates} />
             <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))', gap: '20px', marginBottom: '30px' }}>
               <Card title="💰 Total Budget" hoverable>
                 <div style={{ fontSize: '2rem', fontWeight: 'bold', color: '#667eea', textAlign: 'center', padding: '20px 0' }}>
-                  {formatCurrency(totals.totalBudget || 0)}
+                  {formatBase(totals.totalBudget || 0)}
                 </div>
               </Card>
 
               <Card title="💸 Total Spent" hoverable>
                 <div style={{ fontSize: '2rem', fontWeight: 'bold', color: '#ee0979', textAlign: 'center', padding: '20px 0' }}>
-                  {formatCurrency(totals.totalExpenses || 0)}
+                  {formatBase(totals.totalExpenses || 0)}
                 </div>
               </Card>
 
               <Card title="💵 Remaining" hoverable>
                 <div style={{ fontSize: '2rem', fontWeight: 'bold', color: '#11998e', textAlign: 'center', padding: '20px 0' }}>
-                  {formatCurrency((totals.totalBudget || 0) - (totals.totalExpenses || 0))}
+                  {formatBase((totals.totalBudget || 0) - (totals.totalExpenses || 0))}
                 </div>
               </Card>
 
@@ -110,6 +112,9 @@ export default function Home() {
                   <div style={{ display: 'flex', justifyContent: 'space-between' }}>
                     <span>Total Expenses:</span><strong>{totals.expenseCount || 0}</strong>
                   </div>
+                  <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                    <span>General Overhead:</span><strong>{formatBase(totals.general?.actual || 0)}</strong>
+                  </div>
                 </div>
               </Card>
 
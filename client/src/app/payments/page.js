@@ -0,0 +1,323 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { MainLayout } from '@/components/layout';
+import { Card, Button, LoadingSpinner, MissingRatesWarning } from '@/components/ui';
+import PaymentsModal from '@/components/payments/PaymentsModal';
+import { paymentsAPI } from '@/lib/api';
+import { formatCurrency } from '@/lib/currency';
+import { PAYMENT_METHOD_LABELS } from '@/lib/payments';
+import AdminOnly from '@/components/auth/AdminOnly';
+import { useProject } from '@/contexts/ProjectContext';
+import { useCurrency } from '@/contexts/CurrencyContext';
+import { useToast } from '@/contexts/ToastContext';
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+export default function PaymentsPage() {
+    const { currentProject } = useProject();
+    const { baseCurrency, formatBase } = useCurrency();
+    const [due, setDue] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [openEntry, setOpenEntry] = useState(null);
+    const toast = useToast();
+
+    const loadDue = useCallback(async () => {
+        try {
+            setError(null);
+            setDue(await paymentsAPI.getDue());
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (currentProject?._id) {
+            loadDue();
+        }
+    }, [currentProject?._id, loadDue]);
+
+    // A scheduled installment is paid today
+    const markPaid = async (installment) => {
+        try {
+            await paymentsAPI.update(installment.source, installment.entryId, installment._id, {
+                status: 'paid',
+                date: toDateString(new Date()),
+            });
+            toast.success(`${installment.description}: payment recorded`);
+            await loadDue();
+        } catch (err) {
+            toast.error(`Failed to update payment: ${err.message}`);
+        }
+    };
+
+    const closeEntry = () => {
+        setOpenEntry(null);
+        loadDue();
+    };
+
+    if (loading) {
+        return (
+            <MainLayout>
+                <div style={{ padding: '60px 0', textAlign: 'center' }}>
+                    <LoadingSpinner size='large' text='Loading amounts due...' />
+                </div>
+            </MainLayout>
+        );
+    }
+
+    return (
+        <MainLayout>
+            <div className='due-page'>
+                <header className='page-header'>
+                    <h1>💳 Amounts Due</h1>
+                    <p>
+                        Installments still to pay and the outstanding balance of each item and
+                        expense, in {baseCurrency}. Record payments from the 💳 button on the
+                        Expenses and room pages.
+                    </p>
+                </header>
+
+                {error && <p className='due-error'>Failed to load amounts due: {error}</p>}
+
+                {due && (
+                    <>
+                        <MissingRatesWarning currencies={due.missingRates} />
+
+                        <Card>
+                            <div className='due-stats'>
+                                <div>
+                                    <span>Outstanding</span>
+                                    <strong style={{ color: '#ee0979' }}>{formatBase(due.totals.outstanding)}</strong>
+                                </div>
+                                <div>
+                                    <span>Overdue</span>
+                                    <strong style={{ color: due.totals.overdue > 0 ? '#ee0979' : '#11998e' }}>
+                                        {formatBase(due.totals.overdue)}
+                                    </strong>
+                                </div>
+                                <div>
+                                    <span>Paid so far</span>
+                                    <strong style={{ color: '#11998e' }}>{formatBase(due.totals.paid)}</strong>
+                                </div>
+                            </div>
+                        </Card>
+
+                        <Card title='Upcoming Installments'>
+                            {due.installments.length === 0 ? (
+                                <p className='due-empty'>No scheduled payments.</p>
+                            ) : (
+                                <table className='due-table'>
+                                    <thead>
+                                        <tr>
+                                            <th>Due</th>
+                                            <th>For</th>
+                                            <th>Room</th>
+                                            <th>Reference</th>
+                                            <th>Method</th>
+                                            <th>Amount</th>
+                                            <th></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {due.installments.map((installment) => (
+                                            <tr key={installment._id} className={installment.overdue ? 'overdue' : ''}>
+                                                <td>
+                                                    {installment.date}
+                                                    {installment.overdue && <span className='overdue-badge'>Overdue</span>}
+                                                </td>
+                                                <td>{installment.description}</td>
+                                                <td>{installment.roomName || 'General'}</td>
+                                                <td>{installment.reference}</td>
+                                                <td>{PAYMENT_METHOD_LABELS[installment.method] || installment.method}</td>
+                                                <td>
+                                                    {formatCurrency(installment.amount, installment.currency)}
+                                                    {installment.currency !== baseCurrency && (
+                                                        <span className='due-converted'>
+                                                            ≈ {formatBase(installment.amountBase)}
+                                                        </span>
+                                                    )}
+                                                </td>
+                                                <td>
+                                                    <AdminOnly>
+                                                        <Button
+                                                            variant='secondary'
+                                                            size='small'
+                                                            onClick={() => markPaid(installment)}
+                                                            icon='✅'
+                                                        >
+                                                            Paid
+                                                        </Button>
+                                                    </AdminOnly>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </Card>
+
+                        <Card title='Outstanding Balances'>
+                            {due.entries.length === 0 ? (
+                                <p className='due-empty'>Nothing outstanding.</p>
+                            ) : (
+                                <table className='due-table'>
+                                    <thead>
+                                        <tr>
+                                            <th>For</th>
+                                            <th>Room</th>
+                                            <th>Status</th>
+                                            <th>Total</th>
+                                            <th>Paid</th>
+                                            <th>Outstanding</th>
+                                            <th>Next due</th>
+                                            <th></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {due.entries.map((entry) => (
+                                            <tr key={`${entry.source}-${entry._id}`} className={entry.overdue ? 'overdue' : ''}>
+                                                <td>{entry.description}</td>
+                                                <td>{entry.roomName || 'General'}</td>
+                                                <td>{entry.status}</td>
+                                                <td>{formatBase(entry.total)}</td>
+                                                <td>{formatBase(entry.paid)}</td>
+                                                <td className='due-outstanding'>{formatBase(entry.outstanding)}</td>
+                                                <td>
+                                                    {entry.nextDue
+                                                        ? `${entry.nextDue.date} · ${formatCurrency(entry.nextDue.amount, entry.currency)}`
+                                                        : '—'}
+                                                </td>
+                                                <td>
+                                                    <AdminOnly>
+                                                        <Button
+                                                            variant='secondary'
+                                                            size='small'
+                                                            onClick={() => setOpenEntry(entry)}
+                                                            icon='💳'
+                                                        >
+                                                            Payments
+                                                        </Button>
+                                                    </AdminOnly>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </Card>
+                    </>
+                )}
+            </div>
+
+            <PaymentsModal entry={openEntry} onClose={closeEntry} />
+
+            <style jsx>{`
+                .due-page {
+                    max-width: 1100px;
+                    margin: 0 auto;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 24px;
+                }
+
+                .page-header h1 {
+                    font-size: 2.5rem;
+                    margin: 0 0 10px;
+                    background: linear-gradient(
+                        135deg,
+                        #667eea 0%,
+                        #764ba2 100%
+                    );
+                    -webkit-background-clip: text;
+                    -webkit-text-fill-color: transparent;
+                    background-clip: text;
+                }
+
+                .page-header p {
+                    font-size: 1.1rem;
+                    color: #666;
+                    margin: 0;
+                }
+
+                .due-error {
+                    margin: 0;
+                    color: #ee0979;
+                }
+
+                .due-stats {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+                    gap: 24px;
+                }
+
+                .due-stats div {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 6px;
+                }
+
+                .due-stats span {
+                    font-size: 0.9rem;
+                    color: #666;
+                    text-transform: uppercase;
+                }
+
+                .due-stats strong {
+                    font-size: 1.8rem;
+                }
+
+                .due-empty {
+                    margin: 0;
+                    color: #666;
+                }
+
+                .due-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                }
+
+                .due-table th,
+                .due-table td {
+                    padding: 10px 8px;
+                    text-align: left;
+                    border-bottom: 1px solid #f0f0f0;
+                }
+
+                .due-table th {
+                    font-size: 0.85rem;
+                    color: #666;
+                    text-transform: uppercase;
+                }
+
+                .due-table tr.overdue {
+                    background: #fff5f8;
+                }
+
+                .overdue-badge {
+                    margin-left: 8px;
+                    padding: 2px 8px;
+                    border-radius: 10px;
+                    font-size: 12px;
+                    font-weight: 600;
+                    background: #fde8ef;
+                    color: #ee0979;
+                }
+
+                .due-converted {
+                    display: block;
+                    font-size: 0.8rem;
+                    color: #666;
+                }
+
+                .due-outstanding {
+                    font-weight: 600;
+                    color: #ee0979;
+                }
+            `}</style>
+        </MainLayout>
+    );
+}
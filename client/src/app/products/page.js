@@ -42,7 +42,7 @@ export default function ProductsPage() {
             // Load both products and rooms data
             const [productsData, roomsData] = await Promise.all([
                 productsAPI.getAll(),
-                roomsAPI.getAll(),
+                roomsAPI.getAll({ fields: 'name,slug,items', include: 'images,productOptions' }),
             ]);
 
             let allItems = Array.isArray(productsData) ? productsData : [];
@@ -51,14 +51,13 @@ export default function ProductsPage() {
             if (includeMaterials) {
                 const materials = [];
                 roomsData.forEach((room) => {
-                    room.items?.forEach((item, index) => {
+                    room.items?.forEach((item) => {
                         if (item.category === 'Materials') {
                             materials.push({
                                 ...item,
                                 room: room.slug,
                                 roomDisplayName: room.name,
-                                originalIndex: index,
-                                uniqueId: `${room.slug}-${index}`,
+                                uniqueId: item._id,
                             });
                         }
                     });
@@ -94,12 +93,8 @@ export default function ProductsPage() {
             setProducts((prevProducts) =>
                 prevProducts.map((p) => {
                     // Match by unique identifier
-                    const pId =
-                        p.uniqueId || p._id || `${p.room}-${p.originalIndex}`;
-                    const productId =
-                        product.uniqueId ||
-                        product._id ||
-                        `${product.room}-${product.originalIndex}`;
+                    const pId = p.uniqueId || p._id;
+                    const productId = product.uniqueId || product._id;
 
                     return pId === productId ? product : p;
                 })
@@ -122,7 +117,7 @@ export default function ProductsPage() {
     };
 
     const handleDuplicate = (product) => {
-        // Create a duplicate product object without the originalIndex and uniqueId
+        // Create a duplicate product object without the _id and uniqueId
         const duplicateProduct = {
             description: `${product.description} (Copy)`,
             category: product.category,
@@ -523,11 +518,7 @@ export default function ProductsPage() {
                             ) : (
                                 filteredProducts.map((product) => (
                                     <ProductCard
-                                        key={
-                                            product.uniqueId ||
-                                            product._id ||
-                                            `${product.room}-${product.originalIndex}`
-                                        }
+                                        key={product.uniqueId || product._id}
                                         product={product}
                                         onEdit={handleEdit}
                                         onQuickSave={handleQuickSave}
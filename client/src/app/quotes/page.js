@@ -0,0 +1,609 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { MainLayout } from '@/components/layout';
+import { Card, Button, LoadingSpinner, MissingRatesWarning } from '@/components/ui';
+import QuoteFormModal from '@/components/quotes/QuoteFormModal';
+import { quotesAPI, roomsAPI, timelineAPI, isConfirmationRequiredError } from '@/lib/api';
+import { formatCurrency, lineTotal } from '@/lib/currency';
+import { QUOTE_STATUSES, QUOTE_STATUS_LABELS } from '@/lib/quotes';
+import AdminOnly from '@/components/auth/AdminOnly';
+import { useProject } from '@/contexts/ProjectContext';
+import { useCurrency } from '@/contexts/CurrencyContext';
+import { useToast } from '@/contexts/ToastContext';
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+// Quotes compared together: same scope, room and phase
+const groupKey = (quote) => `${quote.scope}|${quote.room || ''}|${quote.phase || ''}`;
+
+function expiryText(quote) {
+    if (quote.expiry === 'expired') return `Expired ${toDateString(quote.validUntil)}`;
+    if (quote.daysLeft === 0) return 'Expires today';
+    return `Expires in ${quote.daysLeft} day${quote.daysLeft === 1 ? '' : 's'}`;
+}
+
+export default function QuotesPage() {
+    const { currentProject } = useProject();
+    const { baseCurrency, formatBase } = useCurrency();
+    const [result, setResult] = useState(null);
+    const [rooms, setRooms] = useState([]);
+    const [phases, setPhases] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [filters, setFilters] = useState({ room: '', phase: '', status: '' });
+    const [form, setForm] = useState(null); // { quote } or { defaults } while the form is open
+    const toast = useToast();
+
+    const loadQuotes = useCallback(async () => {
+        try {
+            setError(null);
+            setResult(await quotesAPI.getAll(filters));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [filters]);
+
+    useEffect(() => {
+        if (currentProject?._id) {
+            loadQuotes();
+        }
+    }, [currentProject?._id, loadQuotes]);
+
+    useEffect(() => {
+        if (!currentProject?._id) return;
+
+        roomsAPI
+            .getAll({ fields: 'name,slug' })
+            .then(setRooms)
+            .catch((err) => console.error('Failed to load rooms:', err));
+        timelineAPI
+            .get()
+            .then((timeline) => setPhases(timeline?.phases || []))
+            .catch((err) => console.error('Failed to load timeline:', err));
+    }, [currentProject?._id]);
+
+    const handleFilterChange = (field, value) => {
+        setFilters((prev) => ({ ...prev, [field]: value }));
+    };
+
+    const handleSave = async (quote) => {
+        if (form.quote) {
+            await quotesAPI.update(form.quote._id, quote);
+            toast.success('Quote saved');
+        } else {
+            await quotesAPI.create(quote);
+            toast.success('Quote added');
+        }
+        await loadQuotes();
+    };
+
+    const handleStatus = async (quote, status) => {
+        try {
+            await quotesAPI.update(quote._id, { status });
+            await loadQuotes();
+        } catch (err) {
+            toast.error(`Failed to update quote: ${err.message}`);
+        }
+    };
+
+    const handleDelete = async (quote) => {
+        if (!confirm(`Delete the quote of ${quote.contractorName} for ${quote.scope}?`)) return;
+
+        try {
+            await quotesAPI.delete(quote._id);
+            toast.success('Quote deleted');
+            await loadQuotes();
+        } catch (err) {
+            toast.error(`Failed to delete quote: ${err.message}`);
+        }
+    };
+
+    const handleAward = async (quote) => {
+        const target = quote.room ? `items of ${roomName(quote.room)}` : 'expenses';
+        if (!confirm(`Award ${quote.scope} to ${quote.contractorName}? Its line items become budgeted ${target} and the other open quotes are rejected.`)) {
+            return;
+        }
+
+        try {
+            let awarded;
+            try {
+                awarded = await quotesAPI.award(quote._id);
+            } catch (err) {
+                if (!isConfirmationRequiredError(err) || !confirm(`${err.message}?`)) throw err;
+                awarded = await quotesAPI.award(quote._id, { confirmExpired: true });
+            }
+            toast.success(awarded.message);
+            await loadQuotes();
+        } catch (err) {
+            if (!isConfirmationRequiredError(err)) {
+                toast.error(`Failed to award quote: ${err.message}`);
+            }
+        }
+    };
+
+    const roomName = (slug) => rooms.find((room) => room.slug === slug)?.name || slug;
+    const phaseTitle = (id) => phases.find((phase) => phase.id === id)?.title || id;
+
+    if (loading) {
+        return (
+            <MainLayout>
+                <div style={{ padding: '60px 0', textAlign: 'center' }}>
+                    <LoadingSpinner size='large' text='Loading quotes...' />
+                </div>
+            </MainLayout>
+        );
+    }
+
+    const quotes = result?.quotes || [];
+    const groups = [];
+    quotes.forEach((quote) => {
+        const key = groupKey(quote);
+        let group = groups.find((g) => g.key === key);
+        if (!group) {
+            group = { key, scope: quote.scope, room: quote.room, phase: quote.phase, quotes: [] };
+            groups.push(group);
+        }
+        group.quotes.push(quote);
+    });
+    const expiring = quotes.filter((quote) => quote.expiry);
+    const scopes = [...new Set(quotes.map((quote) => quote.scope))];
+
+    return (
+        <MainLayout>
+            <div className='quotes-page'>
+                <header className='page-header'>
+                    <div>
+                        <h1>📑 Quotes</h1>
+                        <p>
+                            Compare contractor quotes for each scope of work, in {baseCurrency} with IGV.
+                            Awarding a quote adds its line items to the budget and rejects the others.
+                        </p>
+                    </div>
+                    <AdminOnly>
+                        <Button onClick={() => setForm({ defaults: filters })} icon='➕'>
+                            Add Quote
+                        </Button>
+                    </AdminOnly>
+                </header>
+
+                {error && <p className='quotes-error'>Failed to load quotes: {error}</p>}
+
+                {expiring.length > 0 && (
+                    <div className='expiry-warning'>
+                        ⏳ {expiring.length} open quote{expiring.length === 1 ? ' is' : 's are'} expired or
+                        expire within {result.expiryWarningDays} days:{' '}
+                        {expiring.map((quote) => `${quote.contractorName} (${quote.scope}, ${expiryText(quote).toLowerCase()})`).join('; ')}.
+                        Ask for a new quote or an extension before awarding.
+                    </div>
+                )}
+
+                {result && <MissingRatesWarning currencies={result.missingRates} />}
+
+                <Card>
+                    <div className='quote-filters'>
+                        <label>
+                            Room
+                            <select value={filters.room} onChange={(e) => handleFilterChange('room', e.target.value)}>
+                                <option value=''>All</option>
+                                {rooms.map((room) => (
+                                    <option key={room.slug} value={room.slug}>
+                                        {room.name}
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                        <label>
+                            Phase
+                            <select value={filters.phase} onChange={(e) => handleFilterChange('phase', e.target.value)}>
+                                <option value=''>All</option>
+                                {phases.map((phase) => (
+                                    <option key={phase.id} value={phase.id}>
+                                        {phase.title}
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                        <label>
+                            Status
+                            <select value={filters.status} onChange={(e) => handleFilterChange('status', e.target.value)}>
+                                <option value=''>All</option>
+                                {QUOTE_STATUSES.map((status) => (
+                                    <option key={status} value={status}>
+                                        {QUOTE_STATUS_LABELS[status]}
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                    </div>
+                </Card>
+
+                {groups.length === 0 && <p className='quotes-empty'>No quotes yet.</p>}
+
+                {groups.map((group) => {
+                    const priced = group.quotes.filter((quote) => quote.status !== 'rejected' && quote.totalBase !== null);
+                    const lowest = priced.length > 1 ? Math.min(...priced.map((quote) => quote.totalBase)) : null;
+
+                    return (
+                        <Card key={group.key}>
+                            <div className='scope-header'>
+                                <h2>{group.scope}</h2>
+                                <span>
+                                    {[group.room && roomName(group.room), group.phase && phaseTitle(group.phase)]
+                                        .filter(Boolean)
+                                        .join(' · ') || 'General'}
+                                </span>
+                                <AdminOnly>
+                                    <Button
+                                        variant='secondary'
+                                        size='small'
+                                        onClick={() =>
+                                            setForm({ defaults: { scope: group.scope, room: group.room, phase: group.phase } })
+                                        }
+                                        icon='➕'
+                                    >
+                                        Add Quote
+                                    </Button>
+                                </AdminOnly>
+                            </div>
+
+                            <div className='quote-columns'>
+                                {group.quotes.map((quote) => (
+                                    <div key={quote._id} className={`quote-column quote-${quote.status}`}>
+                                        <div className='quote-column-header'>
+                                            <strong>{quote.contractorName}</strong>
+                                            <span className={`quote-badge badge-${quote.status}`}>
+                                                {QUOTE_STATUS_LABELS[quote.status]}
+                                            </span>
+                                            {lowest !== null && quote.totalBase === lowest && quote.status !== 'rejected' && (
+                                                <span className='quote-badge badge-lowest'>Lowest</span>
+                                            )}
+                                        </div>
+
+                                        <div className='quote-total'>
+                                            {formatCurrency(quote.total, quote.currency)}
+                                            {quote.currency !== baseCurrency && quote.totalBase !== null && (
+                                                <span className='quote-converted'>≈ {formatBase(quote.totalBase)}</span>
+                                            )}
+                                            {lowest !== null && quote.totalBase > lowest && quote.status !== 'rejected' && (
+                                                <span className='quote-difference'>
+                                                    +{formatBase(quote.totalBase - lowest)} (
+                                                    {Math.round(((quote.totalBase - lowest) / lowest) * 100)}%)
+                                                </span>
+                                            )}
+                                        </div>
+
+                                        {quote.expiry && (
+                                            <div className={`quote-expiry expiry-${quote.expiry}`}>⏳ {expiryText(quote)}</div>
+                                        )}
+
+                                        <ul className='quote-lines'>
+                                            {quote.lineItems.map((line, index) => (
+                                                <li key={index}>
+                                                    <span>
+                                                        {line.description}
+                                                        {line.quantity !== 1 && ` × ${line.quantity} ${line.unit}`}
+                                                    </span>
+                                                    <span>
+                                                        {formatCurrency(lineTotal(line.quantity, line.unit_price), quote.currency)}
+                                                    </span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                        {!quote.priceIncludesTax && <p className='quote-detail'>Prices + IGV</p>}
+
+                                        <dl className='quote-details'>
+                                            <dt>Valid until</dt>
+                                            <dd>{quote.validUntil ? toDateString(quote.validUntil) : '—'}</dd>
+                                            <dt>Payment terms</dt>
+                                            <dd>{quote.paymentTerms || '—'}</dd>
+                                            {quote.notes && (
+                                                <>
+                                                    <dt>Notes</dt>
+                                                    <dd>{quote.notes}</dd>
+                                                </>
+                                            )}
+                                            {quote.status === 'awarded' && (
+                                                <>
+                                                    <dt>Awarded</dt>
+                                                    <dd>
+                                                        {toDateString(quote.awardedAt)}: {quote.awardedEntries.length}{' '}
+                                                        {quote.room ? 'room items' : 'expenses'}
+                                                    </dd>
+                                                </>
+                                            )}
+                                        </dl>
+
+                                        {quote.status !== 'awarded' && (
+                                            <AdminOnly>
+                                                <div className='quote-actions'>
+                                                    {quote.status === 'open' ? (
+                                                        <>
+                                                            <Button size='small' onClick={() => handleAward(quote)} icon='🏆'>
+                                                                Award
+                                                            </Button>
+                                                            <Button
+                                                                variant='secondary'
+                                                                size='small'
+                                                                onClick={() => handleStatus(quote, 'rejected')}
+                                                            >
+                                                                Reject
+                                                            </Button>
+                                                        </>
+                                                    ) : (
+                                                        <Button
+                                                            variant='secondary'
+                                                            size='small'
+                                                            onClick={() => handleStatus(quote, 'open')}
+                                                        >
+                                                            Reopen
+                                                        </Button>
+                                                    )}
+                                                    <Button
+                                                        variant='secondary'
+                                                        size='small'
+                                                        onClick={() => setForm({ quote })}
+                                                        icon='✏️'
+                                                        title='Edit quote'
+                                                    />
+                                                    <Button
+                                                        variant='danger'
+                                                        size='small'
+                                                        onClick={() => handleDelete(quote)}
+                                                        icon='🗑️'
+                                                        title='Delete quote'
+                                                    />
+                                                </div>
+                                            </AdminOnly>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        </Card>
+                    );
+                })}
+            </div>
+
+            <QuoteFormModal
+                isOpen={!!form}
+                onClose={() => setForm(null)}
+                quote={form?.quote || null}
+                defaults={form?.defaults}
+                rooms={rooms}
+                phases={phases}
+                scopes={scopes}
+                onSave={handleSave}
+            />
+
+            <style jsx>{`
+                .quotes-page {
+                    max-width: 1200px;
+                    margin: 0 auto;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 24px;
+                }
+
+                .page-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: flex-start;
+                    gap: 24px;
+                }
+
+                .page-header h1 {
+                    font-size: 2.5rem;
+                    margin: 0 0 10px;
+                    background: linear-gradient(
+                        135deg,
+                        #667eea 0%,
+                        #764ba2 100%
+                    );
+                    -webkit-background-clip: text;
+                    -webkit-text-fill-color: transparent;
+                    background-clip: text;
+                }
+
+                .page-header p {
+                    font-size: 1.1rem;
+                    color: #666;
+                    margin: 0;
+                }
+
+                .quotes-error {
+                    margin: 0;
+                    color: #ee0979;
+                }
+
+                .quotes-empty {
+                    margin: 0;
+                    color: #666;
+                }
+
+                .expiry-warning {
+                    padding: 12px 16px;
+                    border-radius: 8px;
+                    background: #fff4e0;
+                    color: #b26a00;
+                }
+
+                .quote-filters {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 16px;
+                }
+
+                .quote-filters label {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 6px;
+                    font-size: 14px;
+                    font-weight: 500;
+                    color: #374151;
+                }
+
+                .quote-filters select {
+                    padding: 8px 12px;
+                    border: 1px solid #d1d5db;
+                    border-radius: 6px;
+                    font-size: 14px;
+                }
+
+                .scope-header {
+                    display: flex;
+                    align-items: baseline;
+                    gap: 12px;
+                    margin-bottom: 16px;
+                }
+
+                .scope-header h2 {
+                    margin: 0;
+                    font-size: 1.3rem;
+                    color: #333;
+                }
+
+                .scope-header span {
+                    margin-right: auto;
+                    color: #666;
+                }
+
+                .quote-columns {
+                    display: grid;
+                    grid-auto-flow: column;
+                    grid-auto-columns: minmax(260px, 1fr);
+                    gap: 16px;
+                    overflow-x: auto;
+                }
+
+                .quote-column {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 10px;
+                    padding: 16px;
+                    border: 1px solid #e5e7eb;
+                    border-radius: 8px;
+                }
+
+                .quote-awarded {
+                    border-color: #11998e;
+                    background: #f4fbf9;
+                }
+
+                .quote-rejected {
+                    opacity: 0.6;
+                }
+
+                .quote-column-header {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 6px;
+                }
+
+                .quote-column-header strong {
+                    margin-right: auto;
+                }
+
+                .quote-badge {
+                    padding: 2px 8px;
+                    border-radius: 10px;
+                    font-size: 12px;
+                    font-weight: 600;
+                }
+
+                .badge-open {
+                    background: #eef0ff;
+                    color: #667eea;
+                }
+
+                .badge-awarded,
+                .badge-lowest {
+                    background: #e6f7f4;
+                    color: #11998e;
+                }
+
+                .badge-rejected {
+                    background: #f0f0f0;
+                    color: #666;
+                }
+
+                .quote-total {
+                    font-size: 1.4rem;
+                    font-weight: 700;
+                    color: #333;
+                }
+
+                .quote-converted,
+                .quote-difference {
+                    display: block;
+                    font-size: 0.85rem;
+                    font-weight: normal;
+                    color: #666;
+                }
+
+                .quote-difference {
+                    color: #ee0979;
+                }
+
+                .quote-expiry {
+                    font-size: 0.9rem;
+                    font-weight: 600;
+                }
+
+                .expiry-expiring {
+                    color: #b26a00;
+                }
+
+                .expiry-expired {
+                    color: #ee0979;
+                }
+
+                .quote-lines {
+                    margin: 0;
+                    padding: 0;
+                    list-style: none;
+                    font-size: 14px;
+                }
+
+                .quote-lines li {
+                    display: flex;
+                    justify-content: space-between;
+                    gap: 8px;
+                    padding: 4px 0;
+                    border-bottom: 1px solid #f0f0f0;
+                }
+
+                .quote-detail {
+                    margin: 0;
+                    font-size: 0.85rem;
+                    color: #666;
+                }
+
+                .quote-details {
+                    display: grid;
+                    grid-template-columns: auto 1fr;
+                    gap: 4px 8px;
+                    margin: 0;
+                    font-size: 14px;
+                }
+
+                .quote-details dt {
+                    color: #666;
+                }
+
+                .quote-details dd {
+                    margin: 0;
+                }
+
+                .quote-actions {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 6px;
+                    margin-top: auto;
+                }
+            `}</style>
+        </MainLayout>
+    );
+}
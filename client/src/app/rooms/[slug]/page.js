@@ -3,30 +3,42 @@
 import { useState, useEffect } from 'react';
 import { useParams, useRouter } from 'next/navigation';
 import { MainLayout } from '@/components/layout';
-import { Card, Button, LoadingSpinner } from '@/components/ui';
+import { Card, Button, LoadingSpinner, MoneyInput, Amount, CurrencySelect, MissingRatesWarning, VendorSelect } from '@/components/ui';
 import ImageUpload from '@/components/ImageUpload';
 import CategorySelector from '@/components/CategorySelector';
 import ProductOptionsManager from '@/components/ProductOptionsManager';
-import { roomsAPI, categoriesAPI } from '@/lib/api';
-import { formatCurrency } from '@/lib/currency';
+import { roomsAPI, categoriesAPI, isConflictError } from '@/lib/api';
+import { formatCurrency, subtotal as calculateSubtotal } from '@/lib/currency';
+import { useCurrency, entryDate } from '@/contexts/CurrencyContext';
+import { setItemField, mergeItemChanges, saveRoomItemChanges } from '@/utils/roomItems';
+import { confirmApplyOnLatest } from '@/utils/conflicts';
 import AdminOnly from '@/components/auth/AdminOnly';
+import HistoryPanel from '@/components/audit/HistoryPanel';
+import PaymentsModal from '@/components/payments/PaymentsModal';
+import ReceiptsModal from '@/components/attachments/ReceiptsModal';
 
 export default function RoomEditorPage() {
     const params = useParams();
     const router = useRouter();
     const roomSlug = params.slug;
+    const { baseCurrency, subtotalToBase } = useCurrency();
 
     const [roomData, setRoomData] = useState(null);
     const [items, setItems] = useState([]);
     const [categories, setCategories] = useState([]);
     const [roomBudget, setRoomBudget] = useState(0);
     const [roomImages, setRoomImages] = useState([]);
+    const [roomFieldsChanged, setRoomFieldsChanged] = useState(false);
+    const [deletedItemIds, setDeletedItemIds] = useState([]);
+    const [roomVersion, setRoomVersion] = useState(null);
     const [loading, setLoading] = useState(true);
     const [saving, setSaving] = useState(false);
     const [error, setError] = useState(null);
     const [sortBy, setSortBy] = useState('original');
     const [sortDirection, setSortDirection] = useState('asc');
     const [editingOptionsIndex, setEditingOptionsIndex] = useState(null);
+    const [paymentsIndex, setPaymentsIndex] = useState(null);
+    const [receiptsIndex, setReceiptsIndex] = useState(null);
 
     const loadRoom = async () => {
         try {
@@ -50,6 +62,9 @@ export default function RoomEditorPage() {
                 setItems([...roomItems, ...sharedItems]);
                 setRoomBudget(data.roomData.budget || 0);
                 setRoomImages(data.roomData.images || []);
+                setRoomFieldsChanged(false);
+                setDeletedItemIds([]);
+                setRoomVersion(data.roomData.version);
             }
 
             // Build categories list from API
@@ -83,21 +98,34 @@ export default function RoomEditorPage() {
         // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [roomSlug]);
 
-    // Calculate subtotal: use actual_price if set, otherwise budget_price
-    const calculateSubtotal = (item) => {
-        const quantity = parseFloat(item.quantity) || 0;
-        const actualPrice = parseFloat(item.actual_price) || 0;
-        const budgetPrice = parseFloat(item.budget_price) || 0;
-
-        // Use actual price if it's set and non-zero, otherwise use budget price
-        const price = actualPrice > 0 ? actualPrice : budgetPrice;
-        return quantity * price;
+    const handleItemChange = (originalIndex, field, value) => {
+        const updatedItems = [...items];
+        updatedItems[originalIndex] = setItemField(
+            updatedItems[originalIndex],
+            field,
+            value
+        );
+        setItems(updatedItems);
     };
 
-    const handleItemChange = (originalIndex, field, value) => {
+    // Payments and receipts are saved right away, so they are not pending item changes
+    const handleSavedChange = (originalIndex, { version, ...changes }) => {
         const updatedItems = [...items];
-        updatedItems[originalIndex][field] = value;
+        updatedItems[originalIndex] = { ...updatedItems[originalIndex], ...changes };
         setItems(updatedItems);
+        if (version !== undefined) {
+            setRoomVersion(version);
+        }
+    };
+
+    const updateRoomBudget = (budget) => {
+        setRoomBudget(budget);
+        setRoomFieldsChanged(true);
+    };
+
+    const updateRoomImages = (images) => {
+        setRoomImages(images);
+        setRoomFieldsChanged(true);
     };
 
     const addNewItem = () => {
@@ -106,8 +134,11 @@ export default function RoomEditorPage() {
             category: 'Other',
             quantity: 1,
             unit: 'unit',
+            currency: baseCurrency,
             budget_price: 0,
             actual_price: 0,
+            priceIncludesTax: true,
+            vendor: null,
             status: 'Pending',
             favorite: false,
             imageUrl: '',
@@ -119,6 +150,10 @@ export default function RoomEditorPage() {
 
     const deleteItem = (originalIndex) => {
         if (confirm('Delete this item?')) {
+            const deletedItem = items[originalIndex];
+            if (deletedItem?._id) {
+                setDeletedItemIds([...deletedItemIds, deletedItem._id]);
+            }
             const updatedItems = items.filter((_, i) => i !== originalIndex);
             setItems(updatedItems);
         }
@@ -180,8 +215,8 @@ export default function RoomEditorPage() {
                     bVal = b.actual_price || 0;
                     break;
                 case 'subtotal':
-                    aVal = calculateSubtotal(a);
-                    bVal = calculateSubtotal(b);
+                    aVal = subtotalToBase(a) || 0;
+                    bVal = subtotalToBase(b) || 0;
                     break;
                 case 'status':
                     aVal = (a.status || '').toLowerCase();
@@ -201,24 +236,46 @@ export default function RoomEditorPage() {
 
     const sortedItems = getSortedItems();
 
-    const saveRoom = async () => {
+    // baseVersion is the room version our changes apply to (the loaded one by default)
+    const saveRoom = async (baseVersion = roomVersion) => {
         try {
             setSaving(true);
 
             // Filter out shared items - they're managed from expenses page
             const roomOnlyItems = items.filter(item => !item._isShared);
 
-            // Items already use budget_price and actual_price - no mapping needed
-            const updatedRoomData = {
-                ...roomData,
-                budget: roomBudget,
-                images: roomImages, // Include room images
-                items: roomOnlyItems,
-            };
+            // Send only new, changed and deleted items
+            const version = await saveRoomItemChanges(
+                roomSlug,
+                roomOnlyItems,
+                deletedItemIds,
+                baseVersion
+            );
+
+            // Room-level fields (no items - those were saved above)
+            if (roomFieldsChanged) {
+                await roomsAPI.save(
+                    roomSlug,
+                    {
+                        name: roomData.name,
+                        budget: roomBudget,
+                        images: roomImages,
+                    },
+                    version
+                );
+            }
 
-            await roomsAPI.save(roomSlug, updatedRoomData);
             loadRoom(); // Reload to get updated totals
         } catch (err) {
+            if (isConflictError(err)) {
+                // Our edits are tracked per field, so they can be re-applied on the latest copy
+                if (confirmApplyOnLatest('this room')) {
+                    await saveRoom(err.data.version);
+                } else {
+                    loadRoom();
+                }
+                return;
+            }
             alert('Error saving room: ' + err.message);
         } finally {
             setSaving(false);
@@ -251,23 +308,21 @@ export default function RoomEditorPage() {
         );
     }
 
+    // Totals are in the project base currency; items in a currency without rates count as 0
+    const missingRates = [
+        ...new Set(items.filter((item) => subtotalToBase(item) === null).map((item) => item.currency)),
+    ];
+
     // Calculate Total Budget: sum of all item subtotals (uses actual_price if set, else budget_price)
     const totalBudget = items.reduce(
-        (sum, item) => sum + calculateSubtotal(item),
+        (sum, item) => sum + (subtotalToBase(item) || 0),
         0
     );
 
     // Calculate Actual Total: sum of actual prices for COMPLETED items only
     const totalActual = items
         .filter((item) => item.status === 'Completed')
-        .reduce((sum, item) => {
-            const quantity = parseFloat(item.quantity) || 0;
-            const actualPrice = parseFloat(item.actual_price) || 0;
-            const budgetPrice = parseFloat(item.budget_price) || 0;
-            // Use actual_price if set and non-zero, otherwise use budget_price
-            const price = actualPrice > 0 ? actualPrice : budgetPrice;
-            return sum + quantity * price;
-        }, 0);
+        .reduce((sum, item) => sum + (subtotalToBase(item) || 0), 0);
 
     const difference = totalBudget - totalActual;
 
@@ -289,7 +344,7 @@ export default function RoomEditorPage() {
                         <div className='header-actions'>
                             <Button
                                 variant='success'
-                                onClick={saveRoom}
+                                onClick={() => saveRoom()}
                                 disabled={saving}
                                 icon='💾'
                             >
@@ -304,20 +359,13 @@ export default function RoomEditorPage() {
                     <Card>
                         <div className='summary-stat'>
                             <span className='stat-label'>Room Budget</span>
-                            <input
-                                type='number'
+                            <MoneyInput
                                 className='budget-input'
-                                value={Math.round(roomBudget)}
-                                onChange={(e) =>
-                                    setRoomBudget(
-                                        parseInt(e.target.value) || 0
-                                    )
-                                }
-                                min='0'
-                                step='1'
+                                value={roomBudget}
+                                onChange={updateRoomBudget}
                             />
                             <span className='stat-value budget'>
-                                {formatCurrency(Math.round(roomBudget))}
+                                {formatCurrency(roomBudget, baseCurrency)}
                             </span>
                         </div>
                     </Card>
@@ -327,7 +375,7 @@ export default function RoomEditorPage() {
                                 Expected Total (Items)
                             </span>
                             <span className='stat-value expected'>
-                                {formatCurrency(Math.round(totalBudget))}
+                                {formatCurrency(totalBudget, baseCurrency)}
                             </span>
                         </div>
                     </Card>
@@ -335,7 +383,7 @@ export default function RoomEditorPage() {
                         <div className='summary-stat'>
                             <span className='stat-label'>Actual Total</span>
                             <span className='stat-value actual'>
-                                {formatCurrency(Math.round(totalActual))}
+                                {formatCurrency(totalActual, baseCurrency)}
                             </span>
                         </div>
                     </Card>
@@ -349,12 +397,14 @@ export default function RoomEditorPage() {
                                         difference >= 0 ? '#11998e' : '#ee0979',
                                 }}
                             >
-                                {formatCurrency(Math.round(difference))}
+                                {formatCurrency(difference, baseCurrency)}
                             </span>
                         </div>
                     </Card>
                 </div>
 
+                <MissingRatesWarning currencies={missingRates} />
+
                 {/* Room Gallery - Show if images exist */}
                 {roomImages.length > 0 && (
                     <Card>
@@ -365,7 +415,7 @@ export default function RoomEditorPage() {
                             {roomImages.map((image, index) => (
                                 <div key={image.id || index} className='gallery-item'>
                                     <img
-                                        src={image.data || image.url}
+                                        src={image.thumbUrl || image.data || image.url}
                                         alt={image.name || `Room image ${index + 1}`}
                                         className='gallery-image'
                                         onClick={() => {
@@ -391,7 +441,7 @@ export default function RoomEditorPage() {
                                                 className='gallery-delete-btn'
                                                 onClick={() => {
                                                     if (confirm('Delete this image?')) {
-                                                        setRoomImages(roomImages.filter((_, i) => i !== index));
+                                                        updateRoomImages(roomImages.filter((_, i) => i !== index));
                                                     }
                                                 }}
                                                 title='Delete image'
@@ -460,6 +510,7 @@ export default function RoomEditorPage() {
                                     </th>
                                     <th style={{ width: '80px' }}>Qty</th>
                                     <th style={{ width: '80px' }}>Unit</th>
+                                    <th style={{ width: '80px' }}>Currency</th>
                                     <th
                                         style={{
                                             width: '100px',
@@ -506,6 +557,10 @@ export default function RoomEditorPage() {
                                                 ? '↑'
                                                 : '↓')}
                                     </th>
+                                    <th style={{ width: '60px' }} title='Prices include IGV'>
+                                        IGV incl.
+                                    </th>
+                                    <th style={{ width: '140px' }}>Vendor</th>
                                     <th
                                         style={{
                                             width: '100px',
@@ -532,7 +587,12 @@ export default function RoomEditorPage() {
                                         <td>
                                             {displayIndex + 1}
                                             {item._isShared && (
-                                                <span className='shared-badge' title='Shared expense from multiple rooms'>🔗</span>
+                                                <span
+                                                    className='shared-badge'
+                                                    title={`Shared expense: ${Math.round(item.sharePercent || 0)}% of ${formatCurrency(item.totalAmount || 0, baseCurrency)}`}
+                                                >
+                                                    🔗
+                                                </span>
                                             )}
                                         </td>
                                         <td className='favorite-cell'>
@@ -616,45 +676,78 @@ export default function RoomEditorPage() {
                                             />
                                         </td>
                                         <td>
-                                            <input
-                                                type='number'
-                                                value={parseFloat(item.budget_price || 0).toFixed(2)}
-                                                onChange={(e) =>
+                                            <CurrencySelect
+                                                value={item.currency || baseCurrency}
+                                                onChange={(currency) =>
+                                                    handleItemChange(
+                                                        item.originalIndex,
+                                                        'currency',
+                                                        currency
+                                                    )
+                                                }
+                                                disabled={item._readOnly}
+                                            />
+                                        </td>
+                                        <td>
+                                            <MoneyInput
+                                                value={item.budget_price}
+                                                onChange={(cents) =>
                                                     handleItemChange(
                                                         item.originalIndex,
                                                         'budget_price',
-                                                        parseFloat(
-                                                            e.target.value
-                                                        ) || 0
+                                                        cents
                                                     )
                                                 }
-                                                min='0'
-                                                step='0.01'
                                                 disabled={item._readOnly}
                                             />
                                         </td>
                                         <td>
+                                            <MoneyInput
+                                                value={item.actual_price}
+                                                onChange={(cents) =>
+                                                    handleItemChange(
+                                                        item.originalIndex,
+                                                        'actual_price',
+                                                        cents
+                                                    )
+                                                }
+                                                disabled={item._readOnly || (item.payments || []).length > 0}
+                                                title={(item.payments || []).length > 0 ? 'Total of the payments' : undefined}
+                                            />
+                                        </td>
+                                        <td className='subtotal-cell'>
+                                            <Amount
+                                                cents={calculateSubtotal(item)}
+                                                currency={item.currency}
+                                                date={entryDate(item)}
+                                            />
+                                        </td>
+                                        <td className='tax-cell'>
                                             <input
-                                                type='number'
-                                                value={parseFloat(item.actual_price || 0).toFixed(2)}
+                                                type='checkbox'
+                                                checked={item.priceIncludesTax !== false}
                                                 onChange={(e) =>
                                                     handleItemChange(
                                                         item.originalIndex,
-                                                        'actual_price',
-                                                        parseFloat(
-                                                            e.target.value
-                                                        ) || 0
+                                                        'priceIncludesTax',
+                                                        e.target.checked
                                                     )
                                                 }
-                                                min='0'
-                                                step='0.01'
                                                 disabled={item._readOnly}
                                             />
                                         </td>
-                                        <td className='subtotal-cell'>
-                                            {formatCurrency(
-                                                Math.round(calculateSubtotal(item))
-                                            )}
+                                        <td>
+                                            <VendorSelect
+                                                value={item.vendor}
+                                                onChange={(vendor) =>
+                                                    handleItemChange(
+                                                        item.originalIndex,
+                                                        'vendor',
+                                                        vendor
+                                                    )
+                                                }
+                                                disabled={item._readOnly}
+                                            />
                                         </td>
                                         <td>
                                             <select
@@ -683,9 +776,38 @@ export default function RoomEditorPage() {
                                         </td>
                                         <td>
                                             <div className='actions-cell'>
+                                                {!item._isShared && (
+                                                    <button
+                                                        className='options-btn receipts-btn'
+                                                        onClick={() =>
+                                                            setReceiptsIndex(
+                                                                item.originalIndex
+                                                            )
+                                                        }
+                                                        title={`Receipts (${(item.attachments || []).length})`}
+                                                    >
+                                                        📎
+                                                        {(item.attachments || []).length > 0 && (
+                                                            <span className='receipt-count'>
+                                                                {item.attachments.length}
+                                                            </span>
+                                                        )}
+                                                    </button>
+                                                )}
                                                 <AdminOnly>
                                                     {!item._isShared && (
                                                         <>
+                                                            <button
+                                                                className='options-btn'
+                                                                onClick={() =>
+                                                                    setPaymentsIndex(
+                                                                        item.originalIndex
+                                                                    )
+                                                                }
+                                                                title='Payments'
+                                                            >
+                                                                💳
+                                                            </button>
                                                             <button
                                                                 className='options-btn'
                                                                 onClick={() =>
@@ -736,7 +858,7 @@ export default function RoomEditorPage() {
                             <p>Upload images for this room (progress photos, inspiration, etc.)</p>
                             <ImageUpload
                                 images={roomImages}
-                                onImagesChange={setRoomImages}
+                                onImagesChange={updateRoomImages}
                                 maxImages={10}
                                 maxSizeMB={5}
                             />
@@ -764,7 +886,19 @@ export default function RoomEditorPage() {
                                     item={items[editingOptionsIndex]}
                                     onChange={(updatedItem) => {
                                         const updatedItems = [...items];
-                                        updatedItems[editingOptionsIndex] = updatedItem;
+                                        updatedItems[editingOptionsIndex] = mergeItemChanges(
+                                            items[editingOptionsIndex],
+                                            updatedItem,
+                                            [
+                                                'productOptions',
+                                                'selectedOptionId',
+                                                'selectedProductName',
+                                                'actual_price',
+                                                'currency',
+                                                'priceIncludesTax',
+                                                'vendor',
+                                            ]
+                                        );
                                         setItems(updatedItems);
                                     }}
                                 />
@@ -781,6 +915,24 @@ export default function RoomEditorPage() {
                     </div>
                 )}
 
+                <PaymentsModal
+                    entry={paymentsIndex !== null ? { ...items[paymentsIndex], source: 'rooms' } : null}
+                    onClose={() => setPaymentsIndex(null)}
+                    onChange={(changes) => handleSavedChange(paymentsIndex, changes)}
+                />
+
+                <ReceiptsModal
+                    entry={receiptsIndex !== null ? { ...items[receiptsIndex], source: 'rooms' } : null}
+                    onClose={() => setReceiptsIndex(null)}
+                    onChange={(changes) => handleSavedChange(receiptsIndex, changes)}
+                />
+
+                <HistoryPanel
+                    title='Room History'
+                    filters={{ room: roomSlug }}
+                    refreshKey={roomVersion}
+                />
+
                 <div className='bottom-actions'>
                     <Button
                         variant='secondary'
@@ -791,7 +943,7 @@ export default function RoomEditorPage() {
                     <AdminOnly>
                         <Button
                             variant='success'
-                            onClick={saveRoom}
+                            onClick={() => saveRoom()}
                             disabled={saving}
                             icon='💾'
                             size='large'
@@ -989,6 +1141,14 @@ export default function RoomEditorPage() {
                     text-align: right;
                 }
 
+                .tax-cell {
+                    text-align: center;
+                }
+
+                .tax-cell input {
+                    width: auto;
+                }
+
                 .delete-btn {
                     background: none;
                     border: none;
@@ -1193,6 +1353,24 @@ export default function RoomEditorPage() {
                     opacity: 1;
                 }
 
+                .receipts-btn {
+                    position: relative;
+                }
+
+                .receipt-count {
+                    position: absolute;
+                    top: -2px;
+                    right: -4px;
+                    min-width: 16px;
+                    padding: 0 4px;
+                    border-radius: 8px;
+                    font-size: 10px;
+                    font-weight: 600;
+                    line-height: 16px;
+                    background: #667eea;
+                    color: white;
+                }
+
                 /* Modal Styles */
                 .modal-overlay {
                     position: fixed;
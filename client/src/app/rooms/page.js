@@ -2,26 +2,39 @@
 
 import { useState, useEffect } from 'react';
 import { MainLayout } from '@/components/layout';
-import { Card, Button, LoadingSpinner, Input } from '@/components/ui';
+import { Card, Button, LoadingSpinner, Input, ConfirmDialog } from '@/components/ui';
 import { roomsAPI } from '@/lib/api';
-import { formatCurrency } from '@/lib/currency';
+import { useCurrency } from '@/contexts/CurrencyContext';
 import AllItemsView from '@/components/rooms/AllItemsView';
+import RoomFormModal from '@/components/rooms/RoomFormModal';
+import AdminOnly from '@/components/auth/AdminOnly';
+import { useToast } from '@/contexts/ToastContext';
 import Link from 'next/link';
 
 export default function RoomsPage() {
+    const { formatBase } = useCurrency();
     const [rooms, setRooms] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [showAllItems, setShowAllItems] = useState(false);
+    const [showArchived, setShowArchived] = useState(false);
+    const [showRoomForm, setShowRoomForm] = useState(false);
+    const [editingRoom, setEditingRoom] = useState(null);
+    const [deleteTarget, setDeleteTarget] = useState(null);
+    const toast = useToast();
 
     useEffect(() => {
         loadRooms();
-    }, []);
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [showArchived, showAllItems]);
 
     const loadRooms = async () => {
         try {
             setLoading(true);
-            const data = await roomsAPI.getAll();
+            // Room cards only need the summary; the all-items view needs every item
+            const data = showAllItems
+                ? await roomsAPI.getAll({ includeArchived: showArchived })
+                : await roomsAPI.getSummary({ includeArchived: showArchived });
             // API now returns rooms array directly after our fix
             setRooms(Array.isArray(data) ? data : []);
         } catch (err) {
@@ -32,6 +45,50 @@ export default function RoomsPage() {
         }
     };
 
+    const openRoomForm = (room = null) => {
+        setEditingRoom(room);
+        setShowRoomForm(true);
+    };
+
+    const handleSaveRoom = async (roomData) => {
+        if (editingRoom) {
+            await roomsAPI.update(editingRoom.slug, roomData, editingRoom.version);
+            toast.success(`${roomData.name} updated successfully`);
+        } else {
+            const result = await roomsAPI.create(roomData);
+            toast.success(`${result.room.name} created successfully`);
+        }
+        await loadRooms();
+    };
+
+    const handleRestoreRoom = async (room) => {
+        try {
+            await roomsAPI.update(room.slug, { archived: false }, room.version);
+            toast.success(`${room.name} restored`);
+            await loadRooms();
+        } catch (err) {
+            toast.error(`Failed to restore room: ${err.message}`);
+        }
+    };
+
+    const confirmDeleteRoom = async () => {
+        if (!deleteTarget) return;
+
+        try {
+            const result = await roomsAPI.delete(deleteTarget.slug, deleteTarget.version);
+            if (result.archived) {
+                toast.info(result.message);
+            } else {
+                toast.success(result.message);
+            }
+            await loadRooms();
+        } catch (err) {
+            toast.error(`Failed to delete room: ${err.message}`);
+        } finally {
+            setDeleteTarget(null);
+        }
+    };
+
     if (loading) {
         return (
             <MainLayout>
@@ -50,13 +107,31 @@ export default function RoomsPage() {
                         <h1>🚪 Rooms</h1>
                         <p>Manage room budgets and items</p>
                     </div>
-                    <Button
-                        variant={showAllItems ? 'secondary' : 'primary'}
-                        onClick={() => setShowAllItems(!showAllItems)}
-                        icon='📋'
-                    >
-                        {showAllItems ? 'Hide All Items' : 'Show All Items'}
-                    </Button>
+                    <div className='header-actions'>
+                        <AdminOnly>
+                            <Button
+                                variant='success'
+                                onClick={() => openRoomForm()}
+                                icon='➕'
+                            >
+                                Add Room
+                            </Button>
+                        </AdminOnly>
+                        <Button
+                            variant='secondary'
+                            onClick={() => setShowArchived(!showArchived)}
+                            icon='📦'
+                        >
+                            {showArchived ? 'Hide Archived' : 'Show Archived'}
+                        </Button>
+                        <Button
+                            variant={showAllItems ? 'secondary' : 'primary'}
+                            onClick={() => setShowAllItems(!showAllItems)}
+                            icon='📋'
+                        >
+                            {showAllItems ? 'Hide All Items' : 'Show All Items'}
+                        </Button>
+                    </div>
                 </header>
 
                 {error && (
@@ -82,15 +157,8 @@ export default function RoomsPage() {
                 {!showAllItems && !loading && !error && (
                     <div className='rooms-grid'>
                         {rooms.map((room) => {
-                            // Calculate expected total: sum of all item subtotals
-                            const expectedTotal = (room.items || []).reduce((sum, item) => {
-                                const qty = parseFloat(item.quantity) || 0;
-                                const actualPrice = parseFloat(item.actual_price) || 0;
-                                const budgetPrice = parseFloat(item.budget_price) || 0;
-                                // Use actual_price if set and non-zero, otherwise budget_price
-                                const price = actualPrice > 0 ? actualPrice : budgetPrice;
-                                return sum + (qty * price);
-                            }, 0);
+                            // Expected total: sum of item subtotals, computed by the summary endpoint
+                            const expectedTotal = room.expected_total || 0;
 
                             const remaining =
                                 (room.budget || 0) - (room.actual_spent || 0);
@@ -110,13 +178,13 @@ export default function RoomsPage() {
 
                             return (
                                 <Card key={room._id || room.slug} hoverable>
-                                    <div className='room-card'>
+                                    <div className={`room-card ${room.archived ? 'archived' : ''}`}>
                                         <div className='room-header'>
                                             <h2>{room.name}</h2>
                                             <span
-                                                className={`status-badge ${room.status?.toLowerCase()}`}
+                                                className={`status-badge ${room.archived ? 'archived' : room.status?.toLowerCase()}`}
                                             >
-                                                {room.status || 'Pending'}
+                                                {room.archived ? 'Archived' : room.status || 'Pending'}
                                             </span>
                                         </div>
 
@@ -126,7 +194,7 @@ export default function RoomsPage() {
                                                     Budget
                                                 </span>
                                                 <span className='stat-value'>
-                                                    {formatCurrency(
+                                                    {formatBase(
                                                         room.budget || 0
                                                     )}
                                                 </span>
@@ -136,7 +204,7 @@ export default function RoomsPage() {
                                                     Expected
                                                 </span>
                                                 <span className='stat-value expected'>
-                                                    {formatCurrency(expectedTotal)}
+                                                    {formatBase(expectedTotal)}
                                                 </span>
                                             </div>
                                             <div className='stat'>
@@ -144,7 +212,7 @@ export default function RoomsPage() {
                                                     Spent
                                                 </span>
                                                 <span className='stat-value spent'>
-                                                    {formatCurrency(
+                                                    {formatBase(
                                                         room.actual_spent || 0
                                                     )}
                                                 </span>
@@ -162,7 +230,7 @@ export default function RoomsPage() {
                                                                 : '#ee0979',
                                                     }}
                                                 >
-                                                    {formatCurrency(remaining)}
+                                                    {formatBase(remaining)}
                                                 </span>
                                             </div>
                                         </div>
@@ -208,6 +276,37 @@ export default function RoomsPage() {
                                                     Edit Items
                                                 </Button>
                                             </Link>
+                                            <AdminOnly>
+                                                <div className='room-admin-actions'>
+                                                    <Button
+                                                        variant='secondary'
+                                                        size='small'
+                                                        onClick={() => openRoomForm(room)}
+                                                        icon='⚙️'
+                                                    >
+                                                        Details
+                                                    </Button>
+                                                    {room.archived ? (
+                                                        <Button
+                                                            variant='success'
+                                                            size='small'
+                                                            onClick={() => handleRestoreRoom(room)}
+                                                            icon='♻️'
+                                                        >
+                                                            Restore
+                                                        </Button>
+                                                    ) : (
+                                                        <Button
+                                                            variant='danger'
+                                                            size='small'
+                                                            onClick={() => setDeleteTarget(room)}
+                                                            icon='🗑️'
+                                                        >
+                                                            Delete
+                                                        </Button>
+                                                    )}
+                                                </div>
+                                            </AdminOnly>
                                         </div>
                                     </div>
                                 </Card>
@@ -217,6 +316,22 @@ export default function RoomsPage() {
                 )}
             </div>
 
+            <RoomFormModal
+                isOpen={showRoomForm}
+                onClose={() => setShowRoomForm(false)}
+                room={editingRoom}
+                onSave={handleSaveRoom}
+            />
+
+            <ConfirmDialog
+                isOpen={!!deleteTarget}
+                onClose={() => setDeleteTarget(null)}
+                onConfirm={confirmDeleteRoom}
+                title='Delete Room'
+                message={`Delete ${deleteTarget?.name}? Rooms that still have items or expenses are archived instead, so nothing is lost.`}
+                confirmText='Delete'
+            />
+
             <style jsx>{`
                 .rooms-page {
                     max-width: 1400px;
@@ -236,6 +351,12 @@ export default function RoomsPage() {
                     text-align: left;
                 }
 
+                .header-actions {
+                    display: flex;
+                    gap: 12px;
+                    flex-wrap: wrap;
+                }
+
                 .page-header h1 {
                     font-size: 2.5rem;
                     margin: 0 0 10px;
@@ -311,6 +432,15 @@ export default function RoomsPage() {
                     color: #388e3c;
                 }
 
+                .status-badge.archived {
+                    background: #eeeeee;
+                    color: #757575;
+                }
+
+                .room-card.archived {
+                    opacity: 0.7;
+                }
+
                 .room-stats {
                     display: grid;
                     grid-template-columns: repeat(2, 1fr);
@@ -380,6 +510,12 @@ export default function RoomsPage() {
                     margin-top: 20px;
                 }
 
+                .room-admin-actions {
+                    display: flex;
+                    gap: 8px;
+                    margin-top: 10px;
+                }
+
                 @media (max-width: 768px) {
                     .rooms-grid {
                         grid-template-columns: 1fr;
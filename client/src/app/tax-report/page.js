@@ -0,0 +1,339 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useSession } from 'next-auth/react';
+import { MainLayout } from '@/components/layout';
+import { Card, Button, LoadingSpinner, DatePicker, MissingRatesWarning } from '@/components/ui';
+import { expensesAPI, projectsAPI } from '@/lib/api';
+import { RECEIPT_LABELS, isTaxRate } from '@/lib/tax';
+import { useProject } from '@/contexts/ProjectContext';
+import { useCurrency } from '@/contexts/CurrencyContext';
+import { useToast } from '@/contexts/ToastContext';
+
+const toDateString = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+// Facturas first: their IGV is the part that can be claimed back
+const GROUP_ORDER = ['factura', 'boleta', 'none'];
+
+export default function TaxReportPage() {
+    const { data: session } = useSession();
+    const { currentProject, reloadProjects } = useProject();
+    const { formatBase } = useCurrency();
+    const [report, setReport] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [filters, setFilters] = useState({ from: null, to: null, status: 'Completed' });
+    const [taxRate, setTaxRate] = useState('');
+    const toast = useToast();
+
+    // Only project owners can change the tax rate
+    const canChangeRate =
+        session?.user?.role === 'admin' || currentProject?.role === 'owner';
+
+    const loadReport = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const result = await expensesAPI.getTaxReport({
+                from: toDateString(filters.from),
+                to: toDateString(filters.to),
+                status: filters.status,
+            });
+            setReport(result);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [filters]);
+
+    useEffect(() => {
+        if (currentProject?._id) {
+            loadReport();
+        }
+    }, [currentProject?._id, loadReport]);
+
+    useEffect(() => {
+        if (report) {
+            setTaxRate(String(report.taxRate));
+        }
+    }, [report]);
+
+    const handleFilterChange = (field, value) => {
+        setFilters((prev) => ({ ...prev, [field]: value }));
+    };
+
+    // Amounts already saved keep their prices; only the IGV part of them is recalculated
+    const handleTaxRateSave = async (e) => {
+        e.preventDefault();
+        if (!isTaxRate(taxRate)) {
+            toast.error('Enter a percentage from 0 to 100');
+            return;
+        }
+
+        try {
+            await projectsAPI.update(currentProject._id, { taxRate: Number(taxRate) });
+            await reloadProjects();
+            await loadReport();
+            toast.success(`IGV rate set to ${Number(taxRate)}%`);
+        } catch (err) {
+            toast.error(`Failed to change tax rate: ${err.message}`);
+        }
+    };
+
+    const groups = GROUP_ORDER.map((type) => report?.groups.find((group) => group.receiptType === type)).filter(
+        Boolean
+    );
+
+    return (
+        <MainLayout>
+            <div className='tax-page'>
+                <header className='page-header'>
+                    <h1>🧾 Tax Report</h1>
+                    <p>
+                        Expenses by receipt type with the IGV they include. Facturas show the IGV
+                        that can be claimed; boletas and expenses without a receipt do not.
+                    </p>
+                </header>
+
+                <Card>
+                    <div className='tax-controls'>
+                        <label>
+                            From
+                            <DatePicker
+                                selected={filters.from}
+                                onChange={(date) => handleFilterChange('from', date)}
+                                placeholderText='Any date'
+                            />
+                        </label>
+                        <label>
+                            To
+                            <DatePicker
+                                selected={filters.to}
+                                onChange={(date) => handleFilterChange('to', date)}
+                                placeholderText='Any date'
+                            />
+                        </label>
+                        <label>
+                            Status
+                            <select
+                                value={filters.status}
+                                onChange={(e) => handleFilterChange('status', e.target.value)}
+                            >
+                                <option value='Completed'>Completed</option>
+                                <option value=''>All</option>
+                                <option value='Pending'>Pending</option>
+                                <option value='Planning'>Planning</option>
+                            </select>
+                        </label>
+                        {canChangeRate ? (
+                            <form className='tax-rate-form' onSubmit={handleTaxRateSave}>
+                                <label>
+                                    IGV rate (%)
+                                    <input
+                                        type='number'
+                                        min='0'
+                                        max='100'
+                                        step='0.01'
+                                        value={taxRate}
+                                        onChange={(e) => setTaxRate(e.target.value)}
+                                    />
+                                </label>
+                                <Button type='submit' variant='secondary' size='small'>
+                                    Save Rate
+                                </Button>
+                            </form>
+                        ) : (
+                            report && <span className='tax-rate'>IGV {report.taxRate}%</span>
+                        )}
+                    </div>
+                </Card>
+
+                {error && <p className='tax-error'>Failed to load tax report: {error}</p>}
+
+                {loading && !report ? (
+                    <div style={{ padding: '60px 0', textAlign: 'center' }}>
+                        <LoadingSpinner size='large' text='Loading tax report...' />
+                    </div>
+                ) : (
+                    report && (
+                        <>
+                            <MissingRatesWarning currencies={report.missingRates} />
+
+                            <Card title='Totals'>
+                                <table className='tax-table'>
+                                    <thead>
+                                        <tr>
+                                            <th>Receipt</th>
+                                            <th>Count</th>
+                                            <th>Net</th>
+                                            <th>IGV</th>
+                                            <th>Total</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {groups.map((group) => (
+                                            <tr key={group.receiptType}>
+                                                <td>{RECEIPT_LABELS[group.receiptType]}</td>
+                                                <td>{group.count}</td>
+                                                <td>{formatBase(group.net)}</td>
+                                                <td>{formatBase(group.tax)}</td>
+                                                <td>{formatBase(group.gross)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                    <tfoot>
+                                        <tr>
+                                            <td>All</td>
+                                            <td>{report.totals.count}</td>
+                                            <td>{formatBase(report.totals.net)}</td>
+                                            <td>{formatBase(report.totals.tax)}</td>
+                                            <td>{formatBase(report.totals.gross)}</td>
+                                        </tr>
+                                    </tfoot>
+                                </table>
+                            </Card>
+
+                            {groups
+                                .filter((group) => group.count > 0)
+                                .map((group) => (
+                                    <Card key={group.receiptType} title={RECEIPT_LABELS[group.receiptType]}>
+                                        <table className='tax-table'>
+                                            <thead>
+                                                <tr>
+                                                    <th>Date</th>
+                                                    <th>Description</th>
+                                                    {group.receiptType !== 'none' && <th>Number</th>}
+                                                    <th>Room</th>
+                                                    <th>Net</th>
+                                                    <th>IGV</th>
+                                                    <th>Total</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {group.expenses.map((expense) => (
+                                                    <tr key={`${expense.source}-${expense._id}`}>
+                                                        <td>{expense.date}</td>
+                                                        <td>
+                                                            {expense.description}
+                                                            {!expense.priceIncludesTax && (
+                                                                <span className='tax-added'> + IGV</span>
+                                                            )}
+                                                        </td>
+                                                        {group.receiptType !== 'none' && (
+                                                            <td>{expense.receiptNumber || '—'}</td>
+                                                        )}
+                                                        <td>{expense.roomName || 'General'}</td>
+                                                        <td>{formatBase(expense.net)}</td>
+                                                        <td>{formatBase(expense.tax)}</td>
+                                                        <td>{formatBase(expense.gross)}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </Card>
+                                ))}
+                        </>
+                    )
+                )}
+            </div>
+
+            <style jsx>{`
+                .tax-page {
+                    max-width: 1100px;
+                    margin: 0 auto;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 24px;
+                }
+
+                .page-header h1 {
+                    font-size: 2.5rem;
+                    margin: 0 0 10px;
+                    background: linear-gradient(
+                        135deg,
+                        #667eea 0%,
+                        #764ba2 100%
+                    );
+                    -webkit-background-clip: text;
+                    -webkit-text-fill-color: transparent;
+                    background-clip: text;
+                }
+
+                .page-header p {
+                    font-size: 1.1rem;
+                    color: #666;
+                    margin: 0;
+                }
+
+                .tax-controls,
+                .tax-rate-form {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 16px;
+                    align-items: flex-end;
+                }
+
+                .tax-rate-form {
+                    margin-left: auto;
+                }
+
+                .tax-controls label {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 6px;
+                    font-size: 14px;
+                    font-weight: 500;
+                    color: #374151;
+                }
+
+                .tax-controls select,
+                .tax-controls input {
+                    padding: 8px 12px;
+                    border: 1px solid #d1d5db;
+                    border-radius: 6px;
+                    font-size: 14px;
+                }
+
+                .tax-rate {
+                    margin-left: auto;
+                    font-weight: 600;
+                    color: #333;
+                }
+
+                .tax-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                }
+
+                .tax-table th,
+                .tax-table td {
+                    padding: 10px 8px;
+                    text-align: left;
+                    border-bottom: 1px solid #f0f0f0;
+                }
+
+                .tax-table th {
+                    font-size: 0.85rem;
+                    color: #666;
+                    text-transform: uppercase;
+                }
+
+                .tax-table tfoot td {
+                    font-weight: 600;
+                    border-bottom: none;
+                }
+
+                .tax-error {
+                    margin: 0;
+                    color: #ee0979;
+                }
+
+                .tax-added {
+                    font-size: 0.8rem;
+                    color: #666;
+                }
+            `}</style>
+        </MainLayout>
+    );
+}
@@ -12,9 +12,29 @@ import { Button, LoadingSpinner } from '@/components/ui';
 import TimelineView from '@/components/timeline/TimelineView';
 import PhaseEditModal from '@/components/timeline/PhaseEditModal';
 import AdminOnly from '@/components/auth/AdminOnly';
+import { timelineAPI, isConflictError } from '@/lib/api';
+import { confirmApplyOnLatest } from '@/utils/conflicts';
 import './timeline.css';
 
-const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:8000';
+/**
+ * Return a copy of the timeline with a phase added or replaced
+ */
+function applyPhase(timeline, phase, isEdit) {
+  if (isEdit) {
+    return {
+      ...timeline,
+      phases: timeline.phases.map(p => (p.id === phase.id ? phase : p)),
+    };
+  }
+
+  return {
+    ...timeline,
+    phases: [
+      ...timeline.phases,
+      { ...phase, id: `phase-${Date.now()}`, order: timeline.phases.length },
+    ],
+  };
+}
 
 export default function TimelinePage() {
   const [timeline, setTimeline] = useState(null);
@@ -31,16 +51,10 @@ export default function TimelinePage() {
     try {
       setLoading(true);
       setError(null);
-      const response = await fetch(`${API_URL}/timeline`);
+      const data = await timelineAPI.get();
 
-      if (!response.ok) {
-        throw new Error(`Server error: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      if (data.success) {
-        setTimeline(data.timeline);
+      if (data) {
+        setTimeline(data);
       } else {
         setError('Unable to load timeline data. Please try again.');
       }
@@ -57,21 +71,25 @@ export default function TimelinePage() {
     }
   };
 
-  const saveTimeline = async (updatedTimeline) => {
+  /**
+   * Save a change to the timeline
+   * applyChange(timeline) returns the updated timeline; on a conflict it is
+   * re-applied to the server's latest copy if the user chooses to keep their change
+   */
+  const saveTimeline = async (applyChange, base = timeline) => {
     try {
-      const response = await fetch(`${API_URL}/timeline`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ timeline: updatedTimeline }),
-      });
-
-      const data = await response.json();
-      if (data.success) {
-        setTimeline(data.timeline);
-        return true;
-      }
-      return false;
+      const saved = await timelineAPI.save(applyChange(base), base.version);
+      setTimeline(saved);
+      return true;
     } catch (err) {
+      if (isConflictError(err)) {
+        const latest = err.data.current;
+        if (confirmApplyOnLatest('the timeline')) {
+          return saveTimeline(applyChange, latest);
+        }
+        setTimeline(latest);
+        return false;
+      }
       console.error('Error saving timeline:', err);
       return false;
     }
@@ -91,36 +109,26 @@ export default function TimelinePage() {
     if (!confirm('Are you sure you want to delete this phase?')) return;
 
     try {
-      const response = await fetch(`${API_URL}/timeline/phase/${phaseId}`, {
-        method: 'DELETE',
-      });
-
-      const data = await response.json();
-      if (data.success) {
-        setTimeline(data.timeline);
-      }
+      const updated = await timelineAPI.deletePhase(phaseId, timeline.version);
+      setTimeline(updated);
     } catch (err) {
+      if (isConflictError(err)) {
+        // Deleting again on the latest copy is safe - the phase id is stable
+        const latest = err.data.current;
+        if (confirmApplyOnLatest('the timeline')) {
+          setTimeline(await timelineAPI.deletePhase(phaseId, latest.version));
+        } else {
+          setTimeline(latest);
+        }
+        return;
+      }
       console.error('Error deleting phase:', err);
     }
   };
 
   const handleSavePhase = async (phase) => {
-    const updatedTimeline = { ...timeline };
-
-    if (editingPhase) {
-      // Update existing phase
-      const phaseIndex = updatedTimeline.phases.findIndex(p => p.id === phase.id);
-      if (phaseIndex >= 0) {
-        updatedTimeline.phases[phaseIndex] = phase;
-      }
-    } else {
-      // Add new phase
-      phase.id = `phase-${Date.now()}`;
-      phase.order = updatedTimeline.phases.length;
-      updatedTimeline.phases.push(phase);
-    }
-
-    const success = await saveTimeline(updatedTimeline);
+    const isEdit = !!editingPhase;
+    const success = await saveTimeline((base) => applyPhase(base, phase, isEdit));
     if (success) {
       setShowEditModal(false);
       setEditingPhase(null);
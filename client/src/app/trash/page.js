@@ -0,0 +1,274 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useSession } from 'next-auth/react';
+import { MainLayout } from '@/components/layout';
+import { Card, Button, LoadingSpinner, ConfirmDialog } from '@/components/ui';
+import { trashAPI } from '@/lib/api';
+import { formatCurrency } from '@/lib/currency';
+import AdminOnly from '@/components/auth/AdminOnly';
+import { useProject } from '@/contexts/ProjectContext';
+import { useToast } from '@/contexts/ToastContext';
+
+const TRASH_SECTIONS = [
+    { type: 'room_item', title: '🚪 Room Items' },
+    { type: 'expense', title: '📊 Expenses' },
+    { type: 'phase', title: '📅 Timeline Phases' },
+];
+
+export default function TrashPage() {
+    const { data: session } = useSession();
+    const { currentProject } = useProject();
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [purgeTarget, setPurgeTarget] = useState(null);
+    const toast = useToast();
+
+    // Only project owners can delete entries for good
+    const canPurge =
+        session?.user?.role === 'admin' || currentProject?.role === 'owner';
+
+    useEffect(() => {
+        loadTrash();
+    }, []);
+
+    const loadTrash = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const data = await trashAPI.getAll();
+            setEntries(data.entries || []);
+        } catch (err) {
+            setError(err.message);
+            setEntries([]);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRestore = async (entry) => {
+        try {
+            await trashAPI.restore(entry.type, entry.id);
+            toast.success(`${entry.label} restored`);
+            await loadTrash();
+        } catch (err) {
+            toast.error(`Failed to restore: ${err.message}`);
+        }
+    };
+
+    const confirmPurge = async () => {
+        if (!purgeTarget) return;
+
+        try {
+            await trashAPI.purge(purgeTarget.type, purgeTarget.id);
+            toast.success(`${purgeTarget.label} permanently deleted`);
+            await loadTrash();
+        } catch (err) {
+            toast.error(`Failed to delete: ${err.message}`);
+        } finally {
+            setPurgeTarget(null);
+        }
+    };
+
+    if (loading) {
+        return (
+            <MainLayout>
+                <div style={{ padding: '60px 0', textAlign: 'center' }}>
+                    <LoadingSpinner size='large' text='Loading trash...' />
+                </div>
+            </MainLayout>
+        );
+    }
+
+    return (
+        <MainLayout>
+            <div className='trash-page'>
+                <header className='page-header'>
+                    <h1>🗑️ Trash</h1>
+                    <p>Deleted room items, expenses and phases. Restore them or delete them for good.</p>
+                </header>
+
+                {error && (
+                    <Card>
+                        <div className='trash-error'>
+                            <h3>❌ Error Loading Trash</h3>
+                            <p>{error}</p>
+                            <Button onClick={loadTrash}>Try Again</Button>
+                        </div>
+                    </Card>
+                )}
+
+                {!error && entries.length === 0 && (
+                    <Card>
+                        <p className='trash-empty'>The trash is empty</p>
+                    </Card>
+                )}
+
+                {!error &&
+                    TRASH_SECTIONS.map(({ type, title }) => {
+                        const sectionEntries = entries.filter((e) => e.type === type);
+                        if (sectionEntries.length === 0) return null;
+
+                        return (
+                            <Card key={type}>
+                                <h2 className='trash-section-title'>
+                                    {title} ({sectionEntries.length})
+                                </h2>
+                                <ul className='trash-list'>
+                                    {sectionEntries.map((entry) => (
+                                        <li key={`${entry.type}-${entry.id}`} className='trash-entry'>
+                                            <div className='trash-entry-info'>
+                                                <strong>{entry.label || 'Untitled'}</strong>
+                                                {entry.roomName && (
+                                                    <span className='trash-room'> in {entry.roomName}</span>
+                                                )}
+                                                {entry.amount !== null && (
+                                                    <span className='trash-amount'>
+                                                        {formatCurrency(entry.amount || 0, entry.currency)}
+                                                    </span>
+                                                )}
+                                                <div className='trash-meta'>
+                                                    Deleted {new Date(entry.deletedAt).toLocaleString()}
+                                                    {entry.deletedBy && ` by ${entry.deletedBy.name}`}
+                                                </div>
+                                            </div>
+                                            <AdminOnly>
+                                                <div className='trash-actions'>
+                                                    <Button
+                                                        variant='success'
+                                                        size='small'
+                                                        onClick={() => handleRestore(entry)}
+                                                        icon='♻️'
+                                                    >
+                                                        Restore
+                                                    </Button>
+                                                    {canPurge && (
+                                                        <Button
+                                                            variant='danger'
+                                                            size='small'
+                                                            onClick={() => setPurgeTarget(entry)}
+                                                            icon='🔥'
+                                                        >
+                                                            Delete forever
+                                                        </Button>
+                                                    )}
+                                                </div>
+                                            </AdminOnly>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </Card>
+                        );
+                    })}
+            </div>
+
+            <ConfirmDialog
+                isOpen={!!purgeTarget}
+                onClose={() => setPurgeTarget(null)}
+                onConfirm={confirmPurge}
+                title='Delete Forever'
+                message={`Permanently delete ${purgeTarget?.label}? This cannot be undone.`}
+                confirmText='Delete forever'
+            />
+
+            <style jsx>{`
+                .trash-page {
+                    max-width: 1000px;
+                    margin: 0 auto;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 24px;
+                }
+
+                .page-header h1 {
+                    font-size: 2.5rem;
+                    margin: 0 0 10px;
+                    background: linear-gradient(
+                        135deg,
+                        #667eea 0%,
+                        #764ba2 100%
+                    );
+                    -webkit-background-clip: text;
+                    -webkit-text-fill-color: transparent;
+                    background-clip: text;
+                }
+
+                .page-header p {
+                    font-size: 1.1rem;
+                    color: #666;
+                    margin: 0;
+                }
+
+                .trash-error,
+                .trash-empty {
+                    padding: 20px;
+                    text-align: center;
+                    color: #666;
+                }
+
+                .trash-error {
+                    color: #ee0979;
+                }
+
+                .trash-section-title {
+                    margin: 0 0 16px;
+                    font-size: 1.3rem;
+                    color: #333;
+                }
+
+                .trash-list {
+                    list-style: none;
+                    margin: 0;
+                    padding: 0;
+                }
+
+                .trash-entry {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    gap: 16px;
+                    padding: 12px 0;
+                    border-bottom: 1px solid #f0f0f0;
+                }
+
+                .trash-entry:last-child {
+                    border-bottom: none;
+                }
+
+                .trash-room {
+                    color: #666;
+                }
+
+                .trash-amount {
+                    margin-left: 12px;
+                    color: #667eea;
+                    font-weight: 600;
+                }
+
+                .trash-meta {
+                    font-size: 0.85rem;
+                    color: #999;
+                    margin-top: 4px;
+                }
+
+                .trash-actions {
+                    display: flex;
+                    gap: 8px;
+                    flex-shrink: 0;
+                }
+
+                @media (max-width: 768px) {
+                    .trash-entry {
+                        flex-direction: column;
+                        align-items: flex-start;
+                    }
+
+                    .page-header h1 {
+                        font-size: 2rem;
+                    }
+                }
+            `}</style>
+        </MainLayout>
+    );
+}
@@ -0,0 +1,431 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { useParams, useRouter } from 'next/navigation';
+import { MainLayout } from '@/components/layout';
+import { Card, Button, LoadingSpinner, ConfirmDialog, MissingRatesWarning } from '@/components/ui';
+import VendorFormModal from '@/components/vendors/VendorFormModal';
+import HistoryPanel from '@/components/audit/HistoryPanel';
+import { vendorsAPI } from '@/lib/api';
+import { formatCurrency } from '@/lib/currency';
+import { RECEIPT_LABELS } from '@/lib/tax';
+import { VENDOR_TYPE_LABELS, ratingStars } from '@/lib/vendors';
+import AdminOnly from '@/components/auth/AdminOnly';
+import { useProject } from '@/contexts/ProjectContext';
+import { useCurrency } from '@/contexts/CurrencyContext';
+import { useVendors } from '@/contexts/VendorContext';
+import { useToast } from '@/contexts/ToastContext';
+
+// Rows of the items and expenses bought from the vendor
+function EntriesTable({ entries, formatBase }) {
+    return (
+        <>
+            <table className='vendor-table'>
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>For</th>
+                        <th>Room</th>
+                        <th>Status</th>
+                        <th>Receipt</th>
+                        <th>Total</th>
+                        <th>Outstanding</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {entries.map((entry) => (
+                        <tr key={`${entry.source}-${entry._id}`}>
+                            <td>{entry.date}</td>
+                            <td>{entry.description}</td>
+                            <td>
+                                {entry.roomSlug ? (
+                                    <Link href={`/rooms/${entry.roomSlug}`}>{entry.roomName}</Link>
+                                ) : (
+                                    'General'
+                                )}
+                            </td>
+                            <td>{entry.status}</td>
+                            <td>
+                                {entry.receiptType && entry.receiptType !== 'none'
+                                    ? `${RECEIPT_LABELS[entry.receiptType]} ${entry.receiptNumber || ''}`
+                                    : '—'}
+                            </td>
+                            <td>{formatBase(entry.status === 'Completed' ? entry.actual : entry.expected)}</td>
+                            <td className={entry.outstanding > 0 ? 'entry-outstanding' : ''}>
+                                {formatBase(entry.outstanding)}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            <style jsx>{`
+                .vendor-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                }
+
+                .vendor-table th,
+                .vendor-table td {
+                    padding: 10px 8px;
+                    text-align: left;
+                    border-bottom: 1px solid #f0f0f0;
+                }
+
+                .vendor-table th {
+                    font-size: 0.85rem;
+                    color: #666;
+                    text-transform: uppercase;
+                }
+
+                .entry-outstanding {
+                    font-weight: 600;
+                    color: #ee0979;
+                }
+            `}</style>
+        </>
+    );
+}
+
+export default function VendorPage() {
+    const params = useParams();
+    const router = useRouter();
+    const vendorId = params.id;
+    const { currentProject } = useProject();
+    const { baseCurrency, formatBase } = useCurrency();
+    const { reloadVendors } = useVendors();
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [showForm, setShowForm] = useState(false);
+    const [confirmingDelete, setConfirmingDelete] = useState(false);
+    const [historyKey, setHistoryKey] = useState(0);
+    const toast = useToast();
+
+    const loadVendor = useCallback(async () => {
+        try {
+            setError(null);
+            setResult(await vendorsAPI.get(vendorId));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [vendorId]);
+
+    useEffect(() => {
+        if (currentProject?._id) {
+            loadVendor();
+        }
+    }, [currentProject?._id, loadVendor]);
+
+    const handleUpdate = async (changes) => {
+        await vendorsAPI.update(vendorId, changes);
+        toast.success(`${changes.name} saved`);
+        setHistoryKey((key) => key + 1);
+        await Promise.all([loadVendor(), reloadVendors()]);
+    };
+
+    const confirmDelete = async () => {
+        try {
+            await vendorsAPI.delete(vendorId);
+            toast.success(`${result.vendor.name} deleted`);
+            await reloadVendors();
+            router.push('/vendors');
+        } catch (err) {
+            toast.error(`Failed to delete vendor: ${err.message}`);
+        } finally {
+            setConfirmingDelete(false);
+        }
+    };
+
+    if (loading) {
+        return (
+            <MainLayout>
+                <div style={{ padding: '60px 0', textAlign: 'center' }}>
+                    <LoadingSpinner size='large' text='Loading vendor...' />
+                </div>
+            </MainLayout>
+        );
+    }
+
+    if (!result) {
+        return (
+            <MainLayout>
+                <div className='vendor-page'>
+                    <p className='vendor-error'>Failed to load vendor: {error}</p>
+                    <Link href='/vendors'>← All vendors</Link>
+                </div>
+            </MainLayout>
+        );
+    }
+
+    const { vendor, stats, history, options } = result;
+    const openOrders = history.filter((entry) => entry.status !== 'Completed');
+
+    return (
+        <MainLayout>
+            <div className='vendor-page'>
+                <Link href='/vendors' className='vendor-back'>
+                    ← All vendors
+                </Link>
+
+                <header className='page-header'>
+                    <div>
+                        <h1>🏪 {vendor.name}</h1>
+                        <p>
+                            {VENDOR_TYPE_LABELS[vendor.type] || vendor.type}
+                            {vendor.ruc && ` · RUC ${vendor.ruc}`}
+                            {vendor.rating && <span className='vendor-rating'> {ratingStars(vendor.rating)}</span>}
+                        </p>
+                    </div>
+                    <AdminOnly>
+                        <div className='vendor-actions'>
+                            <Button variant='secondary' onClick={() => setShowForm(true)} icon='✏️'>
+                                Edit
+                            </Button>
+                            <Button variant='danger' onClick={() => setConfirmingDelete(true)} icon='🗑️'>
+                                Delete
+                            </Button>
+                        </div>
+                    </AdminOnly>
+                </header>
+
+                {error && <p className='vendor-error'>Failed to load vendor: {error}</p>}
+
+                <MissingRatesWarning currencies={result.missingRates} />
+
+                <Card>
+                    <div className='vendor-stats'>
+                        <div>
+                            <span>Spent</span>
+                            <strong style={{ color: '#11998e' }}>{formatBase(stats.spent)}</strong>
+                        </div>
+                        <div>
+                            <span>On order ({stats.openOrders})</span>
+                            <strong style={{ color: '#667eea' }}>{formatBase(stats.committed)}</strong>
+                        </div>
+                        <div>
+                            <span>Paid</span>
+                            <strong>{formatBase(stats.paid)}</strong>
+                        </div>
+                        <div>
+                            <span>Outstanding</span>
+                            <strong style={{ color: stats.outstanding > 0 ? '#ee0979' : '#11998e' }}>
+                                {formatBase(stats.outstanding)}
+                            </strong>
+                        </div>
+                    </div>
+                    <p className='vendor-note'>Amounts in {baseCurrency}, IGV included.</p>
+                </Card>
+
+                {(vendor.address || vendor.contacts.length > 0 || vendor.notes) && (
+                    <Card title='Contact'>
+                        {vendor.address && <p className='vendor-address'>📍 {vendor.address}</p>}
+                        {vendor.contacts.length > 0 && (
+                            <ul className='vendor-contacts'>
+                                {vendor.contacts.map((contact, index) => (
+                                    <li key={contact._id || index}>
+                                        <strong>{contact.name || 'Contact'}</strong>
+                                        {contact.role && ` (${contact.role})`}
+                                        {contact.phone && (
+                                            <>
+                                                {' · '}
+                                                <a href={`tel:${contact.phone}`}>{contact.phone}</a>
+                                            </>
+                                        )}
+                                        {contact.email && (
+                                            <>
+                                                {' · '}
+                                                <a href={`mailto:${contact.email}`}>{contact.email}</a>
+                                            </>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                        {vendor.notes && <p className='vendor-notes'>{vendor.notes}</p>}
+                    </Card>
+                )}
+
+                <Card title='Open Orders'>
+                    {openOrders.length === 0 ? (
+                        <p className='vendor-empty'>Nothing on order.</p>
+                    ) : (
+                        <EntriesTable entries={openOrders} formatBase={formatBase} />
+                    )}
+                </Card>
+
+                <Card title='Purchase History'>
+                    {history.length === 0 ? (
+                        <p className='vendor-empty'>
+                            No items or expenses from this vendor yet. Choose it in the Vendor column of the
+                            Expenses or room pages.
+                        </p>
+                    ) : (
+                        <EntriesTable entries={history} formatBase={formatBase} />
+                    )}
+                </Card>
+
+                {options.length > 0 && (
+                    <Card title='Quoted Product Options'>
+                        <ul className='vendor-options'>
+                            {options.map((option) => (
+                                <li key={`${option.itemId}-${option.optionId}`}>
+                                    <strong>{option.name}</strong> {formatCurrency(option.price, option.currency)}
+                                    {' for '}
+                                    <Link href={`/rooms/${option.roomSlug}`}>
+                                        {option.itemDescription} ({option.roomName})
+                                    </Link>
+                                    {option.selected && <span className='option-selected'>Selected</span>}
+                                </li>
+                            ))}
+                        </ul>
+                    </Card>
+                )}
+
+                <HistoryPanel
+                    title='Vendor History'
+                    filters={{ entityType: 'vendor', entityId: vendorId }}
+                    refreshKey={historyKey}
+                />
+            </div>
+
+            <VendorFormModal
+                isOpen={showForm}
+                onClose={() => setShowForm(false)}
+                vendor={vendor}
+                onSave={handleUpdate}
+            />
+
+            <ConfirmDialog
+                isOpen={confirmingDelete}
+                onClose={() => setConfirmingDelete(false)}
+                onConfirm={confirmDelete}
+                title='Delete Vendor'
+                message={`Delete ${vendor.name}? Its items, product options and expenses are kept without a vendor.`}
+                confirmText='Delete'
+            />
+
+            <style jsx>{`
+                .vendor-page {
+                    max-width: 1100px;
+                    margin: 0 auto;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 24px;
+                }
+
+                .vendor-page :global(.vendor-back) {
+                    color: #667eea;
+                    text-decoration: none;
+                }
+
+                .page-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: flex-start;
+                    gap: 24px;
+                }
+
+                .page-header h1 {
+                    font-size: 2.5rem;
+                    margin: 0 0 10px;
+                    background: linear-gradient(
+                        135deg,
+                        #667eea 0%,
+                        #764ba2 100%
+                    );
+                    -webkit-background-clip: text;
+                    -webkit-text-fill-color: transparent;
+                    background-clip: text;
+                }
+
+                .page-header p {
+                    font-size: 1.1rem;
+                    color: #666;
+                    margin: 0;
+                }
+
+                .vendor-actions {
+                    display: flex;
+                    gap: 8px;
+                }
+
+                .vendor-rating {
+                    color: #f5a623;
+                }
+
+                .vendor-error {
+                    margin: 0;
+                    color: #ee0979;
+                }
+
+                .vendor-stats {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+                    gap: 24px;
+                }
+
+                .vendor-stats div {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 6px;
+                }
+
+                .vendor-stats span {
+                    font-size: 0.9rem;
+                    color: #666;
+                    text-transform: uppercase;
+                }
+
+                .vendor-stats strong {
+                    font-size: 1.6rem;
+                }
+
+                .vendor-note,
+                .vendor-empty,
+                .vendor-notes {
+                    margin: 12px 0 0;
+                    color: #666;
+                }
+
+                .vendor-empty {
+                    margin: 0;
+                }
+
+                .vendor-notes {
+                    white-space: pre-wrap;
+                }
+
+                .vendor-address {
+                    margin: 0 0 12px;
+                }
+
+                .vendor-contacts,
+                .vendor-options {
+                    margin: 0;
+                    padding-left: 20px;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 8px;
+                }
+
+                .vendor-page :global(a) {
+                    color: #667eea;
+                }
+
+                .option-selected {
+                    margin-left: 8px;
+                    padding: 2px 8px;
+                    border-radius: 10px;
+                    font-size: 12px;
+                    font-weight: 600;
+                    background: #e6f7f4;
+                    color: #11998e;
+                }
+            `}</style>
+        </MainLayout>
+    );
+}
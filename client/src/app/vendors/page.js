@@ -0,0 +1,309 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { MainLayout } from '@/components/layout';
+import { Card, Button, LoadingSpinner, MissingRatesWarning } from '@/components/ui';
+import VendorFormModal from '@/components/vendors/VendorFormModal';
+import { vendorsAPI } from '@/lib/api';
+import { VENDOR_TYPE_LABELS, ratingStars } from '@/lib/vendors';
+import AdminOnly from '@/components/auth/AdminOnly';
+import { useProject } from '@/contexts/ProjectContext';
+import { useCurrency } from '@/contexts/CurrencyContext';
+import { useVendors } from '@/contexts/VendorContext';
+import { useToast } from '@/contexts/ToastContext';
+
+export default function VendorsPage() {
+    const { currentProject } = useProject();
+    const { baseCurrency, formatBase } = useCurrency();
+    const { reloadVendors } = useVendors();
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [showForm, setShowForm] = useState(false);
+    const [filterType, setFilterType] = useState('all');
+    const toast = useToast();
+
+    const loadVendors = useCallback(async () => {
+        try {
+            setError(null);
+            setResult(await vendorsAPI.getAll());
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (currentProject?._id) {
+            loadVendors();
+        }
+    }, [currentProject?._id, loadVendors]);
+
+    const handleCreate = async (vendor) => {
+        await vendorsAPI.create(vendor);
+        toast.success(`${vendor.name} added`);
+        await Promise.all([loadVendors(), reloadVendors()]);
+    };
+
+    if (loading) {
+        return (
+            <MainLayout>
+                <div style={{ padding: '60px 0', textAlign: 'center' }}>
+                    <LoadingSpinner size='large' text='Loading vendors...' />
+                </div>
+            </MainLayout>
+        );
+    }
+
+    const vendors = (result?.vendors || []).filter(
+        (vendor) => filterType === 'all' || vendor.type === filterType
+    );
+    const totals = vendors.reduce(
+        (sum, vendor) => ({
+            spent: sum.spent + vendor.stats.spent,
+            committed: sum.committed + vendor.stats.committed,
+            outstanding: sum.outstanding + vendor.stats.outstanding,
+        }),
+        { spent: 0, committed: 0, outstanding: 0 }
+    );
+
+    return (
+        <MainLayout>
+            <div className='vendors-page'>
+                <header className='page-header'>
+                    <div>
+                        <h1>🏪 Vendors</h1>
+                        <p>
+                            Stores, suppliers and contractors, with what was bought from each and
+                            what is still on order, in {baseCurrency}. Choose the vendor of an item,
+                            product option or expense where you edit it.
+                        </p>
+                    </div>
+                    <AdminOnly>
+                        <Button onClick={() => setShowForm(true)} icon='➕'>
+                            Add Vendor
+                        </Button>
+                    </AdminOnly>
+                </header>
+
+                {error && <p className='vendors-error'>Failed to load vendors: {error}</p>}
+
+                {result && (
+                    <>
+                        <MissingRatesWarning currencies={result.missingRates} />
+
+                        <Card>
+                            <div className='vendor-stats'>
+                                <div>
+                                    <span>Spent</span>
+                                    <strong style={{ color: '#11998e' }}>{formatBase(totals.spent)}</strong>
+                                </div>
+                                <div>
+                                    <span>On order</span>
+                                    <strong style={{ color: '#667eea' }}>{formatBase(totals.committed)}</strong>
+                                </div>
+                                <div>
+                                    <span>Outstanding</span>
+                                    <strong style={{ color: totals.outstanding > 0 ? '#ee0979' : '#11998e' }}>
+                                        {formatBase(totals.outstanding)}
+                                    </strong>
+                                </div>
+                            </div>
+                        </Card>
+
+                        <Card>
+                            <div className='vendors-toolbar'>
+                                <label>
+                                    Type
+                                    <select value={filterType} onChange={(e) => setFilterType(e.target.value)}>
+                                        <option value='all'>All</option>
+                                        {result.types.map((type) => (
+                                            <option key={type} value={type}>
+                                                {VENDOR_TYPE_LABELS[type] || type}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </label>
+                            </div>
+
+                            {vendors.length === 0 ? (
+                                <p className='vendors-empty'>No vendors yet.</p>
+                            ) : (
+                                <table className='vendors-table'>
+                                    <thead>
+                                        <tr>
+                                            <th>Vendor</th>
+                                            <th>Type</th>
+                                            <th>RUC</th>
+                                            <th>Rating</th>
+                                            <th>Entries</th>
+                                            <th>Spent</th>
+                                            <th>Open orders</th>
+                                            <th>Outstanding</th>
+                                            <th>Last</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {vendors.map((vendor) => (
+                                            <tr key={vendor._id}>
+                                                <td>
+                                                    <Link href={`/vendors/${vendor._id}`} className='vendor-link'>
+                                                        {vendor.name}
+                                                    </Link>
+                                                </td>
+                                                <td>{VENDOR_TYPE_LABELS[vendor.type] || vendor.type}</td>
+                                                <td>{vendor.ruc || '—'}</td>
+                                                <td className='vendor-rating'>{ratingStars(vendor.rating) || '—'}</td>
+                                                <td>{vendor.stats.count}</td>
+                                                <td>{formatBase(vendor.stats.spent)}</td>
+                                                <td>
+                                                    {vendor.stats.openOrders > 0
+                                                        ? `${vendor.stats.openOrders} · ${formatBase(vendor.stats.committed)}`
+                                                        : '—'}
+                                                </td>
+                                                <td className={vendor.stats.outstanding > 0 ? 'vendor-outstanding' : ''}>
+                                                    {formatBase(vendor.stats.outstanding)}
+                                                </td>
+                                                <td>{vendor.stats.lastDate || '—'}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </Card>
+                    </>
+                )}
+            </div>
+
+            <VendorFormModal isOpen={showForm} onClose={() => setShowForm(false)} onSave={handleCreate} />
+
+            <style jsx>{`
+                .vendors-page {
+                    max-width: 1100px;
+                    margin: 0 auto;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 24px;
+                }
+
+                .page-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: flex-start;
+                    gap: 24px;
+                }
+
+                .page-header h1 {
+                    font-size: 2.5rem;
+                    margin: 0 0 10px;
+                    background: linear-gradient(
+                        135deg,
+                        #667eea 0%,
+                        #764ba2 100%
+                    );
+                    -webkit-background-clip: text;
+                    -webkit-text-fill-color: transparent;
+                    background-clip: text;
+                }
+
+                .page-header p {
+                    font-size: 1.1rem;
+                    color: #666;
+                    margin: 0;
+                }
+
+                .vendors-error {
+                    margin: 0;
+                    color: #ee0979;
+                }
+
+                .vendor-stats {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+                    gap: 24px;
+                }
+
+                .vendor-stats div {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 6px;
+                }
+
+                .vendor-stats span {
+                    font-size: 0.9rem;
+                    color: #666;
+                    text-transform: uppercase;
+                }
+
+                .vendor-stats strong {
+                    font-size: 1.8rem;
+                }
+
+                .vendors-toolbar {
+                    margin-bottom: 16px;
+                }
+
+                .vendors-toolbar label {
+                    display: inline-flex;
+                    align-items: center;
+                    gap: 8px;
+                    font-size: 14px;
+                    font-weight: 500;
+                    color: #374151;
+                }
+
+                .vendors-toolbar select {
+                    padding: 8px 12px;
+                    border: 1px solid #d1d5db;
+                    border-radius: 6px;
+                    font-size: 14px;
+                }
+
+                .vendors-empty {
+                    margin: 0;
+                    color: #666;
+                }
+
+                .vendors-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                }
+
+                .vendors-table th,
+                .vendors-table td {
+                    padding: 10px 8px;
+                    text-align: left;
+                    border-bottom: 1px solid #f0f0f0;
+                }
+
+                .vendors-table th {
+                    font-size: 0.85rem;
+                    color: #666;
+                    text-transform: uppercase;
+                }
+
+                .vendors-table :global(.vendor-link) {
+                    color: #667eea;
+                    font-weight: 600;
+                    text-decoration: none;
+                }
+
+                .vendors-table :global(.vendor-link:hover) {
+                    text-decoration: underline;
+                }
+
+                .vendor-rating {
+                    color: #f5a623;
+                    white-space: nowrap;
+                }
+
+                .vendor-outstanding {
+                    font-weight: 600;
+                    color: #ee0979;
+                }
+            `}</style>
+        </MainLayout>
+    );
+}
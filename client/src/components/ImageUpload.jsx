@@ -8,7 +8,8 @@
 'use client';
 
 import { useState, useRef, useEffect } from 'react';
-import { compressImage, isImageFile, isFileTooLarge } from '@/lib/image';
+import { isImageFile, isFileTooLarge } from '@/lib/image';
+import { mediaAPI } from '@/lib/api';
 import Button from './ui/Button';
 import './ImageUpload.css';
 
@@ -100,19 +101,22 @@ export default function ImageUpload({
       }
 
       try {
-        const base64 = await compressImage(file);
+        // The server stores the image and returns URLs of its medium and thumbnail sizes
+        const { media } = await mediaAPI.upload(file);
         newImages.push({
-          id: Date.now() + Math.random(),
+          id: media._id,
           name: file.name,
-          data: base64,
-          url: base64,
+          mediaId: media._id,
+          url: media.urls.medium,
+          thumbUrl: media.urls.thumb,
+          data: '',
           isMainImage: images.length === 0 && newImages.length === 0, // First image is primary by default
           showImage: images.length === 0 && newImages.length === 0, // Backward compatibility
           size: file.size
         });
       } catch (error) {
-        console.error('Error processing file:', file.name, error);
-        alert(`Failed to process ${file.name}`);
+        console.error('Error uploading file:', file.name, error);
+        alert(`Failed to upload ${file.name}: ${error.message}`);
       }
     }
 
@@ -177,7 +181,7 @@ export default function ImageUpload({
           {uploading ? (
             <div className="upload-message">
               <div className="upload-spinner"></div>
-              <p>Processing images...</p>
+              <p>Uploading images...</p>
             </div>
           ) : (
             <div className="upload-message">
@@ -202,7 +206,7 @@ export default function ImageUpload({
               <div key={image.id} className="image-item">
                 <div className="image-preview">
                   <img
-                    src={image.url || image.data}
+                    src={image.thumbUrl || image.url || image.data}
                     alt={image.name || `Image ${index + 1}`}
                   />
 
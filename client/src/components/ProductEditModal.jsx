@@ -9,8 +9,13 @@
 import { useState, useEffect } from 'react';
 import Modal from './ui/Modal';
 import Button from './ui/Button';
+import MoneyInput from './ui/MoneyInput';
+import CurrencySelect from './ui/CurrencySelect';
+import VendorSelect from './ui/VendorSelect';
 import ImageUpload from './ImageUpload';
 import ProductOptionsManager from './ProductOptionsManager';
+import { formatCurrency, lineTotal } from '@/lib/currency';
+import { useCurrency } from '@/contexts/CurrencyContext';
 import './ProductEditModal.css';
 
 const CATEGORIES = ['Products', 'Materials', 'Services'];
@@ -25,13 +30,17 @@ export default function ProductEditModal({
   onSave,
   availableRooms = []
 }) {
+  const { baseCurrency } = useCurrency();
   const [formData, setFormData] = useState({
     description: '',
     category: 'Products',
     quantity: 1,
     unit: 'unit',
+    currency: baseCurrency,
     budget_price: 0,
     actual_price: 0,
+    priceIncludesTax: true,
+    vendor: null,
     status: 'Planning',
     favorite: false,
     room: '',
@@ -58,8 +67,12 @@ export default function ProductEditModal({
         formattedImages = dataToLoad.images.map((img, index) => ({
           id: img.id || `existing-${index}`,
           name: img.name || `Image ${index + 1}`,
-          data: img.data || img.url || img,
+          // Media store images only have URLs; keep base64 only for legacy images
+          data: img.mediaId ? '' : img.data || img.url || img,
           url: img.url || img.data || img,
+          thumbUrl: img.thumbUrl || '',
+          mediaId: img.mediaId || null,
+          isMainImage: img.isMainImage || false,
           showImage: img.showImage || false,
           size: img.size || 0
         }));
@@ -81,8 +94,11 @@ export default function ProductEditModal({
         category: dataToLoad.category || 'Products',
         quantity: dataToLoad.quantity || 1,
         unit: dataToLoad.unit || 'unit',
+        currency: dataToLoad.currency || baseCurrency,
         budget_price: dataToLoad.budgetRate || dataToLoad.budget_price || 0,
         actual_price: dataToLoad.actualRate || dataToLoad.actual_price || 0,
+        priceIncludesTax: dataToLoad.priceIncludesTax !== false,
+        vendor: dataToLoad.vendor || null,
         status: dataToLoad.status || 'Planning',
         favorite: dataToLoad.favorite || dataToLoad.isFavorite || false,
         room: dataToLoad.room || availableRooms[0]?.slug || '',
@@ -100,8 +116,11 @@ export default function ProductEditModal({
         category: 'Products',
         quantity: 1,
         unit: 'unit',
+        currency: baseCurrency,
         budget_price: 0,
         actual_price: 0,
+        priceIncludesTax: true,
+        vendor: null,
         status: 'Planning',
         favorite: false,
         room: defaultRoom,
@@ -172,9 +191,7 @@ export default function ProductEditModal({
     try {
       const saveData = {
         ...formData,
-        quantity: parseFloat(formData.quantity),
-        budget_price: parseFloat(formData.budget_price),
-        actual_price: parseFloat(formData.actual_price)
+        quantity: parseFloat(formData.quantity)
       };
       console.log('💾 Saving product data:', saveData);
       await onSave(saveData);
@@ -282,18 +299,24 @@ export default function ProductEditModal({
               ))}
             </select>
           </div>
+
+          <div className="form-group">
+            <label htmlFor="currency">Currency</label>
+            <CurrencySelect
+              id="currency"
+              value={formData.currency}
+              onChange={(currency) => handleInputChange('currency', currency)}
+            />
+          </div>
         </div>
 
         <div className="form-row">
           <div className="form-group">
             <label htmlFor="budget_price">Budget Price</label>
-            <input
+            <MoneyInput
               id="budget_price"
-              type="number"
-              min="0"
-              step="0.01"
               value={formData.budget_price}
-              onChange={(e) => handleInputChange('budget_price', e.target.value)}
+              onChange={(cents) => handleInputChange('budget_price', cents)}
               className={errors.budget_price ? 'error' : ''}
             />
             {errors.budget_price && <span className="error-text">{errors.budget_price}</span>}
@@ -301,17 +324,25 @@ export default function ProductEditModal({
 
           <div className="form-group">
             <label htmlFor="actual_price">Actual Price</label>
-            <input
+            <MoneyInput
               id="actual_price"
-              type="number"
-              min="0"
-              step="0.01"
               value={formData.actual_price}
-              onChange={(e) => handleInputChange('actual_price', e.target.value)}
+              onChange={(cents) => handleInputChange('actual_price', cents)}
               className={errors.actual_price ? 'error' : ''}
             />
             {errors.actual_price && <span className="error-text">{errors.actual_price}</span>}
           </div>
+
+          <div className="form-group checkbox-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={formData.priceIncludesTax}
+                onChange={(e) => handleInputChange('priceIncludesTax', e.target.checked)}
+              />
+              <span>Prices include IGV</span>
+            </label>
+          </div>
         </div>
 
         <div className="form-row">
@@ -340,6 +371,17 @@ export default function ProductEditModal({
           </div>
         </div>
 
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="vendor">Vendor</label>
+            <VendorSelect
+              id="vendor"
+              value={formData.vendor}
+              onChange={(vendor) => handleInputChange('vendor', vendor)}
+            />
+          </div>
+        </div>
+
         <div className="form-row">
           <div className="form-group">
             <label htmlFor="notes">Notes</label>
@@ -371,7 +413,7 @@ export default function ProductEditModal({
         </div>
 
         <div className="calculated-fields">
-          <p><strong>Subtotal:</strong> ${(parseFloat(formData.budget_price || 0) * parseFloat(formData.quantity || 0)).toFixed(2)}</p>
+          <p><strong>Subtotal:</strong> {formatCurrency(lineTotal(formData.quantity, formData.budget_price), formData.currency)}</p>
         </div>
       </div>
     </Modal>
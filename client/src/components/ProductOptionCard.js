@@ -1,6 +1,8 @@
 'use client';
 
 import { useState } from 'react';
+import Amount from './ui/Amount';
+import { useVendors } from '@/contexts/VendorContext';
 
 export default function ProductOptionCard({
   option,
@@ -11,6 +13,7 @@ export default function ProductOptionCard({
   disabled = false,
 }) {
   const [imageError, setImageError] = useState({});
+  const { vendorName } = useVendors();
 
   const mainImage = option.images?.find((img) => img.isMainImage) || option.images?.[0];
 
@@ -23,7 +26,7 @@ export default function ProductOptionCard({
       {mainImage && !imageError[mainImage.id] && (
         <div className="option-image">
           <img
-            src={mainImage.data || mainImage.url}
+            src={mainImage.thumbUrl || mainImage.data || mainImage.url}
             alt={option.name}
             onError={() => handleImageError(mainImage.id)}
           />
@@ -33,9 +36,13 @@ export default function ProductOptionCard({
       <div className="option-content">
         <div className="option-header">
           <h4 className="option-name">{option.name || 'Unnamed Option'}</h4>
-          <div className="option-price">S/ {Math.round(option.price || 0)}</div>
+          <div className="option-price"><Amount cents={option.price || 0} currency={option.currency} /></div>
         </div>
 
+        {option.vendor && vendorName(option.vendor) && (
+          <div className="option-vendor">🏪 {vendorName(option.vendor)}</div>
+        )}
+
         {option.url && (
           <div className="option-url">
             <a href={option.url} target="_blank" rel="noopener noreferrer">
@@ -151,6 +158,12 @@ export default function ProductOptionCard({
           margin-left: 12px;
         }
 
+        .option-vendor {
+          margin-bottom: 8px;
+          font-size: 14px;
+          color: #4b5563;
+        }
+
         .option-url {
           margin-bottom: 8px;
         }
@@ -3,6 +3,9 @@
 import { useState } from 'react';
 import ProductOptionCard from './ProductOptionCard';
 import ImageUpload from './ImageUpload';
+import MoneyInput from './ui/MoneyInput';
+import CurrencySelect from './ui/CurrencySelect';
+import VendorSelect from './ui/VendorSelect';
 import {
   createNewOption,
   selectProductOption,
@@ -11,18 +14,19 @@ import {
   deleteOption,
   getOptionCount,
 } from '../utils/productOptions';
+import { DEFAULT_CURRENCY } from '@/lib/currency';
 
 export default function ProductOptionsManager({ item, onChange, disabled = false }) {
   const [activeTab, setActiveTab] = useState('list'); // 'list' or 'edit'
   const [editingOption, setEditingOption] = useState(null);
-  const [formData, setFormData] = useState(createNewOption());
+  const [formData, setFormData] = useState(createNewOption(item.currency, item.priceIncludesTax !== false, item.vendor));
 
   const productOptions = item.productOptions || [];
   const optionCount = getOptionCount(item);
 
   const handleCreateNew = () => {
     setEditingOption(null);
-    setFormData(createNewOption());
+    setFormData(createNewOption(item.currency, item.priceIncludesTax !== false, item.vendor));
     setActiveTab('edit');
   };
 
@@ -66,13 +70,13 @@ export default function ProductOptionsManager({ item, onChange, disabled = false
 
     onChange(updatedItem);
     setActiveTab('list');
-    setFormData(createNewOption());
+    setFormData(createNewOption(item.currency, item.priceIncludesTax !== false, item.vendor));
     setEditingOption(null);
   };
 
   const handleCancel = () => {
     setActiveTab('list');
-    setFormData(createNewOption());
+    setFormData(createNewOption(item.currency, item.priceIncludesTax !== false, item.vendor));
     setEditingOption(null);
   };
 
@@ -152,13 +156,32 @@ export default function ProductOptionsManager({ item, onChange, disabled = false
             </div>
 
             <div className="form-group">
-              <label>Price (S/) *</label>
-              <input
-                type="number"
-                value={formData.price || ''}
-                onChange={(e) => handleFormChange('price', parseInt(e.target.value) || 0)}
-                step="1"
-                min="0"
+              <label>Price *</label>
+              <div className="price-input-group">
+                <MoneyInput
+                  value={formData.price}
+                  onChange={(cents) => handleFormChange('price', cents)}
+                />
+                <CurrencySelect
+                  value={formData.currency || item.currency || DEFAULT_CURRENCY}
+                  onChange={(currency) => handleFormChange('currency', currency)}
+                />
+              </div>
+              <label className="tax-included-label">
+                <input
+                  type="checkbox"
+                  checked={formData.priceIncludesTax !== false}
+                  onChange={(e) => handleFormChange('priceIncludesTax', e.target.checked)}
+                />
+                Price includes IGV
+              </label>
+            </div>
+
+            <div className="form-group">
+              <label>Vendor</label>
+              <VendorSelect
+                value={formData.vendor}
+                onChange={(vendor) => handleFormChange('vendor', vendor)}
               />
             </div>
 
@@ -341,6 +364,27 @@ export default function ProductOptionsManager({ item, onChange, disabled = false
           box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
         }
 
+        .price-input-group {
+          display: flex;
+          gap: 8px;
+        }
+
+        .tax-included-label {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          margin-top: 8px;
+          font-weight: normal;
+        }
+
+        .price-input-group :global(select),
+        .form-group :global(select) {
+          padding: 8px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 14px;
+        }
+
         .form-actions {
           display: flex;
           gap: 12px;
@@ -0,0 +1,224 @@
+/**
+ * Receipts Modal Component
+ *
+ * Attachments of one expense or room item: receipts, invoices and photos,
+ * as images or PDFs. Shows the selected file next to the list of all of them,
+ * and lets editors upload or delete files.
+ *
+ * Usage:
+ * <ReceiptsModal entry={expense} onClose={...} onChange={({ attachments, version }) => ...} />
+ * entry.source is 'expenses' or 'rooms'; version is the new room version for room items
+ */
+
+'use client';
+
+import { useState, useEffect, useRef } from "react";
+import { Modal, Button, LoadingSpinner } from "@/components/ui";
+import { attachmentsAPI } from "@/lib/api";
+import { useProject } from "@/contexts/ProjectContext";
+import { useToast } from "@/contexts/ToastContext";
+import "./ReceiptsModal.css";
+
+const ACCEPT = "image/jpeg,image/png,image/webp,image/gif,image/avif,image/heif,application/pdf";
+
+const isPdf = (attachment) => attachment.contentType === "application/pdf";
+
+// Object URL of an attachment file, loaded with the session token
+// Receipts are not public, so <img> and <iframe> cannot point at the API directly
+// Returns { url, failed }; url is null while loading
+function useAttachmentUrl(entry, attachment, variant) {
+  const [url, setUrl] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (!attachment) return undefined;
+
+    let objectUrl = null;
+    let cancelled = false;
+    attachmentsAPI
+      .file(entry.source, entry._id, attachment._id, variant)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(() => {
+        if (!cancelled) setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+      setUrl(null);
+      setFailed(false);
+    };
+  }, [entry.source, entry._id, attachment?._id, variant]);
+
+  return { url, failed };
+}
+
+// Thumbnail of an image attachment, or an icon for PDFs
+function AttachmentThumb({ entry, attachment }) {
+  const { url } = useAttachmentUrl(entry, isPdf(attachment) ? null : attachment, "thumb");
+
+  return url ? (
+    <img src={url} alt="" />
+  ) : (
+    <span className="receipt-icon">{isPdf(attachment) ? "📄" : "🖼️"}</span>
+  );
+}
+
+// File size as "240 KB" or "1.2 MB"
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+export default function ReceiptsModal({ entry, onClose, onChange }) {
+  const [attachments, setAttachments] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const fileInput = useRef(null);
+  const { canEdit } = useProject();
+  const toast = useToast();
+
+  const saved = Boolean(entry?._id) && !String(entry._id).startsWith("temp_");
+
+  useEffect(() => {
+    if (!entry || !saved) {
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    attachmentsAPI
+      .getAll(entry.source, entry._id)
+      .then((result) => {
+        setAttachments(result.attachments || []);
+        setSelectedId(result.attachments?.[0]?._id || null);
+      })
+      .catch((err) => toast.error(`Failed to load receipts: ${err.message}`))
+      .finally(() => setLoading(false));
+    // Reload only when another entry is opened
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [entry?._id, saved]);
+
+  // Keep the modal and the page row in step with the server's copy
+  const applyResult = (result) => {
+    setAttachments(result.attachments || []);
+    onChange?.({ attachments: result.attachments || [], version: result.version });
+    return result.attachments || [];
+  };
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (files.length === 0) return;
+
+    try {
+      setUploading(true);
+      let latest = attachments;
+      for (const file of files) {
+        latest = applyResult(await attachmentsAPI.upload(entry.source, entry._id, file));
+      }
+      setSelectedId(latest[latest.length - 1]?._id || null);
+      toast.success(files.length === 1 ? "Receipt attached" : `${files.length} receipts attached`);
+    } catch (err) {
+      toast.error(`Failed to upload receipt: ${err.message}`);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  // Open the original file in a new tab (the tab is opened first so popup blockers allow it)
+  const openAttachment = async (attachment) => {
+    const tab = window.open("", "_blank");
+    try {
+      const blob = await attachmentsAPI.file(entry.source, entry._id, attachment._id);
+      if (tab) tab.location.href = URL.createObjectURL(blob);
+    } catch (err) {
+      tab?.close();
+      toast.error(`Failed to open receipt: ${err.message}`);
+    }
+  };
+
+  const deleteAttachment = async (attachment) => {
+    if (!confirm(`Delete ${attachment.filename || "this receipt"}?`)) return;
+
+    try {
+      const remaining = applyResult(await attachmentsAPI.delete(entry.source, entry._id, attachment._id));
+      if (selectedId === attachment._id) {
+        setSelectedId(remaining[0]?._id || null);
+      }
+    } catch (err) {
+      toast.error(`Failed to delete receipt: ${err.message}`);
+    }
+  };
+
+  const selected = attachments.find((attachment) => attachment._id === selectedId) || null;
+  const { url: selectedUrl, failed: selectedFailed } = useAttachmentUrl(entry || {}, selected, "original");
+
+  if (!entry) return null;
+
+  return (
+    <Modal isOpen={!!entry} onClose={onClose} title={`📎 Receipts: ${entry.description || "Untitled"}`} size="large">
+      {!saved ? (
+        <p className="receipts-note">Save this row before attaching receipts.</p>
+      ) : loading ? (
+        <LoadingSpinner text="Loading receipts..." />
+      ) : (
+        <div className="receipts-modal">
+          <div className="receipts-viewer">
+            {!selected ? (
+              <p className="receipts-note">No receipts attached yet. Upload a photo or a PDF of the receipt.</p>
+            ) : selectedFailed ? (
+              <p className="receipts-note">This receipt could not be loaded.</p>
+            ) : !selectedUrl ? (
+              <LoadingSpinner text="Loading receipt..." />
+            ) : isPdf(selected) ? (
+              <iframe src={selectedUrl} title={selected.filename || "Receipt"} />
+            ) : (
+              <a href={selectedUrl} target="_blank" rel="noopener noreferrer" title="Open full size">
+                <img src={selectedUrl} alt={selected.filename || "Receipt"} />
+              </a>
+            )}
+          </div>
+
+          <div className="receipts-sidebar">
+            <ul className="receipts-list">
+              {attachments.map((attachment) => (
+                <li key={attachment._id} className={attachment._id === selectedId ? "selected" : ""}>
+                  <button type="button" className="receipt-select" onClick={() => setSelectedId(attachment._id)}>
+                    <AttachmentThumb entry={entry} attachment={attachment} />
+                    <span className="receipt-name">
+                      {attachment.filename || "Receipt"}
+                      <small>{formatSize(attachment.size)}</small>
+                    </span>
+                  </button>
+                  <button type="button" onClick={() => openAttachment(attachment)} title="Open in a new tab">
+                    ↗️
+                  </button>
+                  {canEdit && (
+                    <button type="button" onClick={() => deleteAttachment(attachment)} title="Delete receipt">
+                      🗑️
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            {canEdit && (
+              <>
+                <input ref={fileInput} type="file" accept={ACCEPT} multiple hidden onChange={handleFiles} />
+                <Button onClick={() => fileInput.current?.click()} disabled={uploading} icon="📤">
+                  {uploading ? "Uploading..." : "Upload Receipt"}
+                </Button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,145 @@
+/**
+ * History Panel Component
+ *
+ * Collapsible list of audit events (who changed what, and the
+ * before/after value of each field) for a room, expenses, etc.
+ *
+ * Usage:
+ * <HistoryPanel title="Room History" filters={{ room: 'cocina' }} refreshKey={roomVersion} />
+ */
+
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { Button, LoadingSpinner } from '@/components/ui';
+import { auditAPI } from '@/lib/api';
+import './HistoryPanel.css';
+
+const ACTION_ICONS = {
+  create: '➕',
+  update: '✏️',
+  delete: '🗑️',
+  restore: '♻️',
+  purge: '🔥',
+};
+
+const ENTITY_LABELS = {
+  room: 'Room',
+  room_item: 'Item',
+  expense: 'Expense',
+  phase: 'Phase',
+  exchange_rate: 'Exchange rate',
+  vendor: 'Vendor',
+  quote: 'Quote',
+  invoice: 'Invoice',
+  funding: 'Funding',
+};
+
+// Show a stored before/after value as short text
+function formatValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '—';
+    return value
+      .map((v) => (typeof v === 'object' ? v.room || JSON.stringify(v) : v))
+      .join(', ');
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  // ISO dates -> local date
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return new Date(value).toLocaleDateString();
+  }
+  return String(value);
+}
+
+export default function HistoryPanel({ title = 'Change History', filters = {}, refreshKey }) {
+  const [open, setOpen] = useState(false);
+  const [events, setEvents] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Serialize filters so a new object with the same values does not reload
+  const filterKey = JSON.stringify(filters);
+
+  const loadEvents = useCallback(async (before = null) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await auditAPI.getEvents({ ...JSON.parse(filterKey), before });
+      setEvents((prev) => (before ? [...prev, ...result.events] : result.events));
+      setNextBefore(result.nextBefore);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filterKey]);
+
+  useEffect(() => {
+    if (open) {
+      loadEvents();
+    }
+  }, [open, loadEvents, refreshKey]);
+
+  return (
+    <div className="history-panel">
+      <button className="history-toggle" onClick={() => setOpen(!open)}>
+        🕘 {title} <span className="history-caret">{open ? '▲' : '▼'}</span>
+      </button>
+
+      {open && (
+        <div className="history-body">
+          {error && <p className="history-error">{error}</p>}
+
+          {!error && events.length === 0 && !loading && (
+            <p className="history-empty">No changes recorded yet</p>
+          )}
+
+          <ul className="history-list">
+            {events.map((event) => (
+              <li key={event._id} className={`history-event history-${event.action}`}>
+                <div className="history-event-header">
+                  <span className="history-icon">{ACTION_ICONS[event.action]}</span>
+                  <span className="history-entity">
+                    {ENTITY_LABELS[event.entityType] || event.entityType}
+                    {event.entityLabel && <strong> {event.entityLabel}</strong>}
+                    {event.room && event.entityType !== 'room' && (
+                      <span className="history-room"> in {event.room}</span>
+                    )}
+                  </span>
+                  <span className="history-meta">
+                    {event.user?.name || 'Unknown user'} ·{' '}
+                    {new Date(event.created_at).toLocaleString()}
+                  </span>
+                </div>
+
+                {event.action === 'update' && event.changes.length > 0 && (
+                  <ul className="history-changes">
+                    {event.changes.map((change) => (
+                      <li key={change.field}>
+                        <span className="history-field">{change.field}</span>
+                        <span className="history-before">{formatValue(change.before)}</span>
+                        <span className="history-arrow">→</span>
+                        <span className="history-after">{formatValue(change.after)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {loading && <LoadingSpinner size="small" />}
+
+          {nextBefore && !loading && (
+            <Button variant="secondary" size="small" onClick={() => loadEvents(nextBefore)}>
+              Load more
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,9 @@
 /**
  * AdminOnly Component
  *
- * Conditionally renders children only if the current user is an admin.
- * Non-admin users will not see the wrapped content.
+ * Conditionally renders children only if the current user can edit
+ * the selected project (global admins, project owners and editors).
+ * Viewers will not see the wrapped content.
  *
  * Usage:
  * <AdminOnly>
@@ -13,20 +14,22 @@
 'use client';
 
 import { useSession } from 'next-auth/react';
+import { useProject } from '@/contexts/ProjectContext';
 
 export default function AdminOnly({ children }) {
-  const { data: session, status } = useSession();
+  const { status } = useSession();
+  const { canEdit } = useProject();
 
   // Do not render anything while loading
   if (status === 'loading') {
     return null;
   }
 
-  // Only render children if user is authenticated AND is an admin
-  if (session?.user?.role === 'admin') {
+  // Only render children if user can edit the selected project
+  if (canEdit) {
     return <>{children}</>;
   }
 
-  // Non-admin users see nothing
+  // Viewers see nothing
   return null;
 }
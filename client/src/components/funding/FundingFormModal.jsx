@@ -0,0 +1,160 @@
+/**
+ * Funding Form Modal Component
+ *
+ * Modal for adding a funding source (savings, a loan disbursement, a family
+ * contribution) or editing it: its amount, the date it arrived or is expected,
+ * and whether it was received yet
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Modal, Button, Input, DatePicker, MoneyInput, CurrencySelect } from '@/components/ui';
+import { FUNDING_TYPES, FUNDING_TYPE_LABELS, FUNDING_STATUSES, FUNDING_STATUS_LABELS } from '@/lib/funding';
+import { useCurrency } from '@/contexts/CurrencyContext';
+import './FundingFormModal.css';
+
+const toDateString = (date) => (date ? new Date(date).toISOString().split('T')[0] : null);
+
+export default function FundingFormModal({ isOpen, onClose, entry = null, onSave }) {
+  const { baseCurrency } = useCurrency();
+  const [formData, setFormData] = useState({});
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setFormData({
+        type: entry?.type || 'savings',
+        description: entry?.description || '',
+        amount: entry?.amount || 0,
+        currency: entry?.currency || baseCurrency,
+        date: entry?.date ? new Date(entry.date) : new Date(),
+        status: entry?.status || 'expected',
+        notes: entry?.notes || '',
+      });
+      setErrors({});
+    }
+  }, [isOpen, entry, baseCurrency]);
+
+  const handleFieldChange = (field, value) => {
+    setFormData((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const validate = () => {
+    const newErrors = {};
+    if (!formData.description.trim()) {
+      newErrors.description = 'Description is required';
+    }
+    if (!(formData.amount > 0)) {
+      newErrors.amount = 'Enter the amount';
+    }
+    if (!formData.date) {
+      newErrors.date = 'Enter the date';
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    if (!validate()) return;
+
+    try {
+      setSaving(true);
+      await onSave({
+        ...formData,
+        description: formData.description.trim(),
+        date: toDateString(formData.date),
+      });
+      onClose();
+    } catch (err) {
+      setErrors({ form: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={entry ? `✏️ Edit ${entry.description}` : '➕ New Funding'}
+      footer={
+        <>
+          <Button variant="secondary" onClick={onClose} disabled={saving}>
+            Cancel
+          </Button>
+          <Button variant="primary" onClick={handleSubmit} disabled={saving} icon="💾">
+            {saving ? 'Saving...' : entry ? 'Save Funding' : 'Add Funding'}
+          </Button>
+        </>
+      }
+    >
+      <form className="funding-form" onSubmit={handleSubmit}>
+        <Input
+          label="Description"
+          name="description"
+          value={formData.description || ''}
+          onChange={(e) => handleFieldChange('description', e.target.value)}
+          placeholder="e.g. BCP préstamo, 1er desembolso"
+          error={errors.description}
+          required
+        />
+
+        <div className="funding-form-row">
+          <label className="funding-form-field">
+            Type
+            <select value={formData.type || 'savings'} onChange={(e) => handleFieldChange('type', e.target.value)}>
+              {FUNDING_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {FUNDING_TYPE_LABELS[type]}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="funding-form-field">
+            Amount
+            <MoneyInput value={formData.amount || 0} onChange={(cents) => handleFieldChange('amount', cents)} />
+            {errors.amount && <span className="funding-form-error">{errors.amount}</span>}
+          </label>
+          <label className="funding-form-field">
+            Currency
+            <CurrencySelect
+              value={formData.currency || baseCurrency}
+              onChange={(value) => handleFieldChange('currency', value)}
+            />
+          </label>
+        </div>
+
+        <div className="funding-form-row">
+          <label className="funding-form-field">
+            Status
+            <select value={formData.status || 'expected'} onChange={(e) => handleFieldChange('status', e.target.value)}>
+              {FUNDING_STATUSES.map((status) => (
+                <option key={status} value={status}>
+                  {FUNDING_STATUS_LABELS[status]}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="funding-form-field">
+            {formData.status === 'received' ? 'Received on' : 'Expected on'}
+            <DatePicker selected={formData.date} onChange={(date) => handleFieldChange('date', date)} isClearable={false} />
+            {errors.date && <span className="funding-form-error">{errors.date}</span>}
+          </label>
+        </div>
+
+        <label className="funding-form-field">
+          Notes
+          <textarea
+            value={formData.notes || ''}
+            onChange={(e) => handleFieldChange('notes', e.target.value)}
+            rows="2"
+          />
+        </label>
+        {errors.form && <p className="funding-form-error">{errors.form}</p>}
+      </form>
+    </Modal>
+  );
+}
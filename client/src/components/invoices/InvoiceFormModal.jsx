@@ -0,0 +1,372 @@
+/**
+ * Invoice Form Modal Component
+ *
+ * Modal for adding an invoice or editing it: receipt, vendor, date and total,
+ * its lines linked to the room items and expenses they paid for, and the
+ * adjustments (IGV, discounts, delivery) that explain the difference. Shows the
+ * reconciliation as the form is filled in.
+ *
+ * Usage:
+ * <InvoiceFormModal isOpen invoice={null} entries={expenseRows} rooms={rooms}
+ *   onClose={...} onSave={async (invoice) => ...} />
+ * entries are rows of /load-expenses (source, roomSlug, rooms, prices, currency)
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Modal, Button, Input, DatePicker, MoneyInput, CurrencySelect, VendorSelect } from '@/components/ui';
+import { formatCurrency, subtotal } from '@/lib/currency';
+import { RECEIPT_TYPES, RECEIPT_LABELS, taxBreakdown } from '@/lib/tax';
+import { ADJUSTMENT_TYPES, ADJUSTMENT_LABELS, adjustmentAmount, isLinked, reconcile } from '@/lib/invoices';
+import { useCurrency } from '@/contexts/CurrencyContext';
+import './InvoiceFormModal.css';
+
+const EMPTY_LINE = { description: '', amount: 0, source: null, entryId: null };
+
+const EMPTY_ADJUSTMENT = { type: 'delivery', description: '', amount: 0 };
+
+const toDateString = (date) => (date ? new Date(date).toISOString().split('T')[0] : null);
+
+const entryKey = (source, entryId) => (source && entryId ? `${source}:${entryId}` : '');
+
+export default function InvoiceFormModal({ isOpen, onClose, invoice = null, entries = [], rooms = [], onSave }) {
+  const { baseCurrency, taxRate } = useCurrency();
+  const [formData, setFormData] = useState({ lines: [], adjustments: [] });
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setFormData({
+        receiptType: invoice?.receiptType || 'factura',
+        number: invoice?.number || '',
+        vendor: invoice?.vendor || null,
+        date: invoice?.date ? new Date(invoice.date) : new Date(),
+        currency: invoice?.currency || baseCurrency,
+        total: invoice?.total || 0,
+        lines: invoice?.lines?.length
+          ? invoice.lines.map(({ description, amount, source, entryId }) => ({ description, amount, source, entryId }))
+          : [EMPTY_LINE],
+        // Discounts are entered as positive amounts and subtracted
+        adjustments: (invoice?.adjustments || []).map((adjustment) => ({
+          ...adjustment,
+          amount: adjustment.type === 'discount' ? Math.abs(adjustment.amount) : adjustment.amount,
+        })),
+        notes: invoice?.notes || '',
+      });
+      setErrors({});
+    }
+  }, [isOpen, invoice, baseCurrency]);
+
+  const roomName = (slug) => rooms.find((room) => room.slug === slug)?.name || slug;
+
+  // What an entry records: quantity × price with IGV, in its own currency
+  const entryGross = (entry) => taxBreakdown(subtotal(entry), taxRate, entry.priceIncludesTax).gross;
+
+  const entriesByKey = new Map(entries.map((entry) => [entryKey(entry.source, entry._id), entry]));
+
+  // Entries that can be linked, by room (only the invoice currency)
+  const entryGroups = [];
+  entries
+    .filter((entry) => entry.currency === formData.currency)
+    .forEach((entry) => {
+      const label = entry.source === 'rooms' ? roomName(entry.roomSlug) : 'Expenses';
+      let group = entryGroups.find((g) => g.label === label);
+      if (!group) {
+        group = { label, entries: [] };
+        entryGroups.push(group);
+      }
+      group.entries.push(entry);
+    });
+
+  const handleFieldChange = (field, value) => {
+    setFormData((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleListChange = (list, index, changes) => {
+    setFormData((prev) => ({
+      ...prev,
+      [list]: prev[list].map((row, i) => (i === index ? { ...row, ...changes } : row)),
+    }));
+  };
+
+  // Linking a line to an entry fills in what is still empty from it
+  const handleLink = (index, key) => {
+    const entry = entriesByKey.get(key);
+    const line = formData.lines[index];
+    handleListChange('lines', index, {
+      source: entry ? entry.source : null,
+      entryId: entry ? entry._id : null,
+      ...(entry && !line.description.trim() ? { description: entry.description } : {}),
+      ...(entry && !line.amount ? { amount: entryGross(entry) } : {}),
+    });
+  };
+
+  const addRow = (list, row) => {
+    setFormData((prev) => ({ ...prev, [list]: [...prev[list], row] }));
+  };
+
+  const removeRow = (list, index) => {
+    setFormData((prev) => ({ ...prev, [list]: prev[list].filter((_, i) => i !== index) }));
+  };
+
+  const adjustments = formData.adjustments.map((adjustment) => ({
+    ...adjustment,
+    amount: adjustmentAmount(adjustment.type, adjustment.amount),
+  }));
+  const linkedAmounts = formData.lines.map((line) => {
+    const entry = isLinked(line) ? entriesByKey.get(entryKey(line.source, line.entryId)) : null;
+    return entry ? entryGross(entry) : null;
+  });
+  const summary = reconcile({ ...formData, adjustments }, linkedAmounts);
+
+  const validate = () => {
+    const newErrors = {};
+    if (!(formData.total > 0)) {
+      newErrors.total = 'Enter the invoice total';
+    }
+    if (formData.lines.length === 0 || formData.lines.some((line) => !line.description.trim())) {
+      newErrors.lines = 'Every line needs a description';
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    if (!validate()) return;
+
+    try {
+      setSaving(true);
+      await onSave({
+        ...formData,
+        number: formData.number.trim(),
+        date: toDateString(formData.date),
+        adjustments,
+      });
+      onClose();
+    } catch (err) {
+      setErrors({ form: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const currency = formData.currency || baseCurrency;
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={invoice ? `✏️ Edit Invoice ${invoice.number}` : '➕ New Invoice'}
+      size="large"
+      footer={
+        <>
+          <Button variant="secondary" onClick={onClose} disabled={saving}>
+            Cancel
+          </Button>
+          <Button variant="primary" onClick={handleSubmit} disabled={saving} icon="💾">
+            {saving ? 'Saving...' : invoice ? 'Save Invoice' : 'Add Invoice'}
+          </Button>
+        </>
+      }
+    >
+      <form className="invoice-form" onSubmit={handleSubmit}>
+        <div className="invoice-form-row">
+          <label className="invoice-form-field">
+            Receipt
+            <select value={formData.receiptType || 'factura'} onChange={(e) => handleFieldChange('receiptType', e.target.value)}>
+              {RECEIPT_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {RECEIPT_LABELS[type]}
+                </option>
+              ))}
+            </select>
+          </label>
+          <Input
+            label="Number"
+            name="number"
+            value={formData.number || ''}
+            onChange={(e) => handleFieldChange('number', e.target.value)}
+            placeholder="e.g. F001-00012345"
+          />
+          <label className="invoice-form-field">
+            Date
+            <DatePicker selected={formData.date} onChange={(date) => handleFieldChange('date', date)} isClearable={false} />
+          </label>
+        </div>
+
+        <div className="invoice-form-row">
+          <label className="invoice-form-field">
+            Vendor
+            <VendorSelect value={formData.vendor} onChange={(vendor) => handleFieldChange('vendor', vendor)} />
+          </label>
+          <label className="invoice-form-field">
+            Currency
+            <CurrencySelect value={currency} onChange={(value) => handleFieldChange('currency', value)} />
+          </label>
+          <label className="invoice-form-field">
+            Total (IGV included)
+            <MoneyInput value={formData.total || 0} onChange={(cents) => handleFieldChange('total', cents)} />
+            {errors.total && <span className="invoice-form-error">{errors.total}</span>}
+          </label>
+        </div>
+
+        <div>
+          <span className="invoice-form-label">Lines</span>
+          <table className="invoice-form-table">
+            <thead>
+              <tr>
+                <th>Description</th>
+                <th>Paid for</th>
+                <th>Amount</th>
+                <th>Recorded</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {formData.lines.map((line, index) => (
+                <tr key={index}>
+                  <td>
+                    <input
+                      type="text"
+                      value={line.description}
+                      onChange={(e) => handleListChange('lines', index, { description: e.target.value })}
+                      placeholder="e.g. Porcelanato 60x60"
+                    />
+                  </td>
+                  <td>
+                    <select value={entryKey(line.source, line.entryId)} onChange={(e) => handleLink(index, e.target.value)}>
+                      <option value="">Not linked</option>
+                      {entryGroups.map((group) => (
+                        <optgroup key={group.label} label={group.label}>
+                          {group.entries.map((entry) => (
+                            <option key={entry._id} value={entryKey(entry.source, entry._id)}>
+                              {entry.description}
+                            </option>
+                          ))}
+                        </optgroup>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <MoneyInput
+                      value={line.amount}
+                      onChange={(cents) => handleListChange('lines', index, { amount: cents })}
+                    />
+                  </td>
+                  <td className={`invoice-form-amount${linkedAmounts[index] !== null && linkedAmounts[index] !== line.amount ? ' mismatch' : ''}`}>
+                    {linkedAmounts[index] !== null ? formatCurrency(linkedAmounts[index], currency) : '—'}
+                  </td>
+                  <td>
+                    <button type="button" onClick={() => removeRow('lines', index)} title="Remove line">
+                      ✕
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td colSpan="2">
+                  <Button variant="secondary" size="small" onClick={() => addRow('lines', EMPTY_LINE)} icon="➕">
+                    Add Line
+                  </Button>
+                </td>
+                <td className="invoice-form-amount">{formatCurrency(summary.linesTotal, currency)}</td>
+                <td className="invoice-form-amount">{formatCurrency(summary.linkedTotal, currency)}</td>
+                <td></td>
+              </tr>
+            </tfoot>
+          </table>
+          {errors.lines && <p className="invoice-form-error">{errors.lines}</p>}
+        </div>
+
+        <div>
+          <span className="invoice-form-label">Adjustments</span>
+          <table className="invoice-form-table">
+            <tbody>
+              {formData.adjustments.map((adjustment, index) => (
+                <tr key={index}>
+                  <td>
+                    <select
+                      value={adjustment.type}
+                      onChange={(e) => handleListChange('adjustments', index, { type: e.target.value })}
+                    >
+                      {ADJUSTMENT_TYPES.map((type) => (
+                        <option key={type} value={type}>
+                          {ADJUSTMENT_LABELS[type]}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      value={adjustment.description}
+                      onChange={(e) => handleListChange('adjustments', index, { description: e.target.value })}
+                      placeholder="e.g. Despacho a domicilio"
+                    />
+                  </td>
+                  <td>
+                    <MoneyInput
+                      value={adjustment.amount}
+                      onChange={(cents) => handleListChange('adjustments', index, { amount: cents })}
+                      min={adjustment.type === 'discount' ? '0' : undefined}
+                      title={adjustment.type === 'discount' ? 'Discounts are subtracted' : 'Negative amounts lower the total'}
+                    />
+                  </td>
+                  <td>
+                    <button type="button" onClick={() => removeRow('adjustments', index)} title="Remove adjustment">
+                      ✕
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="invoice-form-actions">
+            <Button variant="secondary" size="small" onClick={() => addRow('adjustments', EMPTY_ADJUSTMENT)} icon="➕">
+              Add Adjustment
+            </Button>
+            {summary.unexplained !== 0 && (
+              <Button
+                variant="secondary"
+                size="small"
+                onClick={() =>
+                  addRow('adjustments', { type: 'other', description: 'Difference', amount: summary.unexplained })
+                }
+              >
+                Add the remaining {formatCurrency(summary.unexplained, currency)} as an adjustment
+              </Button>
+            )}
+          </div>
+        </div>
+
+        <div className={`invoice-form-summary${summary.reconciled ? ' reconciled' : ''}`}>
+          <span>Total {formatCurrency(summary.total, currency)}</span>
+          <span>Linked entries {formatCurrency(summary.linkedTotal, currency)}</span>
+          <span>Adjustments {formatCurrency(summary.adjustmentsTotal, currency)}</span>
+          <strong>
+            {summary.reconciled
+              ? '✅ Reconciled'
+              : summary.unexplained !== 0
+                ? `Unexplained ${formatCurrency(summary.unexplained, currency)}`
+                : `${summary.unlinked} line(s) not linked`}
+          </strong>
+        </div>
+
+        <label className="invoice-form-field">
+          Notes
+          <textarea
+            value={formData.notes || ''}
+            onChange={(e) => handleFieldChange('notes', e.target.value)}
+            rows="2"
+          />
+        </label>
+        {errors.form && <p className="invoice-form-error">{errors.form}</p>}
+      </form>
+    </Modal>
+  );
+}
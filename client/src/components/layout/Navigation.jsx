@@ -6,14 +6,37 @@
 
 'use client';
 
+import { useState } from 'react';
 import { usePathname } from 'next/navigation';
 import { useSession, signOut } from 'next-auth/react';
 import Link from 'next/link';
+import { useProject } from '@/contexts/ProjectContext';
+import { projectsAPI } from '@/lib/api';
+import ProjectFormModal from '@/components/projects/ProjectFormModal';
 import './Navigation.css';
 
+// Select value for the "New project" option in the project switcher
+const NEW_PROJECT_OPTION = '__new__';
+
 export default function Navigation() {
   const pathname = usePathname();
   const { data: session } = useSession();
+  const { projects, currentProject, switchProject } = useProject();
+  const [showProjectForm, setShowProjectForm] = useState(false);
+  const isAdmin = session?.user?.role === 'admin';
+
+  const handleProjectChange = (e) => {
+    if (e.target.value === NEW_PROJECT_OPTION) {
+      setShowProjectForm(true);
+      return;
+    }
+    switchProject(e.target.value);
+  };
+
+  const handleCreateProject = async (projectData) => {
+    const result = await projectsAPI.create(projectData);
+    switchProject(result.project._id);
+  };
 
   const handleLogout = async () => {
     await signOut({ redirect: true, callbackUrl: '/login' });
@@ -26,6 +49,14 @@ export default function Navigation() {
     { href: '/budget', label: 'Budget', icon: '💰' },
     { href: '/rooms', label: 'Rooms', icon: '🚪' },
     { href: '/expenses', label: 'Expenses', icon: '📊' },
+    { href: '/exchange-rates', label: 'Rates', icon: '💱' },
+    { href: '/tax-report', label: 'Taxes', icon: '🧾' },
+    { href: '/payments', label: 'Due', icon: '💳' },
+    { href: '/vendors', label: 'Vendors', icon: '🏪' },
+    { href: '/quotes', label: 'Quotes', icon: '📑' },
+    { href: '/invoices', label: 'Invoices', icon: '🧮' },
+    { href: '/cashflow', label: 'Cash Flow', icon: '💵' },
+    { href: '/trash', label: 'Trash', icon: '🗑️' },
   ];
 
   return (
@@ -53,6 +84,23 @@ export default function Navigation() {
         </ul>
 
         <div className="nav-actions">
+          {currentProject && (projects.length > 1 || isAdmin) && (
+            <select
+              className="project-switcher"
+              value={currentProject._id}
+              onChange={handleProjectChange}
+              title={`Project role: ${currentProject.role}`}
+            >
+              {projects.map((project) => (
+                <option key={project._id} value={project._id}>
+                  🏗️ {project.name}
+                </option>
+              ))}
+              {isAdmin && (
+                <option value={NEW_PROJECT_OPTION}>➕ New project...</option>
+              )}
+            </select>
+          )}
           {session && (
             <div className="user-info" title={`${session.user.name} (${session.user.role})`}>
               <span className="user-name">{session.user.name}</span>
@@ -69,6 +117,12 @@ export default function Navigation() {
           </button>
         </div>
       </div>
+
+      <ProjectFormModal
+        isOpen={showProjectForm}
+        onClose={() => setShowProjectForm(false)}
+        onSave={handleCreateProject}
+      />
     </nav>
   );
 }
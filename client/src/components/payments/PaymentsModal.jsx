@@ -0,0 +1,352 @@
+/**
+ * Payments Modal Component
+ *
+ * Payments of one expense or room item: what has been paid, the installments
+ * still scheduled, and the outstanding balance. Adding payments makes the
+ * entry's actual price their total (see shared/payments.js).
+ *
+ * Usage:
+ * <PaymentsModal entry={expense} onClose={...} onChange={({ payments, actual_price, version }) => ...} />
+ * entry.source is 'expenses' or 'rooms'; version is the new room version for room items
+ */
+
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { Modal, Button, LoadingSpinner, DatePicker, MoneyInput } from '@/components/ui';
+import { paymentsAPI } from '@/lib/api';
+import { formatCurrency, allocate } from '@/lib/currency';
+import { PAYMENT_METHODS, PAYMENT_METHOD_LABELS } from '@/lib/payments';
+import { useToast } from '@/contexts/ToastContext';
+import './PaymentsModal.css';
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+// Form values for a new payment, or for editing an existing one
+function paymentForm(payment = null) {
+  return {
+    date: payment ? new Date(payment.date) : new Date(),
+    amount: payment?.amount || 0,
+    status: payment?.status || 'paid',
+    method: payment?.method || 'transfer',
+    payer: payment?.payer || '',
+    reference: payment?.reference || '',
+  };
+}
+
+// Same day of the month, `months` later
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+}
+
+export default function PaymentsModal({ entry, onClose, onChange }) {
+  const [payments, setPayments] = useState([]);
+  const [balance, setBalance] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(() => paymentForm());
+  const [editingId, setEditingId] = useState(null);
+  const [plan, setPlan] = useState({ count: 2, firstDate: new Date() });
+  const toast = useToast();
+
+  const currency = entry?.currency;
+  const saved = Boolean(entry?._id) && !String(entry._id).startsWith('temp_');
+
+  // Keep the modal and the page row in step with the server's copy
+  const applyResult = useCallback(
+    (result) => {
+      setPayments(result.payments || []);
+      setBalance(result.balance);
+      onChange?.({
+        payments: result.payments || [],
+        actual_price: result.actual_price,
+        priceIncludesTax: (result.payments || []).length > 0 ? true : entry.priceIncludesTax,
+        version: result.version,
+      });
+    },
+    [entry, onChange]
+  );
+
+  useEffect(() => {
+    if (!entry || !saved) {
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setForm(paymentForm());
+    setEditingId(null);
+    paymentsAPI
+      .getAll(entry.source, entry._id)
+      .then((result) => {
+        setPayments(result.payments || []);
+        setBalance(result.balance);
+      })
+      .catch((err) => toast.error(`Failed to load payments: ${err.message}`))
+      .finally(() => setLoading(false));
+    // Reload only when another entry is opened
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [entry?._id, saved]);
+
+  const handleFormChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.date || !(form.amount > 0)) {
+      toast.error('Enter the date and amount of the payment');
+      return;
+    }
+
+    const payment = { ...form, date: toDateString(form.date) };
+
+    try {
+      setSaving(true);
+      const result = editingId
+        ? await paymentsAPI.update(entry.source, entry._id, editingId, payment)
+        : await paymentsAPI.create(entry.source, entry._id, payment);
+      applyResult(result);
+      setForm(paymentForm());
+      setEditingId(null);
+    } catch (err) {
+      toast.error(`Failed to save payment: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startEdit = (payment) => {
+    setEditingId(payment._id);
+    setForm(paymentForm(payment));
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setForm(paymentForm());
+  };
+
+  // A scheduled installment is paid today
+  const markPaid = async (payment) => {
+    try {
+      const result = await paymentsAPI.update(entry.source, entry._id, payment._id, {
+        status: 'paid',
+        date: toDateString(new Date()),
+      });
+      applyResult(result);
+    } catch (err) {
+      toast.error(`Failed to update payment: ${err.message}`);
+    }
+  };
+
+  const deletePayment = async (payment) => {
+    if (!confirm(`Delete the payment of ${formatCurrency(payment.amount, currency)}?`)) return;
+
+    try {
+      const result = await paymentsAPI.delete(entry.source, entry._id, payment._id);
+      applyResult(result);
+      if (editingId === payment._id) cancelEdit();
+    } catch (err) {
+      toast.error(`Failed to delete payment: ${err.message}`);
+    }
+  };
+
+  // Schedule the outstanding balance as monthly cuotas of (nearly) equal amounts
+  const scheduleInstallments = async () => {
+    const count = parseInt(plan.count, 10);
+    if (!(count > 0) || !plan.firstDate || !(balance?.outstanding > 0)) return;
+
+    const amounts = allocate(balance.outstanding, Array(count).fill(1));
+
+    try {
+      setSaving(true);
+      let result = null;
+      for (let index = 0; index < count; index++) {
+        result = await paymentsAPI.create(entry.source, entry._id, {
+          date: toDateString(addMonths(plan.firstDate, index)),
+          amount: amounts[index],
+          status: 'scheduled',
+          method: 'financing',
+          reference: `Cuota ${index + 1}/${count}`,
+        });
+      }
+      applyResult(result);
+      toast.success(`Scheduled ${count} cuotas`);
+    } catch (err) {
+      toast.error(`Failed to schedule installments: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!entry) return null;
+
+  const today = toDateString(new Date());
+  const sortedPayments = [...payments].sort((a, b) => toDateString(a.date).localeCompare(toDateString(b.date)));
+
+  return (
+    <Modal isOpen={!!entry} onClose={onClose} title={`💳 Payments: ${entry.description || 'Untitled'}`} size="large">
+      {!saved ? (
+        <p className="payments-note">Save this row before recording its payments.</p>
+      ) : loading ? (
+        <LoadingSpinner text="Loading payments..." />
+      ) : (
+        <div className="payments-modal">
+          {balance && (
+            <div className="payments-balance">
+              <div>
+                <span>Total</span>
+                <strong>{formatCurrency(balance.total, currency)}</strong>
+              </div>
+              <div>
+                <span>Paid</span>
+                <strong className="payments-paid">{formatCurrency(balance.paid, currency)}</strong>
+              </div>
+              <div>
+                <span>Outstanding</span>
+                <strong className={balance.outstanding > 0 ? 'payments-outstanding' : ''}>
+                  {formatCurrency(balance.outstanding, currency)}
+                </strong>
+              </div>
+            </div>
+          )}
+
+          {payments.length === 0 ? (
+            <p className="payments-note">
+              No payments yet. Once you add one, the actual price is the total of the payments.
+            </p>
+          ) : (
+            <table className="payments-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Amount</th>
+                  <th>Status</th>
+                  <th>Method</th>
+                  <th>Payer</th>
+                  <th>Reference</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {sortedPayments.map((payment) => {
+                  const date = toDateString(payment.date);
+                  const overdue = payment.status === 'scheduled' && date < today;
+
+                  return (
+                    <tr key={payment._id} className={editingId === payment._id ? 'editing' : ''}>
+                      <td>{date}</td>
+                      <td>{formatCurrency(payment.amount, currency)}</td>
+                      <td>
+                        <span className={`payment-status payment-${overdue ? 'overdue' : payment.status}`}>
+                          {overdue ? 'Overdue' : payment.status === 'scheduled' ? 'Due' : 'Paid'}
+                        </span>
+                      </td>
+                      <td>{PAYMENT_METHOD_LABELS[payment.method] || payment.method}</td>
+                      <td>{payment.payer}</td>
+                      <td>{payment.reference}</td>
+                      <td className="payment-actions">
+                        {payment.status === 'scheduled' && (
+                          <button type="button" onClick={() => markPaid(payment)} title="Mark as paid today">
+                            ✅
+                          </button>
+                        )}
+                        <button type="button" onClick={() => startEdit(payment)} title="Edit payment">
+                          ✏️
+                        </button>
+                        <button type="button" onClick={() => deletePayment(payment)} title="Delete payment">
+                          🗑️
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+
+          <form className="payment-form" onSubmit={handleSubmit}>
+            <h3>{editingId ? 'Edit Payment' : 'Add Payment'}</h3>
+            <label>
+              {form.status === 'scheduled' ? 'Due date' : 'Date paid'}
+              <DatePicker selected={form.date} onChange={(date) => handleFormChange('date', date)} isClearable={false} />
+            </label>
+            <label>
+              Amount ({currency})
+              <MoneyInput value={form.amount} onChange={(cents) => handleFormChange('amount', cents)} />
+            </label>
+            <label>
+              Status
+              <select value={form.status} onChange={(e) => handleFormChange('status', e.target.value)}>
+                <option value="paid">Paid</option>
+                <option value="scheduled">Scheduled (due)</option>
+              </select>
+            </label>
+            <label>
+              Method
+              <select value={form.method} onChange={(e) => handleFormChange('method', e.target.value)}>
+                {PAYMENT_METHODS.map((method) => (
+                  <option key={method} value={method}>
+                    {PAYMENT_METHOD_LABELS[method]}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Payer
+              <input
+                type="text"
+                value={form.payer}
+                onChange={(e) => handleFormChange('payer', e.target.value)}
+                placeholder="Who paid"
+              />
+            </label>
+            <label>
+              Reference
+              <input
+                type="text"
+                value={form.reference}
+                onChange={(e) => handleFormChange('reference', e.target.value)}
+                placeholder="Operation no., cuota 1/6..."
+              />
+            </label>
+            <div className="payment-form-actions">
+              {editingId && (
+                <Button variant="secondary" onClick={cancelEdit} disabled={saving}>
+                  Cancel
+                </Button>
+              )}
+              <Button type="submit" disabled={saving} icon="💾">
+                {saving ? 'Saving...' : editingId ? 'Save Payment' : 'Add Payment'}
+              </Button>
+            </div>
+          </form>
+
+          {balance?.outstanding > 0 && (
+            <div className="payment-plan">
+              <span>Schedule the outstanding {formatCurrency(balance.outstanding, currency)} in</span>
+              <input
+                type="number"
+                min="1"
+                max="60"
+                value={plan.count}
+                onChange={(e) => setPlan((prev) => ({ ...prev, count: e.target.value }))}
+              />
+              <span>monthly cuotas from</span>
+              <DatePicker
+                selected={plan.firstDate}
+                onChange={(date) => setPlan((prev) => ({ ...prev, firstDate: date }))}
+                isClearable={false}
+              />
+              <Button variant="secondary" size="small" onClick={scheduleInstallments} disabled={saving}>
+                Schedule
+              </Button>
+            </div>
+          )}
+        </div>
+      )}
+    </Modal>
+  );
+}
@@ -9,7 +9,9 @@
 import { useState } from 'react';
 import Card from '../ui/Card';
 import Button from '../ui/Button';
-import { formatCurrency } from '@/lib/currency';
+import Amount from '../ui/Amount';
+import { formatCurrency, lineTotal } from '@/lib/currency';
+import { entryDate } from '@/contexts/CurrencyContext';
 import AdminOnly from '../auth/AdminOnly';
 import './ProductCard.css';
 
@@ -65,7 +67,7 @@ export default function ProductCard({ product, onEdit, onQuickSave, onDelete, on
   const budgetPrice = product.budgetRate || product.budget_price || 0;
   const unitPrice = actualPrice > 0 ? actualPrice : budgetPrice;
   const quantity = product.quantity || 0;
-  const total = quantity * unitPrice;
+  const total = lineTotal(quantity, unitPrice);
 
   const handleImageSelect = (index) => {
     setSelectedImageIndex(index);
@@ -152,7 +154,7 @@ export default function ProductCard({ product, onEdit, onQuickSave, onDelete, on
                   className={`thumbnail ${index === selectedImageIndex ? 'active' : ''}`}
                   onClick={() => handleImageSelect(index)}
                 >
-                  <img src={img.url || img.data || img} alt={`Thumbnail ${index + 1}`} />
+                  <img src={img.thumbUrl || img.url || img.data || img} alt={`Thumbnail ${index + 1}`} />
                   <div className="thumbnail-overlay">
                     {(img.isMainImage || img.showImage) && <span className="thumbnail-heart primary">⭐</span>}
                     <AdminOnly>
@@ -232,13 +234,13 @@ export default function ProductCard({ product, onEdit, onQuickSave, onDelete, on
 
           <div className="product-detail-row">
             <span className="detail-label">Unit Price:</span>
-            <span className="detail-value">{formatCurrency(unitPrice)}</span>
+            <span className="detail-value">{formatCurrency(unitPrice, product.currency)}</span>
           </div>
 
           <div className="product-detail-row highlight">
             <span className="detail-label">Total:</span>
             <span className="detail-value total">
-              {formatCurrency(total)}
+              <Amount cents={total} currency={product.currency} date={entryDate(product)} />
             </span>
           </div>
         </div>
@@ -8,7 +8,9 @@
 
 import { useState } from 'react';
 import Modal from '../ui/Modal';
-import { formatCurrency } from '@/lib/currency';
+import Amount from '../ui/Amount';
+import { formatCurrency, lineTotal } from '@/lib/currency';
+import { entryDate } from '@/contexts/CurrencyContext';
 import './ProductDetailsModal.css';
 
 export default function ProductDetailsModal({ isOpen, onClose, product }) {
@@ -51,7 +53,7 @@ export default function ProductDetailsModal({ isOpen, onClose, product }) {
   const budgetPrice = product.budgetRate || product.budget_price || 0;
   const unitPrice = actualPrice > 0 ? actualPrice : budgetPrice;
   const quantity = product.quantity || 0;
-  const total = quantity * unitPrice;
+  const total = lineTotal(quantity, unitPrice);
 
   const isFavorite = product.isFavorite || product.favorite;
   const isCompleted = product.status === 'Completed';
@@ -162,7 +164,7 @@ export default function ProductDetailsModal({ isOpen, onClose, product }) {
                     className={`gallery-thumbnail ${index === selectedImageIndex ? 'active' : ''}`}
                     onClick={() => setSelectedImageIndex(index)}
                   >
-                    <img src={img.url || img.data || img} alt={`View ${index + 1}`} />
+                    <img src={img.thumbUrl || img.url || img.data || img} alt={`View ${index + 1}`} />
                     {(img.isMainImage || img.showImage) && (
                       <span className="primary-badge">⭐</span>
                     )}
@@ -210,11 +212,13 @@ export default function ProductDetailsModal({ isOpen, onClose, product }) {
               </div>
               <div className="info-row">
                 <span className="info-label">Unit Price:</span>
-                <span className="info-value">{formatCurrency(unitPrice)}</span>
+                <span className="info-value">{formatCurrency(unitPrice, product.currency)}</span>
               </div>
               <div className="info-row highlight">
                 <span className="info-label">Total Price:</span>
-                <span className="info-value total">{formatCurrency(total)}</span>
+                <span className="info-value total">
+                  <Amount cents={total} currency={product.currency} date={entryDate(product)} />
+                </span>
               </div>
             </div>
           </div>
@@ -247,7 +251,7 @@ export default function ProductDetailsModal({ isOpen, onClose, product }) {
                     )}
                   </div>
                   {option.price && (
-                    <div className="option-price">{formatCurrency(option.price)}</div>
+                    <div className="option-price"><Amount cents={option.price} currency={option.currency} /></div>
                   )}
                   {option.description && (
                     <div className="option-description">{option.description}</div>
@@ -257,7 +261,7 @@ export default function ProductDetailsModal({ isOpen, onClose, product }) {
                       {option.images.slice(0, 3).map((img, idx) => (
                         <img
                           key={idx}
-                          src={img.url || img.data || img}
+                          src={img.thumbUrl || img.url || img.data || img}
                           alt={`${option.name} - ${idx + 1}`}
                           className="option-image-thumb"
                         />
@@ -0,0 +1,130 @@
+/**
+ * Project Form Modal Component
+ *
+ * Modal for creating a project (a remodel with its own rooms, expenses and timeline)
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Modal, Button, Input, CurrencySelect } from '@/components/ui';
+import { toCents, DEFAULT_CURRENCY } from '@/lib/currency';
+import { DEFAULT_TAX_RATE, isTaxRate } from '@/lib/tax';
+import './ProjectFormModal.css';
+
+const EMPTY_PROJECT = { name: '', description: '', budget: 0, baseCurrency: DEFAULT_CURRENCY, taxRate: DEFAULT_TAX_RATE };
+
+export default function ProjectFormModal({ isOpen, onClose, onSave }) {
+  const [formData, setFormData] = useState(EMPTY_PROJECT);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setFormData(EMPTY_PROJECT);
+      setErrors({});
+    }
+  }, [isOpen]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    if (!formData.name.trim()) {
+      setErrors({ name: 'Project name is required' });
+      return;
+    }
+    if (!isTaxRate(formData.taxRate)) {
+      setErrors({ taxRate: 'Enter a percentage from 0 to 100' });
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await onSave({
+        name: formData.name.trim(),
+        description: formData.description.trim(),
+        budget: toCents(formData.budget),
+        baseCurrency: formData.baseCurrency,
+        taxRate: Number(formData.taxRate),
+      });
+      onClose();
+    } catch (err) {
+      setErrors({ form: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="🏗️ New Project"
+      size="small"
+      footer={
+        <>
+          <Button variant="secondary" onClick={onClose} disabled={saving}>
+            Cancel
+          </Button>
+          <Button variant="primary" onClick={handleSubmit} disabled={saving} icon="💾">
+            {saving ? 'Saving...' : 'Create Project'}
+          </Button>
+        </>
+      }
+    >
+      <form className="project-form" onSubmit={handleSubmit}>
+        <Input
+          label="Name"
+          name="name"
+          value={formData.name}
+          onChange={handleChange}
+          placeholder="e.g. Beach House"
+          error={errors.name}
+          required
+        />
+        <Input
+          label="Description"
+          name="description"
+          value={formData.description}
+          onChange={handleChange}
+        />
+        <div className="input-wrapper">
+          <label htmlFor="baseCurrency" className="input-label">
+            Base currency
+          </label>
+          <CurrencySelect
+            id="baseCurrency"
+            className="input"
+            value={formData.baseCurrency}
+            onChange={(baseCurrency) => setFormData((prev) => ({ ...prev, baseCurrency }))}
+          />
+        </div>
+        <Input
+          label={`Budget (${formData.baseCurrency})`}
+          name="budget"
+          type="number"
+          min="0"
+          step="0.01"
+          value={formData.budget}
+          onChange={handleChange}
+        />
+        <Input
+          label="IGV rate (%)"
+          name="taxRate"
+          type="number"
+          min="0"
+          max="100"
+          step="0.01"
+          value={formData.taxRate}
+          onChange={handleChange}
+          error={errors.taxRate}
+        />
+        {errors.form && <p className="project-form-error">{errors.form}</p>}
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,319 @@
+/**
+ * Quote Form Modal Component
+ *
+ * Modal for adding a contractor quote or editing it: scope, room or timeline
+ * phase, who quoted, line items, validity and payment terms
+ *
+ * Usage:
+ * <QuoteFormModal isOpen quote={null} defaults={{ scope: 'Plumbing' }} rooms={rooms} phases={phases}
+ *   scopes={['Plumbing']} onClose={...} onSave={async (quote) => ...} />
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Modal, Button, Input, DatePicker, MoneyInput, CurrencySelect, VendorSelect } from '@/components/ui';
+import { formatCurrency, lineTotal } from '@/lib/currency';
+import { quoteSubtotal } from '@/lib/quotes';
+import { useCurrency } from '@/contexts/CurrencyContext';
+import './QuoteFormModal.css';
+
+const LINE_CATEGORIES = ['Services', 'Materials', 'Products'];
+
+const EMPTY_LINE = { description: '', category: 'Services', quantity: 1, unit: 'unit', unit_price: 0 };
+
+const toDateString = (date) => (date ? new Date(date).toISOString().split('T')[0] : null);
+
+export default function QuoteFormModal({
+  isOpen,
+  onClose,
+  quote = null,
+  defaults = {},
+  rooms = [],
+  phases = [],
+  scopes = [],
+  onSave,
+}) {
+  const { baseCurrency } = useCurrency();
+  const [formData, setFormData] = useState({ lineItems: [] });
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      const source = quote || defaults;
+      setFormData({
+        scope: source.scope || '',
+        room: source.room || '',
+        phase: source.phase || '',
+        vendor: quote?.vendor || null,
+        contractorName: quote && !quote.vendor ? quote.contractorName : '',
+        currency: quote?.currency || baseCurrency,
+        priceIncludesTax: quote ? quote.priceIncludesTax !== false : true,
+        lineItems: quote?.lineItems?.length ? quote.lineItems : [EMPTY_LINE],
+        validUntil: quote?.validUntil ? new Date(quote.validUntil) : null,
+        paymentTerms: quote?.paymentTerms || '',
+        notes: quote?.notes || '',
+      });
+      setErrors({});
+    }
+    // defaults is a new object on every render of the page
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen, quote, baseCurrency]);
+
+  const handleFieldChange = (field, value) => {
+    setFormData((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleLineChange = (index, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      lineItems: prev.lineItems.map((line, i) => (i === index ? { ...line, [field]: value } : line)),
+    }));
+  };
+
+  const addLine = () => {
+    setFormData((prev) => ({ ...prev, lineItems: [...prev.lineItems, EMPTY_LINE] }));
+  };
+
+  const removeLine = (index) => {
+    setFormData((prev) => ({ ...prev, lineItems: prev.lineItems.filter((_, i) => i !== index) }));
+  };
+
+  const validate = () => {
+    const newErrors = {};
+    if (!formData.scope.trim()) {
+      newErrors.scope = 'Scope is required';
+    }
+    if (!formData.vendor && !formData.contractorName.trim()) {
+      newErrors.contractorName = 'Choose a vendor or enter the contractor name';
+    }
+    if (formData.lineItems.length === 0 || formData.lineItems.some((line) => !line.description.trim())) {
+      newErrors.lineItems = 'Every line item needs a description';
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    if (!validate()) return;
+
+    try {
+      setSaving(true);
+      await onSave({
+        ...formData,
+        scope: formData.scope.trim(),
+        room: formData.room || null,
+        phase: formData.phase || null,
+        contractorName: formData.vendor ? '' : formData.contractorName.trim(),
+        validUntil: toDateString(formData.validUntil),
+      });
+      onClose();
+    } catch (err) {
+      setErrors({ form: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={quote ? `✏️ Edit Quote: ${quote.contractorName}` : '➕ New Quote'}
+      size="large"
+      footer={
+        <>
+          <Button variant="secondary" onClick={onClose} disabled={saving}>
+            Cancel
+          </Button>
+          <Button variant="primary" onClick={handleSubmit} disabled={saving} icon="💾">
+            {saving ? 'Saving...' : quote ? 'Save Quote' : 'Add Quote'}
+          </Button>
+        </>
+      }
+    >
+      <form className="quote-form" onSubmit={handleSubmit}>
+        <div className="quote-form-row">
+          <Input
+            label="Scope"
+            name="scope"
+            value={formData.scope || ''}
+            onChange={(e) => handleFieldChange('scope', e.target.value)}
+            placeholder="e.g. Gasfitería baño"
+            list="quote-scopes"
+            error={errors.scope}
+            required
+          />
+          <datalist id="quote-scopes">
+            {scopes.map((scope) => (
+              <option key={scope} value={scope} />
+            ))}
+          </datalist>
+          <label className="quote-form-field">
+            Room
+            <select value={formData.room || ''} onChange={(e) => handleFieldChange('room', e.target.value)}>
+              <option value="">No room (general)</option>
+              {rooms.map((room) => (
+                <option key={room.slug} value={room.slug}>
+                  {room.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="quote-form-field">
+            Timeline phase
+            <select value={formData.phase || ''} onChange={(e) => handleFieldChange('phase', e.target.value)}>
+              <option value="">No phase</option>
+              {phases.map((phase) => (
+                <option key={phase.id} value={phase.id}>
+                  {phase.title}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="quote-form-row">
+          <label className="quote-form-field">
+            Vendor
+            <VendorSelect value={formData.vendor} onChange={(vendor) => handleFieldChange('vendor', vendor)} />
+          </label>
+          {!formData.vendor && (
+            <Input
+              label="Contractor name"
+              name="contractorName"
+              value={formData.contractorName || ''}
+              onChange={(e) => handleFieldChange('contractorName', e.target.value)}
+              placeholder="Not in the vendor directory"
+              error={errors.contractorName}
+            />
+          )}
+          <label className="quote-form-field">
+            Valid until
+            <DatePicker
+              selected={formData.validUntil}
+              onChange={(date) => handleFieldChange('validUntil', date)}
+              placeholderText="No expiry"
+            />
+          </label>
+        </div>
+
+        <div className="quote-lines">
+          <div className="quote-lines-header">
+            <span className="quote-form-label">Line items</span>
+            <label className="quote-form-inline">
+              Currency
+              <CurrencySelect
+                value={formData.currency || baseCurrency}
+                onChange={(currency) => handleFieldChange('currency', currency)}
+              />
+            </label>
+            <label className="quote-form-inline">
+              <input
+                type="checkbox"
+                checked={formData.priceIncludesTax !== false}
+                onChange={(e) => handleFieldChange('priceIncludesTax', e.target.checked)}
+              />
+              Prices include IGV
+            </label>
+          </div>
+          <table className="quote-lines-table">
+            <thead>
+              <tr>
+                <th>Description</th>
+                <th>Category</th>
+                <th>Qty</th>
+                <th>Unit</th>
+                <th>Unit price</th>
+                <th>Total</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {formData.lineItems.map((line, index) => (
+                <tr key={index}>
+                  <td>
+                    <input
+                      type="text"
+                      value={line.description}
+                      onChange={(e) => handleLineChange(index, 'description', e.target.value)}
+                      placeholder="e.g. Instalación de inodoro"
+                    />
+                  </td>
+                  <td>
+                    <select value={line.category} onChange={(e) => handleLineChange(index, 'category', e.target.value)}>
+                      {LINE_CATEGORIES.map((category) => (
+                        <option key={category} value={category}>
+                          {category}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={line.quantity}
+                      onChange={(e) => handleLineChange(index, 'quantity', e.target.value)}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      value={line.unit}
+                      onChange={(e) => handleLineChange(index, 'unit', e.target.value)}
+                    />
+                  </td>
+                  <td>
+                    <MoneyInput value={line.unit_price} onChange={(cents) => handleLineChange(index, 'unit_price', cents)} />
+                  </td>
+                  <td className="quote-line-total">
+                    {formatCurrency(lineTotal(line.quantity, line.unit_price), formData.currency)}
+                  </td>
+                  <td>
+                    <button type="button" onClick={() => removeLine(index)} title="Remove line">
+                      ✕
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td colSpan="5">
+                  <Button variant="secondary" size="small" onClick={addLine} icon="➕">
+                    Add Line
+                  </Button>
+                </td>
+                <td className="quote-line-total">{formatCurrency(quoteSubtotal(formData), formData.currency)}</td>
+                <td></td>
+              </tr>
+            </tfoot>
+          </table>
+          {errors.lineItems && <p className="quote-form-error">{errors.lineItems}</p>}
+        </div>
+
+        <Input
+          label="Payment terms"
+          name="paymentTerms"
+          value={formData.paymentTerms || ''}
+          onChange={(e) => handleFieldChange('paymentTerms', e.target.value)}
+          placeholder="e.g. 50% adelanto, 50% al terminar"
+        />
+        <label className="quote-form-field">
+          Notes
+          <textarea
+            value={formData.notes || ''}
+            onChange={(e) => handleFieldChange('notes', e.target.value)}
+            rows="2"
+            placeholder="Warranty, duration, what is not included..."
+          />
+        </label>
+        {errors.form && <p className="quote-form-error">{errors.form}</p>}
+      </form>
+    </Modal>
+  );
+}
@@ -1,8 +1,8 @@
 'use client';
 
 import { useState } from 'react';
-import { Card, Button } from '@/components/ui';
-import { formatCurrency } from '@/lib/currency';
+import { Card, Button, MoneyInput } from '@/components/ui';
+import { formatCurrency, lineTotal } from '@/lib/currency';
 import { roomsAPI } from '@/lib/api';
 import './AllExpensesView.css';
 
@@ -40,7 +40,7 @@ export default function AllItemsView({ rooms, onRefresh }) {
       // Recalculate subtotal when quantity or budgetRate changes
       if (['quantity', 'budgetRate'].includes(field)) {
         const item = updatedItems[itemIndex];
-        item.subtotal = (item.quantity || 0) * (item.budgetRate || 0);
+        item.subtotal = lineTotal(item.quantity, item.budgetRate);
       }
 
       newData[roomSlug] = { ...newData[roomSlug], items: updatedItems };
@@ -201,7 +201,7 @@ export default function AllItemsView({ rooms, onRefresh }) {
           const roomBudgetTotal = items.reduce((sum, item) => sum + (item.subtotal || 0), 0);
           const roomActualTotal = items
             .filter(item => item.status === 'Completed')
-            .reduce((sum, item) => sum + ((item.actualRate || item.actual_price || 0) * (item.quantity || 0)), 0);
+            .reduce((sum, item) => sum + lineTotal(item.quantity, item.actualRate || item.actual_price || 0), 0);
 
           return (
             <ItemsRoomSection
@@ -383,13 +383,10 @@ function ItemsRoomSection({
                     </td>
                     <td>
                       {isEditing ? (
-                        <input
-                          type="number"
+                        <MoneyInput
                           value={item.budgetRate || item.budget_price || 0}
-                          onChange={(e) => onItemChange(index, 'budgetRate', parseFloat(e.target.value) || 0)}
+                          onChange={(cents) => onItemChange(index, 'budgetRate', cents)}
                           className="expense-input"
-                          min="0"
-                          step="0.01"
                         />
                       ) : (
                         formatCurrency(item.budgetRate || item.budget_price || 0)
@@ -397,13 +394,10 @@ function ItemsRoomSection({
                     </td>
                     <td>
                       {isEditing ? (
-                        <input
-                          type="number"
+                        <MoneyInput
                           value={item.actualRate || item.actual_price || 0}
-                          onChange={(e) => onItemChange(index, 'actualRate', parseFloat(e.target.value) || 0)}
+                          onChange={(cents) => onItemChange(index, 'actualRate', cents)}
                           className="expense-input"
-                          min="0"
-                          step="0.01"
                         />
                       ) : (
                         formatCurrency(item.actualRate || item.actual_price || 0)
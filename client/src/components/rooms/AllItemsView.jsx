@@ -1,12 +1,16 @@
 'use client';
 
 import { useState } from 'react';
-import { Card, Button } from '@/components/ui';
-import { formatCurrency } from '@/lib/currency';
-import { roomsAPI } from '@/lib/api';
+import { Card, Button, MoneyInput, Amount } from '@/components/ui';
+import { formatCurrency, subtotal as calculateSubtotal } from '@/lib/currency';
+import { useCurrency, entryDate } from '@/contexts/CurrencyContext';
+import { isConflictError } from '@/lib/api';
+import { setItemField, saveRoomItemChanges } from '@/utils/roomItems';
+import { confirmApplyOnLatest } from '@/utils/conflicts';
 import './AllExpensesView.css';
 
 export default function AllItemsView({ rooms, onRefresh }) {
+  const { subtotalToBase, formatBase } = useCurrency();
   const [expandedRooms, setExpandedRooms] = useState(new Set(rooms.map(r => r.slug)));
   const [editingItems, setEditingItems] = useState({}); // { roomSlug: { itemIndex: true } }
   const [roomsData, setRoomsData] = useState(
@@ -20,18 +24,9 @@ export default function AllItemsView({ rooms, onRefresh }) {
     }, {})
   );
   const [modifiedRooms, setModifiedRooms] = useState(new Set()); // Track which rooms have changes
+  const [deletedItemIds, setDeletedItemIds] = useState({}); // { roomSlug: [itemId] }
   const [saving, setSaving] = useState(false);
 
-  // Calculate subtotal: use actual_price if set, otherwise budget_price
-  const calculateSubtotal = (item) => {
-    const quantity = parseFloat(item.quantity) || 0;
-    const actualPrice = parseFloat(item.actual_price) || 0;
-    const budgetPrice = parseFloat(item.budget_price) || 0;
-    // Use actual price if it's set and non-zero, otherwise use budget price
-    const price = actualPrice > 0 ? actualPrice : budgetPrice;
-    return quantity * price;
-  };
-
   const toggleRoom = (roomSlug) => {
     const newExpanded = new Set(expandedRooms);
     if (newExpanded.has(roomSlug)) {
@@ -46,7 +41,7 @@ export default function AllItemsView({ rooms, onRefresh }) {
     setRoomsData(prev => {
       const newData = { ...prev };
       const updatedItems = [...newData[roomSlug].items];
-      updatedItems[itemIndex][field] = value;
+      updatedItems[itemIndex] = setItemField(updatedItems[itemIndex], field, value);
       newData[roomSlug] = { ...newData[roomSlug], items: updatedItems };
       return newData;
     });
@@ -59,7 +54,11 @@ export default function AllItemsView({ rooms, onRefresh }) {
     setRoomsData(prev => {
       const newData = { ...prev };
       const updatedItems = [...newData[roomSlug].items];
-      updatedItems[itemIndex].favorite = !updatedItems[itemIndex].favorite;
+      updatedItems[itemIndex] = setItemField(
+        updatedItems[itemIndex],
+        'favorite',
+        !updatedItems[itemIndex].favorite
+      );
       newData[roomSlug] = { ...newData[roomSlug], items: updatedItems };
       return newData;
     });
@@ -69,6 +68,14 @@ export default function AllItemsView({ rooms, onRefresh }) {
   };
 
   const deleteItem = async (roomSlug, itemIndex) => {
+    const deletedItem = roomsData[roomSlug].items[itemIndex];
+    if (deletedItem?._id) {
+      setDeletedItemIds(prev => ({
+        ...prev,
+        [roomSlug]: [...(prev[roomSlug] || []), deletedItem._id]
+      }));
+    }
+
     setRoomsData(prev => {
       const newData = { ...prev };
       const updatedItems = newData[roomSlug].items.filter((_, i) => i !== itemIndex);
@@ -134,28 +141,32 @@ export default function AllItemsView({ rooms, onRefresh }) {
     try {
       setSaving(true);
       
-      // Save each modified room
-      const savePromises = Array.from(modifiedRooms).map(async (roomSlug) => {
-        // Items already use budget_price and actual_price - no mapping needed
-        const roomDataToSave = {
-          items: roomsData[roomSlug].items,
-          budget: roomsData[roomSlug].budget
-        };
-        
-        const roomData = {
-          name: rooms.find(r => r.slug === roomSlug)?.name,
-          budget: roomsData[roomSlug].budget,
-          items: roomsData[roomSlug].items,
-        };
-        
-        return roomsAPI.save(roomSlug, roomData);
-      });
-      
-      await Promise.all(savePromises);
-      
+      // Send only new, changed and deleted items of each modified room
+      for (const roomSlug of modifiedRooms) {
+        const room = rooms.find(r => r.slug === roomSlug);
+        const saveChanges = (version) =>
+          saveRoomItemChanges(
+            roomSlug,
+            roomsData[roomSlug].items,
+            deletedItemIds[roomSlug] || [],
+            version
+          );
+
+        try {
+          await saveChanges(room?.version);
+        } catch (error) {
+          if (!isConflictError(error)) throw error;
+          // Someone else saved this room - re-apply our field changes or skip it
+          if (confirmApplyOnLatest(room?.name || 'this room')) {
+            await saveChanges(error.data.version);
+          }
+        }
+      }
+
       // Clear all editing states and modified rooms
       setEditingItems({});
       setModifiedRooms(new Set());
+      setDeletedItemIds({});
       
       // Refresh data
       if (onRefresh) {
@@ -169,10 +180,10 @@ export default function AllItemsView({ rooms, onRefresh }) {
     }
   };
 
-  // Calculate totals
+  // Calculate totals in the base currency (items in a currency without rates count as 0)
   const totalItems = Object.values(roomsData).reduce((sum, room) => sum + room.items.length, 0);
   const totalBudget = Object.values(roomsData).reduce((sum, room) => {
-    const roomTotal = room.items.reduce((s, item) => s + calculateSubtotal(item), 0);
+    const roomTotal = room.items.reduce((s, item) => s + (subtotalToBase(item) || 0), 0);
     return sum + roomTotal;
   }, 0);
 
@@ -182,7 +193,7 @@ export default function AllItemsView({ rooms, onRefresh }) {
         <div>
           <h2>📋 All Items</h2>
           <p className="total-summary">
-            Total Budget: <strong>{formatCurrency(totalBudget)}</strong> ({totalItems} items)
+            Total Budget: <strong>{formatBase(totalBudget)}</strong> ({totalItems} items)
             {modifiedRooms.size > 0 && (
               <span style={{ marginLeft: '15px', color: '#f5576c' }}>
                 • {modifiedRooms.size} room(s) modified
@@ -220,16 +231,10 @@ export default function AllItemsView({ rooms, onRefresh }) {
       <div className="expenses-accordion">
         {rooms.map((room) => {
           const items = roomsData[room.slug]?.items || [];
-          const roomBudgetTotal = items.reduce((sum, item) => sum + calculateSubtotal(item), 0);
+          const roomBudgetTotal = items.reduce((sum, item) => sum + (subtotalToBase(item) || 0), 0);
           const roomActualTotal = items
             .filter(item => item.status === 'Completed')
-            .reduce((sum, item) => {
-              const quantity = parseFloat(item.quantity) || 0;
-              const actualPrice = parseFloat(item.actual_price) || 0;
-              const budgetPrice = parseFloat(item.budget_price) || 0;
-              const price = actualPrice > 0 ? actualPrice : budgetPrice;
-              return sum + (quantity * price);
-            }, 0);
+            .reduce((sum, item) => sum + (subtotalToBase(item) || 0), 0);
 
           return (
             <ItemsRoomSection
@@ -247,7 +252,6 @@ export default function AllItemsView({ rooms, onRefresh }) {
               onAddItem={() => addItem(room.slug)}
               onToggleEdit={(itemIndex) => toggleEdit(room.slug, itemIndex)}
               editingItems={editingItems[room.slug] || {}}
-              calculateSubtotal={calculateSubtotal}
             />
           );
         })}
@@ -269,9 +273,9 @@ function ItemsRoomSection({
   onDeleteItem,
   onAddItem,
   onToggleEdit,
-  editingItems,
-  calculateSubtotal
+  editingItems
 }) {
+  const { formatBase } = useCurrency();
   const completedItems = items.filter(i => i.status === 'Completed').length;
   
   return (
@@ -288,8 +292,8 @@ function ItemsRoomSection({
           </span>
         </div>
         <div className="room-total">
-          <div style={{ fontSize: '14px', opacity: 0.8 }}>Budget: {formatCurrency(budgetTotal)}</div>
-          <div>Spent: {formatCurrency(actualTotal)}</div>
+          <div style={{ fontSize: '14px', opacity: 0.8 }}>Budget: {formatBase(budgetTotal)}</div>
+          <div>Spent: {formatBase(actualTotal)}</div>
         </div>
       </div>
 
@@ -401,33 +405,31 @@ function ItemsRoomSection({
                     </td>
                     <td>
                       {isEditing ? (
-                        <input
-                          type="number"
-                          value={item.budget_price || 0}
-                          onChange={(e) => onItemChange(index, 'budget_price', parseFloat(e.target.value) || 0)}
+                        <MoneyInput
+                          value={item.budget_price}
+                          onChange={(cents) => onItemChange(index, 'budget_price', cents)}
                           className="expense-input"
-                          min="0"
-                          step="0.01"
                         />
                       ) : (
-                        formatCurrency(item.budget_price || 0)
+                        formatCurrency(item.budget_price || 0, item.currency)
                       )}
                     </td>
                     <td>
                       {isEditing ? (
-                        <input
-                          type="number"
-                          value={item.actual_price || 0}
-                          onChange={(e) => onItemChange(index, 'actual_price', parseFloat(e.target.value) || 0)}
+                        <MoneyInput
+                          value={item.actual_price}
+                          onChange={(cents) => onItemChange(index, 'actual_price', cents)}
                           className="expense-input"
-                          min="0"
-                          step="0.01"
                         />
                       ) : (
-                        formatCurrency(item.actual_price || 0)
+                        formatCurrency(item.actual_price || 0, item.currency)
                       )}
                     </td>
-                    <td><strong>{formatCurrency(calculateSubtotal(item))}</strong></td>
+                    <td>
+                      <strong>
+                        <Amount cents={calculateSubtotal(item)} currency={item.currency} date={entryDate(item)} />
+                      </strong>
+                    </td>
                     <td>
                       {isEditing ? (
                         <select
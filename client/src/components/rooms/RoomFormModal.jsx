@@ -0,0 +1,122 @@
+/**
+ * Room Form Modal Component
+ *
+ * Modal for creating a room or editing its name, slug and budget
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Modal, Button, Input } from '@/components/ui';
+import { toCents, toInputValue } from '@/lib/currency';
+import './RoomFormModal.css';
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+export default function RoomFormModal({ isOpen, onClose, room = null, onSave }) {
+  const [formData, setFormData] = useState({ name: '', slug: '', budget: 0 });
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setFormData({
+        name: room?.name || '',
+        slug: room?.slug || '',
+        budget: toInputValue(room?.budget || 0), // Soles while editing
+      });
+      setErrors({});
+    }
+  }, [isOpen, room]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const validate = () => {
+    const newErrors = {};
+    if (!formData.name.trim()) {
+      newErrors.name = 'Room name is required';
+    }
+    if (formData.slug && !SLUG_PATTERN.test(formData.slug)) {
+      newErrors.slug = 'Use lowercase letters, numbers, dashes and underscores';
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    if (!validate()) return;
+
+    try {
+      setSaving(true);
+      await onSave({
+        name: formData.name.trim(),
+        // Blank slug on create lets the server generate one from the name
+        slug: formData.slug || undefined,
+        budget: toCents(formData.budget),
+      });
+      onClose();
+    } catch (err) {
+      setErrors({ form: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={room ? `✏️ Edit ${room.name}` : '➕ New Room'}
+      size="small"
+      footer={
+        <>
+          <Button variant="secondary" onClick={onClose} disabled={saving}>
+            Cancel
+          </Button>
+          <Button variant="primary" onClick={handleSubmit} disabled={saving} icon="💾">
+            {saving ? 'Saving...' : room ? 'Save Room' : 'Create Room'}
+          </Button>
+        </>
+      }
+    >
+      <form className="room-form" onSubmit={handleSubmit}>
+        <Input
+          label="Name"
+          name="name"
+          value={formData.name}
+          onChange={handleChange}
+          placeholder="e.g. Terraza"
+          error={errors.name}
+          required
+        />
+        <Input
+          label="Slug"
+          name="slug"
+          value={formData.slug}
+          onChange={handleChange}
+          placeholder={room ? '' : 'Leave blank to generate from name'}
+          error={errors.slug}
+        />
+        {room && formData.slug !== room.slug && (
+          <p className="room-form-hint">
+            Changing the slug changes the room URL. Expenses and timeline phases are updated automatically.
+          </p>
+        )}
+        <Input
+          label="Budget (S/)"
+          name="budget"
+          type="number"
+          min="0"
+          step="0.01"
+          value={formData.budget}
+          onChange={handleChange}
+        />
+        {errors.form && <p className="room-form-error">{errors.form}</p>}
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,37 @@
+/**
+ * Amount Component
+ *
+ * Shows an amount in the currency it was entered in and, when that is not the
+ * project base currency, the converted amount next to it (or a warning when
+ * the currency has no exchange rate yet)
+ */
+
+'use client';
+
+import { formatCurrency } from '@/lib/currency';
+import { useCurrency } from '@/contexts/CurrencyContext';
+import './Amount.css';
+
+export default function Amount({ cents, currency, date, className = '' }) {
+  const { baseCurrency, toBase } = useCurrency();
+  const original = formatCurrency(cents, currency || baseCurrency);
+
+  if (!currency || currency === baseCurrency) {
+    return <span className={className}>{original}</span>;
+  }
+
+  const converted = toBase(cents, currency, date);
+
+  return (
+    <span className={`amount ${className}`}>
+      <span>{original}</span>
+      {converted === null ? (
+        <span className="amount-converted amount-missing-rate" title={`No exchange rate for ${currency}`}>
+          ⚠️ no rate
+        </span>
+      ) : (
+        <span className="amount-converted">≈ {formatCurrency(converted, baseCurrency)}</span>
+      )}
+    </span>
+  );
+}
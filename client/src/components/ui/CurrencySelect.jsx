@@ -0,0 +1,19 @@
+/**
+ * CurrencySelect Component
+ *
+ * Select of the supported currencies (see shared/money.js)
+ */
+
+import { CURRENCY_CODES } from '@/lib/currency';
+
+export default function CurrencySelect({ value, onChange, ...props }) {
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} {...props}>
+      {CURRENCY_CODES.map((code) => (
+        <option key={code} value={code}>
+          {code}
+        </option>
+      ))}
+    </select>
+  );
+}
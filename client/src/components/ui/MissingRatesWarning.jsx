@@ -0,0 +1,20 @@
+/**
+ * MissingRatesWarning Component
+ *
+ * Warns that totals leave out amounts in currencies without an exchange rate
+ * (the API counts them as 0 and lists them in missingRates)
+ */
+
+import Link from 'next/link';
+import './Amount.css';
+
+export default function MissingRatesWarning({ currencies }) {
+  if (!currencies || currencies.length === 0) return null;
+
+  return (
+    <div className="missing-rates-warning">
+      ⚠️ No exchange rate for {currencies.join(', ')}: amounts in {currencies.length > 1 ? 'these currencies' : 'this currency'} are
+      left out of the totals. Add rates on the <Link href="/exchange-rates">exchange rates</Link> page.
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+/**
+ * MoneyInput Component
+ *
+ * Number input for an amount in céntimos: shows and accepts soles,
+ * and calls onChange with the amount in céntimos
+ */
+
+import { useState } from 'react';
+import { toCents, toInputValue } from '@/lib/currency';
+
+export default function MoneyInput({ value, onChange, onBlur, ...props }) {
+  // Text being typed, so "12." or "12.5" are not reformatted mid-edit
+  const [draft, setDraft] = useState(null);
+
+  return (
+    <input
+      type="number"
+      min="0"
+      step="0.01"
+      value={draft ?? toInputValue(value)}
+      onChange={(e) => {
+        setDraft(e.target.value);
+        onChange(toCents(e.target.value));
+      }}
+      onBlur={(e) => {
+        setDraft(null);
+        onBlur?.(e);
+      }}
+      {...props}
+    />
+  );
+}
@@ -0,0 +1,25 @@
+/**
+ * VendorSelect Component
+ *
+ * Select of the project's vendors (see contexts/VendorContext.jsx)
+ * value and onChange use the vendor id, null for no vendor
+ */
+
+'use client';
+
+import { useVendors } from '@/contexts/VendorContext';
+
+export default function VendorSelect({ value, onChange, ...props }) {
+  const { vendors } = useVendors();
+
+  return (
+    <select value={value || ''} onChange={(e) => onChange(e.target.value || null)} {...props}>
+      <option value="">No vendor</option>
+      {vendors.map((vendor) => (
+        <option key={vendor._id} value={vendor._id}>
+          {vendor.name}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -12,3 +12,8 @@ export { default as LoadingSpinner } from './LoadingSpinner';
 export { default as Toast, ToastContainer } from './Toast';
 export { default as ConfirmDialog } from './ConfirmDialog';
 export { default as DatePicker } from './DatePicker';
+export { default as MoneyInput } from './MoneyInput';
+export { default as Amount } from './Amount';
+export { default as CurrencySelect } from './CurrencySelect';
+export { default as MissingRatesWarning } from './MissingRatesWarning';
+export { default as VendorSelect } from './VendorSelect';
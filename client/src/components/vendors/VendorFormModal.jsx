@@ -0,0 +1,212 @@
+/**
+ * Vendor Form Modal Component
+ *
+ * Modal for adding a vendor or editing its details and contacts
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Modal, Button, Input } from '@/components/ui';
+import { VENDOR_TYPES, VENDOR_TYPE_LABELS, RUC_PATTERN } from '@/lib/vendors';
+import './VendorFormModal.css';
+
+const EMPTY_CONTACT = { name: '', role: '', phone: '', email: '' };
+
+export default function VendorFormModal({ isOpen, onClose, vendor = null, onSave }) {
+  const [formData, setFormData] = useState({});
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setFormData({
+        name: vendor?.name || '',
+        type: vendor?.type || 'store',
+        ruc: vendor?.ruc || '',
+        address: vendor?.address || '',
+        rating: vendor?.rating || '',
+        notes: vendor?.notes || '',
+        contacts: vendor?.contacts?.length ? vendor.contacts : [EMPTY_CONTACT],
+      });
+      setErrors({});
+    }
+  }, [isOpen, vendor]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleContactChange = (index, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      contacts: prev.contacts.map((contact, i) => (i === index ? { ...contact, [field]: value } : contact)),
+    }));
+  };
+
+  const addContact = () => {
+    setFormData((prev) => ({ ...prev, contacts: [...prev.contacts, EMPTY_CONTACT] }));
+  };
+
+  const removeContact = (index) => {
+    setFormData((prev) => ({ ...prev, contacts: prev.contacts.filter((_, i) => i !== index) }));
+  };
+
+  const validate = () => {
+    const newErrors = {};
+    if (!formData.name.trim()) {
+      newErrors.name = 'Vendor name is required';
+    }
+    if (formData.ruc.trim() && !RUC_PATTERN.test(formData.ruc.trim())) {
+      newErrors.ruc = 'RUC has 11 digits and starts with 10, 15, 17 or 20';
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    if (!validate()) return;
+
+    try {
+      setSaving(true);
+      await onSave({
+        name: formData.name.trim(),
+        type: formData.type,
+        ruc: formData.ruc.trim(),
+        address: formData.address.trim(),
+        rating: formData.rating ? Number(formData.rating) : null,
+        notes: formData.notes,
+        // Blank contact rows are dropped by the server
+        contacts: formData.contacts,
+      });
+      onClose();
+    } catch (err) {
+      setErrors({ form: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={vendor ? `✏️ Edit ${vendor.name}` : '➕ New Vendor'}
+      size="large"
+      footer={
+        <>
+          <Button variant="secondary" onClick={onClose} disabled={saving}>
+            Cancel
+          </Button>
+          <Button variant="primary" onClick={handleSubmit} disabled={saving} icon="💾">
+            {saving ? 'Saving...' : vendor ? 'Save Vendor' : 'Add Vendor'}
+          </Button>
+        </>
+      }
+    >
+      <form className="vendor-form" onSubmit={handleSubmit}>
+        <div className="vendor-form-row">
+          <Input
+            label="Name"
+            name="name"
+            value={formData.name || ''}
+            onChange={handleChange}
+            placeholder="e.g. Sodimac Javier Prado"
+            error={errors.name}
+            required
+          />
+          <label className="vendor-form-field">
+            Type
+            <select name="type" value={formData.type || 'store'} onChange={handleChange}>
+              {VENDOR_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {VENDOR_TYPE_LABELS[type]}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <div className="vendor-form-row">
+          <Input
+            label="RUC"
+            name="ruc"
+            value={formData.ruc || ''}
+            onChange={handleChange}
+            placeholder="20123456789"
+            error={errors.ruc}
+          />
+          <label className="vendor-form-field">
+            Rating
+            <select name="rating" value={formData.rating || ''} onChange={handleChange}>
+              <option value="">Not rated</option>
+              {[5, 4, 3, 2, 1].map((stars) => (
+                <option key={stars} value={stars}>
+                  {'★'.repeat(stars)}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <Input
+          label="Address"
+          name="address"
+          value={formData.address || ''}
+          onChange={handleChange}
+          placeholder="Street, district"
+        />
+
+        <div className="vendor-contacts">
+          <span className="vendor-form-label">Contacts</span>
+          {(formData.contacts || []).map((contact, index) => (
+            <div key={index} className="vendor-contact-row">
+              <input
+                type="text"
+                value={contact.name}
+                onChange={(e) => handleContactChange(index, 'name', e.target.value)}
+                placeholder="Name"
+              />
+              <input
+                type="text"
+                value={contact.role}
+                onChange={(e) => handleContactChange(index, 'role', e.target.value)}
+                placeholder="Role (sales, installer...)"
+              />
+              <input
+                type="tel"
+                value={contact.phone}
+                onChange={(e) => handleContactChange(index, 'phone', e.target.value)}
+                placeholder="Phone"
+              />
+              <input
+                type="email"
+                value={contact.email}
+                onChange={(e) => handleContactChange(index, 'email', e.target.value)}
+                placeholder="Email"
+              />
+              <button type="button" onClick={() => removeContact(index)} title="Remove contact">
+                ✕
+              </button>
+            </div>
+          ))}
+          <Button variant="secondary" size="small" onClick={addContact} icon="➕">
+            Add Contact
+          </Button>
+        </div>
+
+        <label className="vendor-form-field">
+          Notes
+          <textarea
+            name="notes"
+            value={formData.notes || ''}
+            onChange={handleChange}
+            rows="3"
+            placeholder="Delivery times, warranty, payment terms..."
+          />
+        </label>
+        {errors.form && <p className="vendor-form-error">{errors.form}</p>}
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,89 @@
+/**
+ * Currency Context
+ *
+ * Base currency and exchange rates of the selected project, to show amounts
+ * entered in other currencies converted into the base currency.
+ * Rates are entered on the exchange rates page (see shared/money.js for how they apply).
+ * Subtotals include IGV at the project tax rate, as the API totals do (see shared/tax.js).
+ */
+
+'use client';
+
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { exchangeRatesAPI } from '@/lib/api';
+import { DEFAULT_CURRENCY, exchangeRate, convert, subtotal, formatCurrency } from '@/lib/currency';
+import { DEFAULT_TAX_RATE, taxBreakdown } from '@/lib/tax';
+import { useProject } from './ProjectContext';
+
+const CurrencyContext = createContext(null);
+
+// Date an item or expense is converted at
+export function entryDate(entry) {
+  return entry.completedDate || entry.date || entry.createdDate || null;
+}
+
+export function CurrencyProvider({ children }) {
+  const { currentProject } = useProject();
+  const projectId = currentProject?._id;
+  const baseCurrency = currentProject?.baseCurrency || DEFAULT_CURRENCY;
+  const taxRate = currentProject?.taxRate ?? DEFAULT_TAX_RATE;
+  const [rates, setRates] = useState([]);
+
+  const loadRates = useCallback(async () => {
+    try {
+      const result = await exchangeRatesAPI.getAll();
+      setRates(result.rates || []);
+    } catch (error) {
+      console.error('Failed to load exchange rates:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (projectId) {
+      loadRates();
+    }
+  }, [projectId, loadRates]);
+
+  // Cents of a currency in the base currency on a date; null when the currency has no rates
+  const toBase = useCallback(
+    (cents, currency, date) => convert(cents, exchangeRate(rates, currency, date, baseCurrency)),
+    [rates, baseCurrency]
+  );
+
+  // Subtotal of an item or expense in the base currency including IGV, at the rate of its date
+  // (completed, expense or created date, as the API ledger does); null without a rate
+  const subtotalToBase = useCallback(
+    (entry) =>
+      toBase(taxBreakdown(subtotal(entry), taxRate, entry.priceIncludesTax).gross, entry.currency, entryDate(entry)),
+    [toBase, taxRate]
+  );
+
+  // Format an amount that is already in the base currency (API totals, converted amounts)
+  const formatBase = useCallback((cents) => formatCurrency(cents, baseCurrency), [baseCurrency]);
+
+  const value = {
+    baseCurrency,
+    taxRate,
+    rates,
+    toBase,
+    subtotalToBase,
+    formatBase,
+    reloadRates: loadRates,
+  };
+
+  return (
+    <CurrencyContext.Provider value={value}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+}
+
+export function useCurrency() {
+  const context = useContext(CurrencyContext);
+
+  if (!context) {
+    throw new Error('useCurrency must be used within a CurrencyProvider');
+  }
+
+  return context;
+}
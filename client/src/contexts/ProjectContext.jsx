@@ -0,0 +1,97 @@
+/**
+ * Project Context
+ *
+ * Loads the projects the user can open and tracks the selected one.
+ * API calls are scoped to the selected project by lib/api.js.
+ */
+
+'use client';
+
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useSession } from 'next-auth/react';
+import { projectsAPI, getActiveProjectId, setActiveProjectId } from '@/lib/api';
+
+const ProjectContext = createContext(null);
+
+// Project roles allowed to edit rooms, expenses and the timeline
+const EDITOR_ROLES = ['owner', 'editor'];
+
+export function ProjectProvider({ children }) {
+  const { data: session } = useSession();
+  const userId = session?.user?.id;
+  const [projects, setProjects] = useState([]);
+  const [currentProject, setCurrentProject] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadProjects = useCallback(async () => {
+    try {
+      const loaded = await projectsAPI.getAll();
+      const storedId = getActiveProjectId();
+      const selected =
+        loaded.find((p) => p._id === storedId) ||
+        loaded.find((p) => p.isDefault) ||
+        loaded[0] ||
+        null;
+
+      setProjects(loaded);
+      setCurrentProject(selected);
+
+      if (selected && selected._id !== storedId) {
+        setActiveProjectId(selected._id);
+
+        // Pages already loaded data for a project the user cannot open; load the selected one
+        if (storedId || !selected.isDefault) {
+          window.location.reload();
+        }
+      }
+    } catch (error) {
+      console.error('Failed to load projects:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (userId) {
+      loadProjects();
+    }
+  }, [userId, loadProjects]);
+
+  // Pages hold the previous project's data, so reload after switching
+  // Room pages go back to the room list since the room may not exist in the new project
+  const switchProject = useCallback((projectId) => {
+    setActiveProjectId(projectId);
+    if (window.location.pathname.startsWith('/rooms/')) {
+      window.location.assign('/rooms');
+    } else {
+      window.location.reload();
+    }
+  }, []);
+
+  const value = {
+    projects,
+    currentProject,
+    loading,
+    canEdit:
+      session?.user?.role === 'admin' ||
+      EDITOR_ROLES.includes(currentProject?.role),
+    switchProject,
+    reloadProjects: loadProjects,
+  };
+
+  return (
+    <ProjectContext.Provider value={value}>
+      {children}
+    </ProjectContext.Provider>
+  );
+}
+
+export function useProject() {
+  const context = useContext(ProjectContext);
+
+  if (!context) {
+    throw new Error('useProject must be used within a ProjectProvider');
+  }
+
+  return context;
+}
@@ -0,0 +1,63 @@
+/**
+ * Vendor Context
+ *
+ * Vendors of the selected project, for the vendor selects of items, product
+ * options and expenses. The vendors page reloads them after its changes.
+ */
+
+'use client';
+
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { vendorsAPI } from '@/lib/api';
+import { useProject } from './ProjectContext';
+
+const VendorContext = createContext(null);
+
+export function VendorProvider({ children }) {
+  const { currentProject } = useProject();
+  const projectId = currentProject?._id;
+  const [vendors, setVendors] = useState([]);
+
+  const loadVendors = useCallback(async () => {
+    try {
+      const result = await vendorsAPI.getAll();
+      setVendors(result.vendors || []);
+    } catch (error) {
+      console.error('Failed to load vendors:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (projectId) {
+      loadVendors();
+    }
+  }, [projectId, loadVendors]);
+
+  // Name of a vendor id ('' when it is not set or was deleted)
+  const vendorName = useCallback(
+    (vendorId) => vendors.find((vendor) => vendor._id === vendorId)?.name || '',
+    [vendors]
+  );
+
+  const value = {
+    vendors,
+    vendorName,
+    reloadVendors: loadVendors,
+  };
+
+  return (
+    <VendorContext.Provider value={value}>
+      {children}
+    </VendorContext.Provider>
+  );
+}
+
+export function useVendors() {
+  const context = useContext(VendorContext);
+
+  if (!context) {
+    throw new Error('useVendors must be used within a VendorProvider');
+  }
+
+  return context;
+}
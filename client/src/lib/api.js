@@ -9,25 +9,64 @@ import { getSession } from 'next-auth/react';
 
 const API_BASE = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:8000/api';
 
+// localStorage key holding the id of the project selected in the navigation bar
+const ACTIVE_PROJECT_KEY = 'activeProjectId';
+
+// Endpoints that are not scoped to a project
+const UNSCOPED_PREFIXES = ['/auth', '/projects'];
+
+/**
+ * Get the id of the selected project (null until one is selected)
+ */
+export function getActiveProjectId() {
+    if (typeof window === 'undefined') return null;
+    return window.localStorage.getItem(ACTIVE_PROJECT_KEY);
+}
+
+/**
+ * Select the project that project-scoped API calls work on
+ */
+export function setActiveProjectId(projectId) {
+    if (projectId) {
+        window.localStorage.setItem(ACTIVE_PROJECT_KEY, projectId);
+    } else {
+        window.localStorage.removeItem(ACTIVE_PROJECT_KEY);
+    }
+}
+
+/**
+ * Prefix an endpoint with the selected project (/rooms -> /projects/:id/rooms)
+ * Without a selected project the server uses the default project
+ */
+function scopeToProject(endpoint) {
+    const projectId = getActiveProjectId();
+    if (!projectId || UNSCOPED_PREFIXES.some((prefix) => endpoint.startsWith(prefix))) {
+        return endpoint;
+    }
+    return `/projects/${projectId}${endpoint}`;
+}
+
 /**
  * Generic fetch wrapper with error handling and authentication
+ * Pass { responseType: 'blob' } for file downloads; other responses are JSON
  */
-async function fetchAPI(endpoint, options = {}) {
-    const url = `${API_BASE}${endpoint}`;
+async function fetchAPI(endpoint, { responseType = 'json', ...options } = {}) {
+    const url = `${API_BASE}${scopeToProject(endpoint)}`;
 
     try {
         // Get current session for authentication
         const session = await getSession();
 
         // Prepare headers with authentication
+        // File uploads (FormData) let the browser set the multipart Content-Type
         const headers = {
-            'Content-Type': 'application/json',
+            ...(options.body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
             ...options.headers,
         };
 
-        // Add user ID to headers if authenticated
-        if (session?.user?.id) {
-            headers['x-user-id'] = session.user.id;
+        // Add signed API token to headers if authenticated
+        if (session?.apiToken) {
+            headers.Authorization = `Bearer ${session.apiToken}`;
         }
 
         const response = await fetch(url, {
@@ -38,41 +77,224 @@ async function fetchAPI(endpoint, options = {}) {
         if (!response.ok) {
             // Try to get error message from response
             const errorData = await response.json().catch(() => ({}));
-            throw new Error(
+            const apiError = new Error(
                 errorData.message || errorData.error || `API Error: ${response.status} ${response.statusText}`
             );
+            // Keep status and body so callers can handle e.g. 409 conflicts
+            apiError.status = response.status;
+            apiError.data = errorData;
+            throw apiError;
         }
 
-        return await response.json();
+        return responseType === 'blob' ? await response.blob() : await response.json();
     } catch (error) {
         console.error(`API call failed: ${endpoint}`, error);
         throw error;
     }
 }
 
+/**
+ * Check if an error is a 409 Conflict from a stale save
+ * The server's current copy is available as error.data.current
+ */
+export function isConflictError(error) {
+    return error?.status === 409;
+}
+
+/**
+ * Check if an error is a 428 asking to confirm a large deletion or awarding an expired quote
+ * The number of rows to delete is available as error.data.deleteCount
+ */
+export function isConfirmationRequiredError(error) {
+    return error?.status === 428 && Boolean(error.data?.confirmationRequired);
+}
+
+/**
+ * Add ?version= to an endpoint when a version is given
+ */
+function withVersion(endpoint, version) {
+    return version === undefined ? endpoint : `${endpoint}?version=${version}`;
+}
+
+/**
+ * Projects API
+ */
+export const projectsAPI = {
+    // Get the projects the current user can open (each includes the user's role)
+    getAll: async ({ includeArchived = false } = {}) => {
+        const response = await fetchAPI(
+            includeArchived ? '/projects?includeArchived=true' : '/projects'
+        );
+        return response.projects || [];
+    },
+
+    // Get a project with its members
+    getOne: async (projectId) => {
+        const response = await fetchAPI(`/projects/${projectId}`);
+        return response.project;
+    },
+
+    // Create a project ({ name, description, budget, baseCurrency }) - admin only
+    create: (projectData) =>
+        fetchAPI('/projects', {
+            method: 'POST',
+            body: JSON.stringify(projectData),
+        }),
+
+    // Update project details ({ name, description, budget, baseCurrency, archived })
+    update: (projectId, changes) =>
+        fetchAPI(`/projects/${projectId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes),
+        }),
+
+    // Add a member by email or username, or change an existing member's role
+    addMember: (projectId, identifier, role) =>
+        fetchAPI(`/projects/${projectId}/members`, {
+            method: 'POST',
+            body: JSON.stringify({ identifier, role }),
+        }),
+
+    // Remove a member
+    removeMember: (projectId, userId) =>
+        fetchAPI(`/projects/${projectId}/members/${userId}`, {
+            method: 'DELETE',
+        }),
+};
+
 /**
  * Rooms API
  */
 export const roomsAPI = {
-    // Get all rooms overview
-    getAll: async () => {
-        const response = await fetchAPI('/rooms');
+    // Get all rooms overview (archived rooms only when includeArchived is true)
+    // fields: 'name,slug,items' limits the returned fields
+    // include: 'images,productOptions' adds image and product option data, which is left out when fields is set
+    getAll: async ({ includeArchived = false, fields, include } = {}) => {
+        const params = new URLSearchParams();
+        if (includeArchived) params.set('includeArchived', 'true');
+        if (fields) params.set('fields', fields);
+        if (include) params.set('include', include);
+
+        const query = params.toString();
+        const response = await fetchAPI(query ? `/rooms?${query}` : '/rooms');
         // The API returns { success: true, rooms: [...] }
         return response.rooms || response;
     },
 
+    // Get room cards: totals, progress and a thumbnail, without items
+    getSummary: async ({ includeArchived = false } = {}) => {
+        const response = await fetchAPI(
+            includeArchived ? '/rooms/summary?includeArchived=true' : '/rooms/summary'
+        );
+        return response.rooms;
+    },
+
+    // Create a room ({ name, budget, slug? } - slug is generated from the name if omitted)
+    create: (roomData) =>
+        fetchAPI('/rooms', {
+            method: 'POST',
+            body: JSON.stringify(roomData),
+        }),
+
+    // Update room details ({ name, slug, budget, archived })
+    update: (slug, changes, version) =>
+        fetchAPI(`/rooms/${slug}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ ...changes, version }),
+        }),
+
+    // Delete a room - the server archives it instead if it is still referenced
+    delete: (slug, version) =>
+        fetchAPI(withVersion(`/rooms/${slug}`, version), {
+            method: 'DELETE',
+        }),
+
     // Get specific room data
     getOne: (slug) => fetchAPI(`/load-room/${slug}`),
 
-    // Save room data
-    save: async (slug, roomData) => {
+    // Save room data (version is the room version the changes are based on)
+    save: async (slug, roomData, version) => {
         return await fetchAPI(`/save-room/${slug}`, {
             method: 'POST',
-            body: JSON.stringify({ roomData }),
+            body: JSON.stringify({ roomData, version }),
         });
     },
 };
 
+/**
+ * Room Items API
+ * Item-level operations keyed by the item's MongoDB _id
+ */
+export const roomItemsAPI = {
+    // Get all items of a room
+    getAll: async (slug) => {
+        const response = await fetchAPI(`/rooms/${slug}/items`);
+        return response.items || [];
+    },
+
+    // Get a single item
+    getOne: (slug, itemId) => fetchAPI(`/rooms/${slug}/items/${itemId}`),
+
+    // Add a new item to a room
+    // version is optional; when given the server rejects stale room copies
+    create: (slug, item, version) =>
+        fetchAPI(`/rooms/${slug}/items`, {
+            method: 'POST',
+            body: JSON.stringify({ item, version }),
+        }),
+
+    // Update only the given fields of an item
+    update: (slug, itemId, changes, version) =>
+        fetchAPI(`/rooms/${slug}/items/${itemId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ item: changes, version }),
+        }),
+
+    // Delete an item
+    delete: (slug, itemId, version) =>
+        fetchAPI(withVersion(`/rooms/${slug}/items/${itemId}`, version), {
+            method: 'DELETE',
+        }),
+
+    // Move an item to another room in one step, optionally changing fields
+    // version is the version of the item's current room
+    move: (itemId, toRoom, changes, version) =>
+        fetchAPI(`/items/${itemId}/move`, {
+            method: 'POST',
+            body: JSON.stringify({ toRoom, item: changes, version }),
+        }),
+};
+
+/**
+ * Build the room item fields for a product
+ */
+function toProductItem(productData) {
+    return {
+        description: productData.description,
+        category: productData.category,
+        quantity: productData.quantity,
+        unit: productData.unit,
+        currency: productData.currency,
+        budget_price: productData.budget_price,
+        actual_price: productData.actual_price,
+        priceIncludesTax: productData.priceIncludesTax !== false,
+        status: productData.status,
+        favorite: productData.favorite,
+        notes: productData.notes || '',
+        // Clear legacy imageUrl if we have images array
+        imageUrl:
+            productData.images && productData.images.length > 0
+                ? ''
+                : productData.imageUrl || '',
+        links: productData.links || [],
+        images: productData.images || [],
+        productOptions: productData.productOptions || [],
+        vendor: productData.vendor || null,
+        selectedOptionId: productData.selectedOptionId || '',
+        selectedProductName: productData.selectedProductName || '',
+    };
+}
+
 /**
  * Products API
  * Products are items within rooms with category='Products'
@@ -80,7 +302,10 @@ export const roomsAPI = {
 export const productsAPI = {
     // Get all products across all rooms
     getAll: async () => {
-        const rooms = await roomsAPI.getAll();
+        const rooms = await roomsAPI.getAll({
+            fields: 'name,slug,items',
+            include: 'images,productOptions',
+        });
 
         if (!rooms || !Array.isArray(rooms)) {
             throw new Error('Failed to load products');
@@ -88,14 +313,13 @@ export const productsAPI = {
 
         const products = [];
         rooms.forEach((room) => {
-            room.items?.forEach((item, index) => {
+            room.items?.forEach((item) => {
                 if (item.category === 'Products') {
                     products.push({
                         ...item,
                         room: room.slug,
                         roomDisplayName: room.name,
-                        originalIndex: index,
-                        uniqueId: `${room.slug}-${index}`,
+                        uniqueId: item._id,
                     });
                 }
             });
@@ -106,193 +330,381 @@ export const productsAPI = {
 
     // Save/update a product
     save: async (productData, originalProduct = null) => {
-        // Check if the room has changed
-        const roomChanged =
-            originalProduct && originalProduct.room !== productData.room;
-
-        if (roomChanged) {
-            // ROOM CHANGE: Remove from old room and add to new room
+        const item = toProductItem(productData);
 
-            // 1. Remove from old room
-            const oldRoomResponse = await roomsAPI.getOne(originalProduct.room);
-            const oldRoomData = oldRoomResponse.roomData;
-
-            if (!oldRoomData || !oldRoomData.items) {
-                throw new Error('Failed to load old room data');
-            }
-
-            const oldRoomItems = oldRoomData.items.filter(
-                (_, index) => index !== originalProduct.originalIndex
-            );
-            await roomsAPI.save(originalProduct.room, {
-                ...oldRoomData,
-                items: oldRoomItems,
+        // New product
+        if (!originalProduct?._id) {
+            return await roomItemsAPI.create(productData.room, {
+                ...item,
+                showImage: false,
             });
+        }
 
-            // 2. Add to new room
-            const newRoomResponse = await roomsAPI.getOne(productData.room);
-            const newRoomData = newRoomResponse.roomData;
-
-            if (!newRoomData || !newRoomData.items) {
-                throw new Error('Failed to load new room data');
-            }
-
-            const newRoomItems = [
-                ...newRoomData.items,
-                {
-                    description: productData.description,
-                    category: productData.category,
-                    quantity: productData.quantity,
-                    unit: productData.unit,
-                    budget_price: productData.budget_price,
-                    actual_price: productData.actual_price,
-                    status: productData.status,
-                    favorite: productData.favorite,
-                    notes: productData.notes || '',
-                    imageUrl:
-                        productData.images && productData.images.length > 0
-                            ? ''
-                            : productData.imageUrl || '',
-                    showImage: false,
-                    links: productData.links || [],
-                    images: productData.images || [],
-                    productOptions: productData.productOptions || [],
-                    selectedOptionId: productData.selectedOptionId || '',
-                    selectedProductName: productData.selectedProductName || '',
-                },
-            ];
-
-            return await roomsAPI.save(productData.room, {
-                ...newRoomData,
-                items: newRoomItems,
-            });
+        // ROOM CHANGE: Move and update in one request
+        if (originalProduct.room !== productData.room) {
+            return await roomItemsAPI.move(
+                originalProduct._id,
+                productData.room,
+                item
+            );
         }
 
         // SAME ROOM: Update in place
-        // Load the target room data
-        const response = await roomsAPI.getOne(productData.room);
-        const roomData = response.roomData;
+        return await roomItemsAPI.update(
+            productData.room,
+            originalProduct._id,
+            item
+        );
+    },
 
-        if (!roomData || !roomData.items) {
-            throw new Error('Failed to load room data');
-        }
+    // Delete a product
+    delete: (product) => roomItemsAPI.delete(product.room, product._id),
+};
 
-        let updatedItems = [...roomData.items];
-
-        if (originalProduct) {
-            // Update existing product
-            const itemIndex = originalProduct.originalIndex;
-            if (itemIndex >= 0 && itemIndex < updatedItems.length) {
-                updatedItems[itemIndex] = {
-                    ...updatedItems[itemIndex],
-                    description: productData.description,
-                    category: productData.category,
-                    quantity: productData.quantity,
-                    unit: productData.unit,
-                    budget_price: productData.budget_price,
-                    actual_price: productData.actual_price,
-                    status: productData.status,
-                    favorite: productData.favorite,
-                    notes: productData.notes || '',
-                    // Clear legacy imageUrl if we have images array
-                    imageUrl:
-                        productData.images && productData.images.length > 0
-                            ? ''
-                            : productData.imageUrl || '',
-                    links: productData.links || [],
-                    images: productData.images || [],
-                    productOptions: productData.productOptions || [],
-                    selectedOptionId: productData.selectedOptionId || '',
-                    selectedProductName: productData.selectedProductName || '',
-                };
-            } else {
-                throw new Error('Product not found in room');
-            }
-        } else {
-            // Add new product
-            updatedItems.push({
-                description: productData.description,
-                category: productData.category,
-                quantity: productData.quantity,
-                unit: productData.unit,
-                budget_price: productData.budget_price,
-                actual_price: productData.actual_price,
-                status: productData.status,
-                favorite: productData.favorite,
-                notes: productData.notes || '',
-                // Clear legacy imageUrl if we have images array
-                imageUrl:
-                    productData.images && productData.images.length > 0
-                        ? ''
-                        : productData.imageUrl || '',
-                showImage: false,
-                links: productData.links || [],
-                images: productData.images || [],
-                productOptions: productData.productOptions || [],
-                selectedOptionId: productData.selectedOptionId || '',
-                selectedProductName: productData.selectedProductName || '',
-            });
-        }
+/**
+ * Expenses API
+ */
+export const expensesAPI = {
+    // Get expenses with filters, sorting and pagination applied by the server
+    // query: { from, to, category, room, status, vendor, receipt: 'missing' | 'attached', sort, order, limit, cursor, fields }
+    // Returns { expenses, totals: { count, spent, expected }, baseCurrency, missingRates, nextCursor }
+    // (totals in the project base currency; missingRates lists currencies without exchange rates)
+    getAll: (query = {}) => {
+        const params = new URLSearchParams(
+            Object.entries(query).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+        const queryString = params.toString();
+        return fetchAPI(queryString ? `/load-expenses?${queryString}` : '/load-expenses');
+    },
 
-        // Save the updated room data
-        const updatedRoomData = {
-            ...roomData,
-            items: updatedItems,
-        };
+    // Get totals grouped by month, category, room and status (budgeted, expected and actual per group)
+    // filters: { from, to, category, room, status } as in getAll
+    getSummary: (filters = {}) => {
+        const params = new URLSearchParams(
+            Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+        const queryString = params.toString();
+        return fetchAPI(queryString ? `/expenses-summary?${queryString}` : '/expenses-summary');
+    },
 
-        return await roomsAPI.save(productData.room, updatedRoomData);
+    // Get expenses grouped by receipt type (factura, boleta, none) with net, IGV and gross amounts
+    // filters: { from, to, category, room, status } as in getAll
+    // Returns { groups: [{ receiptType, count, net, tax, gross, expenses }], totals, taxRate, baseCurrency, missingRates }
+    getTaxReport: (filters = {}) => {
+        const params = new URLSearchParams(
+            Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+        const queryString = params.toString();
+        return fetchAPI(queryString ? `/tax-report?${queryString}` : '/tax-report');
     },
 
-    // Delete a product
-    delete: async (product) => {
-        // Load the room data
-        const response = await roomsAPI.getOne(product.room);
-        const roomData = response.roomData;
+    // Create a new expense with proper ID
+    create: (expenseData) =>
+        fetchAPI('/create-expense', {
+            method: 'POST',
+            body: JSON.stringify(expenseData),
+        }),
 
-        if (!roomData || !roomData.items) {
-            throw new Error('Failed to load room data');
-        }
+    // Save changed expenses
+    // changes: { created: [rows], updated: [rows], deleted: [ids], confirmDelete }
+    // Deleting many rows fails with 428 until resent with confirmDelete: true
+    save: ({ created = [], updated = [], deleted = [], confirmDelete = false }) =>
+        fetchAPI('/save-expenses', {
+            method: 'POST',
+            body: JSON.stringify({ created, updated, deleted, confirmDelete }),
+        }),
+};
 
-        // Remove the item at the specified index
-        const updatedItems = roomData.items.filter(
-            (_, index) => index !== product.originalIndex
-        );
+/**
+ * Payments API
+ * Payments of expenses and room items; source is 'expenses' or 'rooms', as in expense rows
+ * Each payment is { date, amount, status: 'paid' | 'scheduled', method, payer, reference }
+ * Changes return the entry's { payments, actual_price, balance: { total, paid, outstanding } }
+ */
+export const paymentsAPI = {
+    // Scheduled installments and outstanding balances, in the project base currency
+    // Returns { entries, installments, totals: { total, paid, outstanding, overdue }, baseCurrency, missingRates }
+    getDue: () => fetchAPI('/payments/due'),
 
-        // Save the updated room data
-        const updatedRoomData = {
-            ...roomData,
-            items: updatedItems,
-        };
+    getAll: (source, entryId) => fetchAPI(`/payments/${source}/${entryId}`),
 
-        return await roomsAPI.save(product.room, updatedRoomData);
+    create: (source, entryId, payment) =>
+        fetchAPI(`/payments/${source}/${entryId}`, {
+            method: 'POST',
+            body: JSON.stringify(payment),
+        }),
+
+    update: (source, entryId, paymentId, changes) =>
+        fetchAPI(`/payments/${source}/${entryId}/${paymentId}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes),
+        }),
+
+    delete: (source, entryId, paymentId) =>
+        fetchAPI(`/payments/${source}/${entryId}/${paymentId}`, {
+            method: 'DELETE',
+        }),
+};
+
+/**
+ * Attachments API
+ * Receipts, invoices and photos (images or PDFs) of expenses and room items;
+ * source is 'expenses' or 'rooms', as in expense rows
+ * Each attachment is { _id, filename, contentType, size, uploadedAt }; images also have
+ * medium and thumb variants. Files are only served to project members, so load them with file()
+ * Changes return the entry's { attachments } (and version for room items)
+ */
+export const attachmentsAPI = {
+    getAll: (source, entryId) => fetchAPI(`/attachments/${source}/${entryId}`),
+
+    // File of an attachment as a Blob (variant: 'original', or 'medium'/'thumb' for images)
+    file: (source, entryId, attachmentId, variant = 'original') =>
+        fetchAPI(`/attachments/${source}/${entryId}/${attachmentId}/${variant}`, {
+            responseType: 'blob',
+        }),
+
+    upload: (source, entryId, file) => {
+        const body = new FormData();
+        body.append('file', file);
+        return fetchAPI(`/attachments/${source}/${entryId}`, {
+            method: 'POST',
+            body,
+        });
+    },
+
+    delete: (source, entryId, attachmentId) =>
+        fetchAPI(`/attachments/${source}/${entryId}/${attachmentId}`, {
+            method: 'DELETE',
+        }),
+
+    // Zip of the receipts matching the expense filters ({ from, to, category, room, status, vendor }),
+    // with an index.csv; returns a Blob
+    export: (filters = {}) => {
+        const params = new URLSearchParams(
+            Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+        const queryString = params.toString();
+        return fetchAPI(queryString ? `/attachments/export?${queryString}` : '/attachments/export', {
+            responseType: 'blob',
+        });
     },
 };
 
 /**
- * Expenses API
+ * Invoices API
+ * Receipts that pay for several room items or expenses, reconciled against them
+ * Amounts are cents of the invoice currency, IGV included
  */
-export const expensesAPI = {
-    // Get all expenses
-    getAll: () => fetchAPI('/load-expenses'),
+export const invoicesAPI = {
+    // filters: { vendor, from, to }
+    // Returns { invoices: [{ ...invoice, lines: [{ ...line, entry, missing }], reconciliation, allocation, allocationOutdated }], unreconciled }
+    getAll: (filters = {}) => {
+        const params = new URLSearchParams(
+            Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+        const query = params.toString();
+        return fetchAPI(query ? `/invoices?${query}` : '/invoices');
+    },
 
-    // Get expenses summary
-    getSummary: () => fetchAPI('/expenses-summary'),
+    get: (invoiceId) => fetchAPI(`/invoices/${invoiceId}`),
 
-    // Create a new expense with proper ID
-    create: (expenseData) =>
-        fetchAPI('/create-expense', {
+    // invoice: { receiptType, number, vendor, date, currency, total,
+    //            lines: [{ description, amount, source: 'rooms' | 'expenses' | null, entryId }],
+    //            adjustments: [{ type: 'tax' | 'discount' | 'delivery' | 'other', description, amount }], notes }
+    create: (invoice) =>
+        fetchAPI('/invoices', {
             method: 'POST',
-            body: JSON.stringify(expenseData),
+            body: JSON.stringify(invoice),
         }),
 
-    // Save expenses
-    save: (expenses) =>
-        fetchAPI('/save-expenses', {
+    update: (invoiceId, changes) =>
+        fetchAPI(`/invoices/${invoiceId}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes),
+        }),
+
+    // Also deletes the expenses its adjustments were allocated as
+    delete: (invoiceId) =>
+        fetchAPI(`/invoices/${invoiceId}`, {
+            method: 'DELETE',
+        }),
+
+    // Turn the adjustments into expenses of the linked entries' rooms, replacing the last allocation
+    allocate: (invoiceId) =>
+        fetchAPI(`/invoices/${invoiceId}/allocate`, {
+            method: 'POST',
+        }),
+};
+
+/**
+ * Funding API
+ * Savings, loan disbursements and family contributions, and the cash flow forecast
+ * they are set against; amounts are cents (of the entry currency, forecast in the base currency)
+ */
+export const fundingAPI = {
+    // Funding sources by date, each with amountBase (null without an exchange rate)
+    // Returns { funding, totals: { received, expected }, baseCurrency, missingRates }
+    getAll: () => fetchAPI('/funding'),
+
+    // entry: { type: 'savings' | 'loan' | 'family' | 'other', description, amount, currency, date,
+    //          status: 'received' | 'expected', notes }
+    create: (entry) =>
+        fetchAPI('/funding', {
+            method: 'POST',
+            body: JSON.stringify(entry),
+        }),
+
+    update: (fundingId, changes) =>
+        fetchAPI(`/funding/${fundingId}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes),
+        }),
+
+    delete: (fundingId) =>
+        fetchAPI(`/funding/${fundingId}`, {
+            method: 'DELETE',
+        }),
+
+    // Month by month forecast of funding against upcoming payments, from this month
+    // Returns { opening, months: [{ month, opening, inflow, outflow, closing, negative, flows }],
+    //           later: { inflow, outflow }, negativeMonths, lowest: { month, balance },
+    //           undated: { total, entries }, today, baseCurrency, missingRates }
+    getCashFlow: (months) => fetchAPI(months ? `/cashflow?months=${months}` : '/cashflow'),
+};
+
+/**
+ * Vendors API
+ * Stores, suppliers and contractors that items, product options and expenses are bought from
+ */
+export const vendorsAPI = {
+    // Vendors by name with their spend in the project base currency
+    // Returns { vendors: [{ ...vendor, stats: { count, spent, committed, openOrders, paid, outstanding, lastDate } }], types, baseCurrency, missingRates }
+    getAll: () => fetchAPI('/vendors'),
+
+    // Returns { vendor, stats, history, options, baseCurrency, missingRates }
+    get: (vendorId) => fetchAPI(`/vendors/${vendorId}`),
+
+    // vendor: { name, type, ruc, contacts: [{ name, role, phone, email }], address, notes, rating }
+    create: (vendor) =>
+        fetchAPI('/vendors', {
             method: 'POST',
-            body: JSON.stringify({ expenses }),
+            body: JSON.stringify(vendor),
+        }),
+
+    update: (vendorId, changes) =>
+        fetchAPI(`/vendors/${vendorId}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes),
+        }),
+
+    delete: (vendorId) =>
+        fetchAPI(`/vendors/${vendorId}`, {
+            method: 'DELETE',
         }),
 };
 
+/**
+ * Quotes API
+ * Contractor quotes for labor scopes, compared by scope and awarded into budgeted items or expenses
+ */
+export const quotesAPI = {
+    // filters: { room, phase, status, scope }
+    // Returns { quotes: [{ ...quote, subtotal, total, totalBase, expiry, daysLeft }], expiring, expiryWarningDays, baseCurrency, missingRates }
+    getAll: (filters = {}) => {
+        const params = new URLSearchParams(
+            Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+        const query = params.toString();
+        return fetchAPI(query ? `/quotes?${query}` : '/quotes');
+    },
+
+    get: (quoteId) => fetchAPI(`/quotes/${quoteId}`),
+
+    // quote: { scope, room, phase, vendor, contractorName, currency, priceIncludesTax,
+    //          lineItems: [{ description, category, quantity, unit, unit_price }], validUntil, paymentTerms, notes }
+    create: (quote) =>
+        fetchAPI('/quotes', {
+            method: 'POST',
+            body: JSON.stringify(quote),
+        }),
+
+    // changes may set status to 'open' or 'rejected'
+    update: (quoteId, changes) =>
+        fetchAPI(`/quotes/${quoteId}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes),
+        }),
+
+    delete: (quoteId) =>
+        fetchAPI(`/quotes/${quoteId}`, {
+            method: 'DELETE',
+        }),
+
+    // Expired quotes fail with a confirmation required error (see isConfirmationRequiredError)
+    // unless confirmExpired is true
+    award: (quoteId, { confirmExpired = false } = {}) =>
+        fetchAPI(`/quotes/${quoteId}/award`, {
+            method: 'POST',
+            body: JSON.stringify({ confirmExpired }),
+        }),
+};
+
+/**
+ * Exchange Rates API
+ * Manually entered rates of other currencies into the project base currency
+ */
+export const exchangeRatesAPI = {
+    // Returns { baseCurrency, currencies, rates }
+    getAll: () => fetchAPI('/exchange-rates'),
+
+    // rate: { currency, rate, effectiveDate, notes } (rate = base currency units per unit of currency)
+    create: (rate) =>
+        fetchAPI('/exchange-rates', {
+            method: 'POST',
+            body: JSON.stringify(rate),
+        }),
+
+    update: (rateId, changes) =>
+        fetchAPI(`/exchange-rates/${rateId}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes),
+        }),
+
+    delete: (rateId) =>
+        fetchAPI(`/exchange-rates/${rateId}`, {
+            method: 'DELETE',
+        }),
+};
+
+/**
+ * Timeline API
+ */
+export const timelineAPI = {
+    // Get the timeline (includes its version)
+    get: async () => {
+        const response = await fetchAPI('/timeline');
+        return response.timeline;
+    },
+
+    // Save the whole timeline (version is the timeline version the changes are based on)
+    save: async (timeline, version) => {
+        const response = await fetchAPI('/timeline', {
+            method: 'POST',
+            body: JSON.stringify({ timeline, version }),
+        });
+        return response.timeline;
+    },
+
+    // Delete a phase
+    deletePhase: async (phaseId, version) => {
+        const response = await fetchAPI(
+            withVersion(`/timeline/phase/${phaseId}`, version),
+            { method: 'DELETE' }
+        );
+        return response.timeline;
+    },
+};
+
 /**
  * Totals API
  */
@@ -310,3 +722,54 @@ export const categoriesAPI = {
         return Array.isArray(result) ? result : [];
     },
 };
+
+/**
+ * Audit API
+ * Change history of rooms, room items, expenses and timeline phases
+ */
+export const auditAPI = {
+    // Get a page of audit events, newest first
+    // filters: { entityType, entityId, room, user, action, from, to, limit, before }
+    getEvents: (filters = {}) => {
+        const params = new URLSearchParams(
+            Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+        const query = params.toString();
+        return fetchAPI(query ? `/audit?${query}` : '/audit');
+    },
+};
+
+/**
+ * Trash API
+ */
+export const trashAPI = {
+    // List trashed entries (type: room_item, expense or phase; all when omitted)
+    getAll: (type) => fetchAPI(type ? `/trash?type=${type}` : '/trash'),
+
+    // Restore an entry from the trash
+    restore: (type, id) =>
+        fetchAPI(`/trash/${type}/${id}/restore`, {
+            method: 'POST',
+        }),
+
+    // Permanently delete an entry (project owners only)
+    purge: (type, id) =>
+        fetchAPI(`/trash/${type}/${id}`, {
+            method: 'DELETE',
+        }),
+};
+
+/**
+ * Media API
+ */
+export const mediaAPI = {
+    // Upload an image file; returns { media } with urls.original, urls.medium and urls.thumb
+    upload: (file) => {
+        const body = new FormData();
+        body.append('file', file);
+        return fetchAPI('/media', {
+            method: 'POST',
+            body,
+        });
+    },
+};
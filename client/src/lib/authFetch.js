@@ -9,7 +9,7 @@ import { getSession } from 'next-auth/react';
 
 /**
  * Make an authenticated API request
- * Automatically includes user ID in headers for backend authorization
+ * Automatically includes the signed API token in headers for backend authorization
  *
  * @param {string} url - API endpoint URL
  * @param {RequestInit} options - Fetch options (method, headers, body, etc.)
@@ -25,9 +25,9 @@ export async function authFetch(url, options = {}) {
         ...(options.headers || {}),
     };
 
-    // Add user ID to headers if authenticated
-    if (session?.user?.id) {
-        headers['x-user-id'] = session.user.id;
+    // Add signed API token to headers if authenticated
+    if (session?.apiToken) {
+        headers.Authorization = `Bearer ${session.apiToken}`;
     }
 
     // Make request with auth headers
@@ -50,7 +50,11 @@ export async function authFetchJSON(url, options = {}) {
 
     if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || errorData.error || 'Request failed');
+        const error = new Error(errorData.message || errorData.error || 'Request failed');
+        // Keep status and body so callers can handle e.g. 409 conflicts
+        error.status = response.status;
+        error.data = errorData;
+        throw error;
     }
 
     return response.json();
@@ -1,11 +1,21 @@
 /**
  * Currency formatting utilities
+ *
+ * Amounts are integer céntimos; the calculations live in shared/money.js,
+ * which the API server uses too
  */
 
-export function formatCurrency(value) {
-    return `S/ ${Math.round(value).toLocaleString('es-PE')}`;
-}
-
-export function parseCurrency(formattedValue) {
-    return parseFloat(formattedValue.replace(/[^\d.-]/g, '')) || 0;
-}
+export {
+    CURRENCIES,
+    CURRENCY_CODES,
+    DEFAULT_CURRENCY,
+    exchangeRate,
+    convert,
+    formatCurrency,
+    toCents,
+    toInputValue,
+    subtotal,
+    lineTotal,
+    allocate,
+    sum,
+} from '@shared/money';
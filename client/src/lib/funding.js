@@ -0,0 +1,30 @@
+/**
+ * Funding utilities
+ *
+ * Funding types and statuses, months and the month by month cash flow; the
+ * calculations live in shared/funding.js, which the API server uses too
+ */
+
+export {
+    FUNDING_TYPES,
+    FUNDING_STATUSES,
+    isFundingType,
+    isFundingStatus,
+    monthKey,
+    addMonths,
+    cashFlow,
+} from '@shared/funding';
+
+// Names of the funding types, for selects and lists
+export const FUNDING_TYPE_LABELS = {
+    savings: 'Savings',
+    loan: 'Loan disbursement',
+    family: 'Family contribution',
+    other: 'Other',
+};
+
+// Names of the funding statuses, for badges
+export const FUNDING_STATUS_LABELS = {
+    received: 'Received',
+    expected: 'Expected',
+};
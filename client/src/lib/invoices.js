@@ -0,0 +1,16 @@
+/**
+ * Invoice utilities
+ *
+ * Adjustment types and the reconciliation of invoices against the items and
+ * expenses they paid for; the calculations live in shared/invoices.js, which
+ * the API server uses too
+ */
+
+export {
+    ADJUSTMENT_TYPES,
+    ADJUSTMENT_LABELS,
+    isAdjustmentType,
+    adjustmentAmount,
+    isLinked,
+    reconcile,
+} from '@shared/invoices';
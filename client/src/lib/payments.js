@@ -0,0 +1,25 @@
+/**
+ * Payment utilities
+ *
+ * Payment statuses and methods, and the paid/outstanding balance of items and
+ * expenses; the calculations live in shared/payments.js, which the API server uses too
+ */
+
+export {
+    PAYMENT_STATUSES,
+    PAYMENT_METHODS,
+    paymentTotals,
+    priceFromPayments,
+    paymentBalance,
+} from '@shared/payments';
+
+// Names of the payment methods, for selects and lists
+export const PAYMENT_METHOD_LABELS = {
+    transfer: 'Bank transfer',
+    cash: 'Cash',
+    card: 'Card',
+    yape: 'Yape / Plin',
+    check: 'Cheque',
+    financing: 'Financing (cuotas)',
+    other: 'Other',
+};
@@ -0,0 +1,23 @@
+/**
+ * Quote utilities
+ *
+ * Quote statuses, totals and expiry; the calculations live in shared/quotes.js,
+ * which the API server uses too
+ */
+
+export {
+    QUOTE_STATUSES,
+    EXPIRY_WARNING_DAYS,
+    isQuoteStatus,
+    quoteSubtotal,
+    quoteTotal,
+    daysUntilExpiry,
+    quoteExpiry,
+} from '@shared/quotes';
+
+// Names of the quote statuses, for badges and filters
+export const QUOTE_STATUS_LABELS = {
+    open: 'Open',
+    awarded: 'Awarded',
+    rejected: 'Rejected',
+};
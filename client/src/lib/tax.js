@@ -0,0 +1,21 @@
+/**
+ * Tax utilities
+ *
+ * IGV rates, receipt types and the net/tax/gross split of prices; the
+ * calculations live in shared/tax.js, which the API server uses too
+ */
+
+export {
+    DEFAULT_TAX_RATE,
+    RECEIPT_TYPES,
+    isReceiptType,
+    isTaxRate,
+    taxBreakdown,
+} from '@shared/tax';
+
+// Names of the receipt types, for selects and reports
+export const RECEIPT_LABELS = {
+    none: 'No receipt',
+    boleta: 'Boleta',
+    factura: 'Factura',
+};
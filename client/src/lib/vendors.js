@@ -0,0 +1,23 @@
+/**
+ * Vendor utilities
+ *
+ * Vendor types and their labels, as the API server accepts them (see db/models/Vendor.js)
+ */
+
+export const VENDOR_TYPES = ['store', 'supplier', 'contractor', 'professional', 'other'];
+
+export const VENDOR_TYPE_LABELS = {
+    store: 'Store',
+    supplier: 'Supplier',
+    contractor: 'Contractor',
+    professional: 'Professional',
+    other: 'Other',
+};
+
+// Peruvian RUC: 11 digits starting with 10 (people), 15, 17 or 20 (companies)
+export const RUC_PATTERN = /^(10|15|17|20)\d{9}$/;
+
+// ★★★☆☆ for a 1-5 rating, '' when not rated
+export function ratingStars(rating) {
+    return rating ? '★'.repeat(rating) + '☆'.repeat(5 - rating) : '';
+}
@@ -0,0 +1,18 @@
+/**
+ * Save Conflict Helpers
+ * Used when the server answers 409 because someone else saved first
+ */
+
+/**
+ * Ask the user how to resolve a save conflict
+ * @param {string} what - What was changed, e.g. 'this room' or 'the timeline'
+ * @returns {boolean} true to apply local changes on top of the latest version,
+ *                    false to discard them and reload
+ */
+export function confirmApplyOnLatest(what) {
+  return confirm(
+    `Someone else saved changes to ${what} since you opened it.\n\n` +
+      'OK: apply your changes on top of their version\n' +
+      'Cancel: discard your changes and reload'
+  );
+}
@@ -1,8 +1,11 @@
 /**
  * Product Options Helper Functions
  * Utilities for managing product options and selections
+ * Option prices are céntimos of the option's currency, like item prices
  */
 
+import { lineTotal, DEFAULT_CURRENCY } from '@/lib/currency';
+
 /**
  * Generate a unique ID for a product option
  */
@@ -12,12 +15,18 @@ export function generateOptionId() {
 
 /**
  * Create a new product option with default values
+ * @param {string} currency - Currency of the price (usually the item's)
+ * @param {boolean} priceIncludesTax - Whether the price includes IGV (usually as the item's)
+ * @param {string|null} vendor - Vendor id quoting the option (usually the item's)
  */
-export function createNewOption() {
+export function createNewOption(currency = DEFAULT_CURRENCY, priceIncludesTax = true, vendor = null) {
   return {
     id: generateOptionId(),
     name: '',
     price: 0,
+    currency,
+    priceIncludesTax,
+    vendor,
     url: '',
     description: '',
     images: [],
@@ -29,7 +38,7 @@ export function createNewOption() {
  * Select a product option and update the item accordingly
  * @param {Object} item - The item to update
  * @param {string} optionId - The ID of the option to select
- * @returns {Object} Updated item with actual_price and selectedProductName set
+ * @returns {Object} Updated item with actual_price, currency, priceIncludesTax, vendor and selectedProductName set
  */
 export function selectProductOption(item, optionId) {
   if (!item.productOptions || item.productOptions.length === 0) {
@@ -47,7 +56,12 @@ export function selectProductOption(item, optionId) {
     selectedOptionId: optionId,
     selectedProductName: selectedOption.name,
     actual_price: selectedOption.price,
-    subtotal: (item.quantity || 1) * selectedOption.price,
+    // The item is bought in the option's currency (budget price stays as entered)
+    currency: selectedOption.currency || item.currency,
+    priceIncludesTax: selectedOption.priceIncludesTax ?? item.priceIncludesTax,
+    // ...and from the vendor that quoted it
+    vendor: selectedOption.vendor || item.vendor || null,
+    subtotal: lineTotal(item.quantity || 1, selectedOption.price),
   };
 }
 
@@ -114,7 +128,16 @@ export function updateOption(item, optionId, updates) {
   // If this was the selected option and price changed, update actual_price
   if (item.selectedOptionId === optionId && updates.price !== undefined) {
     updatedItem.actual_price = updates.price;
-    updatedItem.subtotal = (item.quantity || 1) * updates.price;
+    updatedItem.subtotal = lineTotal(item.quantity || 1, updates.price);
+  }
+  if (item.selectedOptionId === optionId && updates.currency !== undefined) {
+    updatedItem.currency = updates.currency;
+  }
+  if (item.selectedOptionId === optionId && updates.priceIncludesTax !== undefined) {
+    updatedItem.priceIncludesTax = updates.priceIncludesTax;
+  }
+  if (item.selectedOptionId === optionId && updates.vendor) {
+    updatedItem.vendor = updates.vendor;
   }
 
   return updatedItem;
@@ -0,0 +1,97 @@
+/**
+ * Room Item Helper Functions
+ * Track per-field edits on room items and save only those edits
+ * through the item-level API
+ */
+
+import { roomItemsAPI } from '@/lib/api';
+
+/**
+ * Set a field on an item and record it as a pending change
+ * @param {Object} item - The item to update
+ * @param {string} field - Field name
+ * @param {*} value - New value
+ * @returns {Object} Updated item with the change recorded in _changes
+ */
+export function setItemField(item, field, value) {
+  return {
+    ...item,
+    [field]: value,
+    _changes: { ...(item._changes || {}), [field]: value },
+  };
+}
+
+/**
+ * Record the fields that differ between an item and an updated copy
+ * Useful for editors (like ProductOptionsManager) that return a whole item
+ * @param {Object} item - The current item
+ * @param {Object} updatedItem - The edited copy
+ * @param {string[]} fields - Fields to compare
+ * @returns {Object} Updated item with the differing fields recorded in _changes
+ */
+export function mergeItemChanges(item, updatedItem, fields) {
+  return fields.reduce(
+    (result, field) =>
+      updatedItem[field] !== item[field]
+        ? setItemField(result, field, updatedItem[field])
+        : result,
+    item
+  );
+}
+
+/**
+ * Check if an item is new or has unsaved changes
+ */
+export function isItemModified(item) {
+  return !item._id || Object.keys(item._changes || {}).length > 0;
+}
+
+/**
+ * Strip client-only fields (prefixed with _) before sending a new item
+ */
+function toNewItem(item) {
+  return Object.fromEntries(
+    Object.entries(item).filter(
+      ([key]) => !key.startsWith('_') && key !== 'originalIndex'
+    )
+  );
+}
+
+/**
+ * Save pending item changes for a room
+ * - Items without an _id are created
+ * - Items with recorded changes are patched with just those fields
+ * - Items listed in deletedIds are deleted
+ *
+ * Requests run one at a time since they all update the same room document.
+ * Each response carries the new room version, which is passed to the next request,
+ * so a stale starting version fails on the first request with a 409.
+ *
+ * @param {string} slug - Room slug
+ * @param {Object[]} items - Room items (shared/read-only items must be filtered out)
+ * @param {string[]} deletedIds - _ids of items removed since the last save
+ * @param {number} version - Room version the changes are based on
+ * @returns {Promise<number>} The room version after all changes were saved
+ */
+export async function saveRoomItemChanges(slug, items, deletedIds = [], version) {
+  let currentVersion = version;
+
+  for (const itemId of deletedIds) {
+    const result = await roomItemsAPI.delete(slug, itemId, currentVersion);
+    currentVersion = result.version;
+  }
+
+  for (const item of items) {
+    let result = null;
+    if (!item._id) {
+      result = await roomItemsAPI.create(slug, toNewItem(item), currentVersion);
+    } else if (isItemModified(item)) {
+      result = await roomItemsAPI.update(slug, item._id, item._changes, currentVersion);
+    }
+    if (result) {
+      currentVersion = result.version;
+    }
+  }
+
+  return currentVersion;
+}
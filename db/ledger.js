@@ -0,0 +1,298 @@
+const Room = require('./models/Room');
+const Expense = require('./models/Expense');
+const ExchangeRate = require('./models/ExchangeRate');
+const money = require('../shared/money');
+const tax = require('../shared/tax');
+const payments = require('../shared/payments');
+
+/**
+ * Ledger
+ *
+ * One calculation of what a project spends, shared by the totals, rooms,
+ * expenses and summary routes. Every Expense document and every active room
+ * item becomes a row; each row is split between rooms by its roomAllocations
+ * (or equally between its rooms), and rows without rooms are general overhead.
+ *
+ * Amounts of a row, in céntimos of the project base currency (see shared/money.js),
+ * including IGV (see shared/tax.js):
+ *   budgeted - quantity × budget price
+ *   expected - quantity × actual price if set, otherwise budget price
+ *   actual   - expected, once the row is completed
+ *
+ * Rows keep their prices in their own currency; exchangeRate converts them. Rows in a
+ * currency without any exchange rate count as 0 and are reported in missingRates.
+ * rowTax splits the expected amount into net and tax; rowBalance gives what has been
+ * paid of it and what is still outstanding (see shared/payments.js).
+ */
+
+// Room key of project overhead (rows not linked to any room)
+const GENERAL = 'general';
+
+// Best available date of an expense or room item as YYYY-MM-DD
+// Priority: completedDate (when it was marked complete) > date (legacy) > createdDate > today
+function rowDate(entry) {
+    const date = entry.completedDate || entry.date || entry.createdDate || new Date();
+    return new Date(date).toISOString().split('T')[0];
+}
+
+function toDateString(date) {
+    return date ? new Date(date).toISOString().split('T')[0] : null;
+}
+
+// Payments of an expense or room item, with dates as YYYY-MM-DD
+function paymentRows(entry) {
+    return (entry.payments || []).map((payment) => ({
+        _id: payment._id.toString(),
+        date: toDateString(payment.date),
+        amount: money.asCents(payment.amount),
+        status: payment.status,
+        method: payment.method,
+        payer: payment.payer || '',
+        reference: payment.reference || '',
+    }));
+}
+
+// Attachments of an expense or room item (see the attachment routes)
+function attachmentRows(entry) {
+    return (entry.attachments || []).map((attachment) => ({
+        _id: attachment._id.toString(),
+        mediaId: attachment.mediaId.toString(),
+        filename: attachment.filename || '',
+        contentType: attachment.contentType || '',
+        size: attachment.size || 0,
+        uploadedAt: attachment.uploadedAt,
+    }));
+}
+
+// Row of an Expense document
+function expenseRow(expense) {
+    return {
+        // SOURCE TRACKING - identifies this is from expenses collection
+        _id: expense._id.toString(),
+        source: 'expenses',
+
+        description: expense.description,
+        category: expense.category,
+
+        // Quantity and pricing (same structure as room items)
+        // Expenses saved before unit prices only have an amount
+        quantity: parseFloat(expense.quantity) || 1,
+        unit: expense.unit || 'unit',
+        currency: expense.currency || money.DEFAULT_CURRENCY,
+        budget_price: money.asCents(expense.budget_price),
+        actual_price: money.asCents(expense.actual_price ?? expense.amount),
+        priceIncludesTax: expense.priceIncludesTax !== false,
+        receiptType: expense.receiptType || 'none',
+        receiptNumber: expense.receiptNumber || '',
+        payments: paymentRows(expense),
+        attachments: attachmentRows(expense),
+        vendor: expense.vendor ? expense.vendor.toString() : null,
+
+        date: rowDate(expense),
+        createdDate: toDateString(expense.createdDate),
+        completedDate: toDateString(expense.completedDate),
+
+        // Room assignment
+        rooms: expense.rooms || [],
+        status: expense.status,
+        isSharedExpense: expense.isSharedExpense || false,
+        roomAllocations: expense.roomAllocations || [],
+        notes: expense.notes || '',
+    };
+}
+
+// Row of a room item
+function itemRow(room, item) {
+    // Rooms the item is for: its allocations if any (older items), otherwise the room it lives in
+    let rooms = [room.slug];
+    if (item.isSharedExpense && item.roomAllocations && item.roomAllocations.length > 0) {
+        rooms = item.roomAllocations.map((a) => a.room);
+    } else if (item.roomAllocations && item.roomAllocations.length > 0) {
+        rooms = [item.roomAllocations[0].room];
+    }
+
+    return {
+        // SOURCE TRACKING - identifies this is from room collection
+        _id: item._id.toString(),
+        source: 'rooms',
+        roomSlug: room.slug, // Which room it belongs to
+
+        description: item.description,
+        category: item.category,
+
+        // Room items have quantity, unit, and unit prices
+        quantity: parseFloat(item.quantity) || 1,
+        unit: item.unit || 'unit',
+        currency: item.currency || money.DEFAULT_CURRENCY,
+        budget_price: money.asCents(item.budget_price),
+        actual_price: money.asCents(item.actual_price),
+        priceIncludesTax: item.priceIncludesTax !== false,
+        receiptType: item.receiptType || 'none',
+        receiptNumber: item.receiptNumber || '',
+        payments: paymentRows(item),
+        attachments: attachmentRows(item),
+        vendor: item.vendor ? item.vendor.toString() : null,
+
+        date: rowDate(item),
+        createdDate: toDateString(item.createdDate),
+        completedDate: toDateString(item.completedDate),
+
+        // Room assignment
+        rooms,
+        status: item.status,
+        isSharedExpense: item.isSharedExpense || false,
+        roomAllocations: item.roomAllocations || [],
+    };
+}
+
+// Load the ledger rows of a project: Expense documents plus every active room item
+// expenseFilter narrows the Expense query and roomFilter the Room query (null loads no rooms);
+// rooms then only holds the rooms loaded
+// Every row gets the exchangeRate of its currency on its date (null when there is none)
+// and the project taxRate
+// Returns { rows, rooms, fromCollection, baseCurrency, taxRate, rates, missingRates }
+// - rooms are loaded without images and product options
+async function loadRows(project, { expenseFilter = {}, roomFilter = {} } = {}) {
+    const [expenses, rooms, rates] = await Promise.all([
+        Expense.find({ ...expenseFilter, project: project._id, deletedAt: null }),
+        roomFilter
+            ? Room.find({ ...roomFilter, project: project._id }).select('-images -items.images -items.productOptions')
+            : [],
+        ExchangeRate.find({ project: project._id }).sort({ effectiveDate: 1 }),
+    ]);
+
+    const rows = expenses.map(expenseRow);
+    rooms.forEach((room) => {
+        room.activeItems().forEach((item) => rows.push(itemRow(room, item)));
+    });
+
+    const baseCurrency = project.baseCurrency || money.DEFAULT_CURRENCY;
+    const taxRate = project.taxRate ?? tax.DEFAULT_TAX_RATE;
+    const missingRates = new Set();
+    rows.forEach((row) => {
+        row.taxRate = taxRate;
+        row.exchangeRate = money.exchangeRate(rates, row.currency, row.date, baseCurrency);
+        if (row.exchangeRate === null) {
+            missingRates.add(row.currency);
+        }
+    });
+
+    return { rows, rooms, fromCollection: expenses.length, baseCurrency, taxRate, rates, missingRates: [...missingRates] };
+}
+
+// Net, tax and gross of an amount of a row (in its currency), converted into the base currency
+// Rows without a taxRate or exchangeRate (not from loadRows) are taken as they are
+function convertWithTax(row, cents) {
+    const rate = row.exchangeRate === undefined ? 1 : row.exchangeRate;
+    const { net, gross } = tax.taxBreakdown(cents, row.taxRate ?? 0, row.priceIncludesTax);
+    const convertedGross = money.convert(gross, rate) || 0;
+    const convertedNet = money.convert(net, rate) || 0;
+    return { net: convertedNet, tax: convertedGross - convertedNet, gross: convertedGross };
+}
+
+// Budgeted, expected and actual amounts of a row in the base currency (see above)
+function rowAmounts(row) {
+    const expected = convertWithTax(row, money.subtotal(row)).gross;
+    return {
+        budgeted: convertWithTax(row, money.lineTotal(row.quantity, row.budget_price)).gross,
+        expected,
+        actual: row.status === 'Completed' ? expected : 0,
+    };
+}
+
+// Net, tax and gross of a row's expected amount in the base currency
+function rowTax(row) {
+    return convertWithTax(row, money.subtotal(row));
+}
+
+// Total, paid and outstanding amounts of a row in the base currency
+function rowBalance(row) {
+    const rate = row.exchangeRate === undefined ? 1 : row.exchangeRate;
+    const { total, paid } = payments.paymentBalance(row, row.taxRate ?? 0);
+    const convertedTotal = money.convert(total, rate) || 0;
+    const convertedPaid = money.convert(paid, rate) || 0;
+    return { total: convertedTotal, paid: convertedPaid, outstanding: convertedTotal - convertedPaid };
+}
+
+// Share of a row per room: its roomAllocations percentages when set,
+// otherwise an equal split between its rooms; rows without rooms are general overhead.
+// Each share carries its part of the row's amounts, split with money.allocate so
+// the parts of a row always add up to the row
+function roomShares(row) {
+    const allocations = (row.roomAllocations || []).filter((a) => a.percentage > 0);
+    let shares = [{ room: GENERAL, weight: 1 }];
+    if (allocations.length > 0) {
+        shares = allocations.map((a) => ({ room: a.room, weight: a.percentage }));
+    } else if ((row.rooms || []).length > 0) {
+        shares = row.rooms.map((room) => ({ room, weight: 1 }));
+    }
+
+    const weights = shares.map((s) => s.weight);
+    const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+    const amounts = rowAmounts(row);
+    const parts = Object.fromEntries(
+        Object.entries(amounts).map(([key, total]) => [key, money.allocate(total, weights)])
+    );
+
+    return shares.map(({ room, weight }, index) => ({
+        room,
+        share: weight / weightTotal,
+        amounts: {
+            budgeted: parts.budgeted[index],
+            expected: parts.expected[index],
+            actual: parts.actual[index],
+        },
+    }));
+}
+
+function emptyTotals(extra = {}) {
+    return { ...extra, count: 0, budgeted: 0, expected: 0, actual: 0 };
+}
+
+// Add a row's amounts (or its share of them) to totals
+function addAmounts(totals, amounts) {
+    totals.count++;
+    totals.budgeted += amounts.budgeted;
+    totals.expected += amounts.expected;
+    totals.actual += amounts.actual;
+}
+
+// Totals per room slug, including shares of shared rows; GENERAL holds project overhead
+function totalsByRoom(rows) {
+    const byRoom = new Map();
+
+    rows.forEach((row) => {
+        roomShares(row).forEach(({ room, amounts }) => {
+            if (!byRoom.has(room)) {
+                byRoom.set(room, emptyTotals());
+            }
+            addAmounts(byRoom.get(room), amounts);
+        });
+    });
+
+    return byRoom;
+}
+
+// Totals of a whole project: every row, plus general overhead on its own
+function projectTotals(rows) {
+    const all = emptyTotals();
+    rows.forEach((row) => addAmounts(all, rowAmounts(row)));
+
+    return {
+        all,
+        general: totalsByRoom(rows).get(GENERAL) || emptyTotals(),
+    };
+}
+
+module.exports = {
+    GENERAL,
+    loadRows,
+    rowAmounts,
+    rowTax,
+    rowBalance,
+    roomShares,
+    emptyTotals,
+    addAmounts,
+    totalsByRoom,
+    projectTotals,
+};
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Media = require('./models/Media');
+
+/**
+ * Media Store
+ *
+ * Saves uploaded images with a medium and a thumbnail variant, and reads them back.
+ * Attachments (receipts, invoices) can also be PDFs, which are stored as uploaded.
+ * Files are kept in GridFS (default) or on disk:
+ *   MEDIA_STORAGE=gridfs|disk
+ *   MEDIA_DIR=/path/to/media (disk only, default: uploads/media)
+ */
+
+const STORAGE = process.env.MEDIA_STORAGE === 'disk' ? 'disk' : 'gridfs';
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(__dirname, '..', 'uploads', 'media');
+const BUCKET_NAME = 'media';
+
+// Image formats accepted for upload (SVG is left out: it can carry scripts)
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'avif', 'heif'];
+
+// Longest side in pixels of each resized variant
+const VARIANT_SIZES = {
+    medium: 1200,
+    thumb: 300,
+};
+
+function getBucket() {
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+}
+
+// Write a file and return its storage id
+async function putFile(name, buffer, contentType) {
+    if (STORAGE === 'disk') {
+        await fs.promises.mkdir(MEDIA_DIR, { recursive: true });
+        await fs.promises.writeFile(path.join(MEDIA_DIR, name), buffer);
+        return name;
+    }
+
+    const upload = getBucket().openUploadStream(name, { metadata: { contentType } });
+    await new Promise((resolve, reject) => {
+        upload.once('finish', resolve);
+        upload.once('error', reject);
+        upload.end(buffer);
+    });
+    return upload.id.toString();
+}
+
+// Open a stored file for reading
+function openFile(storage, storageId) {
+    if (storage === 'disk') {
+        return fs.createReadStream(path.join(MEDIA_DIR, path.basename(storageId)));
+    }
+
+    return getBucket().openDownloadStream(new mongoose.Types.ObjectId(storageId));
+}
+
+// Remove a stored file (missing files are ignored)
+async function deleteFile(storage, storageId) {
+    try {
+        if (storage === 'disk') {
+            await fs.promises.unlink(path.join(MEDIA_DIR, path.basename(storageId)));
+        } else {
+            await getBucket().delete(new mongoose.Types.ObjectId(storageId));
+        }
+    } catch (error) {
+        console.warn(`⚠️  Could not delete media file ${storageId}:`, error.message);
+    }
+}
+
+// Store an image and its resized variants; returns the saved Media document
+// Throws when the buffer is not an image in one of the accepted formats
+async function saveImage({ project, buffer, filename = '', uploadedBy = null, source = 'upload' }) {
+    const metadata = await sharp(buffer).metadata().catch(() => ({}));
+
+    if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+        throw new Error(`Unsupported image format. Use one of: ${ACCEPTED_FORMATS.join(', ')}`);
+    }
+
+    const key = crypto.randomBytes(16).toString('hex');
+    const variants = [];
+
+    // Original, as uploaded
+    const originalType = `image/${metadata.format}`;
+    variants.push({
+        name: 'original',
+        storageId: await putFile(`${key}-original.${metadata.format}`, buffer, originalType),
+        contentType: originalType,
+        width: metadata.width,
+        height: metadata.height,
+        size: buffer.length,
+    });
+
+    // Resized WebP variants, rotated per EXIF so phone photos display upright
+    for (const [name, maxSize] of Object.entries(VARIANT_SIZES)) {
+        const { data, info } = await sharp(buffer)
+            .rotate()
+            .resize({ width: maxSize, height: maxSize, fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 80 })
+            .toBuffer({ resolveWithObject: true });
+
+        variants.push({
+            name,
+            storageId: await putFile(`${key}-${name}.webp`, data, 'image/webp'),
+            contentType: 'image/webp',
+            width: info.width,
+            height: info.height,
+            size: info.size,
+        });
+    }
+
+    return Media.create({
+        project,
+        key,
+        filename,
+        storage: STORAGE,
+        variants,
+        uploadedBy,
+        source,
+    });
+}
+
+// Whether a buffer holds a PDF document (checked by its signature, not its name)
+function isPdf(buffer) {
+    return buffer.length > 4 && buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+// Store an attachment: images get their resized variants, PDFs only the original
+// Attachments are marked as such, so only project members can load them (see the attachment routes)
+// Throws when the buffer is neither a PDF nor an accepted image
+async function saveAttachment({ project, buffer, filename = '', uploadedBy = null }) {
+    if (!isPdf(buffer)) {
+        return saveImage({ project, buffer, filename, uploadedBy, source: 'attachment' });
+    }
+
+    const key = crypto.randomBytes(16).toString('hex');
+
+    return Media.create({
+        project,
+        key,
+        filename,
+        storage: STORAGE,
+        variants: [
+            {
+                name: 'original',
+                storageId: await putFile(`${key}-original.pdf`, buffer, 'application/pdf'),
+                contentType: 'application/pdf',
+                size: buffer.length,
+            },
+        ],
+        uploadedBy,
+        source: 'attachment',
+    });
+}
+
+// Read a whole stored file into memory
+async function readFile(storage, storageId) {
+    const chunks = [];
+    for await (const chunk of openFile(storage, storageId)) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// Delete a Media document and its files
+async function removeMedia(media) {
+    await Promise.all(media.variants.map((variant) => deleteFile(media.storage, variant.storageId)));
+    await media.deleteOne();
+}
+
+// Decode a base64 data URL ("data:image/png;base64,...") to a buffer, or null
+function decodeDataUrl(dataUrl) {
+    const match = /^data:image\/[\w.+-]+;base64,(.+)$/s.exec(dataUrl || '');
+    return match ? Buffer.from(match[1], 'base64') : null;
+}
+
+module.exports = {
+    STORAGE,
+    VARIANT_SIZES,
+    saveImage,
+    saveAttachment,
+    openFile,
+    readFile,
+    removeMedia,
+    decodeDataUrl,
+};
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const money = require('../../shared/money');
+
+/**
+ * AuditEvent Model
+ *
+ * One record per change to a room, room item, expense, timeline phase, exchange rate,
+ * vendor, quote, invoice or funding entry: who made it, when, and the before/after
+ * value of every changed field. Images, references, subtasks, learnings and product
+ * options are stored as short summaries (see SUMMARIZED_FIELDS), not whole.
+ * Written by the API routes; never edited afterwards.
+ */
+
+const changeSchema = new mongoose.Schema(
+    {
+        field: {
+            type: String,
+            required: true,
+        },
+        before: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        after: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+    },
+    { _id: false }
+);
+
+const auditEventSchema = new mongoose.Schema(
+    {
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true,
+        },
+        // Snapshot of the user, so history survives renames and deleted accounts
+        user: {
+            id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            name: { type: String, default: '' },
+            email: { type: String, default: '' },
+        },
+        action: {
+            type: String,
+            // delete = moved to the trash, purge = permanently deleted from the trash
+            enum: ['create', 'update', 'delete', 'restore', 'purge'],
+            required: true,
+        },
+        entityType: {
+            type: String,
+            enum: ['room', 'room_item', 'expense', 'phase', 'exchange_rate', 'vendor', 'quote', 'invoice', 'funding'],
+            required: true,
+        },
+        entityId: {
+            type: String,
+            default: '',
+        },
+        // Human-readable name of the entity (room name, item description, phase title)
+        entityLabel: {
+            type: String,
+            default: '',
+        },
+        // Room slug the change belongs to (rooms and room items), for room history
+        room: {
+            type: String,
+            default: null,
+        },
+        changes: {
+            type: [changeSchema],
+            default: [],
+        },
+        // Route that made the change (e.g. "POST /save-room/cocina")
+        source: {
+            type: String,
+            default: '',
+        },
+    },
+    {
+        timestamps: { createdAt: 'created_at', updatedAt: false },
+    }
+);
+
+// Events are listed newest first by _id
+auditEventSchema.index({ project: 1, _id: -1 });
+auditEventSchema.index({ project: 1, entityType: 1, entityId: 1 });
+auditEventSchema.index({ project: 1, room: 1, _id: -1 });
+
+// Fields stored as a short summary instead of their full value (e.g. base64 images)
+const SUMMARIZED_FIELDS = {
+    images: (images) => `${(images || []).length} image(s)`,
+    references: (refs) => `${(refs || []).length} reference(s)`,
+    // Subtasks and learnings can hold images too, so keep only their text
+    subtasks: (subtasks) =>
+        (subtasks || []).map((s) => `${s.completed ? '✓' : '○'} ${s.title}`),
+    learnings: (learnings) => (learnings || []).map((l) => l.content),
+    // Product options carry their images, so keep only their names and prices
+    productOptions: (options) =>
+        (options || []).map((o) => `${o.name}: ${money.formatCurrency(o.price, o.currency)}`),
+};
+
+// Convert a field value to a plain, comparable value for storage
+function normalizeValue(field, value) {
+    if (SUMMARIZED_FIELDS[field]) {
+        return SUMMARIZED_FIELDS[field](value);
+    }
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === 'object') {
+        // Mongoose arrays/subdocuments -> plain JSON
+        return JSON.parse(JSON.stringify(value));
+    }
+    return value;
+}
+
+// Compare the given fields of two objects and return the changes
+// before/after can be plain objects or documents; a missing side means create/delete
+auditEventSchema.statics.diff = function (before, after, fields) {
+    const changes = [];
+
+    fields.forEach((field) => {
+        const oldValue = normalizeValue(field, before ? before[field] : undefined);
+        const newValue = normalizeValue(field, after ? after[field] : undefined);
+
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes.push({ field, before: oldValue, after: newValue });
+        }
+    });
+
+    return changes;
+};
+
+// Save audit events for a request
+// Each event is { action, entityType, entityId, entityLabel, room, changes }
+// Updates without changes are skipped. Failures are logged, never thrown,
+// so a broken audit write does not fail the user's save.
+auditEventSchema.statics.record = async function (req, events) {
+    const list = (Array.isArray(events) ? events : [events]).filter(
+        (event) => event && (event.action !== 'update' || event.changes.length > 0)
+    );
+
+    if (list.length === 0) return;
+
+    const user = req.user
+        ? { id: req.user.id, name: req.user.name, email: req.user.email }
+        : {};
+    const source = `${req.method} ${req.path}`;
+
+    try {
+        await this.insertMany(
+            list.map((event) => ({
+                project: req.project._id,
+                user,
+                source,
+                ...event,
+                entityId: event.entityId ? String(event.entityId) : '',
+            }))
+        );
+    } catch (error) {
+        console.error('⚠️  Failed to write audit events:', error.message);
+    }
+};
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema, 'audit_events');
+
+module.exports = AuditEvent;
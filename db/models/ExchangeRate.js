@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const money = require('../../shared/money');
+
+/**
+ * ExchangeRate Model
+ *
+ * A manually entered exchange rate of a project: how many units of the project
+ * base currency one unit of another currency is worth, from an effective date on.
+ * Entries in that currency are converted with the latest rate in effect on their
+ * date (see exchangeRate in shared/money.js).
+ *
+ * Example: { currency: 'USD', rate: 3.75, effectiveDate: 2026-03-01 } for a PEN project
+ */
+
+const exchangeRateSchema = new mongoose.Schema(
+    {
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true,
+        },
+        currency: {
+            type: String,
+            enum: money.CURRENCY_CODES,
+            required: true,
+        },
+        rate: {
+            type: Number,
+            required: true,
+            min: 0,
+        },
+        effectiveDate: {
+            type: Date,
+            required: true,
+        },
+        notes: {
+            type: String,
+            default: '',
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    }
+);
+
+exchangeRateSchema.index({ project: 1, currency: 1, effectiveDate: 1 });
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema, 'exchange_rates');
+
+module.exports = ExchangeRate;
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const money = require('../../shared/money');
+const tax = require('../../shared/tax');
+const payments = require('../../shared/payments');
 
 /**
  * Expense Model
@@ -14,6 +17,12 @@ const mongoose = require('mongoose');
 
 const expenseSchema = new mongoose.Schema(
     {
+        // Project this expense belongs to
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true,
+        },
         description: {
             type: String,
             required: true,
@@ -29,6 +38,79 @@ const expenseSchema = new mongoose.Schema(
             required: true,
             default: 0,
         },
+
+        // Quantity and unit prices (same structure as room items), prices in cents of currency
+        // amount is kept equal to quantity × (actual price if set, otherwise budget price)
+        quantity: {
+            type: Number,
+            default: 1,
+        },
+        unit: {
+            type: String,
+            default: 'unit',
+        },
+        currency: {
+            type: String,
+            enum: money.CURRENCY_CODES,
+            default: money.DEFAULT_CURRENCY,
+        },
+        budget_price: {
+            type: Number,
+            default: 0,
+        },
+        // No default: expenses saved before unit prices only have an amount
+        actual_price: {
+            type: Number,
+        },
+        // Whether the prices include IGV (see shared/tax.js)
+        priceIncludesTax: {
+            type: Boolean,
+            default: true,
+        },
+        // Receipt the expense was paid with and its number (e.g. F001-00012345)
+        receiptType: {
+            type: String,
+            enum: tax.RECEIPT_TYPES,
+            default: 'none',
+        },
+        receiptNumber: {
+            type: String,
+            default: '',
+        },
+        // Payments made or scheduled for the expense (see shared/payments.js);
+        // when there are any, actual_price is derived from them
+        payments: {
+            type: [
+                {
+                    date: { type: Date, required: true }, // Paid date, or due date of a scheduled payment
+                    amount: { type: Number, required: true }, // Cents of the expense currency, tax included
+                    status: { type: String, enum: payments.PAYMENT_STATUSES, default: 'paid' },
+                    method: { type: String, enum: payments.PAYMENT_METHODS, default: 'transfer' },
+                    payer: { type: String, default: '' },
+                    reference: { type: String, default: '' }, // Operation number, cheque number, cuota 2/6...
+                },
+            ],
+            default: [],
+        },
+        // Receipts, invoices and photos of the expense (images or PDFs in the media store)
+        attachments: {
+            type: [
+                {
+                    mediaId: { type: mongoose.Schema.Types.ObjectId, ref: 'Media', required: true },
+                    filename: { type: String, default: '' },
+                    contentType: { type: String, default: '' },
+                    size: { type: Number, default: 0 }, // Bytes
+                    uploadedAt: { type: Date, default: Date.now },
+                },
+            ],
+            default: [],
+        },
+        // Store, supplier or contractor the expense is from (see Vendor.js)
+        vendor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Vendor',
+            default: null,
+        },
         status: {
             type: String,
             enum: ['Planning', 'Pending', 'Ordered', 'Completed'],
@@ -83,13 +165,25 @@ const expenseSchema = new mongoose.Schema(
             type: String,
             default: '',
         },
+
+        // Soft delete - deleted expenses stay in the trash until purged
+        deletedAt: {
+            type: Date,
+            default: null,
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
     },
     {
         timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
     }
 );
 
-// Index for efficient querying by room
+// Index for efficient querying by project and room
+expenseSchema.index({ project: 1, deletedAt: 1 });
 expenseSchema.index({ rooms: 1 });
 expenseSchema.index({ status: 1 });
 expenseSchema.index({ category: 1 });
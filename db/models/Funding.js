@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const money = require('../../shared/money');
+const funding = require('../../shared/funding');
+
+/**
+ * Funding Model
+ *
+ * Money available for a project: savings, loan disbursements, family
+ * contributions. Expected funding arrives on its date; the cash flow forecast
+ * sets it against upcoming payments month by month (see shared/funding.js).
+ *
+ * Example: { type: 'loan', description: 'BCP préstamo, 1er desembolso', amount: 3000000,
+ *   currency: 'PEN', date: '2026-11-15', status: 'expected' }
+ */
+
+const fundingSchema = new mongoose.Schema(
+    {
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true,
+        },
+        type: {
+            type: String,
+            enum: funding.FUNDING_TYPES,
+            default: 'savings',
+        },
+        description: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        // Cents of its currency
+        amount: {
+            type: Number,
+            required: true,
+        },
+        currency: {
+            type: String,
+            enum: money.CURRENCY_CODES,
+            default: money.DEFAULT_CURRENCY,
+        },
+        // When it was received, or when it is expected
+        date: {
+            type: Date,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: funding.FUNDING_STATUSES,
+            default: 'expected',
+        },
+        notes: {
+            type: String,
+            default: '',
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    }
+);
+
+fundingSchema.index({ project: 1, date: 1 });
+
+const Funding = mongoose.model('Funding', fundingSchema);
+
+module.exports = Funding;
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const money = require('../../shared/money');
+const tax = require('../../shared/tax');
+const invoices = require('../../shared/invoices');
+
+/**
+ * Invoice Model
+ *
+ * A receipt (factura or boleta) that pays for several room items or expenses.
+ * Each line is linked to the entry it paid for; adjustments (IGV, discounts,
+ * delivery) explain the difference between the invoice total and the linked
+ * entries and are allocated back across their rooms as Expense documents,
+ * recorded in allocations (see shared/invoices.js).
+ *
+ * Example: { number: 'F001-00012345', vendor: <Sodimac id>, total: 125000,
+ *   lines: [{ description: 'Porcelanato 60x60', amount: 84000, source: 'rooms', room: 'cocina', entryId: '...' }],
+ *   adjustments: [{ type: 'delivery', description: 'Despacho', amount: 3500 }] }
+ */
+
+const lineSchema = new mongoose.Schema(
+    {
+        description: {
+            type: String,
+            required: true,
+        },
+        // Cents of the invoice currency, IGV included
+        amount: {
+            type: Number,
+            default: 0,
+        },
+        // Linked room item (source 'rooms', with its room slug) or expense; null when not linked
+        source: {
+            type: String,
+            enum: ['rooms', 'expenses', null],
+            default: null,
+        },
+        room: {
+            type: String,
+            default: null,
+        },
+        entryId: {
+            type: String,
+            default: null,
+        },
+    },
+    { _id: false }
+);
+
+const adjustmentSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: invoices.ADJUSTMENT_TYPES,
+            default: 'other',
+        },
+        description: {
+            type: String,
+            default: '',
+        },
+        // Cents of the invoice currency; negative for discounts
+        amount: {
+            type: Number,
+            default: 0,
+        },
+    },
+    { _id: false }
+);
+
+const invoiceSchema = new mongoose.Schema(
+    {
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true,
+        },
+        receiptType: {
+            type: String,
+            enum: tax.RECEIPT_TYPES,
+            default: 'factura',
+        },
+        // Receipt number, e.g. F001-00012345
+        number: {
+            type: String,
+            default: '',
+            trim: true,
+        },
+        vendor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Vendor',
+            default: null,
+        },
+        date: {
+            type: Date,
+            required: true,
+        },
+        currency: {
+            type: String,
+            enum: money.CURRENCY_CODES,
+            default: money.DEFAULT_CURRENCY,
+        },
+        // What the invoice charges in total, in cents of its currency, IGV included
+        total: {
+            type: Number,
+            default: 0,
+        },
+        lines: {
+            type: [lineSchema],
+            default: [],
+        },
+        adjustments: {
+            type: [adjustmentSchema],
+            default: [],
+        },
+        notes: {
+            type: String,
+            default: '',
+        },
+        // Expenses created by the last allocation of the adjustments, one per adjustment and room
+        // (room is a slug, or null for general overhead)
+        allocations: {
+            type: [
+                {
+                    expense: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense', required: true },
+                    type: { type: String, enum: invoices.ADJUSTMENT_TYPES, required: true },
+                    room: { type: String, default: null },
+                    amount: { type: Number, required: true },
+                },
+            ],
+            default: [],
+        },
+        allocatedAt: {
+            type: Date,
+            default: null,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    }
+);
+
+invoiceSchema.index({ project: 1, date: -1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
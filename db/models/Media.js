@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+/**
+ * Media Model
+ *
+ * One uploaded image and its resized variants, or a PDF attachment (original
+ * only). The files live in the media store (disk or GridFS, see db/mediaStore.js);
+ * documents that show the file (rooms, items, product options, timeline phases,
+ * expense and item attachments) keep its URLs and mediaId.
+ */
+
+// Variants generated for every image; original is stored as uploaded (PDFs only have it)
+const MEDIA_VARIANTS = ['original', 'medium', 'thumb'];
+
+const variantSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            enum: MEDIA_VARIANTS,
+            required: true,
+        },
+        // GridFS file id or file name on disk, depending on the media's storage
+        storageId: {
+            type: String,
+            required: true,
+        },
+        contentType: {
+            type: String,
+            required: true,
+        },
+        width: Number,
+        height: Number,
+        size: Number,
+    },
+    { _id: false }
+);
+
+const mediaSchema = new mongoose.Schema(
+    {
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true,
+        },
+        // Random key used in public URLs, so media ids cannot be guessed
+        key: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        filename: {
+            type: String,
+            default: '',
+        },
+        storage: {
+            type: String,
+            enum: ['disk', 'gridfs'],
+            required: true,
+        },
+        variants: {
+            type: [variantSchema],
+            default: [],
+        },
+        uploadedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        // 'upload' for files sent by users, 'migration' for converted base64 images,
+        // 'attachment' for receipts of expenses and room items (never served publicly)
+        source: {
+            type: String,
+            enum: ['upload', 'migration', 'attachment'],
+            default: 'upload',
+        },
+    },
+    {
+        timestamps: { createdAt: 'created_at', updatedAt: false },
+    }
+);
+
+mediaSchema.statics.VARIANTS = MEDIA_VARIANTS;
+
+// Stable URL of a variant (served by GET /api/media/:key/:variant)
+mediaSchema.methods.url = function (variant = 'original') {
+    return `/api/media/${this.key}/${variant}`;
+};
+
+mediaSchema.methods.getVariant = function (name) {
+    return this.variants.find((variant) => variant.name === name) || null;
+};
+
+// URLs of every variant, e.g. { original, medium, thumb }
+mediaSchema.virtual('urls').get(function () {
+    return Object.fromEntries(MEDIA_VARIANTS.map((variant) => [variant, this.url(variant)]));
+});
+
+mediaSchema.set('toJSON', { virtuals: true });
+
+const Media = mongoose.model('Media', mediaSchema, 'media');
+
+module.exports = Media;
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const money = require('../../shared/money');
+const tax = require('../../shared/tax');
+
+/**
+ * Project Model
+ *
+ * A remodel being tracked (e.g. one apartment). Rooms, expenses and the
+ * timeline all belong to a project, so one deployment can track several remodels.
+ *
+ * Members get a per-project role:
+ * - owner: edit data, rename/archive the project and manage members
+ * - editor: edit rooms, expenses and the timeline
+ * - viewer: read-only access
+ *
+ * Global admins (User.role === 'admin') have owner access to every project.
+ */
+
+// Roles from least to most access
+const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+
+const memberSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        role: {
+            type: String,
+            enum: PROJECT_ROLES,
+            default: 'viewer',
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
+const projectSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        description: {
+            type: String,
+            default: '',
+        },
+        budget: {
+            type: Number, // Céntimos of the base currency
+            default: 0,
+        },
+        // Currency budgets are set in and totals are converted into (see ExchangeRate)
+        baseCurrency: {
+            type: String,
+            enum: money.CURRENCY_CODES,
+            default: money.DEFAULT_CURRENCY,
+        },
+        // IGV percentage applied to prices (see shared/tax.js)
+        taxRate: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: tax.DEFAULT_TAX_RATE,
+        },
+        // Requests to the unscoped /api/... routes use the default project
+        isDefault: {
+            type: Boolean,
+            default: false,
+        },
+        members: {
+            type: [memberSchema],
+            default: [],
+        },
+        // Archived projects are hidden from the project switcher
+        archived: {
+            type: Boolean,
+            default: false,
+        },
+    },
+    {
+        timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    }
+);
+
+projectSchema.index({ 'members.user': 1 });
+
+projectSchema.statics.ROLES = PROJECT_ROLES;
+
+// Check if a role name is a valid project role
+projectSchema.statics.isValidRole = function (role) {
+    return PROJECT_ROLES.includes(role);
+};
+
+// Get the project used by the unscoped /api/... routes
+projectSchema.statics.getDefault = function () {
+    return this.findOne({ isDefault: true });
+};
+
+// Find the projects a user can open (admins see every project)
+projectSchema.statics.findForUser = function (user, { includeArchived = false } = {}) {
+    const filter = user.role === 'admin' ? {} : { 'members.user': user.id };
+    if (!includeArchived) {
+        filter.archived = { $ne: true };
+    }
+    return this.find(filter).sort({ isDefault: -1, name: 1 });
+};
+
+// Get a user's role in this project, or null if they have no access
+// req.user-style objects ({ id, role }) are accepted
+projectSchema.methods.getRole = function (user) {
+    if (!user) return null;
+    if (user.role === 'admin') return 'owner';
+
+    // m.user may be populated, so compare by _id
+    const member = this.members.find((m) => m.user._id.equals(user.id));
+    return member ? member.role : null;
+};
+
+// Check if a user has at least the given role in this project
+projectSchema.methods.hasRole = function (user, minRole) {
+    const role = this.getRole(user);
+    return !!role && PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minRole);
+};
+
+// Count members with the owner role
+projectSchema.methods.countOwners = function () {
+    return this.members.filter((m) => m.role === 'owner').length;
+};
+
+const Project = mongoose.model('Project', projectSchema, 'projects');
+
+module.exports = Project;
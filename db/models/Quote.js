@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const money = require('../../shared/money');
+const quotes = require('../../shared/quotes');
+
+/**
+ * Quote Model
+ *
+ * A contractor's quote for a labor scope of a room or timeline phase, with line
+ * items, a validity date and payment terms. Quotes with the same scope are
+ * compared side by side (see shared/quotes.js). Awarding one turns its line items
+ * into budgeted room items (quotes of a room) or Expense documents, recorded in
+ * awardedEntries, and rejects the other open quotes of the scope.
+ *
+ * Example: { scope: 'Gasfitería baño', room: 'bano', vendor: <Vendor id>,
+ *   lineItems: [{ description: 'Instalación de inodoro', quantity: 1, unit_price: 18000 }] }
+ */
+
+const lineItemSchema = new mongoose.Schema(
+    {
+        description: {
+            type: String,
+            required: true,
+        },
+        category: {
+            type: String,
+            default: 'Services',
+        },
+        quantity: {
+            type: Number,
+            default: 1,
+        },
+        unit: {
+            type: String,
+            default: 'unit',
+        },
+        // Cents of the quote currency
+        unit_price: {
+            type: Number,
+            default: 0,
+        },
+    },
+    { _id: false }
+);
+
+const quoteSchema = new mongoose.Schema(
+    {
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true,
+        },
+        // Work being quoted; quotes with the same scope are compared
+        scope: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        // Room slug and/or timeline phase id the work is for
+        room: {
+            type: String,
+            default: null,
+        },
+        phase: {
+            type: String,
+            default: null,
+        },
+        // Who quoted: a vendor, or just a name for contractors not in the directory
+        vendor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Vendor',
+            default: null,
+        },
+        contractorName: {
+            type: String,
+            default: '',
+        },
+        currency: {
+            type: String,
+            enum: money.CURRENCY_CODES,
+            default: money.DEFAULT_CURRENCY,
+        },
+        priceIncludesTax: {
+            type: Boolean,
+            default: true,
+        },
+        lineItems: {
+            type: [lineItemSchema],
+            default: [],
+        },
+        validUntil: {
+            type: Date,
+            default: null,
+        },
+        // e.g. 50% adelanto, 50% al terminar
+        paymentTerms: {
+            type: String,
+            default: '',
+        },
+        notes: {
+            type: String,
+            default: '',
+        },
+        status: {
+            type: String,
+            enum: quotes.QUOTE_STATUSES,
+            default: 'open',
+        },
+        awardedAt: {
+            type: Date,
+            default: null,
+        },
+        // Room items (source 'rooms', with their room slug) or expenses created by the award
+        awardedEntries: {
+            type: [
+                {
+                    source: { type: String, enum: ['rooms', 'expenses'], required: true },
+                    room: { type: String, default: null },
+                    entryId: { type: String, required: true },
+                },
+            ],
+            default: [],
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    }
+);
+
+quoteSchema.index({ project: 1, scope: 1 });
+
+const Quote = mongoose.model('Quote', quoteSchema);
+
+module.exports = Quote;
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const money = require('../../shared/money');
+const tax = require('../../shared/tax');
+const payments = require('../../shared/payments');
+const Vendor = require('./Vendor');
 
 // Item Schema - for items within a room
 const itemSchema = new mongoose.Schema(
@@ -20,6 +24,12 @@ const itemSchema = new mongoose.Schema(
             type: String,
             default: 'unit',
         },
+        // Unit prices in cents of the item currency
+        currency: {
+            type: String,
+            enum: money.CURRENCY_CODES,
+            default: money.DEFAULT_CURRENCY,
+        },
         budget_price: {
             type: Number,
             default: 0,
@@ -28,6 +38,54 @@ const itemSchema = new mongoose.Schema(
             type: Number,
             default: 0,
         },
+        // Whether the prices include IGV, and the receipt the item was paid with (see shared/tax.js)
+        priceIncludesTax: {
+            type: Boolean,
+            default: true,
+        },
+        receiptType: {
+            type: String,
+            enum: tax.RECEIPT_TYPES,
+            default: 'none',
+        },
+        receiptNumber: {
+            type: String,
+            default: '',
+        },
+        // Payments made or scheduled for the item (see shared/payments.js);
+        // when there are any, actual_price is derived from them
+        payments: {
+            type: [
+                {
+                    date: { type: Date, required: true }, // Paid date, or due date of a scheduled payment
+                    amount: { type: Number, required: true }, // Cents of the item currency, tax included
+                    status: { type: String, enum: payments.PAYMENT_STATUSES, default: 'paid' },
+                    method: { type: String, enum: payments.PAYMENT_METHODS, default: 'transfer' },
+                    payer: { type: String, default: '' },
+                    reference: { type: String, default: '' }, // Operation number, cheque number, cuota 2/6...
+                },
+            ],
+            default: [],
+        },
+        // Receipts, invoices and photos of the item (images or PDFs in the media store)
+        attachments: {
+            type: [
+                {
+                    mediaId: { type: mongoose.Schema.Types.ObjectId, ref: 'Media', required: true },
+                    filename: { type: String, default: '' },
+                    contentType: { type: String, default: '' },
+                    size: { type: Number, default: 0 }, // Bytes
+                    uploadedAt: { type: Date, default: Date.now },
+                },
+            ],
+            default: [],
+        },
+        // Store, supplier or contractor the item is from (see Vendor.js)
+        vendor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Vendor',
+            default: null,
+        },
         subtotal: {
             type: Number,
             default: 0,
@@ -66,8 +124,10 @@ const itemSchema = new mongoose.Schema(
                 {
                     id: String,
                     name: String,
-                    url: String,
-                    data: String, // Base64 data or URL
+                    url: String, // Medium-size URL for images in the media store
+                    thumbUrl: String,
+                    mediaId: { type: mongoose.Schema.Types.ObjectId, ref: 'Media' },
+                    data: String, // Legacy base64 data (see migrate-images-to-media.js)
                     isMainImage: { type: Boolean, default: false }, // Primary/thumbnail image flag
                     showImage: { type: Boolean, default: false }, // Backward compatibility
                     uploadedAt: { type: Date, default: Date.now },
@@ -101,6 +161,9 @@ const itemSchema = new mongoose.Schema(
                     id: { type: String, required: true },
                     name: { type: String, required: true },
                     price: { type: Number, required: true },
+                    currency: { type: String, enum: money.CURRENCY_CODES, default: money.DEFAULT_CURRENCY },
+                    priceIncludesTax: { type: Boolean, default: true },
+                    vendor: { type: mongoose.Schema.Types.ObjectId, ref: 'Vendor', default: null },
                     url: { type: String, default: '' },
                     description: { type: String, default: '' },
                     images: {
@@ -109,6 +172,8 @@ const itemSchema = new mongoose.Schema(
                                 id: String,
                                 name: String,
                                 url: String,
+                                thumbUrl: String,
+                                mediaId: { type: mongoose.Schema.Types.ObjectId, ref: 'Media' },
                                 data: String,
                                 isMainImage: { type: Boolean, default: false },
                                 uploadedAt: { type: Date, default: Date.now },
@@ -143,6 +208,16 @@ const itemSchema = new mongoose.Schema(
             type: Date,
             default: null,
         },
+        // Soft delete - deleted items stay in the room (in the trash) until purged
+        deletedAt: {
+            type: Date,
+            default: null,
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
     }
     // _id: true is default - Mongoose will auto-generate unique _id for each item
 ); // Items now have unique MongoDB _id for proper tracking
@@ -150,17 +225,23 @@ const itemSchema = new mongoose.Schema(
 // Room Schema
 const roomSchema = new mongoose.Schema(
     {
+        // Project this room belongs to
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true,
+        },
         name: {
             type: String,
             required: true,
         },
+        // Unique within a project (see index below)
         slug: {
             type: String,
             required: true,
-            unique: true,
         },
         budget: {
-            type: Number,
+            type: Number, // Céntimos of the project base currency (see shared/money.js)
             default: 0,
         },
         status: {
@@ -173,8 +254,10 @@ const roomSchema = new mongoose.Schema(
                 {
                     id: String,
                     name: String,
-                    url: String,
-                    data: String, // Base64 data or URL
+                    url: String, // Medium-size URL for images in the media store
+                    thumbUrl: String,
+                    mediaId: { type: mongoose.Schema.Types.ObjectId, ref: 'Media' },
+                    data: String, // Legacy base64 data (see migrate-images-to-media.js)
                     isMainImage: { type: Boolean, default: false }, // Primary/thumbnail image flag
                     uploadedAt: { type: Date, default: Date.now },
                 },
@@ -182,45 +265,213 @@ const roomSchema = new mongoose.Schema(
             default: [], // Ensure images is always an array
         },
         items: [itemSchema],
+        // Archived rooms are hidden from the rooms list but keep their history
+        archived: {
+            type: Boolean,
+            default: false,
+        },
+        archivedAt: {
+            type: Date,
+            default: null,
+        },
     },
     {
         timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+        // Bump __v on every save and reject saves of stale copies
+        optimisticConcurrency: true,
     }
 );
 
-// Virtual property to calculate actual_spent
+// Slugs only need to be unique within a project
+roomSchema.index({ project: 1, slug: 1 }, { unique: true });
+
+// Items that are not in the trash
+// Queries that leave items out (see ?fields= on GET /api/rooms) have none
+roomSchema.methods.activeItems = function () {
+    return (this.items || []).filter((item) => !item.deletedAt);
+};
+
+// Virtual property to calculate actual_spent (cents, in the item currencies as entered;
+// routes report converted totals from db/ledger.js)
 // For completed items, use actual_price if set, otherwise budget_price
 roomSchema.virtual('actual_spent').get(function () {
-    return this.items
-        .filter((item) => item.status === 'Completed')
-        .reduce((sum, item) => {
-            const quantity = parseFloat(item.quantity) || 0;
-            const actualPrice = parseFloat(item.actual_price) || 0;
-            const budgetPrice = parseFloat(item.budget_price) || 0;
-            // Use actual_price if it's set and non-zero, otherwise use budget_price
-            const price = actualPrice > 0 ? actualPrice : budgetPrice;
-            return sum + quantity * price;
-        }, 0);
+    return money.sum(
+        this.activeItems()
+            .filter((item) => item.status === 'Completed')
+            .map((item) => money.subtotal(item))
+    );
+});
+
+// Virtual property to calculate expected_total (céntimos)
+// Every item counts, at actual_price if set, otherwise budget_price
+roomSchema.virtual('expected_total').get(function () {
+    return money.sum(this.activeItems().map((item) => money.subtotal(item)));
 });
 
 // Virtual property to calculate total_items
 roomSchema.virtual('total_items').get(function () {
-    return this.items.length;
+    return this.activeItems().length;
 });
 
 // Virtual property to calculate completed_items
 roomSchema.virtual('completed_items').get(function () {
-    return this.items.filter((item) => item.status === 'Completed').length;
+    return this.activeItems().filter((item) => item.status === 'Completed').length;
 });
 
 // Virtual property to calculate progress_percent
 roomSchema.virtual('progress_percent').get(function () {
-    if (this.items.length === 0) return 0;
-    return (this.completed_items / this.items.length) * 100;
+    if (this.total_items === 0) return 0;
+    return (this.completed_items / this.total_items) * 100;
+});
+
+// Slugs are lowercase letters, numbers, dashes and underscores (e.g. bano_visita)
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+// Build a slug from a room name: "Baño Visita" -> "bano_visita"
+roomSchema.statics.slugify = function (name = '') {
+    return String(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Strip accents
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, 50);
+};
+
+// Check if a slug is valid for a user-created room
+roomSchema.statics.isValidSlug = function (slug) {
+    return typeof slug === 'string' && SLUG_PATTERN.test(slug);
+};
+
+// Generate a slug from a name that no other room in the project uses yet (cocina, cocina_2, ...)
+roomSchema.statics.generateUniqueSlug = async function (name, project) {
+    const base = this.slugify(name) || 'room';
+    let slug = base;
+    let suffix = 2;
+
+    while (await this.exists({ project, slug })) {
+        slug = `${base}_${suffix++}`;
+    }
+
+    return slug;
+};
+
+// Item fields clients may set, and how numeric ones are coerced (prices are céntimos)
+const ITEM_EDITABLE_FIELDS = [
+    'description',
+    'category',
+    'quantity',
+    'unit',
+    'currency',
+    'budget_price',
+    'actual_price',
+    'priceIncludesTax',
+    'receiptType',
+    'receiptNumber',
+    'vendor',
+    'status',
+    'favorite',
+    'images',
+    'imageUrl',
+    'showImage',
+    'links',
+    'notes',
+    'productOptions',
+    'selectedOptionId',
+    'selectedProductName',
+    'createdDate',
+    'completedDate',
+];
+const ITEM_NUMBER_DEFAULTS = { quantity: 1 };
+const ITEM_MONEY_FIELDS = ['budget_price', 'actual_price'];
+
+roomSchema.statics.ITEM_EDITABLE_FIELDS = ITEM_EDITABLE_FIELDS;
+
+// Pick editable fields from client item data
+// Only fields present in the data are returned, so this works for partial updates
+// fallbackCurrency replaces a missing or invalid currency (of the item and its product options):
+// the item's own currency on updates, the project base currency on inserts
+roomSchema.statics.pickItemFields = function (data = {}, fallbackCurrency = null) {
+    const fields = {};
+    const currency = money.isCurrency(data.currency) ? data.currency : fallbackCurrency;
+    ITEM_EDITABLE_FIELDS.forEach((field) => {
+        if (data[field] === undefined || field === 'currency') return;
+        if (field in ITEM_NUMBER_DEFAULTS) {
+            fields[field] = parseFloat(data[field]) || ITEM_NUMBER_DEFAULTS[field];
+        } else if (ITEM_MONEY_FIELDS.includes(field)) {
+            fields[field] = money.asCents(data[field]);
+        } else if (field === 'priceIncludesTax') {
+            fields[field] = data[field] !== false;
+        } else if (field === 'receiptType') {
+            fields[field] = tax.isReceiptType(data[field]) ? data[field] : 'none';
+        } else if (field === 'vendor') {
+            fields[field] = Vendor.toId(data[field]);
+        } else if (field === 'productOptions' && Array.isArray(data[field])) {
+            fields[field] = data[field].map((option) => ({
+                ...option,
+                price: money.asCents(option.price),
+                currency: money.isCurrency(option.currency) ? option.currency : currency || money.DEFAULT_CURRENCY,
+                priceIncludesTax: option.priceIncludesTax !== false,
+                vendor: Vendor.toId(option.vendor),
+            }));
+        } else {
+            fields[field] = data[field];
+        }
+    });
+    if (currency) {
+        fields.currency = currency;
+    }
+    return fields;
+};
+
+// Fill in createdDate/completedDate for an item based on its status transition
+// Works on plain objects and item subdocuments
+roomSchema.statics.applyItemDates = function (item, previousStatus, now = new Date()) {
+    if (!item.createdDate) {
+        item.createdDate = now;
+    }
+
+    // Only stamp completedDate when the item newly becomes Completed
+    if (item.status === 'Completed' && !item.completedDate && previousStatus !== 'Completed') {
+        item.completedDate = now;
+    }
+
+    item.date = item.completedDate || item.createdDate; // Legacy field for backwards compatibility
+    return item;
+};
+
+// Derive room status from item completion
+roomSchema.methods.updateStatusFromItems = function () {
+    const items = this.activeItems();
+    const completedItems = items.filter(
+        (item) => item.status === 'Completed'
+    ).length;
+    this.status =
+        completedItems === items.length && items.length > 0
+            ? 'Completed'
+            : completedItems > 0
+            ? 'In Progress'
+            : 'Not Started';
+    return this.status;
+};
+
+// Virtual property exposing the document version for optimistic concurrency
+// Clients send it back when saving; a mismatch means someone else saved first
+roomSchema.virtual('version').get(function () {
+    return this.__v;
 });
 
 // Ensure virtuals are included when converting to JSON/Object
-roomSchema.set('toJSON', { virtuals: true });
+// Items in the trash are left out of JSON responses (see GET /api/trash)
+roomSchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        if (Array.isArray(ret.items)) {
+            ret.items = ret.items.filter((item) => !item.deletedAt);
+        }
+        return ret;
+    },
+});
 roomSchema.set('toObject', { virtuals: true });
 
 // Create model
@@ -44,9 +44,19 @@ const referenceSchema = new mongoose.Schema(
             type: String,
             default: '',
         },
+        thumbUrl: {
+            type: String,
+            default: '',
+        },
+        // Image in the media store (url/thumbUrl point to its variants)
+        mediaId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Media',
+            default: null,
+        },
         data: {
             type: String,
-            default: '', // Base64 data for images
+            default: '', // Legacy base64 data for images
         },
         description: {
             type: String,
@@ -75,9 +85,19 @@ const imageSchema = new mongoose.Schema(
             type: String,
             default: '',
         },
+        thumbUrl: {
+            type: String,
+            default: '',
+        },
+        // Image in the media store (url/thumbUrl point to its variants)
+        mediaId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Media',
+            default: null,
+        },
         data: {
             type: String,
-            default: '', // Base64 data
+            default: '', // Legacy base64 data
         },
         isMainImage: {
             type: Boolean,
@@ -183,6 +203,16 @@ const phaseSchema = new mongoose.Schema(
             type: [String],
             default: [],
         },
+        // Soft delete - deleted phases stay in the timeline (in the trash) until purged
+        deletedAt: {
+            type: Date,
+            default: null,
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
     },
     { _id: false }
 );
@@ -190,6 +220,13 @@ const phaseSchema = new mongoose.Schema(
 // Timeline Schema
 const timelineSchema = new mongoose.Schema(
     {
+        // Each project has one timeline
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true,
+            unique: true,
+        },
         phases: {
             type: [phaseSchema],
             default: [],
@@ -197,29 +234,53 @@ const timelineSchema = new mongoose.Schema(
     },
     {
         timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+        // Bump __v on every save and reject saves of stale copies
+        optimisticConcurrency: true,
     }
 );
 
+// Phases that are not in the trash
+timelineSchema.methods.activePhases = function () {
+    return this.phases.filter((phase) => !phase.deletedAt);
+};
+
 // Virtual property to calculate overall progress
 timelineSchema.virtual('overall_progress').get(function () {
-    if (this.phases.length === 0) return 0;
-    const completedPhases = this.phases.filter(
+    const phases = this.activePhases();
+    if (phases.length === 0) return 0;
+    const completedPhases = phases.filter(
         (phase) => phase.status === 'Completed'
     ).length;
-    return Math.round((completedPhases / this.phases.length) * 100);
+    return Math.round((completedPhases / phases.length) * 100);
 });
 
 // Virtual property to get current phase (first in-progress or not-started phase)
 timelineSchema.virtual('current_phase').get(function () {
-    const inProgress = this.phases.find((p) => p.status === 'In Progress');
+    const phases = this.activePhases();
+    const inProgress = phases.find((p) => p.status === 'In Progress');
     if (inProgress) return inProgress;
 
-    const notStarted = this.phases.find((p) => p.status === 'Not Started');
+    const notStarted = phases.find((p) => p.status === 'Not Started');
     return notStarted || null;
 });
 
+// Virtual property exposing the document version for optimistic concurrency
+// Clients send it back when saving; a mismatch means someone else saved first
+timelineSchema.virtual('version').get(function () {
+    return this.__v;
+});
+
 // Ensure virtuals are included when converting to JSON/Object
-timelineSchema.set('toJSON', { virtuals: true });
+// Phases in the trash are left out of JSON responses (see GET /api/trash)
+timelineSchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        if (Array.isArray(ret.phases)) {
+            ret.phases = ret.phases.filter((phase) => !phase.deletedAt);
+        }
+        return ret;
+    },
+});
 timelineSchema.set('toObject', { virtuals: true });
 
 // Create model
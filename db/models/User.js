@@ -57,6 +57,17 @@ const userSchema = new mongoose.Schema(
         lastLogin: {
             type: Date,
         },
+        // Brute-force protection: consecutive failed logins and lockout expiry
+        failedLoginAttempts: {
+            type: Number,
+            default: 0,
+            select: false,
+        },
+        lockUntil: {
+            type: Date,
+            default: null,
+            select: false,
+        },
     },
     {
         timestamps: true, // Adds createdAt and updatedAt
@@ -85,6 +96,12 @@ userSchema.methods.isAdmin = function () {
     return this.role === 'admin';
 };
 
+// Check if the account is temporarily locked after repeated failed logins
+// Requires lockUntil to be selected
+userSchema.methods.isLocked = function () {
+    return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
 // Static method to find active users
 userSchema.statics.findActive = function () {
     return this.find({ isActive: true });
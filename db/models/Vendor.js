@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+/**
+ * Vendor Model
+ *
+ * A store, supplier or contractor of a project: who items and expenses were
+ * bought from or who did the work. Room items, product options and Expense
+ * documents reference vendors by _id (vendor field, null when not set).
+ *
+ * Example: { name: 'Sodimac Javier Prado', type: 'store', ruc: '20389230724' }
+ */
+
+const VENDOR_TYPES = ['store', 'supplier', 'contractor', 'professional', 'other'];
+
+const vendorSchema = new mongoose.Schema(
+    {
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true,
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        type: {
+            type: String,
+            enum: VENDOR_TYPES,
+            default: 'store',
+        },
+        // Peruvian taxpayer number (11 digits), needed on facturas
+        ruc: {
+            type: String,
+            default: '',
+        },
+        contacts: {
+            type: [
+                {
+                    name: { type: String, default: '' },
+                    role: { type: String, default: '' }, // e.g. Sales, Foreman
+                    phone: { type: String, default: '' },
+                    email: { type: String, default: '' },
+                },
+            ],
+            default: [],
+        },
+        address: {
+            type: String,
+            default: '',
+        },
+        notes: {
+            type: String,
+            default: '',
+        },
+        // 1-5 stars, null when not rated
+        rating: {
+            type: Number,
+            min: 1,
+            max: 5,
+            default: null,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    }
+);
+
+vendorSchema.index({ project: 1, name: 1 });
+
+vendorSchema.statics.VENDOR_TYPES = VENDOR_TYPES;
+
+// RUCs have 11 digits and start with 10 (people), 15, 17 or 20 (companies)
+vendorSchema.statics.isValidRuc = function (ruc) {
+    return /^(10|15|17|20)\d{9}$/.test(ruc);
+};
+
+// Vendor reference from client data: a valid id, otherwise null
+vendorSchema.statics.toId = function (value) {
+    return value && mongoose.isValidObjectId(value) ? String(value) : null;
+};
+
+const Vendor = mongoose.model('Vendor', vendorSchema);
+
+module.exports = Vendor;
@@ -1,7 +1,19 @@
 const Room = require('./Room');
 const Expense = require('./Expense');
+const Project = require('./Project');
+const ExchangeRate = require('./ExchangeRate');
+const Vendor = require('./Vendor');
+const Quote = require('./Quote');
+const Invoice = require('./Invoice');
+const Funding = require('./Funding');
 
 module.exports = {
     Room,
     Expense,
+    Project,
+    ExchangeRate,
+    Vendor,
+    Quote,
+    Invoice,
+    Funding,
 };
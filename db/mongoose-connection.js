@@ -83,4 +83,32 @@ async function disconnectDB() {
     }
 }
 
-module.exports = { connectDB, disconnectDB, mongoose };
+// Transactions need a replica set (e.g. Atlas); a standalone local mongod has none
+let transactionsSupported = null;
+
+async function supportsTransactions() {
+    if (transactionsSupported === null) {
+        const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+        transactionsSupported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+
+        if (!transactionsSupported) {
+            console.warn('⚠️  MongoDB is not a replica set: multi-document saves run without transactions');
+            console.warn('   Start mongod with --replSet to make them atomic locally\n');
+        }
+    }
+
+    return transactionsSupported;
+}
+
+// Run fn(session) in a transaction, committed when fn resolves and aborted when it throws
+// fn may run more than once on transient errors, so it must not keep state between runs
+// Without transaction support fn runs once with session = null
+async function withTransaction(fn) {
+    if (!(await supportsTransactions())) {
+        return fn(null);
+    }
+
+    return mongoose.connection.transaction(fn);
+}
+
+module.exports = { connectDB, disconnectDB, withTransaction, mongoose };
@@ -0,0 +1,93 @@
+/**
+ * Zip Writer
+ *
+ * Builds a zip archive in memory from a list of { name, data } files. Files are
+ * stored without compression: receipts are already compressed images and PDFs,
+ * so deflating them again saves little. Names are written as UTF-8.
+ *
+ * Archives are limited to the classic zip format (under 4 GB, 65535 files).
+ */
+
+// CRC-32 lookup table (IEEE polynomial, as zip expects)
+// zlib.crc32 would do, but only exists from Node 20.15 / 22.2
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+// CRC-32 checksum of a buffer, as an unsigned 32-bit number
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date fields of a Date
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+// Zip archive of the files as a buffer; names may contain folders ("receipts/a.pdf")
+function createZip(files, modified = new Date()) {
+    const { time, day } = dosDateTime(modified);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0); // Local file header signature
+        local.writeUInt16LE(20, 4); // Version needed to extract
+        local.writeUInt16LE(0x0800, 6); // Flags: UTF-8 names
+        local.writeUInt16LE(0, 8); // Method: stored
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(day, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18); // Compressed size
+        local.writeUInt32LE(data.length, 22); // Uncompressed size
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28); // Extra field length
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0); // Central directory header signature
+        central.writeUInt16LE(20, 4); // Version made by
+        central.writeUInt16LE(20, 6); // Version needed to extract
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(0, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(day, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        // Extra field, comment, disk number and attributes stay zero
+        central.writeUInt32LE(offset, 42); // Offset of the local header
+
+        localParts.push(local, nameBuffer, data);
+        centralParts.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0); // End of central directory signature
+    end.writeUInt16LE(files.length, 8); // Entries on this disk
+    end.writeUInt16LE(files.length, 10); // Entries in total
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16); // Offset of the central directory
+
+    return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+module.exports = { createZip };
@@ -1,38 +1,147 @@
 /**
  * Authentication & Authorization Middleware
  *
- * Verifies that requests have a valid user session
+ * Verifies that requests carry a valid signed session token
  * and checks role-based permissions
  */
 
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../db/models/User');
 
+// Token settings - must match the values used by the NextAuth route when minting
+const TOKEN_ISSUER = 'apartment-remodel-web';
+const TOKEN_AUDIENCE = 'apartment-remodel-api';
+const TOKEN_ALGORITHM = 'HS256';
+
+// Seconds of clock drift tolerated between the Next.js host and this server
+const CLOCK_TOLERANCE_SECONDS = parseInt(process.env.JWT_CLOCK_TOLERANCE, 10) || 30;
+
 /**
- * Verify that the request has a valid user ID
- * This middleware extracts user info from the request header
+ * Send a 401 response with a machine-readable reason
+ */
+function unauthorized(res, reason, message) {
+    return res.status(401).json({
+        error: 'Authentication required',
+        reason,
+        message,
+    });
+}
+
+/**
+ * Extract the bearer token from the Authorization header
+ * Returns null if the header is missing or malformed
+ */
+function getBearerToken(req) {
+    const header = req.headers.authorization;
+
+    if (!header) {
+        return null;
+    }
+
+    const [scheme, token] = header.split(' ');
+
+    if (!/^Bearer$/i.test(scheme) || !token) {
+        return null;
+    }
+
+    return token;
+}
+
+/**
+ * Verify a signed session token and return its payload
+ * Throws a jsonwebtoken error (TokenExpiredError, NotBeforeError, JsonWebTokenError)
+ */
+function verifyToken(token) {
+    const secret = process.env.JWT_SECRET;
+
+    if (!secret) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+
+    return jwt.verify(token, secret, {
+        algorithms: [TOKEN_ALGORITHM],
+        issuer: TOKEN_ISSUER,
+        audience: TOKEN_AUDIENCE,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS,
+    });
+}
+
+/**
+ * Map a token verification error to a 401 reason and message
+ */
+function describeTokenError(error) {
+    if (error instanceof jwt.TokenExpiredError) {
+        return {
+            reason: 'token_expired',
+            message: 'Your session has expired. Please log in again',
+        };
+    }
+
+    if (error instanceof jwt.NotBeforeError) {
+        return {
+            reason: 'token_not_yet_valid',
+            message: 'Session token is not valid yet. Check the server clock',
+        };
+    }
+
+    if (error instanceof jwt.JsonWebTokenError) {
+        return {
+            reason: 'token_invalid',
+            message: 'Session token is invalid',
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Resolve the user referenced by a verified token payload
+ */
+async function findTokenUser(payload) {
+    if (!payload.sub || !mongoose.isValidObjectId(payload.sub)) {
+        return null;
+    }
+
+    return User.findById(payload.sub);
+}
+
+/**
+ * Verify that the request has a valid signed session token
+ * The token is minted by NextAuth and sent as "Authorization: Bearer <token>"
  *
  * Usage: app.post('/api/rooms', requireAuth, async (req, res) => { ... })
  */
 async function requireAuth(req, res, next) {
     try {
-        // Get user ID from request header (sent by NextAuth frontend)
-        const userId = req.headers['x-user-id'];
+        const token = getBearerToken(req);
+
+        if (!token) {
+            return unauthorized(
+                res,
+                'token_missing',
+                'Please log in to perform this action'
+            );
+        }
 
-        if (!userId) {
-            return res.status(401).json({
-                error: 'Authentication required',
-                message: 'Please log in to perform this action',
-            });
+        let payload;
+        try {
+            payload = verifyToken(token);
+        } catch (error) {
+            const tokenError = describeTokenError(error);
+
+            if (!tokenError) {
+                throw error;
+            }
+
+            return unauthorized(res, tokenError.reason, tokenError.message);
         }
 
-        // Fetch user from database
-        const user = await User.findById(userId);
+        // Fetch user from database so deactivations and role changes apply immediately
+        const user = await findTokenUser(payload);
 
         if (!user) {
-            return res.status(401).json({
-                error: 'Invalid authentication',
-                message: 'User not found',
-            });
+            return unauthorized(res, 'user_not_found', 'User not found');
         }
 
         if (!user.isActive) {
@@ -86,16 +195,17 @@ function requireAdmin(req, res, next) {
 
 /**
  * Optional auth - allows both authenticated and unauthenticated requests
- * If authenticated, attaches user to req.user
+ * If a valid token is present, attaches user to req.user
  *
  * Usage: app.get('/api/rooms', optionalAuth, async (req, res) => { ... })
  */
 async function optionalAuth(req, res, next) {
     try {
-        const userId = req.headers['x-user-id'];
+        const token = getBearerToken(req);
 
-        if (userId) {
-            const user = await User.findById(userId);
+        if (token) {
+            const payload = verifyToken(token);
+            const user = await findTokenUser(payload);
 
             if (user && user.isActive) {
                 req.user = {
@@ -110,7 +220,9 @@ async function optionalAuth(req, res, next) {
         next();
     } catch (error) {
         // Don't fail the request, just proceed without user
-        console.error('Optional auth error:', error);
+        if (!describeTokenError(error)) {
+            console.error('Optional auth error:', error);
+        }
         next();
     }
 }
@@ -0,0 +1,108 @@
+/**
+ * Project Middleware
+ *
+ * Resolves the project a request works on and checks the user's
+ * per-project role
+ */
+
+const mongoose = require('mongoose');
+const Project = require('../db/models/Project');
+
+/**
+ * Load the project from the :projectId route parameter into req.project
+ *
+ * Usage: app.use('/api/projects/:projectId', requireAuth, loadProject, router)
+ */
+async function loadProject(req, res, next) {
+    try {
+        const { projectId } = req.params;
+
+        const project = mongoose.isValidObjectId(projectId)
+            ? await Project.findById(projectId)
+            : null;
+
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        req.project = project;
+        next();
+    } catch (error) {
+        console.error('Project middleware error:', error);
+        return res.status(500).json({
+            error: 'Failed to load project',
+            details: error.message,
+        });
+    }
+}
+
+/**
+ * Load the default project into req.project
+ * Keeps the unscoped /api/... routes working for single-project setups
+ *
+ * Usage: app.use('/api', requireAuth, loadDefaultProject, router)
+ */
+async function loadDefaultProject(req, res, next) {
+    try {
+        const project = await Project.getDefault();
+
+        if (!project) {
+            return res.status(404).json({
+                error: 'Project not found',
+                message: 'No default project exists. Run "npm run migrate:projects" on the server',
+            });
+        }
+
+        req.project = project;
+        next();
+    } catch (error) {
+        console.error('Project middleware error:', error);
+        return res.status(500).json({
+            error: 'Failed to load project',
+            details: error.message,
+        });
+    }
+}
+
+/**
+ * Require a minimum project role (viewer, editor or owner)
+ * Must be used AFTER requireAuth and a project loader
+ * Sets req.projectRole to the user's role in the project
+ *
+ * Usage: router.post('/save-room/:roomName', requireProjectRole('editor'), async (req, res) => { ... })
+ */
+function requireProjectRole(minRole) {
+    return function (req, res, next) {
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Authentication required',
+                message: 'Please log in to perform this action',
+            });
+        }
+
+        if (!req.project.hasRole(req.user, minRole)) {
+            return res.status(403).json({
+                error: 'Project access required',
+                message: req.project.getRole(req.user)
+                    ? 'You do not have permission to perform this action in this project'
+                    : 'You are not a member of this project',
+            });
+        }
+
+        req.projectRole = req.project.getRole(req.user);
+        next();
+    };
+}
+
+const requireProjectMember = requireProjectRole('viewer');
+const requireProjectEditor = requireProjectRole('editor');
+const requireProjectOwner = requireProjectRole('owner');
+
+module.exports = {
+    loadProject,
+    loadDefaultProject,
+    requireProjectRole,
+    requireProjectMember,
+    requireProjectEditor,
+    requireProjectOwner,
+};
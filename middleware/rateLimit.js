@@ -0,0 +1,77 @@
+/**
+ * Rate Limiting Middleware
+ *
+ * Simple in-memory fixed-window rate limiter.
+ * Good enough for a single API instance; counters reset on restart.
+ */
+
+/**
+ * Create a rate limiter
+ *
+ * @param {Object} options
+ * @param {number} options.windowMs - Length of the counting window in milliseconds
+ * @param {number} options.max - Maximum hits allowed per key within the window
+ * @param {Function} options.keyGenerator - (req) => string key, or null to skip limiting
+ * @param {string} options.message - Message returned with the 429 response
+ *
+ * Usage:
+ *   const limiter = createRateLimiter({ windowMs: 60000, max: 5, keyGenerator: (req) => req.ip });
+ *   app.post('/api/auth/login', limiter, async (req, res) => { ... })
+ */
+function createRateLimiter({ windowMs, max, keyGenerator, message }) {
+    const hits = new Map(); // key -> { count, resetAt }
+
+    // Drop expired windows so the map does not grow forever
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) {
+                hits.delete(key);
+            }
+        }
+    }, windowMs);
+    cleanup.unref();
+
+    function middleware(req, res, next) {
+        const key = keyGenerator(req);
+
+        if (!key) {
+            return next();
+        }
+
+        const now = Date.now();
+        let entry = hits.get(key);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+
+        entry.count++;
+
+        if (entry.count > max) {
+            const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                error: 'Too many requests',
+                message: message || 'Too many requests. Please try again later',
+                retryAfter,
+            });
+        }
+
+        next();
+    }
+
+    // Clear the counter for a key (e.g. after a successful login)
+    middleware.reset = (key) => {
+        if (key) {
+            hits.delete(key);
+        }
+    };
+
+    return middleware;
+}
+
+module.exports = {
+    createRateLimiter,
+};
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Migration Script: Move Existing Data into a Default Project
+ *
+ * Rooms, expenses and the timeline now belong to a project.
+ * This script creates the default project (used by the unscoped /api/... routes)
+ * and assigns every room, expense and timeline without a project to it.
+ *
+ * What it does:
+ * 1. Creates the default project if none exists
+ * 2. Assigns rooms, expenses and the timeline without a project to it
+ * 3. Adds existing users as members (admins as owners, everyone else as viewers)
+ * 4. Replaces the old global unique index on room slugs with a per-project one
+ *
+ * Safe to run more than once.
+ *
+ * Usage:
+ *   node scripts/migrate-add-projects.js ["Project name"]
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env.local') });
+const { connectDB, disconnectDB } = require('../db/mongoose-connection');
+const Project = require('../db/models/Project');
+const Room = require('../db/models/Room');
+const Expense = require('../db/models/Expense');
+const Timeline = require('../db/models/Timeline');
+const User = require('../db/models/User');
+
+const DEFAULT_PROJECT_NAME = 'Apartment Remodel';
+
+async function migrateAddProjects(projectName = DEFAULT_PROJECT_NAME) {
+    try {
+        console.log('\n🔄 Starting project migration...\n');
+
+        await connectDB();
+
+        // 1. Find or create the default project
+        let project = await Project.getDefault();
+
+        if (project) {
+            console.log(`✅ Default project already exists: ${project.name} (${project._id})`);
+        } else {
+            project = await Project.create({ name: projectName, isDefault: true });
+            console.log(`✅ Created default project: ${project.name} (${project._id})`);
+        }
+
+        // 2. Drop the old global unique slug index before rooms can share slugs across projects
+        const roomIndexes = await Room.collection.indexes();
+        if (roomIndexes.some((index) => index.name === 'slug_1')) {
+            await Room.collection.dropIndex('slug_1');
+            console.log('🗑️  Dropped global unique index on rooms.slug');
+        }
+
+        // 3. Assign data without a project to the default project
+        const orphanFilter = { project: { $exists: false } };
+        const update = { $set: { project: project._id } };
+
+        const [rooms, expenses, timelines] = await Promise.all([
+            Room.updateMany(orphanFilter, update),
+            Expense.updateMany(orphanFilter, update),
+            Timeline.updateMany(orphanFilter, update),
+        ]);
+
+        console.log(`\n📦 Assigned to ${project.name}:`);
+        console.log(`   Rooms: ${rooms.modifiedCount}`);
+        console.log(`   Expenses: ${expenses.modifiedCount}`);
+        console.log(`   Timelines: ${timelines.modifiedCount}`);
+
+        // 4. Add existing users as members, keeping their current permissions
+        const users = await User.find({});
+        let addedMembers = 0;
+
+        for (const user of users) {
+            if (project.members.some((m) => m.user.equals(user._id))) {
+                continue;
+            }
+
+            const role = user.role === 'admin' ? 'owner' : 'viewer';
+            project.members.push({ user: user._id, role });
+            addedMembers++;
+
+            console.log(`👥 ${user.email} → ${role}`);
+        }
+
+        if (addedMembers > 0) {
+            await project.save();
+        }
+
+        console.log(`\n✨ Added ${addedMembers} members to ${project.name}`);
+
+        // 5. Build the new per-project indexes
+        await Promise.all([
+            Project.syncIndexes(),
+            Room.syncIndexes(),
+            Expense.syncIndexes(),
+            Timeline.syncIndexes(),
+        ]);
+
+        console.log('📇 Indexes are up to date\n');
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        throw error;
+    } finally {
+        await disconnectDB();
+    }
+}
+
+// Run migration
+if (require.main === module) {
+    migrateAddProjects(process.argv[2])
+        .then(() => {
+            console.log('✅ Migration complete!\n');
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('❌ Migration error:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { migrateAddProjects };
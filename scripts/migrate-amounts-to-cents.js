@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Migration Script: Store Amounts as Integer Céntimos
+ *
+ * Prices, budgets and allocation amounts used to be stored as sol amounts with
+ * decimals (12.5). They are now integer céntimos (1250, see shared/money.js).
+ *
+ * What it converts:
+ * - Project budgets
+ * - Room budgets; item prices, subtotals, totals, room allocations and product option prices
+ * - Expense amounts, prices and room allocations
+ *
+ * Everything is converted in one transaction (when the database supports them) and the
+ * run is recorded in the migrations collection, so running it again does nothing.
+ * Audit history keeps the sol amounts it was written with.
+ * Use --dry-run to count the documents without changing anything.
+ *
+ * Usage:
+ *   node scripts/migrate-amounts-to-cents.js [--dry-run]
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env.local') });
+const { connectDB, disconnectDB, withTransaction, mongoose } = require('../db/mongoose-connection');
+const Project = require('../db/models/Project');
+const Room = require('../db/models/Room');
+const Expense = require('../db/models/Expense');
+const money = require('../shared/money');
+
+const MIGRATION_ID = 'amounts-to-cents';
+
+const stats = { projects: 0, rooms: 0, expenses: 0 };
+
+const toCents = (value) => money.toCents(value || 0);
+
+function convertAllocations(allocations) {
+    return (allocations || []).map((allocation) => ({ ...allocation, amount: toCents(allocation.amount) }));
+}
+
+function convertItem(item) {
+    return {
+        ...item,
+        budget_price: toCents(item.budget_price),
+        actual_price: toCents(item.actual_price),
+        subtotal: toCents(item.subtotal),
+        totalAmount: toCents(item.totalAmount),
+        roomAllocations: convertAllocations(item.roomAllocations),
+        productOptions: (item.productOptions || []).map((option) => ({ ...option, price: toCents(option.price) })),
+    };
+}
+
+// Rewrite every document of a collection with raw updates (no virtuals or validation)
+async function convertCollection(Model, convert, statKey, session, dryRun) {
+    const documents = await Model.collection.find({}, { session }).toArray();
+
+    for (const doc of documents) {
+        if (!dryRun) {
+            await Model.collection.updateOne({ _id: doc._id }, { $set: convert(doc) }, { session });
+        }
+        stats[statKey]++;
+    }
+}
+
+async function migrateAmountsToCents({ dryRun = false } = {}) {
+    try {
+        console.log(`\n🔄 Converting amounts to céntimos${dryRun ? ' [dry run]' : ''}...\n`);
+
+        await connectDB();
+
+        const migrations = mongoose.connection.db.collection('migrations');
+        if (await migrations.findOne({ _id: MIGRATION_ID })) {
+            console.log('ℹ️  Amounts are already stored in céntimos. Nothing to migrate.');
+            return;
+        }
+
+        await withTransaction(async (session) => {
+            await convertCollection(Project, (project) => ({ budget: toCents(project.budget) }), 'projects', session, dryRun);
+
+            await convertCollection(Room, (room) => ({
+                budget: toCents(room.budget),
+                items: (room.items || []).map(convertItem),
+            }), 'rooms', session, dryRun);
+
+            await convertCollection(Expense, (expense) => ({
+                amount: toCents(expense.amount),
+                budget_price: toCents(expense.budget_price),
+                // Older expenses have no actual price; their amount stood for it (see db/ledger.js)
+                ...(expense.actual_price !== undefined ? { actual_price: toCents(expense.actual_price) } : {}),
+                roomAllocations: convertAllocations(expense.roomAllocations),
+            }), 'expenses', session, dryRun);
+
+            if (!dryRun) {
+                await migrations.insertOne({ _id: MIGRATION_ID, ranAt: new Date() }, { session });
+            }
+        });
+
+        console.log(`📊 Summary:`);
+        console.log(`   ${dryRun ? 'Would convert' : 'Converted'}: ${stats.projects} projects, ${stats.rooms} rooms, ${stats.expenses} expenses`);
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        throw error;
+    } finally {
+        await disconnectDB();
+    }
+}
+
+// Run migration
+if (require.main === module) {
+    migrateAmountsToCents({ dryRun: process.argv.includes('--dry-run') })
+        .then(() => {
+            console.log('✅ Migration complete!\n');
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('❌ Migration error:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { migrateAmountsToCents };
@@ -1,168 +1,132 @@
 #!/usr/bin/env node
 
 /**
- * Migration Script: Move _general room items to expenses collection
+ * Migration Script: Move _general Room Items to Expenses
  *
- * This script migrates all items from the _general room (fake room in rooms collection)
- * to the proper expenses collection.
+ * Project-level and multi-room costs used to be stored as items of a pseudo-room
+ * with slug `_general`. They are now Expense documents: `rooms` lists the rooms an
+ * expense is for (none for project overhead) and `roomAllocations` splits shared ones.
  *
- * What it does:
- * 1. Finds the _general room in the rooms collection
- * 2. Converts each item to an Expense document
- * 3. Saves to expenses collection
- * 4. Optionally deletes the _general room (with confirmation)
+ * What it does, for every project with a _general room:
+ * 1. Converts each item (including soft-deleted ones) to an Expense with the same _id,
+ *    quantity, unit prices, status, dates, notes and room allocations
+ * 2. Deletes the _general room
  *
- * Usage:
- *   node scripts/migrate-general-to-expenses.js [--delete-general]
+ * Items whose _id already exists as an Expense are skipped, so it is safe to run more than once.
+ * Use --dry-run to list the items without changing anything.
  *
- * Options:
- *   --delete-general    Delete the _general room after migration (requires confirmation)
+ * Usage:
+ *   node scripts/migrate-general-to-expenses.js [--dry-run]
  */
 
-require('dotenv').config({ path: '.env.local' });
-const { connectDB } = require('../db/mongoose-connection');
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env.local') });
+const { connectDB, disconnectDB } = require('../db/mongoose-connection');
 const Room = require('../db/models/Room');
 const Expense = require('../db/models/Expense');
 
-async function migrateGeneralToExpenses(deleteGeneral = false) {
-    try {
-        console.log('\n🚀 Starting migration: _general room → expenses collection\n');
-
-        // Find the _general room
-        const generalRoom = await Room.findOne({ slug: '_general' });
-
-        if (!generalRoom) {
-            console.log('ℹ️  No _general room found. Nothing to migrate.');
-            return;
-        }
-
-        console.log(`📦 Found _general room with ${generalRoom.items.length} items\n`);
-
-        if (generalRoom.items.length === 0) {
-            console.log('ℹ️  _general room is empty. Nothing to migrate.');
-
-            if (deleteGeneral) {
-                console.log('\n🗑️  Deleting empty _general room...');
-                await Room.deleteOne({ slug: '_general' });
-                console.log('✅ Deleted _general room\n');
-            }
-
-            return;
-        }
+const GENERAL_SLUG = '_general';
+
+const stats = { migrated: 0, skipped: 0, rooms: 0 };
+
+// Expense document fields of a _general room item
+function itemToExpense(project, item) {
+    const quantity = parseFloat(item.quantity) || 1;
+    const budgetPrice = parseFloat(item.budget_price) || 0;
+    const actualPrice = parseFloat(item.actual_price) || 0;
+
+    // Rooms the item was for; overhead items had no allocations
+    const allocations = (item.roomAllocations || []).map((a) => ({
+        room: a.room,
+        amount: a.amount || 0,
+        percentage: a.percentage || 0,
+    }));
+    const rooms = allocations.map((a) => a.room);
+    const isSharedExpense = rooms.length > 1;
+
+    return {
+        _id: item._id,
+        project,
+        description: item.description || 'Unnamed Expense',
+        category: item.category || 'Other',
+        quantity,
+        unit: item.unit || 'unit',
+        budget_price: budgetPrice,
+        actual_price: actualPrice,
+        amount: quantity * (actualPrice > 0 ? actualPrice : budgetPrice),
+        status: item.status || 'Pending',
+        date: item.completedDate || item.createdDate || new Date(),
+        createdDate: item.createdDate || new Date(),
+        completedDate: item.completedDate || null,
+        rooms,
+        roomAllocations: isSharedExpense ? allocations : [],
+        isSharedExpense,
+        notes: item.notes || '',
+        deletedAt: item.deletedAt || null,
+        deletedBy: item.deletedBy || null,
+    };
+}
 
-        // Migrate each item to expenses collection
-        let migratedCount = 0;
-        let skippedCount = 0;
-        const errors = [];
-
-        console.log('📝 Migrating items...\n');
-
-        for (const item of generalRoom.items) {
-            try {
-                // Determine amount (use actual_price if set, otherwise budget_price)
-                const amount = item.totalAmount ||
-                              (parseFloat(item.actual_price) || parseFloat(item.budget_price) || 0) *
-                              (parseFloat(item.quantity) || 1);
-
-                // Determine rooms array
-                let rooms = [];
-                if (item.isSharedExpense && item.roomAllocations && item.roomAllocations.length > 0) {
-                    rooms = item.roomAllocations.map(a => a.room);
-                } else if (item.roomAllocations && item.roomAllocations.length > 0) {
-                    rooms = [item.roomAllocations[0].room];
-                }
-
-                // Create expense document
-                const expense = new Expense({
-                    description: item.description || 'Unnamed Expense',
-                    category: item.category || 'Other',
-                    amount: amount,
-                    status: item.status || 'Pending',
-
-                    // Dates
-                    date: item.date || item.completedDate || item.createdDate || new Date(),
-                    createdDate: item.createdDate || new Date(),
-                    completedDate: item.completedDate || null,
-
-                    // Room linking
-                    rooms: rooms,
-                    roomAllocations: item.roomAllocations || [],
-                    isSharedExpense: item.isSharedExpense || false,
-
-                    // Notes
-                    notes: item.notes || ''
-                });
-
-                await expense.save();
-
-                console.log(`   ✅ Migrated: ${item.description.substring(0, 50)}...`);
-                console.log(`      Amount: ${amount}, Status: ${expense.status}, Rooms: ${rooms.join(', ') || 'General'}`);
-
-                migratedCount++;
-            } catch (error) {
-                console.error(`   ❌ Failed to migrate: ${item.description}`);
-                console.error(`      Error: ${error.message}`);
-                errors.push({ item: item.description, error: error.message });
-                skippedCount++;
-            }
-        }
+async function migrateGeneralRoom(room, dryRun) {
+    console.log(`📦 Project ${room.project}: ${room.items.length} items in ${GENERAL_SLUG}`);
 
-        console.log(`\n📊 Migration Summary:`);
-        console.log(`   ✅ Migrated: ${migratedCount} items`);
-        console.log(`   ❌ Skipped: ${skippedCount} items`);
+    const existing = await Expense.find({ _id: { $in: room.items.map((item) => item._id) } }).select('_id');
+    const existingIds = new Set(existing.map((expense) => expense._id.toString()));
 
-        if (errors.length > 0) {
-            console.log('\n⚠️  Errors encountered:');
-            errors.forEach(({ item, error }) => {
-                console.log(`   - ${item}: ${error}`);
-            });
+    for (const item of room.items) {
+        if (existingIds.has(item._id.toString())) {
+            stats.skipped++;
+            console.log(`   ⏭️  Already migrated: ${item.description}`);
+            continue;
         }
 
-        // Delete _general room if requested
-        if (deleteGeneral && migratedCount > 0) {
-            console.log('\n🗑️  Deleting _general room...');
-
-            // Double check before deleting
-            console.log('⚠️  WARNING: This will permanently delete the _general room!');
-            console.log('   All items have been migrated to expenses collection.');
-            console.log('   Press Ctrl+C within 5 seconds to cancel...\n');
-
-            await new Promise(resolve => setTimeout(resolve, 5000));
-
-            await Room.deleteOne({ slug: '_general' });
-            console.log('✅ Deleted _general room');
-        } else if (deleteGeneral) {
-            console.log('\nℹ️  Skipping deletion because no items were migrated.');
-        } else {
-            console.log('\nℹ️  To delete the _general room, run this script with --delete-general flag');
+        const expense = itemToExpense(room.project, item);
+        if (!dryRun) {
+            await Expense.create(expense);
         }
+        stats.migrated++;
+        console.log(`   ✅ ${item.description} → ${expense.rooms.join(', ') || 'General'}`);
+    }
 
-        console.log('\n✨ Migration completed successfully!\n');
-
-    } catch (error) {
-        console.error('\n❌ Migration failed:', error);
-        throw error;
+    if (!dryRun) {
+        await Room.deleteOne({ _id: room._id });
     }
+    stats.rooms++;
 }
 
-// Main execution
-async function main() {
+async function migrateGeneralToExpenses({ dryRun = false } = {}) {
     try {
-        // Check for --delete-general flag
-        const deleteGeneral = process.argv.includes('--delete-general');
+        console.log(`\n🔄 Moving ${GENERAL_SLUG} room items to expenses${dryRun ? ' [dry run]' : ''}...\n`);
 
-        // Connect to database
         await connectDB();
 
-        // Run migration
-        await migrateGeneralToExpenses(deleteGeneral);
+        const generalRooms = await Room.find({ slug: GENERAL_SLUG });
+        for (const room of generalRooms) {
+            await migrateGeneralRoom(room, dryRun);
+        }
 
-        // Close connection
-        process.exit(0);
+        console.log(`\n📊 Summary:`);
+        console.log(`   ${dryRun ? 'Would migrate' : 'Migrated'}: ${stats.migrated} items`);
+        console.log(`   Already migrated: ${stats.skipped} items`);
+        console.log(`   ${dryRun ? 'Would delete' : 'Deleted'}: ${stats.rooms} ${GENERAL_SLUG} rooms`);
     } catch (error) {
-        console.error('Migration error:', error);
-        process.exit(1);
+        console.error('❌ Migration failed:', error);
+        throw error;
+    } finally {
+        await disconnectDB();
     }
 }
 
-main();
+// Run migration
+if (require.main === module) {
+    migrateGeneralToExpenses({ dryRun: process.argv.includes('--dry-run') })
+        .then(() => {
+            console.log('✅ Migration complete!\n');
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('❌ Migration error:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { migrateGeneralToExpenses };
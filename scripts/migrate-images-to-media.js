@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * Migration Script: Move Base64 Images into the Media Store
+ *
+ * Images used to be stored as base64 `data` strings inside rooms and the timeline.
+ * This script uploads each one to the media store (disk or GridFS, see db/mediaStore.js),
+ * which also creates medium and thumbnail variants, and replaces the base64 data
+ * with the media URLs.
+ *
+ * What it converts:
+ * - Room images
+ * - Room item images, legacy item imageUrl and product option images
+ * - Timeline phase images, subtask images and image references
+ *
+ * Only entries holding a base64 data URL are touched, so it is safe to run more than once.
+ * Use --dry-run to count the images without changing anything.
+ *
+ * Usage:
+ *   node scripts/migrate-images-to-media.js [--dry-run]
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env.local') });
+const { connectDB, disconnectDB } = require('../db/mongoose-connection');
+const Room = require('../db/models/Room');
+const Timeline = require('../db/models/Timeline');
+const mediaStore = require('../db/mediaStore');
+
+const stats = { converted: 0, failed: 0, bytes: 0 };
+
+// Upload one base64 image and return its media, or null when it is not base64 or fails
+async function toMedia(project, dataUrl, filename, dryRun) {
+    const buffer = mediaStore.decodeDataUrl(dataUrl);
+    if (!buffer) return null;
+
+    if (dryRun) {
+        stats.converted++;
+        stats.bytes += dataUrl.length;
+        return null;
+    }
+
+    try {
+        const media = await mediaStore.saveImage({
+            project,
+            buffer,
+            filename: filename || '',
+            source: 'migration',
+        });
+        stats.converted++;
+        stats.bytes += dataUrl.length;
+        return media;
+    } catch (error) {
+        stats.failed++;
+        console.warn(`   ⚠️  Could not convert ${filename || 'image'}: ${error.message}`);
+        return null;
+    }
+}
+
+// Convert the base64 entries of an image array in place; returns true if any changed
+// Older entries kept the base64 string in url instead of data
+async function convertImages(project, images, dryRun) {
+    let changed = false;
+
+    for (const image of images || []) {
+        const media = await toMedia(project, image.data || image.url, image.name, dryRun);
+        if (!media) continue;
+
+        image.url = media.url('medium');
+        image.thumbUrl = media.url('thumb');
+        image.mediaId = media._id;
+        image.data = '';
+        changed = true;
+    }
+
+    return changed;
+}
+
+async function migrateRooms(dryRun) {
+    const rooms = await Room.find({});
+
+    for (const room of rooms) {
+        let changed = await convertImages(room.project, room.images, dryRun);
+
+        for (const item of room.items) {
+            changed = (await convertImages(room.project, item.images, dryRun)) || changed;
+
+            const legacyMedia = await toMedia(room.project, item.imageUrl, item.description, dryRun);
+            if (legacyMedia) {
+                item.imageUrl = legacyMedia.url('medium');
+                changed = true;
+            }
+
+            for (const option of item.productOptions || []) {
+                changed = (await convertImages(room.project, option.images, dryRun)) || changed;
+            }
+        }
+
+        if (changed) {
+            await room.save();
+            console.log(`🚪 ${room.name}: images moved to the media store`);
+        }
+    }
+}
+
+async function migrateTimelines(dryRun) {
+    const timelines = await Timeline.find({});
+
+    for (const timeline of timelines) {
+        let changed = false;
+
+        for (const phase of timeline.phases) {
+            changed = (await convertImages(timeline.project, phase.images, dryRun)) || changed;
+
+            for (const subtask of phase.subtasks || []) {
+                changed = (await convertImages(timeline.project, subtask.images, dryRun)) || changed;
+            }
+
+            const imageReferences = (phase.references || []).filter((ref) => ref.type === 'image');
+            changed = (await convertImages(timeline.project, imageReferences, dryRun)) || changed;
+        }
+
+        if (changed) {
+            await timeline.save();
+            console.log(`📅 Timeline ${timeline._id}: images moved to the media store`);
+        }
+    }
+}
+
+async function migrateImagesToMedia({ dryRun = false } = {}) {
+    try {
+        console.log(`\n🔄 Moving base64 images to the media store (${mediaStore.STORAGE})${dryRun ? ' [dry run]' : ''}...\n`);
+
+        await connectDB();
+
+        await migrateRooms(dryRun);
+        await migrateTimelines(dryRun);
+
+        const megabytes = (stats.bytes / 1024 / 1024).toFixed(1);
+        console.log(`\n📊 Summary:`);
+        console.log(`   ${dryRun ? 'Would convert' : 'Converted'}: ${stats.converted} images (${megabytes}MB of base64)`);
+        console.log(`   Failed: ${stats.failed}`);
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        throw error;
+    } finally {
+        await disconnectDB();
+    }
+}
+
+// Run migration
+if (require.main === module) {
+    migrateImagesToMedia({ dryRun: process.argv.includes('--dry-run') })
+        .then(() => {
+            console.log('✅ Migration complete!\n');
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('❌ Migration error:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { migrateImagesToMedia };
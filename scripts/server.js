@@ -1,15 +1,43 @@
 #!/usr/bin/env node
 
 const express = require('express');
+const mongoose = require('mongoose');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
-const { connectDB } = require('../db/mongoose-connection');
+const { connectDB, withTransaction } = require('../db/mongoose-connection');
 const Room = require('../db/models/Room');
 const Timeline = require('../db/models/Timeline');
 const User = require('../db/models/User');
 const Expense = require('../db/models/Expense');
+const ExchangeRate = require('../db/models/ExchangeRate');
+const Vendor = require('../db/models/Vendor');
+const Quote = require('../db/models/Quote');
+const Invoice = require('../db/models/Invoice');
+const Funding = require('../db/models/Funding');
+const Project = require('../db/models/Project');
+const AuditEvent = require('../db/models/AuditEvent');
+const Media = require('../db/models/Media');
+const mediaStore = require('../db/mediaStore');
+const ledger = require('../db/ledger');
+const zip = require('../db/zip');
+const money = require('../shared/money');
+const tax = require('../shared/tax');
+const payments = require('../shared/payments');
+const quotes = require('../shared/quotes');
+const invoices = require('../shared/invoices');
+const funding = require('../shared/funding');
 const bcrypt = require('bcryptjs');
+const multer = require('multer');
 const { requireAuth, requireAdmin, optionalAuth } = require('../middleware/auth');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const {
+    loadProject,
+    loadDefaultProject,
+    requireProjectMember,
+    requireProjectEditor,
+    requireProjectOwner,
+} = require('../middleware/project');
 
 const app = express();
 const port = process.env.PORT || 8000;
@@ -45,76 +73,523 @@ const corsOptions = {
 
 // Middleware
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '50mb' })); // Increased limit for base64 images
+app.use(express.json({ limit: '50mb' })); // Increased limit for legacy base64 images (new images go to POST /api/media)
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 app.use(express.static(path.join(__dirname, '..')));
 
+// ============================================================================
+// CONCURRENCY HELPERS
+// ============================================================================
+
+// Send a 409 Conflict with the server's current copy so the client can merge or reload
+function sendConflict(res, entity, current) {
+    return res.status(409).json({
+        error: 'Conflict',
+        message: `This ${entity} was changed by someone else since you loaded it`,
+        version: current ? current.__v : null,
+        current,
+    });
+}
+
+// Check the client's version (body or ?version=) against the stored document
+// Sends 428 when a required version is missing, or 409 when it is stale
+// Returns true when the save may proceed
+function checkVersion(req, res, doc, entity, { required = true } = {}) {
+    const version = req.body?.version ?? req.query.version;
+
+    if (version === undefined || version === null || version === '') {
+        if (!required) return true;
+        res.status(428).json({
+            error: 'Version required',
+            message: `Reload the ${entity} and try again`,
+        });
+        return false;
+    }
+
+    if (Number(version) !== doc.__v) {
+        sendConflict(res, entity, doc);
+        return false;
+    }
+
+    return true;
+}
+
+// ============================================================================
+// AUDIT HELPERS
+// ============================================================================
+
+// Fields compared when recording changes to each kind of entity
+const ROOM_AUDIT_FIELDS = ['name', 'slug', 'budget', 'images', 'archived'];
+const ITEM_AUDIT_FIELDS = [
+    ...Room.ITEM_EDITABLE_FIELDS,
+    'isSharedExpense',
+    'roomAllocations',
+    'totalAmount',
+    'payments',
+    'attachments',
+];
+const EXPENSE_AUDIT_FIELDS = [
+    'description',
+    'category',
+    'amount',
+    'quantity',
+    'unit',
+    'currency',
+    'budget_price',
+    'actual_price',
+    'priceIncludesTax',
+    'receiptType',
+    'receiptNumber',
+    'payments',
+    'attachments',
+    'vendor',
+    'status',
+    'date',
+    'createdDate',
+    'completedDate',
+    'rooms',
+    'roomAllocations',
+    'isSharedExpense',
+    'notes',
+];
+const PHASE_AUDIT_FIELDS = [
+    'title',
+    'description',
+    'status',
+    'startDate',
+    'endDate',
+    'order',
+    'notes',
+    'relatedRooms',
+    'learnings',
+    'references',
+    'subtasks',
+    'images',
+];
+const EXCHANGE_RATE_AUDIT_FIELDS = ['currency', 'rate', 'effectiveDate', 'notes'];
+const VENDOR_AUDIT_FIELDS = ['name', 'type', 'ruc', 'contacts', 'address', 'notes', 'rating'];
+const QUOTE_AUDIT_FIELDS = [
+    'scope',
+    'room',
+    'phase',
+    'vendor',
+    'contractorName',
+    'currency',
+    'priceIncludesTax',
+    'lineItems',
+    'validUntil',
+    'paymentTerms',
+    'notes',
+    'status',
+];
+const INVOICE_AUDIT_FIELDS = [
+    'receiptType',
+    'number',
+    'vendor',
+    'date',
+    'currency',
+    'total',
+    'lines',
+    'adjustments',
+    'notes',
+    'allocations',
+];
+const FUNDING_AUDIT_FIELDS = ['type', 'description', 'amount', 'currency', 'date', 'status', 'notes'];
+
+// Build an audit event for a room item
+function itemAuditEvent(action, roomSlug, before, after) {
+    const item = after || before;
+    return {
+        action,
+        entityType: 'room_item',
+        entityId: item._id,
+        entityLabel: item.description,
+        room: roomSlug,
+        changes: AuditEvent.diff(before, after, ITEM_AUDIT_FIELDS),
+    };
+}
+
+// Compare a room's items before and after a save (matched by _id)
+// and return create/update/delete audit events
+function diffRoomItems(roomSlug, beforeItems, afterItems) {
+    const beforeById = new Map(beforeItems.map((item) => [String(item._id), item]));
+    const afterIds = new Set(afterItems.map((item) => String(item._id)));
+
+    const events = afterItems.map((item) => {
+        const before = beforeById.get(String(item._id));
+        return itemAuditEvent(before ? 'update' : 'create', roomSlug, before, item);
+    });
+
+    beforeItems
+        .filter((item) => !afterIds.has(String(item._id)))
+        .forEach((item) => events.push(itemAuditEvent('delete', roomSlug, item, null)));
+
+    return events;
+}
+
+// Build an audit event for an expense
+function expenseAuditEvent(action, before, after) {
+    const expense = after || before;
+    return {
+        action,
+        entityType: 'expense',
+        entityId: expense._id,
+        entityLabel: expense.description,
+        changes: AuditEvent.diff(before, after, EXPENSE_AUDIT_FIELDS),
+    };
+}
+
+// Build an audit event for an exchange rate
+function exchangeRateAuditEvent(action, before, after) {
+    const rate = after || before;
+    return {
+        action,
+        entityType: 'exchange_rate',
+        entityId: rate._id,
+        entityLabel: rate.currency,
+        changes: AuditEvent.diff(before, after, EXCHANGE_RATE_AUDIT_FIELDS),
+    };
+}
+
+// Build an audit event for a vendor
+function vendorAuditEvent(action, before, after) {
+    const vendor = after || before;
+    return {
+        action,
+        entityType: 'vendor',
+        entityId: vendor._id,
+        entityLabel: vendor.name,
+        changes: AuditEvent.diff(before, after, VENDOR_AUDIT_FIELDS),
+    };
+}
+
+// Build an audit event for a quote
+function quoteAuditEvent(action, before, after) {
+    const quote = after || before;
+    return {
+        action,
+        entityType: 'quote',
+        entityId: quote._id,
+        entityLabel: `${quote.scope}: ${quote.contractorName}`,
+        room: quote.room || null,
+        changes: AuditEvent.diff(before, after, QUOTE_AUDIT_FIELDS),
+    };
+}
+
+// Build an audit event for an invoice
+function invoiceAuditEvent(action, before, after) {
+    const invoice = after || before;
+    return {
+        action,
+        entityType: 'invoice',
+        entityId: invoice._id,
+        entityLabel: invoiceLabel(invoice),
+        room: null,
+        changes: AuditEvent.diff(before, after, INVOICE_AUDIT_FIELDS),
+    };
+}
+
+// Build an audit event for a funding entry
+function fundingAuditEvent(action, before, after) {
+    const entry = after || before;
+    return {
+        action,
+        entityType: 'funding',
+        entityId: entry._id,
+        entityLabel: entry.description,
+        room: null,
+        changes: AuditEvent.diff(before, after, FUNDING_AUDIT_FIELDS),
+    };
+}
+
+// Compare timeline phases before and after a save (matched by phase id)
+// and return create/update/delete audit events
+function diffPhases(beforePhases, afterPhases) {
+    const phaseEvent = (action, before, after) => {
+        const phase = after || before;
+        return {
+            action,
+            entityType: 'phase',
+            entityId: phase.id,
+            entityLabel: phase.title,
+            changes: AuditEvent.diff(before, after, PHASE_AUDIT_FIELDS),
+        };
+    };
+
+    const beforeById = new Map(beforePhases.map((phase) => [phase.id, phase]));
+    const afterIds = new Set(afterPhases.map((phase) => phase.id));
+
+    const events = afterPhases.map((phase) => {
+        const before = beforeById.get(phase.id);
+        return phaseEvent(before ? 'update' : 'create', before, phase);
+    });
+
+    beforePhases
+        .filter((phase) => !afterIds.has(phase.id))
+        .forEach((phase) => events.push(phaseEvent('delete', phase, null)));
+
+    return events;
+}
+
+// ============================================================================
+// SOFT DELETE HELPERS
+// ============================================================================
+
+// Move a room item, expense or phase to the trash
+function markDeleted(doc, req) {
+    doc.deletedAt = new Date();
+    doc.deletedBy = req.user.id;
+}
+
+// Take a room item, expense or phase out of the trash
+function clearDeleted(doc) {
+    doc.deletedAt = null;
+    doc.deletedBy = null;
+}
+
+// Check if a room item, expense or phase is not in the trash
+function isActive(doc) {
+    return !doc.deletedAt;
+}
+
+// ============================================================================
+// PROJECTION HELPERS
+// ============================================================================
+
+// Heavy room data, left out when ?fields= or ?include= is sent unless listed in include
+const ROOM_HEAVY_PATHS = {
+    images: ['images', 'items.images'],
+    productOptions: ['items.productOptions'],
+};
+
+// Room fields computed from the items; requesting any of them loads the items
+const ROOM_ITEM_FIELDS = [
+    'items',
+    'actual_spent',
+    'expected_total',
+    'total_items',
+    'completed_items',
+    'progress_percent',
+];
+
+// Split a comma-separated query value into a list (null when not sent)
+function parseListParam(value) {
+    if (!value) return null;
+    return String(value).split(',').map((entry) => entry.trim()).filter(Boolean);
+}
+
+// Read ?fields= (top-level fields to return) and ?include= (heavy data to keep)
+// Returns null when neither is sent, meaning the full response
+function parseProjection(req) {
+    const fields = parseListParam(req.query.fields);
+    const include = parseListParam(req.query.include);
+
+    if (!fields && !include) return null;
+
+    return { fields, include: new Set(include || []) };
+}
+
+// Keep only the requested top-level fields of a plain object (_id is always kept)
+function pickFields(obj, fields) {
+    if (!fields) return obj;
+    return Object.fromEntries(
+        Object.entries(obj).filter(([key]) => key === '_id' || fields.includes(key))
+    );
+}
+
+// Mongo projection for a room query, leaving out data the projection does not need
+function roomSelect(projection) {
+    if (!projection) return '';
+
+    const needsItems = !projection.fields || projection.fields.some((field) => ROOM_ITEM_FIELDS.includes(field));
+    const excluded = Object.entries(ROOM_HEAVY_PATHS)
+        .filter(([name]) => !projection.include.has(name))
+        .flatMap(([, paths]) => paths)
+        // Excluding items and one of its paths is a path collision in MongoDB
+        .filter((path) => needsItems || !path.startsWith('items.'));
+
+    if (!needsItems) {
+        excluded.push('items');
+    }
+
+    return excluded.map((path) => `-${path}`).join(' ');
+}
+
+// Room fields that come from the ledger instead of the room's own items
+const ROOM_LEDGER_FIELDS = ['actual_spent', 'expected_total'];
+
+// Spent and expected of a room from ledger.totalsByRoom: its own items plus its share of shared expenses
+function roomLedgerTotals(roomTotals, slug) {
+    const totals = roomTotals.get(slug) || ledger.emptyTotals();
+    return { actual_spent: totals.actual, expected_total: totals.expected };
+}
+
+// Convert room documents to JSON with the projection applied
+// roomTotals (ledger.totalsByRoom) replaces the item-only actual_spent and expected_total
+function projectRooms(rooms, projection, roomTotals) {
+    return rooms.map((room) => {
+        const json = room.toJSON();
+        if (roomTotals) {
+            Object.assign(json, roomLedgerTotals(roomTotals, room.slug));
+        }
+        return pickFields(json, projection?.fields);
+    });
+}
+
+// Apply a projection to a room item: requested fields only, heavy data only when included
+function projectItem(item, projection) {
+    if (!projection) return item;
+
+    const projected = pickFields(item, projection.fields);
+    Object.keys(ROOM_HEAVY_PATHS).forEach((name) => {
+        if (!projection.include.has(name)) {
+            delete projected[name];
+        }
+    });
+    return projected;
+}
+
 // ============================================================================
 // AUTH ROUTES
 // ============================================================================
 
-// Get user by email or username (for NextAuth)
-app.post('/api/auth/user-by-email', async (req, res) => {
+// Login settings
+const LOGIN_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+const MAX_LOGIN_ATTEMPTS_PER_IP = 50;
+const MAX_LOGIN_ATTEMPTS_PER_IDENTIFIER = 10;
+const MAX_FAILED_LOGINS_BEFORE_LOCK = 5;
+const ACCOUNT_LOCK_MS = 15 * 60 * 1000; // 15 minutes
+
+// Address a login comes from. Logins reach the API from the Next.js server, which
+// forwards the browser's address signed with JWT_SECRET (X-Client-IP and
+// X-Client-IP-Signature); unsigned requests count under the caller's own address
+function loginClientIp(req) {
+    const ip = req.get('X-Client-IP');
+    const signature = req.get('X-Client-IP-Signature') || '';
+    if (ip && process.env.JWT_SECRET) {
+        const expected = crypto.createHmac('sha256', process.env.JWT_SECRET).update(ip).digest('hex');
+        if (signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            return ip;
+        }
+    }
+    return req.ip;
+}
+
+// Per address, looser than per account: stops one client from trying passwords
+// across many accounts, while people sharing an address can still log in
+const loginIpLimiter = createRateLimiter({
+    windowMs: LOGIN_WINDOW_MS,
+    max: MAX_LOGIN_ATTEMPTS_PER_IP,
+    keyGenerator: (req) => `ip:${loginClientIp(req)}`,
+    message: 'Too many login attempts from this address. Please try again later',
+});
+
+const loginIdentifierLimiter = createRateLimiter({
+    windowMs: LOGIN_WINDOW_MS,
+    max: MAX_LOGIN_ATTEMPTS_PER_IDENTIFIER,
+    keyGenerator: (req) => {
+        const identifier = req.body?.identifier || req.body?.email;
+        return identifier ? `id:${String(identifier).toLowerCase()}` : null;
+    },
+    message: 'Too many login attempts for this account. Please try again later',
+});
+
+// Verify credentials (for NextAuth)
+// Password comparison happens here so the hash never leaves the server
+app.post('/api/auth/login', loginIpLimiter, loginIdentifierLimiter, async (req, res) => {
     try {
-        const { email, identifier } = req.body;
+        const { identifier, email, password } = req.body;
         const lookupValue = identifier || email; // Support both old 'email' and new 'identifier'
 
-        if (!lookupValue) {
-            return res.status(400).json({ error: 'Email or username is required' });
+        if (!lookupValue || !password) {
+            return res.status(400).json({
+                error: 'Email/username and password are required',
+            });
         }
 
-        // Try to find user by email first, then by username
-        let user = await User.findOne({ email: lookupValue.toLowerCase() }).select('+password');
+        const normalized = String(lookupValue).toLowerCase();
+        const user = await User.findOne({
+            $or: [{ email: normalized }, { username: normalized }],
+        }).select('+password +failedLoginAttempts +lockUntil');
 
-        if (!user) {
-            user = await User.findOne({ username: lookupValue.toLowerCase() }).select('+password');
-        }
+        // Same response for unknown users and wrong passwords to avoid account enumeration
+        const invalidCredentials = () =>
+            res.status(401).json({
+                error: 'Invalid credentials',
+                message: 'Invalid email/username or password',
+            });
 
         if (!user) {
-            return res.status(404).json({ error: 'User not found' });
+            return invalidCredentials();
         }
 
-        console.log('User found:', lookupValue, 'Has password:', !!user.password);
+        if (user.isLocked()) {
+            const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(423).json({
+                error: 'Account locked',
+                message: `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes`,
+                retryAfter,
+            });
+        }
 
-        // Return user as plain object to preserve password field
-        const userObj = {
-            _id: user._id,
-            email: user.email,
-            username: user.username,
-            name: user.name,
-            role: user.role,
-            isActive: user.isActive,
-            password: user.password, // Include password for NextAuth verification
-            createdAt: user.createdAt,
-            updatedAt: user.updatedAt,
-        };
+        if (!user.password) {
+            return res.status(500).json({
+                error: 'Account configuration error',
+                message: 'Account configuration error. Please contact support.',
+            });
+        }
 
-        res.json({ success: true, user: userObj });
-    } catch (error) {
-        console.error('Error fetching user:', error);
-        res.status(500).json({
-            error: 'Failed to fetch user',
-            details: error.message,
-        });
-    }
-});
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+
+        if (!isPasswordValid) {
+            // Counted with $inc, so parallel failed logins all count towards the lock
+            const counted = await User.findOneAndUpdate(
+                { _id: user._id },
+                { $inc: { failedLoginAttempts: 1 } },
+                { new: true }
+            ).select('+failedLoginAttempts');
+            const failedLoginAttempts = counted ? counted.failedLoginAttempts : 0;
+
+            if (failedLoginAttempts >= MAX_FAILED_LOGINS_BEFORE_LOCK) {
+                await User.updateOne(
+                    { _id: user._id },
+                    { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + ACCOUNT_LOCK_MS) }
+                );
+                console.warn(`🔒 Locked account ${user.username} after ${failedLoginAttempts} failed logins`);
+            }
 
-// Update last login
-app.post('/api/auth/update-last-login', async (req, res) => {
-    try {
-        const { userId } = req.body;
+            return invalidCredentials();
+        }
 
-        if (!userId) {
-            return res.status(400).json({ error: 'User ID is required' });
+        if (!user.isActive) {
+            return res.status(403).json({
+                error: 'Account deactivated',
+                message: 'Your account has been deactivated',
+            });
         }
 
-        await User.findByIdAndUpdate(userId, { lastLogin: new Date() });
+        // Successful login: reset counters and record last login
+        await User.updateOne(
+            { _id: user._id },
+            { failedLoginAttempts: 0, lockUntil: null, lastLogin: new Date() }
+        );
+        loginIdentifierLimiter.reset(`id:${normalized}`);
 
-        res.json({ success: true });
+        res.json({
+            success: true,
+            user: {
+                _id: user._id,
+                email: user.email,
+                username: user.username,
+                name: user.name,
+                role: user.role,
+            },
+        });
     } catch (error) {
-        console.error('Error updating last login:', error);
+        console.error('Error logging in:', error);
         res.status(500).json({
-            error: 'Failed to update last login',
+            error: 'Failed to log in',
             details: error.message,
         });
     }
@@ -175,6 +650,13 @@ app.post('/api/auth/register', async (req, res) => {
 
         await newUser.save();
 
+        // New users can read the default project, as before projects existed;
+        // owners raise the role or add them to other projects from the members page
+        await Project.updateOne(
+            { isDefault: true },
+            { $push: { members: { user: newUser._id, role: 'viewer' } } }
+        );
+
         // Return user without password
         const userResponse = newUser.toJSON();
 
@@ -214,962 +696,5038 @@ app.get('/api/auth/users', requireAuth, requireAdmin, async (req, res) => {
 });
 
 // ============================================================================
-// ROOM ROUTES
-// ============================================================================
-// ROOM ROUTES
+// PROJECT ROUTES
 // ============================================================================
 
-// Get all rooms overview
-app.get('/api/rooms', async (req, res) => {
+// Add a project's role for the current user to its JSON
+function projectForUser(project, user) {
+    return { ...project.toJSON(), role: project.getRole(user) };
+}
+
+// List projects the current user can open
+// Archived projects are excluded unless ?includeArchived=true
+app.get('/api/projects', requireAuth, async (req, res) => {
     try {
-        // Fetch rooms - virtuals will automatically calculate actual_spent, progress_percent, etc.
-        const rooms = await Room.find({});
+        const projects = await Project.findForUser(req.user, {
+            includeArchived: req.query.includeArchived === 'true',
+        });
 
-        // Return rooms with all virtual fields included (toJSON is configured to include virtuals)
-        res.json({ success: true, rooms });
-    } catch (error) {
-        console.error('Error loading rooms:', error);
         res.json({
-            error: 'Failed to load rooms',
+            success: true,
+            projects: projects.map((project) => projectForUser(project, req.user)),
+        });
+    } catch (error) {
+        console.error('Error loading projects:', error);
+        res.status(500).json({
+            error: 'Failed to load projects',
             details: error.message,
         });
     }
 });
 
-// Load specific room data
-app.get('/api/load-room/:roomName', async (req, res) => {
+// Create a project (requires admin)
+// The creator becomes its owner; the first project becomes the default one
+app.post('/api/projects', requireAuth, requireAdmin, async (req, res) => {
     try {
-        const { roomName } = req.params;
-        const room = await Room.findOne({ slug: roomName });
+        const { name, description, budget, baseCurrency = money.DEFAULT_CURRENCY, taxRate = tax.DEFAULT_TAX_RATE } = req.body;
 
-        if (!room) {
-            return res.status(404).json({ error: 'Room not found' });
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Project name is required' });
         }
 
-        // Get shared items from _general room that apply to this room
-        const generalRoom = await Room.findOne({ slug: '_general' });
-        const sharedItems = [];
-        
-        if (generalRoom) {
-            generalRoom.items.forEach((item) => {
-                if (item.isSharedExpense && item.roomAllocations) {
-                    const allocation = item.roomAllocations.find(a => a.room === roomName);
-                    if (allocation) {
-                        // Include this shared item with its allocation for this room
-                        sharedItems.push({
-                            description: item.description,
-                            category: item.category,
-                            quantity: item.quantity,
-                            unit: item.unit,
-                            budget_price: item.budget_price,
-                            actual_price: allocation.amount, // Use allocated amount
-                            status: item.status,
-                            favorite: item.favorite || false,
-                            images: item.images || [],
-                            imageUrl: item.imageUrl || '',
-                            showImage: item.showImage || false,
-                            links: item.links || [],
-                            notes: item.notes || '',
-                            isSharedExpense: true,
-                            sharedWith: item.roomAllocations.map(a => a.room).filter(r => r !== roomName),
-                            totalAmount: item.totalAmount
-                        });
-                    }
-                }
+        if (!money.isCurrency(baseCurrency)) {
+            return res.status(400).json({
+                error: 'Invalid currency',
+                message: `Currency must be one of: ${money.CURRENCY_CODES.join(', ')}`,
             });
         }
 
-        // Transform room's own items
-        const roomData = {
-            name: room.name,
-            budget: room.budget,
-            images: room.images || [],
-            items: room.items.map((item) => ({
-                description: item.description,
-                category: item.category,
-                quantity: item.quantity,
-                unit: item.unit,
-                budget_price: item.budget_price,
-                actual_price: item.actual_price,
-                status: item.status,
-                favorite: item.favorite || false,
-                images: item.images || [],
-                imageUrl: item.imageUrl || '',
-                showImage: item.showImage || false,
-                links: item.links || [],
-                notes: item.notes || '',
-                isSharedExpense: item.isSharedExpense || false,
-                productOptions: item.productOptions || [],
-                selectedOptionId: item.selectedOptionId || '',
-                selectedProductName: item.selectedProductName || '',
-            })),
-            sharedItems // Add shared items separately
-        };
+        if (!tax.isTaxRate(taxRate)) {
+            return res.status(400).json({ error: 'Tax rate must be a percentage from 0 to 100' });
+        }
 
-        res.json({ success: true, roomData });
+        const project = new Project({
+            name: name.trim(),
+            description: description || '',
+            budget: money.asCents(budget),
+            baseCurrency,
+            taxRate: Number(taxRate),
+            isDefault: !(await Project.exists({ isDefault: true })),
+            members: [{ user: req.user.id, role: 'owner' }],
+        });
+
+        await project.save();
+
+        console.log(`🏗️  Created project ${project.name} (${project._id})`);
+
+        res.status(201).json({
+            success: true,
+            message: `${project.name} created successfully`,
+            project: projectForUser(project, req.user),
+        });
     } catch (error) {
-        console.error('Error loading room data:', error);
+        console.error('Error creating project:', error);
         res.status(500).json({
-            error: 'Failed to load room data',
+            error: 'Failed to create project',
             details: error.message,
         });
     }
 });
 
-// Save room data (requires admin)
-app.post('/api/save-room/:roomName', requireAuth, requireAdmin, async (req, res) => {
+// Get a project with its members
+app.get('/api/projects/:projectId', requireAuth, loadProject, requireProjectMember, async (req, res) => {
     try {
-        const { roomName } = req.params;
-        const { roomData } = req.body;
-
-        // Validate room name
-        const validRooms = [
-            'cocina',
-            'sala',
-            'cuarto1',
-            'cuarto2',
-            'cuarto3',
-            'bano1',
-            'bano2',
-            'bano_visita',
-            'balcon',
-        ];
+        await req.project.populate('members.user', 'name username email');
 
-        if (!validRooms.includes(roomName)) {
-            return res.status(400).json({ error: 'Invalid room name' });
-        }
+        res.json({ success: true, project: projectForUser(req.project, req.user) });
+    } catch (error) {
+        console.error('Error loading project:', error);
+        res.status(500).json({
+            error: 'Failed to load project',
+            details: error.message,
+        });
+    }
+});
 
-        // Find and update room using Mongoose
-        const room = await Room.findOne({ slug: roomName });
+// Rename, re-budget, change the base currency or tax rate, or (un)archive a project (requires project owner)
+// The budget is taken as céntimos of the new base currency; it is not converted
+app.patch('/api/projects/:projectId', requireAuth, loadProject, requireProjectOwner, async (req, res) => {
+    try {
+        const { project } = req;
+        const { name, description, budget, baseCurrency, taxRate, archived } = req.body;
 
-        if (!room) {
-            return res.status(404).json({ error: 'Room not found' });
+        if (name !== undefined) {
+            if (typeof name !== 'string' || !name.trim()) {
+                return res.status(400).json({ error: 'Project name is required' });
+            }
+            project.name = name.trim();
         }
 
-        // Update room data
-        room.name = roomData.name;
-        room.budget = parseFloat(roomData.budget) || 0;
-        room.images = roomData.images || []; // Save room images array
-
-        // Map through items and handle date tracking
-        const today = new Date();
-        room.items = roomData.items.map((item, index) => {
-            const oldItem = room.items[index]; // Get old item to compare status changes
-            const newStatus = item.status || 'Pending';
+        if (description !== undefined) {
+            project.description = description;
+        }
 
-            // Determine dates
-            let createdDate = item.createdDate || item.date || null;
-            let completedDate = item.completedDate || null;
+        if (budget !== undefined) {
+            project.budget = money.asCents(budget);
+        }
 
-            // Set createdDate if this is a new item or doesn't have one
-            if (!createdDate) {
-                createdDate = today;
+        if (baseCurrency !== undefined) {
+            if (!money.isCurrency(baseCurrency)) {
+                return res.status(400).json({
+                    error: 'Invalid currency',
+                    message: `Currency must be one of: ${money.CURRENCY_CODES.join(', ')}`,
+                });
             }
+            project.baseCurrency = baseCurrency;
+        }
 
-            // Set completedDate if status changed to Completed
-            if (newStatus === 'Completed' && !completedDate) {
-                // Check if this is a new completion (status changed from non-Completed to Completed)
-                if (!oldItem || oldItem.status !== 'Completed') {
-                    completedDate = today;
-                }
+        if (taxRate !== undefined) {
+            if (!tax.isTaxRate(taxRate)) {
+                return res.status(400).json({ error: 'Tax rate must be a percentage from 0 to 100' });
             }
+            project.taxRate = Number(taxRate);
+        }
 
-            return {
-                description: item.description,
-                category: item.category,
-                quantity: parseFloat(item.quantity) || 1,
-                unit: item.unit || 'unit',
-                budget_price: parseFloat(item.budget_price) || 0,
-                actual_price: parseFloat(item.actual_price) || 0,
-                status: newStatus,
-                favorite: item.favorite || false,
-                images: item.images || [], // Save images array
-                imageUrl: item.imageUrl || '', // Keep legacy field for backward compatibility
-                showImage: item.showImage || false,
-                links: item.links || [],
-                notes: item.notes || '',
-                productOptions: item.productOptions || [],
-                selectedOptionId: item.selectedOptionId || '',
-                selectedProductName: item.selectedProductName || '',
-                // Date fields
-                createdDate,
-                completedDate,
-                date: completedDate || createdDate, // Legacy field for backwards compatibility
-            };
-        });
-
-        // Update status based on completed items
-        const completedItems = room.items.filter(
-            (item) => item.status === 'Completed'
-        ).length;
-        room.status =
-            completedItems === room.items.length && room.items.length > 0
-                ? 'Completed'
-                : completedItems > 0
-                ? 'In Progress'
-                : 'Not Started';
+        if (archived !== undefined) {
+            if (archived && project.isDefault) {
+                return res.status(400).json({ error: 'The default project cannot be archived' });
+            }
+            project.archived = !!archived;
+        }
 
-        // Save using Mongoose (virtuals will calculate actual_spent, progress_percent, etc.)
-        await room.save();
+        await project.save();
 
         res.json({
             success: true,
-            message: `${roomData.name} data saved successfully`,
-            roomId: room._id,
+            message: `${project.name} updated successfully`,
+            project: projectForUser(project, req.user),
         });
     } catch (error) {
-        console.error('Error saving room data:', error);
+        console.error('Error updating project:', error);
         res.status(500).json({
-            error: 'Failed to save room data',
+            error: 'Failed to update project',
             details: error.message,
         });
     }
 });
 
-// Get all unique categories across all rooms
-app.get('/api/get-all-categories', async (req, res) => {
+// Add a member to a project, or change their role (requires project owner)
+// The user is looked up by email or username
+app.post('/api/projects/:projectId/members', requireAuth, loadProject, requireProjectOwner, async (req, res) => {
     try {
-        // Aggregate to get category totals and counts
-        const categories = await Room.aggregate([
-            { $unwind: '$items' },
-            {
-                $group: {
-                    _id: '$items.category',
-                    count: { $sum: 1 },
-                    budgetTotal: { $sum: '$items.subtotal' },
-                    actualTotal: {
-                        $sum: {
-                            $multiply: [
-                                '$items.quantity',
-                                '$items.actual_price',
-                            ],
-                        },
-                    },
-                },
-            },
-            { $sort: { budgetTotal: -1 } },
-            {
-                $project: {
-                    _id: 0,
-                    category: '$_id',
-                    count: 1,
-                    total: '$budgetTotal',
-                    actualTotal: '$actualTotal',
-                },
-            },
-        ]);
+        const { project } = req;
+        const { identifier, role = 'viewer' } = req.body;
 
-        res.json(categories);
-    } catch (error) {
-        console.error('Error getting categories:', error);
-        res.status(500).json({
-            error: 'Failed to get categories',
-            details: error.message,
+        if (!identifier) {
+            return res.status(400).json({ error: 'Email or username is required' });
+        }
+
+        if (!Project.isValidRole(role)) {
+            return res.status(400).json({
+                error: 'Invalid role',
+                message: `Role must be one of: ${Project.ROLES.join(', ')}`,
+            });
+        }
+
+        const normalized = String(identifier).toLowerCase().trim();
+        const user = await User.findOne({
+            $or: [{ email: normalized }, { username: normalized }],
         });
-    }
-});
 
-// Get project totals
-app.get('/api/totals', async (req, res) => {
-    try {
-        // Get all rooms (including _general)
-        const allRooms = await Room.find({});
-        
-        // Separate regular rooms from _general
-        const regularRooms = allRooms.filter(r => r.slug !== '_general');
-        const generalRoom = allRooms.find(r => r.slug === '_general');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
 
-        // Calculate totals from regular rooms
-        let totalBudget = 0;
-        let totalActualSpent = 0;
-        let totalItems = 0;
-        let totalCompleted = 0;
-        let productsCount = 0;
+        const member = project.members.find((m) => m.user.equals(user._id));
 
-        regularRooms.forEach((room) => {
-            totalBudget += room.budget || 0;
-            totalActualSpent += room.actual_spent || 0; // Virtual field
-            totalItems += room.total_items || 0; // Virtual field
-            totalCompleted += room.completed_items || 0; // Virtual field
-
-            if (room.items) {
-                productsCount += room.items.filter(
-                    (item) => item.category === 'Products'
-                ).length;
+        if (member) {
+            if (member.role === 'owner' && role !== 'owner' && project.countOwners() === 1) {
+                return res.status(400).json({ error: 'A project must keep at least one owner' });
             }
+            member.role = role;
+        } else {
+            project.members.push({ user: user._id, role });
+        }
+
+        await project.save();
+        await project.populate('members.user', 'name username email');
+
+        console.log(`👥 ${user.username} is now ${role} of project ${project.name}`);
+
+        res.json({
+            success: true,
+            message: `${user.name} is now ${role} of ${project.name}`,
+            project: projectForUser(project, req.user),
+        });
+    } catch (error) {
+        console.error('Error adding project member:', error);
+        res.status(500).json({
+            error: 'Failed to add project member',
+            details: error.message,
         });
+    }
+});
 
-        // Count expenses from _general room (completed items only)
-        let expenseCount = 0;
-        if (generalRoom && generalRoom.items) {
-            expenseCount = generalRoom.items.filter(
-                (item) => item.status === 'Completed'
-            ).length;
+// Remove a member from a project (requires project owner)
+app.delete('/api/projects/:projectId/members/:userId', requireAuth, loadProject, requireProjectOwner, async (req, res) => {
+    try {
+        const { project } = req;
+        const { userId } = req.params;
+
+        const member = mongoose.isValidObjectId(userId)
+            ? project.members.find((m) => m.user.equals(userId))
+            : null;
+
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
         }
 
-        // Format response
-        const response = {
-            totalBudget,
-            totalExpenses: totalActualSpent,
-            totalRooms: regularRooms.length, // Exclude _general from room count
-            totalItems,
-            totalCompleted,
-            totalProducts: productsCount,
-            expenseCount, // Count of completed items in _general
-        };
+        if (member.role === 'owner' && project.countOwners() === 1) {
+            return res.status(400).json({ error: 'A project must keep at least one owner' });
+        }
 
-        res.json(response);
+        project.members = project.members.filter((m) => m !== member);
+
+        await project.save();
+        await project.populate('members.user', 'name username email');
+
+        res.json({
+            success: true,
+            message: 'Member removed successfully',
+            project: projectForUser(project, req.user),
+        });
     } catch (error) {
-        console.error('Error getting totals:', error);
+        console.error('Error removing project member:', error);
         res.status(500).json({
-            error: 'Failed to get totals',
+            error: 'Failed to remove project member',
             details: error.message,
         });
     }
 });
 
+// Rooms, expenses and the timeline belong to a project
+// Their routes are registered on this router, which is mounted at
+// /api/projects/:projectId and, for the default project, at /api (see below)
+const projectRouter = express.Router({ mergeParams: true });
+
+// Add the request's project to a query filter
+function inProject(req, filter = {}) {
+    return { project: req.project._id, ...filter };
+}
+
 // ============================================================================
-// EXPENSE ROUTES
+// ROOM ROUTES
 // ============================================================================
 
-// Load all expenses (from expenses collection + all room items)
-app.get('/api/load-expenses', async (req, res) => {
+// Room fields loaded for the summary: item counts need item status, the thumbnail needs image URLs
+// (spent and expected come from the ledger)
+const ROOM_SUMMARY_SELECT = [
+    'name', 'slug', 'budget', 'status', 'archived', '__v',
+    'images.isMainImage', 'images.thumbUrl', 'images.url',
+    'items.status', 'items.deletedAt',
+].join(' ');
+
+// Thumbnail URL of a room's main image (legacy base64 images have none)
+function roomThumbnail(room) {
+    const image = room.images.find((img) => img.isMainImage) || room.images[0];
+    if (!image) return null;
+    if (image.thumbUrl) return image.thumbUrl;
+    return image.url && !image.url.startsWith('data:') ? image.url : null;
+}
+
+// Get a lightweight summary of every room: totals, progress and a thumbnail, no items
+// Archived rooms are excluded unless ?includeArchived=true
+projectRouter.get('/rooms/summary', async (req, res) => {
     try {
-        // Helper function to get the best available date from an item
-        const getItemDate = (item) => {
-            // Priority: completedDate (when it was marked complete) > date (legacy) > createdDate > today
-            if (item.completedDate) {
-                return new Date(item.completedDate).toISOString().split('T')[0];
-            }
-            if (item.date) {
-                return new Date(item.date).toISOString().split('T')[0];
+        const filter = inProject(
+            req,
+            req.query.includeArchived === 'true' ? {} : { archived: { $ne: true } }
+        );
+
+        const [rooms, { rows }] = await Promise.all([
+            Room.find(filter).select(ROOM_SUMMARY_SELECT),
+            ledger.loadRows(req.project),
+        ]);
+        const roomTotals = ledger.totalsByRoom(rows);
+
+        res.json({
+            success: true,
+            rooms: rooms.map((room) => ({
+                _id: room._id,
+                name: room.name,
+                slug: room.slug,
+                budget: room.budget,
+                status: room.status,
+                archived: room.archived || false,
+                version: room.__v,
+                ...roomLedgerTotals(roomTotals, room.slug),
+                total_items: room.total_items,
+                completed_items: room.completed_items,
+                progress_percent: room.progress_percent,
+                thumbnail: roomThumbnail(room),
+            })),
+        });
+    } catch (error) {
+        console.error('Error loading room summary:', error);
+        res.status(500).json({
+            error: 'Failed to load room summary',
+            details: error.message,
+        });
+    }
+});
+
+// Get all rooms overview
+// Archived rooms are excluded unless ?includeArchived=true
+projectRouter.get('/rooms', async (req, res) => {
+    try {
+        const filter = inProject(
+            req,
+            req.query.includeArchived === 'true' ? {} : { archived: { $ne: true } }
+        );
+
+        // Optional ?fields=name,budget,actual_spent and ?include=images,productOptions
+        const projection = parseProjection(req);
+
+        // Fetch rooms - virtuals will automatically calculate progress_percent, total_items, etc.
+        const rooms = await Room.find(filter).select(roomSelect(projection));
+
+        // Spent and expected come from the ledger, so they include shared expenses
+        let roomTotals = null;
+        if (!projection?.fields || projection.fields.some((field) => ROOM_LEDGER_FIELDS.includes(field))) {
+            const { rows } = await ledger.loadRows(req.project);
+            roomTotals = ledger.totalsByRoom(rows);
+        }
+
+        // Return rooms with all virtual fields included (toJSON is configured to include virtuals)
+        res.json({ success: true, rooms: projectRooms(rooms, projection, roomTotals) });
+    } catch (error) {
+        console.error('Error loading rooms:', error);
+        res.json({
+            error: 'Failed to load rooms',
+            details: error.message,
+        });
+    }
+});
+
+// Create a new room (requires project editor)
+// Slug is generated from the name unless one is given
+projectRouter.post('/rooms', requireProjectEditor, async (req, res) => {
+    try {
+        const { name, slug, budget } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Room name is required' });
+        }
+
+        let roomSlug;
+        if (slug) {
+            if (!Room.isValidSlug(slug)) {
+                return res.status(400).json({
+                    error: 'Invalid slug',
+                    message: 'Slug can only contain lowercase letters, numbers, dashes and underscores',
+                });
             }
-            if (item.createdDate) {
-                return new Date(item.createdDate).toISOString().split('T')[0];
+            if (await Room.exists(inProject(req, { slug }))) {
+                return res.status(400).json({ error: 'A room with this slug already exists' });
             }
-            return new Date().toISOString().split('T')[0];
-        };
+            roomSlug = slug;
+        } else {
+            roomSlug = await Room.generateUniqueSlug(name, req.project._id);
+        }
 
-        const allExpenses = [];
-
-        // 1. Get expenses from expenses collection
-        const expensesFromCollection = await Expense.find({});
-        for (const expense of expensesFromCollection) {
-            allExpenses.push({
-                // SOURCE TRACKING - identifies this is from expenses collection
-                _id: expense._id.toString(),
-                source: 'expenses', // NEW: marks this as from expenses collection
-
-                // Expense data
-                description: expense.description,
-                category: expense.category,
-
-                // Quantity and pricing (same structure as room items)
-                quantity: parseFloat(expense.quantity) || 1,
-                unit: expense.unit || 'unit',
-                budget_price: parseFloat(expense.budget_price) || 0,
-                actual_price: parseFloat(expense.actual_price) || 0,
-
-                // Dates
-                date: getItemDate(expense),
-                createdDate: expense.createdDate ? new Date(expense.createdDate).toISOString().split('T')[0] : null,
-                completedDate: expense.completedDate ? new Date(expense.completedDate).toISOString().split('T')[0] : null,
-
-                // Room assignment
-                rooms: expense.rooms || [],
-                status: expense.status,
-                isSharedExpense: expense.isSharedExpense || false,
-                roomAllocations: expense.roomAllocations || [],
-                notes: expense.notes || ''
-            });
+        const room = new Room({
+            project: req.project._id,
+            name: name.trim(),
+            slug: roomSlug,
+            budget: money.asCents(budget),
+            items: [],
+        });
+
+        await room.save();
+
+        await AuditEvent.record(req, {
+            action: 'create',
+            entityType: 'room',
+            entityId: room._id,
+            entityLabel: room.name,
+            room: room.slug,
+            changes: AuditEvent.diff(null, room, ROOM_AUDIT_FIELDS),
+        });
+
+        console.log(`🚪 Created room ${room.name} (${room.slug})`);
+
+        res.status(201).json({
+            success: true,
+            message: `${room.name} created successfully`,
+            room,
+        });
+    } catch (error) {
+        console.error('Error creating room:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({ error: 'A room with this slug already exists' });
         }
 
-        // 2. Get all items from all rooms
-        const rooms = await Room.find({});
-        for (const room of rooms) {
-            room.items.forEach((item) => {
-                // Show ALL items from ALL rooms (not just completed)
-
-                // Determine rooms array
-                let roomsList = [];
-                if (item.isSharedExpense && item.roomAllocations && item.roomAllocations.length > 0) {
-                    roomsList = item.roomAllocations.map(a => a.room);
-                } else if (item.roomAllocations && item.roomAllocations.length > 0) {
-                    roomsList = [item.roomAllocations[0].room];
-                } else if (room.slug !== '_general') {
-                    roomsList = [room.slug];
-                }
+        res.status(500).json({
+            error: 'Failed to create room',
+            details: error.message,
+        });
+    }
+});
 
-                allExpenses.push({
-                    // SOURCE TRACKING - identifies this is from room collection
-                    _id: item._id.toString(),
-                    source: 'rooms',      // NEW: marks this as from rooms collection
-                    roomSlug: room.slug,   // Which room it belongs to
+// Point every reference to a room slug within a project at a new slug
+// (expense rooms/allocations, shared item allocations, timeline phases, quotes, invoices)
+// Run it in the transaction that saves the new slug, so references never point at a missing room
+async function renameRoomReferences(project, oldSlug, newSlug, session = null) {
+    await Expense.updateMany({ project, rooms: oldSlug }, { $set: { 'rooms.$': newSlug } }, { session });
+    await Expense.updateMany(
+        { project, 'roomAllocations.room': oldSlug },
+        { $set: { 'roomAllocations.$[alloc].room': newSlug } },
+        { session, arrayFilters: [{ 'alloc.room': oldSlug }] }
+    );
+    await Room.updateMany(
+        { project, 'items.roomAllocations.room': oldSlug },
+        { $set: { 'items.$[].roomAllocations.$[alloc].room': newSlug } },
+        { session, arrayFilters: [{ 'alloc.room': oldSlug }] }
+    );
+    await Timeline.updateMany(
+        { project, 'phases.relatedRooms': oldSlug },
+        { $set: { 'phases.$[].relatedRooms.$[related]': newSlug } },
+        { session, arrayFilters: [{ related: oldSlug }] }
+    );
+    await Quote.updateMany({ project, room: oldSlug }, { $set: { room: newSlug } }, { session });
+    await Quote.updateMany(
+        { project, 'awardedEntries.room': oldSlug },
+        { $set: { 'awardedEntries.$[entry].room': newSlug } },
+        { session, arrayFilters: [{ 'entry.room': oldSlug }] }
+    );
+    await Invoice.updateMany(
+        { project, 'lines.room': oldSlug },
+        { $set: { 'lines.$[line].room': newSlug } },
+        { session, arrayFilters: [{ 'line.room': oldSlug }] }
+    );
+    await Invoice.updateMany(
+        { project, 'allocations.room': oldSlug },
+        { $set: { 'allocations.$[allocation].room': newSlug } },
+        { session, arrayFilters: [{ 'allocation.room': oldSlug }] }
+    );
+    // Keep the room's history attached to it
+    await AuditEvent.updateMany({ project, room: oldSlug }, { $set: { room: newSlug } }, { session });
+}
 
-                    // Expense data
-                    description: item.description,
-                    category: item.category,
+// Count what still points at a room (what renameRoomReferences updates);
+// rooms with references are archived, not deleted
+async function countRoomReferences(room) {
+    const [expenses, sharedItems, phases, quotesCount, invoicesCount] = await Promise.all([
+        Expense.countDocuments({
+            project: room.project,
+            $or: [{ rooms: room.slug }, { 'roomAllocations.room': room.slug }],
+        }),
+        Room.countDocuments({
+            project: room.project,
+            slug: { $ne: room.slug },
+            'items.roomAllocations.room': room.slug,
+        }),
+        Timeline.findOne({ project: room.project, 'phases.relatedRooms': room.slug })
+            .select('phases.relatedRooms')
+            .then((timeline) =>
+                timeline ? timeline.phases.filter((phase) => phase.relatedRooms.includes(room.slug)).length : 0
+            ),
+        Quote.countDocuments({
+            project: room.project,
+            $or: [{ room: room.slug }, { 'awardedEntries.room': room.slug }],
+        }),
+        Invoice.countDocuments({
+            project: room.project,
+            $or: [{ 'lines.room': room.slug }, { 'allocations.room': room.slug }],
+        }),
+    ]);
+
+    return {
+        items: room.items.length,
+        expenses,
+        sharedItems,
+        phases,
+        quotes: quotesCount,
+        invoices: invoicesCount,
+    };
+}
 
-                    // Room items have quantity, unit, and unit prices
-                    quantity: parseFloat(item.quantity) || 1,
-                    unit: item.unit || 'unit',
-                    budget_price: parseFloat(item.budget_price) || 0,
-                    actual_price: parseFloat(item.actual_price) || 0,
-
-                    // Dates
-                    date: getItemDate(item),
-                    createdDate: item.createdDate ? new Date(item.createdDate).toISOString().split('T')[0] : null,
-                    completedDate: item.completedDate ? new Date(item.completedDate).toISOString().split('T')[0] : null,
-
-                    // Room assignment
-                    rooms: roomsList,
-                    status: item.status,
-                    isSharedExpense: item.isSharedExpense || false,
-                    roomAllocations: item.roomAllocations || []
+// Rename, re-slug, re-budget or (un)archive a room (requires project editor)
+projectRouter.patch('/rooms/:slug', requireProjectEditor, async (req, res) => {
+    try {
+        const { name, slug: newSlug, budget, archived } = req.body;
+
+        const room = await Room.findOne(inProject(req, { slug: req.params.slug }));
+
+        if (!room) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+
+        if (!Room.isValidSlug(room.slug)) {
+            return res.status(400).json({ error: 'This room cannot be edited' });
+        }
+
+        if (!checkVersion(req, res, room, 'room')) return;
+
+        const before = room.toObject();
+
+        if (name !== undefined) {
+            if (typeof name !== 'string' || !name.trim()) {
+                return res.status(400).json({ error: 'Room name is required' });
+            }
+            room.name = name.trim();
+        }
+
+        if (budget !== undefined) {
+            room.budget = money.asCents(budget);
+        }
+
+        if (archived !== undefined) {
+            room.archived = !!archived;
+            room.archivedAt = room.archived ? new Date() : null;
+        }
+
+        const oldSlug = room.slug;
+        const slugChanged = newSlug !== undefined && newSlug !== oldSlug;
+
+        if (slugChanged) {
+            if (!Room.isValidSlug(newSlug)) {
+                return res.status(400).json({
+                    error: 'Invalid slug',
+                    message: 'Slug can only contain lowercase letters, numbers, dashes and underscores',
                 });
-            });
+            }
+            if (await Room.exists(inProject(req, { slug: newSlug }))) {
+                return res.status(400).json({ error: 'A room with this slug already exists' });
+            }
+            room.slug = newSlug;
         }
 
-        // Sort by date (most recent first)
-        allExpenses.sort((a, b) => new Date(b.date) - new Date(a.date));
+        await withTransaction(async (session) => {
+            await room.save({ session });
+            if (slugChanged) {
+                await renameRoomReferences(room.project, oldSlug, newSlug, session);
+            }
+        });
+
+        if (slugChanged) {
+            console.log(`🚪 Renamed room slug ${oldSlug} -> ${newSlug}`);
+        }
 
-        console.log(`📤 Loaded ${allExpenses.length} expenses (${expensesFromCollection.length} from expenses collection, ${allExpenses.length - expensesFromCollection.length} from rooms)`);
+        await AuditEvent.record(req, {
+            action: 'update',
+            entityType: 'room',
+            entityId: room._id,
+            entityLabel: room.name,
+            room: room.slug,
+            changes: AuditEvent.diff(before, room, ROOM_AUDIT_FIELDS),
+        });
 
-        res.json({ success: true, expenses: allExpenses });
+        res.json({
+            success: true,
+            message: `${room.name} updated successfully`,
+            room,
+            version: room.__v,
+        });
     } catch (error) {
-        console.error('Error loading expenses:', error);
+        if (error instanceof mongoose.Error.VersionError) {
+            return sendConflict(res, 'room', await Room.findOne(inProject(req, { slug: req.params.slug })));
+        }
+        console.error('Error updating room:', error);
         res.status(500).json({
-            error: 'Failed to load expenses',
+            error: 'Failed to update room',
             details: error.message,
         });
     }
 });
 
-// Create new expense (requires admin)
-// Creates a new expense in the expenses collection and returns it with MongoDB ID
-app.post('/api/create-expense', requireAuth, requireAdmin, async (req, res) => {
+// Delete a room (requires project editor)
+// Rooms that still have items, expense allocations, timeline phases, quotes or invoices are archived instead
+projectRouter.delete('/rooms/:slug', requireProjectEditor, async (req, res) => {
     try {
-        const { description, amount, category, date, status, rooms, roomAllocations } = req.body;
+        const room = await Room.findOne(inProject(req, { slug: req.params.slug }));
 
-        console.log('\n➕ Creating new expense in expenses collection...');
+        if (!room) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
 
-        // Create new expense document with valid default description
-        const newExpense = new Expense({
-            description: description || 'New Expense',
-            category: category || 'Other',
-            amount: parseFloat(amount) || 0,
-            status: status || 'Pending',
-            date: date ? new Date(date) : null,
-            createdDate: new Date(),
-            completedDate: status === 'Completed' ? new Date() : null,
-            rooms: rooms || [],
-            roomAllocations: roomAllocations || [],
-            isSharedExpense: (rooms && rooms.length > 1) || false,
-            notes: ''
-        });
+        if (!Room.isValidSlug(room.slug)) {
+            return res.status(400).json({ error: 'This room cannot be deleted' });
+        }
 
-        await newExpense.save();
+        if (!checkVersion(req, res, room, 'room', { required: false })) return;
 
-        console.log(`   ✅ Created expense with ID: ${newExpense._id}`);
+        const references = await countRoomReferences(room);
+        const isReferenced = Object.values(references).some((count) => count > 0);
+
+        const roomEvent = {
+            entityType: 'room',
+            entityId: room._id,
+            entityLabel: room.name,
+            room: room.slug,
+        };
+
+        if (isReferenced) {
+            const before = room.toObject();
+            room.archived = true;
+            room.archivedAt = new Date();
+            await room.save();
+
+            await AuditEvent.record(req, {
+                ...roomEvent,
+                action: 'update',
+                changes: AuditEvent.diff(before, room, ROOM_AUDIT_FIELDS),
+            });
+
+            console.log(`📦 Archived room ${room.slug} (still referenced)`);
+
+            return res.json({
+                success: true,
+                archived: true,
+                message: `${room.name} is still used by items, expenses, the timeline, quotes or invoices, so it was archived instead of deleted`,
+                references,
+                room,
+            });
+        }
+
+        await room.deleteOne();
+
+        await AuditEvent.record(req, {
+            ...roomEvent,
+            action: 'delete',
+            changes: AuditEvent.diff(room, null, ROOM_AUDIT_FIELDS),
+        });
+
+        console.log(`🗑️  Deleted room ${room.slug}`);
 
-        // Return the expense formatted for frontend
         res.json({
             success: true,
-            expense: {
-                _id: newExpense._id.toString(),
-                source: 'expenses', // Mark as from expenses collection
-                description: newExpense.description,
-                amount: newExpense.amount,
-                category: newExpense.category,
-                date: newExpense.date ? new Date(newExpense.date).toISOString().split('T')[0] : null,
-                createdDate: newExpense.createdDate ? new Date(newExpense.createdDate).toISOString().split('T')[0] : null,
-                completedDate: newExpense.completedDate ? new Date(newExpense.completedDate).toISOString().split('T')[0] : null,
-                rooms: newExpense.rooms,
-                status: newExpense.status,
-                isSharedExpense: newExpense.isSharedExpense,
-                roomAllocations: newExpense.roomAllocations,
-                notes: newExpense.notes
-            }
+            archived: false,
+            message: `${room.name} deleted successfully`,
         });
     } catch (error) {
-        console.error('Error creating expense:', error);
+        if (error instanceof mongoose.Error.VersionError) {
+            return sendConflict(res, 'room', await Room.findOne(inProject(req, { slug: req.params.slug })));
+        }
+        console.error('Error deleting room:', error);
         res.status(500).json({
-            error: 'Failed to create expense',
-            details: error.message
+            error: 'Failed to delete room',
+            details: error.message,
+        });
+    }
+});
+
+// Load specific room data
+projectRouter.get('/load-room/:roomName', async (req, res) => {
+    try {
+        const { roomName } = req.params;
+        const room = await Room.findOne(inProject(req, { slug: roomName }));
+
+        if (!room) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+
+        // Shared expenses allocated to this room (Expense documents and other rooms' items),
+        // one read-only line with this room's share each
+        const { rows, baseCurrency } = await ledger.loadRows(req.project);
+        const sharedItems = [];
+
+        rows.forEach((row) => {
+            if (row.roomSlug === room.slug) return; // Own items are listed below
+
+            const shares = ledger.roomShares(row);
+            const roomShare = shares.find((share) => share.room === room.slug);
+            if (!roomShare) return;
+
+            const { amounts } = roomShare;
+            sharedItems.push({
+                _id: row._id,
+                source: row.source,
+                description: row.description,
+                category: row.category,
+                quantity: 1,
+                unit: row.unit,
+                currency: baseCurrency, // Shares are converted amounts, tax included
+                priceIncludesTax: true,
+                budget_price: amounts.budgeted,
+                actual_price: row.actual_price > 0 ? amounts.expected : 0,
+                status: row.status,
+                favorite: false,
+                images: [],
+                links: [],
+                notes: row.notes || '',
+                isSharedExpense: true,
+                sharePercent: roomShare.share * 100,
+                sharedWith: shares.map((share) => share.room).filter((slug) => slug !== room.slug),
+                totalAmount: ledger.rowAmounts(row).expected,
+            });
+        });
+
+        // Transform room's own items
+        const roomData = {
+            name: room.name,
+            budget: room.budget,
+            version: room.__v,
+            images: room.images || [],
+            items: room.activeItems().map((item) => ({
+                _id: item._id,
+                description: item.description,
+                category: item.category,
+                quantity: item.quantity,
+                unit: item.unit,
+                currency: item.currency || money.DEFAULT_CURRENCY,
+                budget_price: item.budget_price,
+                actual_price: item.actual_price,
+                priceIncludesTax: item.priceIncludesTax !== false,
+                receiptType: item.receiptType || 'none',
+                receiptNumber: item.receiptNumber || '',
+                payments: item.payments || [],
+                attachments: item.attachments || [],
+                vendor: item.vendor || null,
+                status: item.status,
+                favorite: item.favorite || false,
+                images: item.images || [],
+                imageUrl: item.imageUrl || '',
+                showImage: item.showImage || false,
+                links: item.links || [],
+                notes: item.notes || '',
+                isSharedExpense: item.isSharedExpense || false,
+                productOptions: item.productOptions || [],
+                selectedOptionId: item.selectedOptionId || '',
+                selectedProductName: item.selectedProductName || '',
+                createdDate: item.createdDate,
+                completedDate: item.completedDate,
+            })),
+            sharedItems // Add shared items separately
+        };
+
+        res.json({ success: true, roomData });
+    } catch (error) {
+        console.error('Error loading room data:', error);
+        res.status(500).json({
+            error: 'Failed to load room data',
+            details: error.message,
+        });
+    }
+});
+
+// Save room data (requires project editor)
+projectRouter.post('/save-room/:roomName', requireProjectEditor, async (req, res) => {
+    try {
+        const { roomName } = req.params;
+        const { roomData } = req.body;
+
+        // Validate room name
+        if (!Room.isValidSlug(roomName)) {
+            return res.status(400).json({ error: 'Invalid room name' });
+        }
+
+        // Find and update room using Mongoose
+        const room = await Room.findOne(inProject(req, { slug: roomName }));
+
+        if (!room) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+
+        if (!checkVersion(req, res, room, 'room')) return;
+
+        const before = room.toObject();
+
+        // Update room data
+        room.name = roomData.name || room.name;
+        room.budget = money.asCents(roomData.budget);
+        room.images = roomData.images || []; // Save room images array
+
+        // Items are optional - single item edits go through /api/rooms/:slug/items
+        if (Array.isArray(roomData.items)) {
+            const today = new Date();
+            const findStoredItem = (item) =>
+                mongoose.isValidObjectId(item._id) ? room.items.id(item._id) : null;
+
+            // Items already in the trash stay there even if a stale copy sends them back
+            const savedItems = roomData.items.filter((item) => {
+                const oldItem = findStoredItem(item);
+                return !oldItem || isActive(oldItem);
+            }).map((item) => {
+                // Match the stored item by _id (not array index) to compare status changes
+                const oldItem = findStoredItem(item);
+                // A missing currency keeps the stored one; new items get the project's
+                const itemCurrency = money.isCurrency(item.currency)
+                    ? item.currency
+                    : oldItem?.currency || req.project.baseCurrency || money.DEFAULT_CURRENCY;
+
+                const newItem = {
+                    ...(oldItem ? { _id: oldItem._id } : {}),
+                    description: item.description,
+                    category: item.category,
+                    quantity: parseFloat(item.quantity) || 1,
+                    unit: item.unit || 'unit',
+                    currency: itemCurrency,
+                    budget_price: money.asCents(item.budget_price),
+                    actual_price: money.asCents(item.actual_price),
+                    priceIncludesTax: item.priceIncludesTax !== false,
+                    receiptType: tax.isReceiptType(item.receiptType) ? item.receiptType : 'none',
+                    receiptNumber: item.receiptNumber || '',
+                    // Payments and attachments are changed through their own routes only
+                    payments: oldItem ? oldItem.payments : [],
+                    attachments: oldItem ? oldItem.attachments : [],
+                    vendor: Vendor.toId(item.vendor),
+                    status: item.status || 'Pending',
+                    favorite: item.favorite || false,
+                    images: item.images || [], // Save images array
+                    imageUrl: item.imageUrl || '', // Keep legacy field for backward compatibility
+                    showImage: item.showImage || false,
+                    links: item.links || [],
+                    notes: item.notes || '',
+                    productOptions: (item.productOptions || []).map((option) => ({
+                        ...option,
+                        price: money.asCents(option.price),
+                        currency: money.isCurrency(option.currency) ? option.currency : itemCurrency,
+                        vendor: Vendor.toId(option.vendor),
+                    })),
+                    selectedOptionId: item.selectedOptionId || '',
+                    selectedProductName: item.selectedProductName || '',
+                    // Date fields
+                    createdDate: item.createdDate || item.date || null,
+                    completedDate: item.completedDate || null,
+                };
+
+                return Room.applyItemDates(applyPaymentPrice(newItem), oldItem?.status, today);
+            });
+
+            // Items left out of the list go to the trash instead of being dropped
+            const savedIds = new Set(savedItems.filter((item) => item._id).map((item) => String(item._id)));
+            const removedItems = room.items
+                .filter((item) => !savedIds.has(String(item._id)))
+                .map((item) => {
+                    if (isActive(item)) markDeleted(item, req);
+                    return item.toObject();
+                });
+
+            room.items = [...savedItems, ...removedItems];
+        }
+
+        // Update status based on completed items
+        room.updateStatusFromItems();
+
+        // Save using Mongoose (virtuals will calculate actual_spent, progress_percent, etc.)
+        await room.save();
+
+        await AuditEvent.record(req, [
+            {
+                action: 'update',
+                entityType: 'room',
+                entityId: room._id,
+                entityLabel: room.name,
+                room: room.slug,
+                changes: AuditEvent.diff(before, room, ['name', 'budget', 'images']),
+            },
+            ...(Array.isArray(roomData.items)
+                ? diffRoomItems(room.slug, before.items.filter(isActive), room.activeItems())
+                : []),
+        ]);
+
+        res.json({
+            success: true,
+            message: `${room.name} data saved successfully`,
+            roomId: room._id,
+            version: room.__v,
+        });
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            return sendConflict(res, 'room', await Room.findOne(inProject(req, { slug: req.params.roomName })));
+        }
+        console.error('Error saving room data:', error);
+        res.status(500).json({
+            error: 'Failed to save room data',
+            details: error.message,
+        });
+    }
+});
+
+// ============================================================================
+// ROOM ITEM ROUTES
+// ============================================================================
+
+// Find a room and one of its items, sending a 404 if either is missing
+async function findRoomItem(req, res) {
+    const { slug, itemId } = req.params;
+    const room = await Room.findOne(inProject(req, { slug }));
+
+    if (!room) {
+        res.status(404).json({ error: 'Room not found' });
+        return {};
+    }
+
+    const item = mongoose.isValidObjectId(itemId) ? room.items.id(itemId) : null;
+
+    if (!item || !isActive(item)) {
+        res.status(404).json({ error: 'Item not found' });
+        return {};
+    }
+
+    return { room, item };
+}
+
+// List items of a room
+projectRouter.get('/rooms/:slug/items', async (req, res) => {
+    try {
+        const room = await Room.findOne(inProject(req, { slug: req.params.slug }));
+
+        if (!room) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+
+        // Optional ?fields=description,quantity and ?include=images,productOptions
+        const projection = parseProjection(req);
+        const items = room.activeItems().map((item) => projectItem(item.toJSON(), projection));
+
+        res.json({ success: true, items });
+    } catch (error) {
+        console.error('Error loading room items:', error);
+        res.status(500).json({
+            error: 'Failed to load room items',
+            details: error.message,
+        });
+    }
+});
+
+// Get a single room item
+projectRouter.get('/rooms/:slug/items/:itemId', async (req, res) => {
+    try {
+        const { item } = await findRoomItem(req, res);
+        if (!item) return;
+
+        res.json({ success: true, item });
+    } catch (error) {
+        console.error('Error loading room item:', error);
+        res.status(500).json({
+            error: 'Failed to load room item',
+            details: error.message,
+        });
+    }
+});
+
+// Add an item to a room (requires project editor)
+projectRouter.post('/rooms/:slug/items', requireProjectEditor, async (req, res) => {
+    try {
+        const { item: itemData } = req.body;
+
+        if (!itemData || !itemData.description) {
+            return res.status(400).json({ error: 'Item description is required' });
+        }
+
+        const room = await Room.findOne(inProject(req, { slug: req.params.slug }));
+
+        if (!room) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+
+        // Version is optional for item edits; when sent, stale copies are rejected
+        if (!checkVersion(req, res, room, 'room', { required: false })) return;
+
+        const fields = Room.applyItemDates(
+            Room.pickItemFields(itemData, req.project.baseCurrency || money.DEFAULT_CURRENCY),
+            null
+        );
+        room.items.push(fields);
+        room.updateStatusFromItems();
+
+        await room.save();
+
+        const item = room.items[room.items.length - 1];
+        await AuditEvent.record(req, itemAuditEvent('create', room.slug, null, item));
+
+        res.status(201).json({
+            success: true,
+            message: 'Item added successfully',
+            item,
+            version: room.__v,
+        });
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            return sendConflict(res, 'room', await Room.findOne(inProject(req, { slug: req.params.slug })));
+        }
+        console.error('Error adding room item:', error);
+        res.status(500).json({
+            error: 'Failed to add room item',
+            details: error.message,
+        });
+    }
+});
+
+// Partially update a room item (requires project editor)
+// Only the fields sent in `item` are changed
+projectRouter.patch('/rooms/:slug/items/:itemId', requireProjectEditor, async (req, res) => {
+    try {
+        const { item: changes } = req.body;
+
+        if (!changes || typeof changes !== 'object') {
+            return res.status(400).json({ error: 'Item changes are required' });
+        }
+
+        const { room, item } = await findRoomItem(req, res);
+        if (!item) return;
+
+        if (!checkVersion(req, res, room, 'room', { required: false })) return;
+
+        const before = item.toObject();
+        item.set(Room.pickItemFields(changes, item.currency));
+        applyPaymentPrice(item);
+        Room.applyItemDates(item, before.status);
+        room.updateStatusFromItems();
+
+        await room.save();
+
+        await AuditEvent.record(req, itemAuditEvent('update', room.slug, before, item));
+
+        res.json({
+            success: true,
+            message: 'Item updated successfully',
+            item,
+            version: room.__v,
+        });
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            return sendConflict(res, 'room', await Room.findOne(inProject(req, { slug: req.params.slug })));
+        }
+        console.error('Error updating room item:', error);
+        res.status(500).json({
+            error: 'Failed to update room item',
+            details: error.message,
+        });
+    }
+});
+
+// Delete a room item (requires project editor)
+// The item is moved to the trash; see the TRASH ROUTES to restore or purge it
+projectRouter.delete('/rooms/:slug/items/:itemId', requireProjectEditor, async (req, res) => {
+    try {
+        const { room, item } = await findRoomItem(req, res);
+        if (!item) return;
+
+        if (!checkVersion(req, res, room, 'room', { required: false })) return;
+
+        markDeleted(item, req);
+        room.updateStatusFromItems();
+
+        await room.save();
+
+        await AuditEvent.record(req, itemAuditEvent('delete', room.slug, item, null));
+
+        res.json({
+            success: true,
+            message: 'Item moved to the trash',
+            version: room.__v,
+        });
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            return sendConflict(res, 'room', await Room.findOne(inProject(req, { slug: req.params.slug })));
+        }
+        console.error('Error deleting room item:', error);
+        res.status(500).json({
+            error: 'Failed to delete room item',
+            details: error.message,
+        });
+    }
+});
+
+// Move an item to another room of the project (requires project editor)
+// Body: { toRoom: slug, item: optional field changes to apply with the move, version }
+// version is checked against the item's current room
+// Both rooms are saved in one transaction, so the item never ends up in both or neither
+projectRouter.post('/items/:itemId/move', requireProjectEditor, async (req, res) => {
+    try {
+        const { itemId } = req.params;
+        const { toRoom, item: changes } = req.body;
+
+        if (!toRoom) {
+            return res.status(400).json({ error: 'Target room (toRoom) is required' });
+        }
+
+        const fromRoom = mongoose.isValidObjectId(itemId)
+            ? await Room.findOne(inProject(req, { 'items._id': itemId }))
+            : null;
+        const item = fromRoom ? fromRoom.items.id(itemId) : null;
+
+        if (!item || !isActive(item)) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+
+        if (!checkVersion(req, res, fromRoom, 'room', { required: false })) return;
+
+        const targetRoom = await Room.findOne(inProject(req, { slug: toRoom }));
+
+        if (!targetRoom) {
+            return res.status(404).json({ error: 'Target room not found' });
+        }
+
+        if (targetRoom._id.equals(fromRoom._id)) {
+            return res.status(400).json({ error: 'Item is already in this room' });
+        }
+
+        if (targetRoom.archived) {
+            return res.status(400).json({ error: 'Cannot move items into an archived room' });
+        }
+
+        // The item keeps its _id, so its history follows it to the new room
+        const before = item.toObject();
+        fromRoom.items.pull(item._id);
+        targetRoom.items.push(before);
+
+        const moved = targetRoom.items.id(itemId);
+
+        if (changes && typeof changes === 'object') {
+            moved.set(Room.pickItemFields(changes, moved.currency));
+            applyPaymentPrice(moved);
+            Room.applyItemDates(moved, before.status);
+        }
+
+        // A single-room allocation points at the old room
+        if (moved.roomAllocations.length === 1 && moved.roomAllocations[0].room === fromRoom.slug) {
+            moved.roomAllocations[0].room = targetRoom.slug;
+        }
+
+        fromRoom.updateStatusFromItems();
+        targetRoom.updateStatusFromItems();
+
+        await withTransaction(async (session) => {
+            await fromRoom.save({ session });
+            await targetRoom.save({ session });
+        });
+
+        const event = itemAuditEvent('update', targetRoom.slug, before, moved);
+        event.changes.unshift({ field: 'room', before: fromRoom.slug, after: targetRoom.slug });
+        await AuditEvent.record(req, event);
+
+        console.log(`🔀 Moved ${moved.description} from ${fromRoom.slug} to ${targetRoom.slug}`);
+
+        res.json({
+            success: true,
+            message: `Item moved to ${targetRoom.name}`,
+            item: moved,
+            fromRoom: { slug: fromRoom.slug, version: fromRoom.__v },
+            toRoom: { slug: targetRoom.slug, version: targetRoom.__v },
+        });
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            return sendConflict(res, 'room', await Room.findOne(inProject(req, { 'items._id': req.params.itemId })));
+        }
+        console.error('Error moving room item:', error);
+        res.status(500).json({
+            error: 'Failed to move room item',
+            details: error.message,
+        });
+    }
+});
+
+// Get all unique categories across all rooms in the project
+// with the item count and totals of each, in the project base currency:
+// total is the expected amount, actualTotal quantity × actual price
+projectRouter.get('/get-all-categories', async (req, res) => {
+    try {
+        const { rows } = await ledger.loadRows(req.project);
+
+        const byCategory = new Map();
+        rows
+            .filter((row) => row.source === 'rooms')
+            .forEach((row) => {
+                if (!byCategory.has(row.category)) {
+                    byCategory.set(row.category, { category: row.category, count: 0, total: 0, actualTotal: 0 });
+                }
+                const category = byCategory.get(row.category);
+                category.count++;
+                category.total += ledger.rowAmounts(row).expected;
+                category.actualTotal += money.convert(money.lineTotal(row.quantity, row.actual_price), row.exchangeRate) || 0;
+            });
+
+        const categories = [...byCategory.values()].sort((a, b) => b.total - a.total);
+
+        res.json(categories);
+    } catch (error) {
+        console.error('Error getting categories:', error);
+        res.status(500).json({
+            error: 'Failed to get categories',
+            details: error.message,
+        });
+    }
+});
+
+function emptyTaxTotals() {
+    return { net: 0, tax: 0, gross: 0 };
+}
+
+function addTaxAmounts(totals, amounts) {
+    totals.net += amounts.net;
+    totals.tax += amounts.tax;
+    totals.gross += amounts.gross;
+}
+
+// Get project totals, in the project base currency (amounts include IGV; tax splits them)
+projectRouter.get('/totals', async (req, res) => {
+    try {
+        // Ledger rows: every Expense document and room item, with shared allocations applied
+        const { rows, rooms, baseCurrency, taxRate, missingRates } = await ledger.loadRows(req.project);
+        const { all, general } = ledger.projectTotals(rows);
+
+        // Net/tax/gross split of the expected and actual (completed) totals
+        const taxTotals = { expected: emptyTaxTotals(), actual: emptyTaxTotals() };
+        rows.forEach((row) => {
+            const amounts = ledger.rowTax(row);
+            addTaxAmounts(taxTotals.expected, amounts);
+            if (row.status === 'Completed') {
+                addTaxAmounts(taxTotals.actual, amounts);
+            }
+        });
+
+        // Budgets and item counts come from the active rooms, as in the room list and
+        // the expenses summary (archived rooms' spending still counts in the totals)
+        const activeRooms = rooms.filter((room) => !room.archived);
+        let totalBudget = 0;
+        let totalItems = 0;
+        let totalCompleted = 0;
+        let productsCount = 0;
+
+        activeRooms.forEach((room) => {
+            totalBudget += room.budget || 0;
+            totalItems += room.total_items || 0; // Virtual field
+            totalCompleted += room.completed_items || 0; // Virtual field
+
+            productsCount += room.activeItems().filter(
+                (item) => item.category === 'Products'
+            ).length;
+        });
+
+        // Completed expenses that are not room items (project-level and shared expenses)
+        const expenseCount = rows.filter(
+            (row) => row.status === 'Completed' && row.source === 'expenses'
+        ).length;
+
+        // Format response
+        const response = {
+            totalBudget,
+            totalExpenses: all.actual, // Completed rows, the same as Total Spent on the expenses page
+            totalExpected: all.expected,
+            totalRooms: activeRooms.length,
+            totalItems,
+            totalCompleted,
+            totalProducts: productsCount,
+            expenseCount,
+            baseCurrency,
+            missingRates, // Currencies without exchange rates, counted as 0
+            taxRate,
+            tax: taxTotals,
+            // Project overhead: rows not linked to any room (included in the totals above)
+            general: {
+                count: general.count,
+                expected: general.expected,
+                actual: general.actual,
+            },
+        };
+
+        res.json(response);
+    } catch (error) {
+        console.error('Error getting totals:', error);
+        res.status(500).json({
+            error: 'Failed to get totals',
+            details: error.message,
+        });
+    }
+});
+
+// ============================================================================
+// EXPENSE ROUTES
+// ============================================================================
+
+// Sort keys accepted by /load-expenses (?sort=subtotal&order=asc)
+const EXPENSE_SORT_KEYS = {
+    date: (row) => row.date || '',
+    description: (row) => (row.description || '').toLowerCase(),
+    category: (row) => (row.category || '').toLowerCase(),
+    status: (row) => (row.status || '').toLowerCase(),
+    subtotal: (row) => ledger.rowAmounts(row).expected, // In the base currency
+};
+
+const EXPENSE_PAGE_MAX = 500;
+
+// Parse the filter, sort and pagination query of /load-expenses
+// Returns { error } when a parameter is invalid
+function parseExpenseQuery(query) {
+    const sort = query.sort || 'date';
+    const order = query.order || 'desc';
+
+    if (!EXPENSE_SORT_KEYS[sort]) {
+        return { error: `sort must be one of: ${Object.keys(EXPENSE_SORT_KEYS).join(', ')}` };
+    }
+    if (order !== 'asc' && order !== 'desc') {
+        return { error: 'order must be asc or desc' };
+    }
+
+    const dateParam = /^\d{4}-\d{2}-\d{2}$/;
+    if ((query.from && !dateParam.test(query.from)) || (query.to && !dateParam.test(query.to))) {
+        return { error: 'from and to must be dates (YYYY-MM-DD)' };
+    }
+
+    if (query.receipt && query.receipt !== 'missing' && query.receipt !== 'attached') {
+        return { error: 'receipt must be missing or attached' };
+    }
+
+    let limit = null;
+    if (query.limit !== undefined) {
+        limit = parseInt(query.limit, 10);
+        if (!(limit > 0)) {
+            return { error: 'limit must be a positive number' };
+        }
+        limit = Math.min(limit, EXPENSE_PAGE_MAX);
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        try {
+            cursor = JSON.parse(Buffer.from(query.cursor, 'base64url').toString());
+        } catch {
+            cursor = null;
+        }
+        // The value must be of the type the sort key gives, or positions compare wrongly
+        const valueType = sort === 'subtotal' ? 'number' : 'string';
+        if (
+            typeof cursor?._id !== 'string' ||
+            typeof cursor.value !== valueType ||
+            (valueType === 'number' && !Number.isFinite(cursor.value))
+        ) {
+            return { error: 'Invalid cursor' };
+        }
+    }
+
+    return {
+        from: query.from || null,
+        to: query.to || null,
+        category: query.category || null,
+        room: query.room || null,
+        status: query.status || null,
+        vendor: query.vendor || null,
+        receipt: query.receipt || null,
+        sort,
+        order,
+        limit,
+        cursor,
+    };
+}
+
+// Whether an expense row matches the filters ('general' matches rows without rooms)
+function matchesExpenseQuery(row, q) {
+    if (q.from && (!row.date || row.date < q.from)) return false;
+    if (q.to && (!row.date || row.date > q.to)) return false;
+    if (q.category && row.category !== q.category) return false;
+    if (q.status && row.status !== q.status) return false;
+    if (q.vendor && row.vendor !== q.vendor) return false;
+    if (q.receipt && (row.attachments.length > 0) !== (q.receipt === 'attached')) return false;
+    if (q.room) {
+        const rooms = row.rooms || [];
+        if (q.room === 'general' ? rooms.length > 0 : !rooms.includes(q.room)) return false;
+    }
+    return true;
+}
+
+// Position of a row in the requested order: its sort value and id (also what a cursor holds)
+function sortPosition(row, q) {
+    return { value: EXPENSE_SORT_KEYS[q.sort](row), _id: row._id };
+}
+
+// Compare two positions in the requested order; ties are broken by id so pages are stable
+function comparePositions(a, b, q) {
+    const direction = q.order === 'asc' ? 1 : -1;
+
+    if (a.value < b.value) return -direction;
+    if (a.value > b.value) return direction;
+    return a._id < b._id ? -1 : a._id > b._id ? 1 : 0;
+}
+
+// Expense filter for the parts of an expense query the Expense collection can apply itself
+// (matchesExpenseQuery still checks every row, so this only has to narrow what is loaded)
+function expenseCollectionFilter(q) {
+    const filter = {};
+    const and = [];
+    if (q.category) filter.category = q.category;
+    if (q.status) filter.status = q.status;
+    if (q.vendor && mongoose.isValidObjectId(q.vendor)) filter.vendor = q.vendor;
+    if (q.receipt) filter['attachments.0'] = { $exists: q.receipt === 'attached' };
+    if (q.room === 'general') {
+        and.push({ $or: [{ rooms: { $exists: false } }, { rooms: { $size: 0 } }] });
+    } else if (q.room) {
+        filter.rooms = q.room;
+    }
+    if (q.from || q.to) {
+        // The row date: completedDate, else date, else createdDate, else today (see ledger.rowDate)
+        const rowDate = { $ifNull: ['$completedDate', { $ifNull: ['$date', { $ifNull: ['$createdDate', '$$NOW'] }] }] };
+        const bounds = [];
+        if (q.from) bounds.push({ $gte: [rowDate, new Date(q.from)] });
+        if (q.to) bounds.push({ $lte: [rowDate, new Date(`${q.to}T23:59:59.999Z`)] });
+        and.push({ $expr: { $and: bounds } });
+    }
+    if (and.length > 0) filter.$and = and;
+    return filter;
+}
+
+// Room filter for an expense query: only rooms that can hold matching items
+// Items always belong to a room, so 'general' needs none of them
+function roomCollectionFilter(q) {
+    if (q.room === 'general') return null;
+
+    const filter = {};
+    if (q.room) filter.$or = [{ slug: q.room }, { 'items.roomAllocations.room': q.room }];
+    if (q.category) filter['items.category'] = q.category;
+    if (q.status) filter['items.status'] = q.status;
+    if (q.vendor && mongoose.isValidObjectId(q.vendor)) filter['items.vendor'] = q.vendor;
+    if (q.receipt) filter.items = { $elemMatch: { 'attachments.0': { $exists: q.receipt === 'attached' } } };
+    return filter;
+}
+
+// Load expenses (from expenses collection + all room items)
+// Filters: ?from=&to= (YYYY-MM-DD), ?category=, ?room= (slug or 'general'), ?status=, ?vendor= (id),
+// ?receipt=missing|attached (rows without / with attachments)
+// Sorting: ?sort=date|description|category|status|subtotal&order=asc|desc (default: date desc)
+// Pagination: ?limit= and ?cursor= (nextCursor of the previous page); without limit every row is returned
+// totals are computed over every row matching the filters, not just the returned page,
+// in the project base currency; missingRates lists currencies without exchange rates
+// The filters narrow the expenses and rooms loaded from the database; sorting and paging happen
+// after the two are merged (totals need every matching row), so a page limits the response, not the load
+projectRouter.get('/load-expenses', async (req, res) => {
+    try {
+        const q = parseExpenseQuery(req.query);
+        if (q.error) {
+            return res.status(400).json({ error: q.error });
+        }
+
+        const { rows: allExpenses, fromCollection, baseCurrency, missingRates } = await ledger.loadRows(req.project, {
+            expenseFilter: expenseCollectionFilter(q),
+            roomFilter: roomCollectionFilter(q),
+        });
+
+        const matching = allExpenses
+            .filter((row) => matchesExpenseQuery(row, q))
+            .sort((a, b) => comparePositions(sortPosition(a, q), sortPosition(b, q), q));
+
+        // Totals of the filtered set: spent counts completed rows only
+        const totals = { count: matching.length, spent: 0, expected: 0 };
+        matching.forEach((row) => {
+            const subtotal = ledger.rowAmounts(row).expected;
+            totals.expected += subtotal;
+            if (row.status === 'Completed') {
+                totals.spent += subtotal;
+            }
+        });
+
+        // Page: rows after the cursor, up to limit
+        let page = matching;
+        if (q.cursor) {
+            const start = matching.findIndex((row) => comparePositions(sortPosition(row, q), q.cursor, q) > 0);
+            page = start === -1 ? [] : matching.slice(start);
+        }
+        let nextCursor = null;
+        if (q.limit && page.length > q.limit) {
+            page = page.slice(0, q.limit);
+            nextCursor = Buffer.from(JSON.stringify(sortPosition(page[page.length - 1], q))).toString('base64url');
+        }
+
+        console.log(`📤 Loaded ${page.length} of ${matching.length} matching expenses (${allExpenses.length} total: ${fromCollection} from expenses collection, ${allExpenses.length - fromCollection} from rooms)`);
+
+        // Optional ?fields=description,actual_price,status (_id is always returned)
+        const projection = parseProjection(req);
+
+        res.json({
+            success: true,
+            expenses: projection
+                ? page.map((expense) => pickFields(expense, projection.fields))
+                : page,
+            totals,
+            baseCurrency,
+            missingRates,
+            nextCursor,
+        });
+    } catch (error) {
+        console.error('Error loading expenses:', error);
+        res.status(500).json({
+            error: 'Failed to load expenses',
+            details: error.message,
+        });
+    }
+});
+
+// Order of status groups in the expenses summary
+const EXPENSE_STATUSES = ['Planning', 'Pending', 'Ordered', 'Completed'];
+
+// Get a summary group, creating it on first use
+function summaryGroup(groups, key, extra = {}) {
+    if (!groups.has(key)) {
+        groups.set(key, ledger.emptyTotals({ key, ...extra }));
+    }
+    return groups.get(key);
+}
+
+// Summary of expenses and room items grouped by month, category, room and status
+// Accepts the filters of /load-expenses (?from=&to=&category=&room=&status=&vendor=&receipt=)
+// Room groups split shared expenses by their roomAllocations and include each room's budget;
+// every other group compares budgeted (budget prices) against expected and actual.
+// Amounts are in the project base currency
+projectRouter.get('/expenses-summary', async (req, res) => {
+    try {
+        const q = parseExpenseQuery(req.query);
+        if (q.error) {
+            return res.status(400).json({ error: q.error });
+        }
+
+        const { rows, rooms, baseCurrency, missingRates } = await ledger.loadRows(req.project, {
+            expenseFilter: expenseCollectionFilter(q),
+        });
+        const matching = rows.filter((row) => matchesExpenseQuery(row, q));
+
+        const byMonth = new Map();
+        const byCategory = new Map();
+        const byStatus = new Map();
+        const byRoom = new Map();
+
+        // Every active room is listed, even without expenses, so its budget shows up
+        rooms
+            .filter((room) => !room.archived)
+            .forEach((room) => summaryGroup(byRoom, room.slug, { name: room.name, budget: room.budget || 0 }));
+
+        const totals = ledger.emptyTotals({
+            budget: rooms
+                .filter((room) => !room.archived)
+                .reduce((sum, room) => sum + (room.budget || 0), 0),
+        });
+
+        matching.forEach((row) => {
+            const amounts = ledger.rowAmounts(row);
+
+            ledger.addAmounts(totals, amounts);
+            ledger.addAmounts(summaryGroup(byMonth, row.date.slice(0, 7)), amounts);
+            ledger.addAmounts(summaryGroup(byCategory, row.category || 'Other'), amounts);
+            ledger.addAmounts(summaryGroup(byStatus, row.status || 'Pending'), amounts);
+
+            ledger.roomShares(row).forEach(({ room: slug, amounts: share }) => {
+                const room = rooms.find((r) => r.slug === slug);
+                const extra = slug === ledger.GENERAL
+                    ? { name: 'General', budget: 0 }
+                    : { name: room ? room.name : slug, budget: room ? room.budget || 0 : 0 };
+                ledger.addAmounts(summaryGroup(byRoom, slug, extra), share);
+            });
+        });
+
+        const statusOrder = (key) => (EXPENSE_STATUSES.includes(key) ? EXPENSE_STATUSES.indexOf(key) : EXPENSE_STATUSES.length);
+
+        res.json({
+            success: true,
+            baseCurrency,
+            missingRates,
+            totals,
+            byMonth: [...byMonth.values()].sort((a, b) => a.key.localeCompare(b.key)),
+            byCategory: [...byCategory.values()].sort((a, b) => b.expected - a.expected),
+            byStatus: [...byStatus.values()].sort((a, b) => statusOrder(a.key) - statusOrder(b.key)),
+            // Rooms by name, general overhead last
+            byRoom: [...byRoom.values()].sort((a, b) =>
+                (a.key === ledger.GENERAL) - (b.key === ledger.GENERAL) || a.name.localeCompare(b.name)
+            ),
+        });
+    } catch (error) {
+        console.error('Error summarizing expenses:', error);
+        res.status(500).json({
+            error: 'Failed to summarize expenses',
+            details: error.message,
+        });
+    }
+});
+
+// Tax report: expenses and room items grouped by receipt type (factura, boleta, none)
+// with the net, IGV and gross amount of each, in the project base currency
+// Accepts the filters of /load-expenses (?from=&to=&category=&room=&status=&vendor=)
+projectRouter.get('/tax-report', async (req, res) => {
+    try {
+        const q = parseExpenseQuery(req.query);
+        if (q.error) {
+            return res.status(400).json({ error: q.error });
+        }
+
+        const { rows, rooms, baseCurrency, taxRate, missingRates } = await ledger.loadRows(req.project, {
+            expenseFilter: expenseCollectionFilter(q),
+        });
+        const roomNames = new Map(rooms.map((room) => [room.slug, room.name]));
+
+        const groups = new Map(
+            tax.RECEIPT_TYPES.map((receiptType) => [receiptType, { receiptType, count: 0, ...emptyTaxTotals(), expenses: [] }])
+        );
+        const totals = { count: 0, ...emptyTaxTotals() };
+
+        rows
+            .filter((row) => matchesExpenseQuery(row, q))
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .forEach((row) => {
+                const amounts = ledger.rowTax(row);
+                const group = groups.get(row.receiptType) || groups.get('none');
+
+                group.count++;
+                addTaxAmounts(group, amounts);
+                totals.count++;
+                addTaxAmounts(totals, amounts);
+
+                group.expenses.push({
+                    _id: row._id,
+                    source: row.source,
+                    roomName: row.roomSlug ? roomNames.get(row.roomSlug) || row.roomSlug : null,
+                    date: row.date,
+                    description: row.description,
+                    category: row.category,
+                    status: row.status,
+                    receiptNumber: row.receiptNumber,
+                    currency: row.currency,
+                    priceIncludesTax: row.priceIncludesTax,
+                    ...amounts,
+                });
+            });
+
+        res.json({
+            success: true,
+            baseCurrency,
+            taxRate,
+            missingRates,
+            totals,
+            groups: [...groups.values()],
+        });
+    } catch (error) {
+        console.error('Error building tax report:', error);
+        res.status(500).json({
+            error: 'Failed to build tax report',
+            details: error.message,
+        });
+    }
+});
+
+// Room links of an Expense document: no rooms = project-level overhead,
+// several rooms = shared expense, split by custom allocations or equally when there are none
+// Allocations for rooms the expense is not linked to are dropped, and allocation amounts
+// are recalculated from the percentages so they always add up to the expense total (céntimos)
+function expenseRoomFields({ rooms, roomAllocations }, total) {
+    const linkedRooms = Array.isArray(rooms) ? rooms : [];
+    const isSharedExpense = linkedRooms.length > 1;
+
+    const allocations = isSharedExpense
+        ? (roomAllocations || []).filter((allocation) => linkedRooms.includes(allocation.room))
+        : [];
+    const amounts = money.allocate(total, allocations.map((allocation) => allocation.percentage));
+
+    return {
+        rooms: linkedRooms,
+        roomAllocations: allocations.map((allocation, index) => ({
+            room: allocation.room,
+            percentage: parseFloat(allocation.percentage) || 0,
+            amount: amounts[index],
+        })),
+        isSharedExpense,
+    };
+}
+
+// Create new expense (requires project editor)
+// Creates a new expense in the expenses collection and returns it with MongoDB ID
+projectRouter.post('/create-expense', requireProjectEditor, async (req, res) => {
+    try {
+        const { description, amount, currency, priceIncludesTax, receiptType, receiptNumber, vendor, category, date, status, rooms, roomAllocations } = req.body;
+
+        console.log('\n➕ Creating new expense in expenses collection...');
+
+        // Create new expense document with valid default description
+        const newExpense = new Expense({
+            project: req.project._id,
+            description: description || 'New Expense',
+            category: category || 'Other',
+            amount: money.asCents(amount),
+            currency: money.isCurrency(currency) ? currency : req.project.baseCurrency || money.DEFAULT_CURRENCY,
+            priceIncludesTax: priceIncludesTax !== false,
+            receiptType: tax.isReceiptType(receiptType) ? receiptType : 'none',
+            receiptNumber: receiptNumber || '',
+            vendor: Vendor.toId(vendor),
+            status: status || 'Pending',
+            date: date ? new Date(date) : null,
+            createdDate: new Date(),
+            completedDate: status === 'Completed' ? new Date() : null,
+            ...expenseRoomFields({ rooms, roomAllocations }, money.asCents(amount)),
+            notes: ''
+        });
+
+        await newExpense.save();
+
+        await AuditEvent.record(req, expenseAuditEvent('create', null, newExpense));
+
+        console.log(`   ✅ Created expense with ID: ${newExpense._id}`);
+
+        // Return the expense formatted for frontend
+        res.json({
+            success: true,
+            expense: {
+                _id: newExpense._id.toString(),
+                source: 'expenses', // Mark as from expenses collection
+                description: newExpense.description,
+                amount: newExpense.amount,
+                currency: newExpense.currency,
+                priceIncludesTax: newExpense.priceIncludesTax,
+                receiptType: newExpense.receiptType,
+                receiptNumber: newExpense.receiptNumber,
+                vendor: newExpense.vendor,
+                category: newExpense.category,
+                date: newExpense.date ? new Date(newExpense.date).toISOString().split('T')[0] : null,
+                createdDate: newExpense.createdDate ? new Date(newExpense.createdDate).toISOString().split('T')[0] : null,
+                completedDate: newExpense.completedDate ? new Date(newExpense.completedDate).toISOString().split('T')[0] : null,
+                rooms: newExpense.rooms,
+                status: newExpense.status,
+                isSharedExpense: newExpense.isSharedExpense,
+                roomAllocations: newExpense.roomAllocations,
+                notes: newExpense.notes
+            }
+        });
+    } catch (error) {
+        console.error('Error creating expense:', error);
+        res.status(500).json({
+            error: 'Failed to create expense',
+            details: error.message
+        });
+    }
+});
+
+// Saving with more deletions than this requires confirmDelete: true
+const EXPENSE_DELETE_CONFIRM_THRESHOLD =
+    parseInt(process.env.EXPENSE_DELETE_CONFIRM_THRESHOLD, 10) || 5;
+
+// Save expenses (requires project editor)
+// Takes a changeset with only the rows changed on the page:
+//   created - new expenses (added to the expenses collection)
+//   updated - changed expenses and room items, routed by their source field
+//   deleted - ids of expenses or room items to move to the trash
+//   confirmDelete - required when deleting more than EXPENSE_DELETE_CONFIRM_THRESHOLD rows
+// Rows not in the changeset are left alone.
+projectRouter.post('/save-expenses', requireProjectEditor, async (req, res) => {
+    try {
+        const { created = [], updated = [], deleted = [], confirmDelete = false } = req.body;
+
+        if (!Array.isArray(created) || !Array.isArray(updated) || !Array.isArray(deleted)) {
+            return res.status(400).json({ error: 'Created, updated and deleted must be arrays' });
+        }
+
+        const invalidId = updated.map((row) => row?._id).find((id) => id && !mongoose.isValidObjectId(id));
+        if (invalidId) {
+            return res.status(400).json({ error: `Invalid expense ID: ${invalidId}` });
+        }
+
+        if (deleted.length > EXPENSE_DELETE_CONFIRM_THRESHOLD && !confirmDelete) {
+            return res.status(428).json({
+                error: `Deleting ${deleted.length} expenses requires confirmation`,
+                confirmationRequired: true,
+                deleteCount: deleted.length,
+                threshold: EXPENSE_DELETE_CONFIRM_THRESHOLD,
+            });
+        }
+
+        console.log(`\n💾 Saving expenses: ${created.length} new, ${updated.length} changed, ${deleted.length} deleted...`);
+
+        // Apply the whole changeset in one transaction, so a failure leaves nothing half-saved
+        const { auditEvents, totalCreated, totalUpdated, totalDeleted } = await withTransaction(async (session) => {
+            // Step 1: Move deleted expenses/items to the trash
+            let totalDeleted = 0;
+            const auditEvents = [];
+            const deletedIds = new Set(deleted.map(String));
+
+            for (const id of deletedIds) {
+                if (!mongoose.isValidObjectId(id)) {
+                    console.warn(`⚠️  Skipping deletion with invalid ID: ${id}`);
+                    continue;
+                }
+
+                const expense = await Expense.findOne(inProject(req, { _id: id, deletedAt: null })).session(session);
+                if (expense) {
+                    markDeleted(expense, req);
+                    await expense.save({ session });
+                    auditEvents.push(expenseAuditEvent('delete', expense, null));
+                    console.log(`   ✅ Deleted: ${expense.description.substring(0, 40)}...`);
+                    totalDeleted++;
+                    continue;
+                }
+
+                // Not an expense document: look for a room item with this id
+                const room = await Room.findOne(inProject(req, { 'items._id': id })).session(session);
+                const item = room ? room.items.id(id) : null;
+                if (item && isActive(item)) {
+                    markDeleted(item, req);
+                    room.updateStatusFromItems();
+                    await room.save({ session });
+                    auditEvents.push(itemAuditEvent('delete', room.slug, item, null));
+                    console.log(`   ✅ Deleted: ${item.description.substring(0, 40)}... from ${room.slug}`);
+                    totalDeleted++;
+                } else {
+                    console.warn(`   ⚠️  Expense not found: ${id}`);
+                }
+            }
+
+            // Step 2: Separate expenses by source collection for updates/inserts
+            const expenseCollectionUpdates = [];
+            const expenseCollectionInserts = [];
+            const roomUpdates = new Map(); // roomSlug -> { room, updates[] }
+
+            // Created rows always belong to the expenses collection; deletion wins over an update
+            const changedRows = [
+                ...created.map((row) => ({ ...row, source: 'expenses', isNew: true })),
+                ...updated.filter((row) => !deletedIds.has(String(row._id))),
+            ];
+
+            for (const expense of changedRows) {
+                const { _id, isNew, source, roomSlug, description, category, status, date, createdDate, completedDate, rooms, roomAllocations, notes, quantity, unit, currency, budget_price, actual_price, priceIncludesTax, receiptType, receiptNumber, vendor } = expense;
+
+                // Tax and vendor fields of both expenses and room items
+                const taxFields = {
+                    priceIncludesTax: priceIncludesTax !== false,
+                    receiptType: tax.isReceiptType(receiptType) ? receiptType : 'none',
+                    receiptNumber: receiptNumber || '',
+                    vendor: Vendor.toId(vendor),
+                };
+
+                // Validate ID (new rows get theirs on insert)
+                if (!isNew && !_id) {
+                    console.warn(`⚠️  Skipping expense without ID: ${description}`);
+                    continue;
+                }
+
+                // Validate description (required)
+                if (!description || description.trim() === '') {
+                    console.warn(`⚠️  Skipping expense without description (ID: ${_id})`);
+                    continue;
+                }
+
+                if (source === 'expenses') {
+                    // This expense belongs to expenses collection
+                    const expenseData = {
+                        _id,
+                        description,
+                        category,
+                        status,
+                        date,
+                        createdDate,
+                        completedDate,
+                        rooms: rooms || [],
+                        roomAllocations: roomAllocations || [],
+                        notes: notes || '',
+                        // New fields for quantity and unit prices
+                        quantity: parseFloat(quantity) || 1,
+                        unit: unit || 'unit',
+                        // null keeps the stored currency (new expenses get the project's)
+                        currency: money.isCurrency(currency) ? currency : null,
+                        budget_price: money.asCents(budget_price),
+                        actual_price: money.asCents(actual_price),
+                        ...taxFields,
+                    };
+
+                    if (isNew) {
+                        expenseCollectionInserts.push(expenseData);
+                    } else {
+                        expenseCollectionUpdates.push(expenseData);
+                    }
+                } else if (source === 'rooms') {
+                    // This expense belongs to room collection
+                    if (!roomSlug) {
+                        console.warn(`⚠️  Skipping room expense without roomSlug: ${description}`);
+                        continue;
+                    }
+
+                    // Get or create room update entry
+                    if (!roomUpdates.has(roomSlug)) {
+                        const room = await Room.findOne(inProject(req, { slug: roomSlug })).session(session);
+                        if (!room) {
+                            console.warn(`⚠️  Room not found: ${roomSlug}`);
+                            continue;
+                        }
+                        roomUpdates.set(roomSlug, { room, updates: [] });
+                    }
+
+                    // Add update to this room's list
+                    roomUpdates.get(roomSlug).updates.push({
+                        _id,
+                        description,
+                        category,
+                        status,
+                        date,
+                        createdDate,
+                        completedDate,
+                        // New fields for quantity and unit prices
+                        quantity: parseFloat(quantity) || 1,
+                        unit: unit || 'unit',
+                        // null keeps the stored currency (new expenses get the project's)
+                        currency: money.isCurrency(currency) ? currency : null,
+                        budget_price: money.asCents(budget_price),
+                        actual_price: money.asCents(actual_price),
+                        ...taxFields,
+                    });
+                }
+            }
+
+            let totalUpdated = 0;
+            let totalCreated = 0;
+
+            // 1. Create new expenses
+            if (expenseCollectionInserts.length > 0) {
+                console.log(`\n➕ Creating ${expenseCollectionInserts.length} new expenses in expenses collection...`);
+
+                for (const insert of expenseCollectionInserts) {
+                    const newExpense = new Expense({
+                        project: req.project._id,
+                        description: insert.description,
+                        category: insert.category,
+                        quantity: insert.quantity,
+                        unit: insert.unit,
+                        currency: insert.currency || req.project.baseCurrency || money.DEFAULT_CURRENCY,
+                        budget_price: insert.budget_price,
+                        actual_price: insert.actual_price,
+                        priceIncludesTax: insert.priceIncludesTax,
+                        receiptType: insert.receiptType,
+                        receiptNumber: insert.receiptNumber,
+                        vendor: insert.vendor,
+                        amount: money.subtotal(insert),
+                        status: insert.status || 'Pending',
+                        date: insert.date ? new Date(insert.date) : null,
+                        createdDate: insert.createdDate ? new Date(insert.createdDate) : new Date(),
+                        completedDate: insert.completedDate ? new Date(insert.completedDate) : null,
+                        ...expenseRoomFields(insert, money.subtotal(insert)),
+                        notes: insert.notes || ''
+                    });
+
+                    await newExpense.save({ session });
+                    auditEvents.push(expenseAuditEvent('create', null, newExpense));
+                    console.log(`   ✅ Created: ${insert.description.substring(0, 40)}... (ID: ${newExpense._id})`);
+                    totalCreated++;
+                }
+
+                console.log(`   💾 Created ${totalCreated} new expenses`);
+            }
+
+            // 2. Update existing expenses in expenses collection
+            if (expenseCollectionUpdates.length > 0) {
+                console.log(`\n📝 Updating ${expenseCollectionUpdates.length} expenses in expenses collection...`);
+
+                for (const update of expenseCollectionUpdates) {
+                    const expense = await Expense.findOne(inProject(req, { _id: update._id, deletedAt: null })).session(session);
+
+                    if (!expense) {
+                        console.warn(`   ⚠️  Expense not found: ${update._id}`);
+                        continue;
+                    }
+
+                    const before = expense.toObject();
+
+                    // Update fields
+                    expense.description = update.description;
+                    expense.category = update.category;
+                    expense.status = update.status;
+                    expense.quantity = update.quantity;
+                    expense.unit = update.unit;
+                    expense.currency = update.currency || expense.currency;
+                    expense.budget_price = update.budget_price;
+                    expense.actual_price = update.actual_price;
+                    expense.priceIncludesTax = update.priceIncludesTax;
+                    expense.receiptType = update.receiptType;
+                    expense.receiptNumber = update.receiptNumber;
+                    expense.vendor = update.vendor;
+                    applyPaymentPrice(expense);
+                    expense.amount = money.subtotal(expense);
+                    Object.assign(expense, expenseRoomFields(update, expense.amount));
+                    expense.notes = update.notes || '';
+
+                    // Update dates
+                    if (update.date) {
+                        expense.date = new Date(update.date);
+                    }
+                    if (update.createdDate) {
+                        expense.createdDate = new Date(update.createdDate);
+                    }
+                    if (update.completedDate) {
+                        expense.completedDate = new Date(update.completedDate);
+                    }
+
+                    await expense.save({ session });
+                    auditEvents.push(expenseAuditEvent('update', before, expense));
+                    console.log(`   ✅ Updated: ${update.description.substring(0, 40)}...`);
+                    totalUpdated++;
+                }
+
+                console.log(`   💾 Saved expenses collection`);
+            }
+
+            // 3. Update expenses in room collections
+            for (const [roomSlug, { room, updates }] of roomUpdates) {
+                console.log(`\n📝 Updating ${updates.length} items in ${roomSlug}...`);
+
+                for (const update of updates) {
+                    // Find item by MongoDB _id
+                    const item = room.items.id(update._id);
+
+                    // Trashed items are only changed through restore
+                    if (!item || !isActive(item)) {
+                        console.warn(`   ⚠️  Item not found: ${update._id}`);
+                        continue;
+                    }
+
+                    const before = item.toObject();
+
+                    // Update item fields
+                    item.description = update.description;
+                    item.category = update.category;
+                    item.status = update.status;
+
+                    // Update dates
+                    if (update.date) {
+                        item.date = new Date(update.date);
+                    }
+                    if (update.createdDate) {
+                        item.createdDate = new Date(update.createdDate);
+                    }
+                    if (update.completedDate) {
+                        item.completedDate = new Date(update.completedDate);
+                    }
+
+                    // Quantity and prices; room items stay in their room
+                    // (shared costs are Expense documents, items move with /items/:itemId/move)
+                    item.quantity = update.quantity;
+                    item.unit = update.unit;
+                    item.currency = update.currency || item.currency;
+                    item.budget_price = update.budget_price;
+                    item.actual_price = update.actual_price;
+                    item.priceIncludesTax = update.priceIncludesTax;
+                    item.receiptType = update.receiptType;
+                    item.receiptNumber = update.receiptNumber;
+                    item.vendor = update.vendor;
+                    applyPaymentPrice(item);
+                    // Stamp completedDate when the item becomes Completed, as the other item write paths do
+                    Room.applyItemDates(item, before.status);
+
+                    auditEvents.push(itemAuditEvent('update', roomSlug, before, item));
+                    console.log(`   ✅ Updated: ${update.description.substring(0, 40)}...`);
+                    totalUpdated++;
+                }
+
+                // Status changes can complete (or reopen) the room
+                room.updateStatusFromItems();
+                await room.save({ session });
+                console.log(`   💾 Saved ${roomSlug}`);
+            }
+
+            return { auditEvents, totalCreated, totalUpdated, totalDeleted };
+        });
+
+        await AuditEvent.record(req, auditEvents);
+
+        console.log(`\n✨ Successfully created ${totalCreated}, updated ${totalUpdated}, and deleted ${totalDeleted} expenses\n`);
+
+        res.json({
+            success: true,
+            message: 'Expenses saved successfully',
+            stats: {
+                created: totalCreated,
+                updated: totalUpdated,
+                deleted: totalDeleted
+            }
+        });
+    } catch (error) {
+        console.error('Error saving expenses:', error);
+        res.status(500).json({
+            error: 'Failed to save expenses',
+            details: error.message,
+        });
+    }
+});
+
+// ============================================================================
+// PAYMENT ROUTES
+// ============================================================================
+
+// Entries with payments take their actual price from them (see shared/payments.js);
+// amounts paid include tax, so their prices do too
+// Works on plain objects and documents; returns the entry
+function applyPaymentPrice(entry) {
+    if (entry.payments && entry.payments.length > 0) {
+        entry.actual_price = payments.priceFromPayments(entry.payments, entry.quantity);
+        entry.priceIncludesTax = true;
+    }
+    return entry;
+}
+
+// Validate the fields of a payment
+// Returns { error } or the fields to save
+function parsePayment(body) {
+    const { date, amount, status = 'paid', method = 'transfer', payer, reference } = body;
+
+    const paymentDate = new Date(date);
+    if (!date || Number.isNaN(paymentDate.getTime())) {
+        return { error: 'Payment date is required (YYYY-MM-DD)' };
+    }
+
+    const cents = money.asCents(amount);
+    if (!(cents > 0)) {
+        return { error: 'Amount must be a positive number of cents' };
+    }
+
+    if (!payments.isPaymentStatus(status)) {
+        return { error: `Status must be one of: ${payments.PAYMENT_STATUSES.join(', ')}` };
+    }
+
+    if (!payments.isPaymentMethod(method)) {
+        return { error: `Method must be one of: ${payments.PAYMENT_METHODS.join(', ')}` };
+    }
+
+    return { date: paymentDate, amount: cents, status, method, payer: payer || '', reference: reference || '' };
+}
+
+// Find the expense or room item a payment or attachment route is for
+// source is 'expenses' or 'rooms', as in the rows of /load-expenses
+// Sends a 400/404 and returns {} when it is missing
+async function findEntry(req, res) {
+    const { source, entryId } = req.params;
+
+    if (source !== 'expenses' && source !== 'rooms') {
+        res.status(400).json({ error: 'Source must be expenses or rooms' });
+        return {};
+    }
+
+    if (source === 'expenses') {
+        const expense = mongoose.isValidObjectId(entryId)
+            ? await Expense.findOne(inProject(req, { _id: entryId, deletedAt: null }))
+            : null;
+        if (!expense) {
+            res.status(404).json({ error: 'Expense not found' });
+            return {};
+        }
+        return {
+            doc: expense,
+            entry: expense,
+            auditEvent: (before) => expenseAuditEvent('update', before, expense),
+        };
+    }
+
+    const room = mongoose.isValidObjectId(entryId)
+        ? await Room.findOne(inProject(req, { 'items._id': entryId }))
+        : null;
+    const item = room ? room.items.id(entryId) : null;
+    if (!item || !isActive(item)) {
+        res.status(404).json({ error: 'Item not found' });
+        return {};
+    }
+    return {
+        doc: room,
+        entry: item,
+        auditEvent: (before) => itemAuditEvent('update', room.slug, before, item),
+    };
+}
+
+// Save an entry after its payments changed: derive its price and record the change
+async function savePayments(req, doc, entry, before, auditEvent) {
+    applyPaymentPrice(entry);
+    if (doc instanceof Expense) {
+        entry.amount = money.subtotal(entry);
+        Object.assign(entry, expenseRoomFields(entry, entry.amount));
+    }
+
+    await doc.save();
+    await AuditEvent.record(req, auditEvent(before));
+}
+
+// Send an entry's payments with its balance, in its own currency
+// Room items also send the room version, as the item routes do
+function sendPayments(req, res, doc, entry, message, status = 200) {
+    res.status(status).json({
+        success: true,
+        message,
+        payments: entry.payments,
+        actual_price: entry.actual_price,
+        balance: payments.paymentBalance(entry, req.project.taxRate ?? tax.DEFAULT_TAX_RATE),
+        ...(doc instanceof Room ? { version: doc.__v } : {}),
+    });
+}
+
+// Amounts due: every installment still scheduled, and the balance of each expense or
+// room item that has one outstanding, in the project base currency
+// Entries without payments are only listed once ordered (committed but not paid)
+// Scheduled payments dated before today are overdue
+projectRouter.get('/payments/due', async (req, res) => {
+    try {
+        const { rows, rooms, baseCurrency, missingRates } = await ledger.loadRows(req.project);
+        const roomNames = new Map(rooms.map((room) => [room.slug, room.name]));
+        const today = new Date().toISOString().split('T')[0];
+
+        const entries = [];
+        const installments = [];
+        const totals = { total: 0, paid: 0, outstanding: 0, overdue: 0 };
+
+        rows.forEach((row) => {
+            if (row.payments.length === 0 && row.status !== 'Ordered') return;
+
+            const balance = ledger.rowBalance(row);
+            if (balance.outstanding <= 0) return;
+
+            const scheduled = row.payments
+                .filter((payment) => payment.status === 'scheduled')
+                .sort((a, b) => a.date.localeCompare(b.date));
+            const entry = {
+                _id: row._id,
+                source: row.source,
+                roomSlug: row.roomSlug || null,
+                roomName: row.roomSlug ? roomNames.get(row.roomSlug) || row.roomSlug : null,
+                description: row.description,
+                category: row.category,
+                status: row.status,
+                currency: row.currency,
+                ...balance,
+                nextDue: scheduled[0] || null,
+                overdue: scheduled.some((payment) => payment.date < today),
+            };
+            entries.push(entry);
+
+            scheduled.forEach((payment) => {
+                const amountBase = money.convert(payment.amount, row.exchangeRate) || 0;
+                const overdue = payment.date < today;
+                installments.push({
+                    ...payment,
+                    entryId: row._id,
+                    source: row.source,
+                    description: row.description,
+                    roomName: entry.roomName,
+                    currency: row.currency,
+                    amountBase,
+                    overdue,
+                });
+                if (overdue) {
+                    totals.overdue += amountBase;
+                }
+            });
+
+            totals.total += balance.total;
+            totals.paid += balance.paid;
+            totals.outstanding += balance.outstanding;
+        });
+
+        entries.sort((a, b) => b.outstanding - a.outstanding);
+        installments.sort((a, b) => a.date.localeCompare(b.date));
+
+        res.json({
+            success: true,
+            baseCurrency,
+            missingRates,
+            totals,
+            entries,
+            installments,
+        });
+    } catch (error) {
+        console.error('Error loading amounts due:', error);
+        res.status(500).json({
+            error: 'Failed to load amounts due',
+            details: error.message,
+        });
+    }
+});
+
+// List the payments of an expense or room item with its balance
+projectRouter.get('/payments/:source/:entryId', async (req, res) => {
+    try {
+        const { doc, entry } = await findEntry(req, res);
+        if (!entry) return;
+
+        sendPayments(req, res, doc, entry, 'Payments loaded');
+    } catch (error) {
+        console.error('Error loading payments:', error);
+        res.status(500).json({
+            error: 'Failed to load payments',
+            details: error.message,
+        });
+    }
+});
+
+// Add a payment to an expense or room item (requires project editor)
+// Body: { date, amount, status, method, payer, reference } with amount in cents of the entry currency
+projectRouter.post('/payments/:source/:entryId', requireProjectEditor, async (req, res) => {
+    try {
+        const fields = parsePayment(req.body);
+        if (fields.error) {
+            return res.status(400).json({ error: fields.error });
+        }
+
+        const { doc, entry, auditEvent } = await findEntry(req, res);
+        if (!entry) return;
+
+        const before = entry.toObject();
+        entry.payments.push(fields);
+        await savePayments(req, doc, entry, before, auditEvent);
+
+        sendPayments(req, res, doc, entry, 'Payment added successfully', 201);
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            return sendConflict(res, 'entry', null);
+        }
+        console.error('Error adding payment:', error);
+        res.status(500).json({
+            error: 'Failed to add payment',
+            details: error.message,
+        });
+    }
+});
+
+// Update a payment (requires project editor)
+// Only the fields sent are changed, e.g. { status: 'paid', date } when an installment is paid
+projectRouter.put('/payments/:source/:entryId/:paymentId', requireProjectEditor, async (req, res) => {
+    try {
+        const { doc, entry, auditEvent } = await findEntry(req, res);
+        if (!entry) return;
+
+        const payment = mongoose.isValidObjectId(req.params.paymentId)
+            ? entry.payments.id(req.params.paymentId)
+            : null;
+        if (!payment) {
+            return res.status(404).json({ error: 'Payment not found' });
+        }
+
+        const fields = parsePayment({ ...payment.toObject(), ...req.body });
+        if (fields.error) {
+            return res.status(400).json({ error: fields.error });
+        }
+
+        const before = entry.toObject();
+        payment.set(fields);
+        await savePayments(req, doc, entry, before, auditEvent);
+
+        sendPayments(req, res, doc, entry, 'Payment updated successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            return sendConflict(res, 'entry', null);
+        }
+        console.error('Error updating payment:', error);
+        res.status(500).json({
+            error: 'Failed to update payment',
+            details: error.message,
+        });
+    }
+});
+
+// Delete a payment (requires project editor)
+// Once the last payment is gone the entry keeps the price they last gave it
+projectRouter.delete('/payments/:source/:entryId/:paymentId', requireProjectEditor, async (req, res) => {
+    try {
+        const { doc, entry, auditEvent } = await findEntry(req, res);
+        if (!entry) return;
+
+        const payment = mongoose.isValidObjectId(req.params.paymentId)
+            ? entry.payments.id(req.params.paymentId)
+            : null;
+        if (!payment) {
+            return res.status(404).json({ error: 'Payment not found' });
+        }
+
+        const before = entry.toObject();
+        entry.payments.pull(payment._id);
+        await savePayments(req, doc, entry, before, auditEvent);
+
+        sendPayments(req, res, doc, entry, 'Payment deleted');
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            return sendConflict(res, 'entry', null);
+        }
+        console.error('Error deleting payment:', error);
+        res.status(500).json({
+            error: 'Failed to delete payment',
+            details: error.message,
+        });
+    }
+});
+
+// ============================================================================
+// VENDOR ROUTES
+// ============================================================================
+
+// Validate the fields of a vendor
+// Returns { error } or the fields to save
+function parseVendor(body) {
+    const { name, type = 'store', ruc, contacts, address, notes, rating } = body;
+
+    if (!name || !String(name).trim()) {
+        return { error: 'Vendor name is required' };
+    }
+
+    if (!Vendor.VENDOR_TYPES.includes(type)) {
+        return { error: `Type must be one of: ${Vendor.VENDOR_TYPES.join(', ')}` };
+    }
+
+    const rucValue = String(ruc || '').trim();
+    if (rucValue && !Vendor.isValidRuc(rucValue)) {
+        return { error: 'RUC must have 11 digits and start with 10, 15, 17 or 20' };
+    }
+
+    let ratingValue = null;
+    if (rating !== undefined && rating !== null && rating !== '') {
+        ratingValue = parseInt(rating, 10);
+        if (!(ratingValue >= 1 && ratingValue <= 5)) {
+            return { error: 'Rating must be from 1 to 5' };
+        }
+    }
+
+    return {
+        name: String(name).trim(),
+        type,
+        ruc: rucValue,
+        contacts: (Array.isArray(contacts) ? contacts : [])
+            .map((contact) => ({
+                name: contact.name || '',
+                role: contact.role || '',
+                phone: contact.phone || '',
+                email: contact.email || '',
+            }))
+            .filter((contact) => contact.name || contact.phone || contact.email),
+        address: address || '',
+        notes: notes || '',
+        rating: ratingValue,
+    };
+}
+
+function emptyVendorStats() {
+    return { count: 0, spent: 0, committed: 0, openOrders: 0, paid: 0, outstanding: 0, lastDate: null };
+}
+
+// Spend per vendor id, in the project base currency:
+//   spent     - completed rows (actual amounts)
+//   committed - expected amount of rows not completed yet (openOrders of them)
+//   paid/outstanding - from their payments (see ledger.rowBalance)
+function vendorStats(rows) {
+    const stats = new Map();
+
+    rows.forEach((row) => {
+        if (!row.vendor) return;
+        if (!stats.has(row.vendor)) {
+            stats.set(row.vendor, emptyVendorStats());
+        }
+
+        const vendorTotals = stats.get(row.vendor);
+        const amounts = ledger.rowAmounts(row);
+        const balance = ledger.rowBalance(row);
+
+        vendorTotals.count++;
+        vendorTotals.spent += amounts.actual;
+        if (row.status !== 'Completed') {
+            vendorTotals.committed += amounts.expected;
+            vendorTotals.openOrders++;
+        }
+        vendorTotals.paid += balance.paid;
+        vendorTotals.outstanding += balance.outstanding;
+        if (!vendorTotals.lastDate || row.date > vendorTotals.lastDate) {
+            vendorTotals.lastDate = row.date;
+        }
+    });
+
+    return stats;
+}
+
+// Find a vendor of the project, sending a 404 when it is missing
+async function findVendor(req, res) {
+    const { vendorId } = req.params;
+    const vendor = mongoose.isValidObjectId(vendorId)
+        ? await Vendor.findOne(inProject(req, { _id: vendorId }))
+        : null;
+
+    if (!vendor) {
+        res.status(404).json({ error: 'Vendor not found' });
+    }
+    return vendor;
+}
+
+// List the project's vendors by name, with their spend (see vendorStats)
+projectRouter.get('/vendors', async (req, res) => {
+    try {
+        const [vendors, { rows, baseCurrency, missingRates }] = await Promise.all([
+            Vendor.find(inProject(req)).sort({ name: 1 }),
+            ledger.loadRows(req.project),
+        ]);
+        const stats = vendorStats(rows);
+
+        res.json({
+            success: true,
+            baseCurrency,
+            missingRates,
+            types: Vendor.VENDOR_TYPES,
+            vendors: vendors.map((vendor) => ({
+                ...vendor.toJSON(),
+                stats: stats.get(vendor._id.toString()) || emptyVendorStats(),
+            })),
+        });
+    } catch (error) {
+        console.error('Error loading vendors:', error);
+        res.status(500).json({
+            error: 'Failed to load vendors',
+            details: error.message,
+        });
+    }
+});
+
+// Get a vendor with its spend, the items and expenses it is on (newest first)
+// and the product options it quoted
+projectRouter.get('/vendors/:vendorId', async (req, res) => {
+    try {
+        const vendor = await findVendor(req, res);
+        if (!vendor) return;
+
+        const vendorId = vendor._id.toString();
+        const [{ rows, rooms, baseCurrency, missingRates }, optionRooms] = await Promise.all([
+            ledger.loadRows(req.project),
+            Room.find(inProject(req, { 'items.productOptions.vendor': vendor._id })).select(
+                'name slug items._id items.description items.deletedAt items.selectedOptionId items.productOptions'
+            ),
+        ]);
+        const roomNames = new Map(rooms.map((room) => [room.slug, room.name]));
+        const vendorRows = rows.filter((row) => row.vendor === vendorId);
+
+        const history = vendorRows
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .map((row) => ({
+                _id: row._id,
+                source: row.source,
+                roomSlug: row.roomSlug || null,
+                roomName: row.roomSlug ? roomNames.get(row.roomSlug) || row.roomSlug : null,
+                date: row.date,
+                description: row.description,
+                category: row.category,
+                status: row.status,
+                receiptType: row.receiptType,
+                receiptNumber: row.receiptNumber,
+                ...ledger.rowAmounts(row),
+                ...ledger.rowBalance(row),
+            }));
+
+        const options = [];
+        optionRooms.forEach((room) => {
+            room.activeItems().forEach((item) => {
+                item.productOptions
+                    .filter((option) => option.vendor && option.vendor.toString() === vendorId)
+                    .forEach((option) => {
+                        options.push({
+                            roomSlug: room.slug,
+                            roomName: room.name,
+                            itemId: item._id,
+                            itemDescription: item.description,
+                            optionId: option.id,
+                            name: option.name,
+                            price: option.price,
+                            currency: option.currency,
+                            selected: item.selectedOptionId === option.id,
+                        });
+                    });
+            });
+        });
+
+        res.json({
+            success: true,
+            baseCurrency,
+            missingRates,
+            vendor,
+            stats: vendorStats(vendorRows).get(vendorId) || emptyVendorStats(),
+            history,
+            options,
+        });
+    } catch (error) {
+        console.error('Error loading vendor:', error);
+        res.status(500).json({
+            error: 'Failed to load vendor',
+            details: error.message,
+        });
+    }
+});
+
+// Add a vendor (requires project editor)
+// Body: { name, type, ruc, contacts: [{ name, role, phone, email }], address, notes, rating }
+projectRouter.post('/vendors', requireProjectEditor, async (req, res) => {
+    try {
+        const fields = parseVendor(req.body);
+        if (fields.error) {
+            return res.status(400).json({ error: fields.error });
+        }
+
+        const vendor = await Vendor.create({
+            ...fields,
+            project: req.project._id,
+            createdBy: req.user.id,
+        });
+
+        await AuditEvent.record(req, vendorAuditEvent('create', null, vendor));
+
+        res.status(201).json({
+            success: true,
+            message: 'Vendor added successfully',
+            vendor,
+        });
+    } catch (error) {
+        console.error('Error adding vendor:', error);
+        res.status(500).json({
+            error: 'Failed to add vendor',
+            details: error.message,
+        });
+    }
+});
+
+// Update a vendor (requires project editor)
+// Only the fields sent are changed
+projectRouter.put('/vendors/:vendorId', requireProjectEditor, async (req, res) => {
+    try {
+        const vendor = await findVendor(req, res);
+        if (!vendor) return;
+
+        const fields = parseVendor({ ...vendor.toObject(), ...req.body });
+        if (fields.error) {
+            return res.status(400).json({ error: fields.error });
+        }
+
+        const before = vendor.toObject();
+        vendor.set(fields);
+        await vendor.save();
+
+        await AuditEvent.record(req, vendorAuditEvent('update', before, vendor));
+
+        res.json({
+            success: true,
+            message: 'Vendor updated successfully',
+            vendor,
+        });
+    } catch (error) {
+        console.error('Error updating vendor:', error);
+        res.status(500).json({
+            error: 'Failed to update vendor',
+            details: error.message,
+        });
+    }
+});
+
+// Delete a vendor (requires project editor)
+// Items, product options, expenses and invoices that referenced it are left without a vendor
+projectRouter.delete('/vendors/:vendorId', requireProjectEditor, async (req, res) => {
+    try {
+        const vendor = await findVendor(req, res);
+        if (!vendor) return;
+
+        await withTransaction(async (session) => {
+            await Expense.updateMany(inProject(req, { vendor: vendor._id }), { $set: { vendor: null } }, { session });
+            await Invoice.updateMany(inProject(req, { vendor: vendor._id }), { $set: { vendor: null } }, { session });
+            await Room.updateMany(
+                inProject(req, { 'items.vendor': vendor._id }),
+                { $set: { 'items.$[item].vendor': null } },
+                { arrayFilters: [{ 'item.vendor': vendor._id }], session }
+            );
+            await Room.updateMany(
+                inProject(req, { 'items.productOptions.vendor': vendor._id }),
+                { $set: { 'items.$[].productOptions.$[option].vendor': null } },
+                { arrayFilters: [{ 'option.vendor': vendor._id }], session }
+            );
+            await vendor.deleteOne({ session });
+        });
+
+        await AuditEvent.record(req, vendorAuditEvent('delete', vendor, null));
+
+        res.json({
+            success: true,
+            message: 'Vendor deleted',
+        });
+    } catch (error) {
+        console.error('Error deleting vendor:', error);
+        res.status(500).json({
+            error: 'Failed to delete vendor',
+            details: error.message,
+        });
+    }
+});
+
+// ============================================================================
+// QUOTE ROUTES
+// ============================================================================
+
+// Validate the fields of a quote
+// Returns { error } or the fields to save; contractorName is filled in from the vendor by resolveQuoteRefs
+function parseQuote(body, baseCurrency) {
+    const { scope, room, phase, vendor, contractorName, currency, priceIncludesTax, lineItems, validUntil, paymentTerms, notes } = body;
+
+    if (!scope || !String(scope).trim()) {
+        return { error: 'Scope is required (e.g. Plumbing)' };
+    }
+
+    if (!Vendor.toId(vendor) && !String(contractorName || '').trim()) {
+        return { error: 'Choose a vendor or enter the contractor name' };
+    }
+
+    if (currency && !money.isCurrency(currency)) {
+        return { error: `Currency must be one of: ${money.CURRENCY_CODES.join(', ')}` };
+    }
+
+    if (!Array.isArray(lineItems) || lineItems.length === 0) {
+        return { error: 'A quote needs at least one line item' };
+    }
+
+    if (lineItems.some((line) => !line.description || !String(line.description).trim())) {
+        return { error: 'Every line item needs a description' };
+    }
+
+    const validUntilDate = validUntil ? new Date(validUntil) : null;
+    if (validUntilDate && Number.isNaN(validUntilDate.getTime())) {
+        return { error: 'Valid until must be a date (YYYY-MM-DD)' };
+    }
+
+    return {
+        scope: String(scope).trim(),
+        room: room || null,
+        phase: phase || null,
+        vendor: Vendor.toId(vendor),
+        contractorName: String(contractorName || '').trim(),
+        currency: currency || baseCurrency,
+        priceIncludesTax: priceIncludesTax !== false,
+        lineItems: lineItems.map((line) => ({
+            description: String(line.description).trim(),
+            category: line.category || 'Services',
+            quantity: parseFloat(line.quantity) || 1,
+            unit: line.unit || 'unit',
+            unit_price: money.asCents(line.unit_price),
+        })),
+        validUntil: validUntilDate,
+        paymentTerms: paymentTerms || '',
+        notes: notes || '',
+    };
+}
+
+// Check the room, phase and vendor of quote fields and name the contractor after the vendor
+// Returns an error message, or null when they are valid
+async function resolveQuoteRefs(req, fields) {
+    const [room, timeline, vendor] = await Promise.all([
+        fields.room ? Room.exists(inProject(req, { slug: fields.room })) : true,
+        fields.phase ? Timeline.findOne(inProject(req)).select('phases.id phases.deletedAt') : null,
+        fields.vendor ? Vendor.findOne(inProject(req, { _id: fields.vendor })).select('name') : null,
+    ]);
+
+    if (!room) {
+        return `Room not found: ${fields.room}`;
+    }
+    if (fields.phase && !timeline?.phases.some((phase) => phase.id === fields.phase && !phase.deletedAt)) {
+        return `Timeline phase not found: ${fields.phase}`;
+    }
+    if (fields.vendor && !vendor) {
+        return 'Vendor not found';
+    }
+
+    if (vendor && !fields.contractorName) {
+        fields.contractorName = vendor.name;
+    }
+    return null;
+}
+
+// What quotes are compared with: today's exchange rates and the project tax rate
+async function loadQuoteContext(req) {
+    return {
+        rates: await ExchangeRate.find(inProject(req)).sort({ effectiveDate: 1 }),
+        baseCurrency: req.project.baseCurrency || money.DEFAULT_CURRENCY,
+        taxRate: req.project.taxRate ?? tax.DEFAULT_TAX_RATE,
+    };
+}
+
+// A quote with its totals (IGV included) and expiry (see shared/quotes.js)
+// totalBase is null when its currency has no exchange rate
+function quoteSummary(quote, { rates, baseCurrency, taxRate }) {
+    const total = quotes.quoteTotal(quote, taxRate);
+
+    return {
+        ...quote.toJSON(),
+        subtotal: quotes.quoteSubtotal(quote),
+        total,
+        totalBase: money.convert(total, money.exchangeRate(rates, quote.currency, new Date(), baseCurrency)),
+        expiry: quotes.quoteExpiry(quote),
+        daysLeft: quotes.daysUntilExpiry(quote),
+    };
+}
+
+// Find a quote of the project, sending a 404 when it is missing
+async function findQuote(req, res) {
+    const { quoteId } = req.params;
+    const quote = mongoose.isValidObjectId(quoteId)
+        ? await Quote.findOne(inProject(req, { _id: quoteId }))
+        : null;
+
+    if (!quote) {
+        res.status(404).json({ error: 'Quote not found' });
+    }
+    return quote;
+}
+
+// List quotes by scope, cheapest first within a scope
+// Filters: ?room= (slug), ?phase= (id), ?status=open|awarded|rejected, ?scope=
+// expiring counts the open quotes that are expired or expire soon
+projectRouter.get('/quotes', async (req, res) => {
+    try {
+        const { room, phase, status, scope } = req.query;
+
+        if (status && !quotes.isQuoteStatus(status)) {
+            return res.status(400).json({ error: `Status must be one of: ${quotes.QUOTE_STATUSES.join(', ')}` });
+        }
+
+        const filter = {};
+        if (room) filter.room = room;
+        if (phase) filter.phase = phase;
+        if (status) filter.status = status;
+        if (scope) filter.scope = scope;
+
+        const [found, context] = await Promise.all([Quote.find(inProject(req, filter)), loadQuoteContext(req)]);
+        const summaries = found
+            .map((quote) => quoteSummary(quote, context))
+            .sort((a, b) => a.scope.localeCompare(b.scope) || (a.totalBase ?? Infinity) - (b.totalBase ?? Infinity));
+
+        const missingRates = [...new Set(summaries.filter((quote) => quote.totalBase === null).map((quote) => quote.currency))];
+
+        res.json({
+            success: true,
+            baseCurrency: context.baseCurrency,
+            missingRates,
+            expiryWarningDays: quotes.EXPIRY_WARNING_DAYS,
+            expiring: summaries.filter((quote) => quote.expiry).length,
+            quotes: summaries,
+        });
+    } catch (error) {
+        console.error('Error loading quotes:', error);
+        res.status(500).json({
+            error: 'Failed to load quotes',
+            details: error.message,
+        });
+    }
+});
+
+// Get a quote with its totals
+projectRouter.get('/quotes/:quoteId', async (req, res) => {
+    try {
+        const quote = await findQuote(req, res);
+        if (!quote) return;
+
+        res.json({ success: true, quote: quoteSummary(quote, await loadQuoteContext(req)) });
+    } catch (error) {
+        console.error('Error loading quote:', error);
+        res.status(500).json({
+            error: 'Failed to load quote',
+            details: error.message,
+        });
+    }
+});
+
+// Add a quote (requires project editor)
+// Body: { scope, room, phase, vendor, contractorName, currency, priceIncludesTax,
+//         lineItems: [{ description, category, quantity, unit, unit_price }], validUntil, paymentTerms, notes }
+projectRouter.post('/quotes', requireProjectEditor, async (req, res) => {
+    try {
+        const fields = parseQuote(req.body, req.project.baseCurrency || money.DEFAULT_CURRENCY);
+        if (fields.error) {
+            return res.status(400).json({ error: fields.error });
+        }
+
+        const refError = await resolveQuoteRefs(req, fields);
+        if (refError) {
+            return res.status(400).json({ error: refError });
+        }
+
+        const quote = await Quote.create({
+            ...fields,
+            project: req.project._id,
+            createdBy: req.user.id,
+        });
+
+        await AuditEvent.record(req, quoteAuditEvent('create', null, quote));
+
+        res.status(201).json({
+            success: true,
+            message: 'Quote added successfully',
+            quote: quoteSummary(quote, await loadQuoteContext(req)),
+        });
+    } catch (error) {
+        console.error('Error adding quote:', error);
+        res.status(500).json({
+            error: 'Failed to add quote',
+            details: error.message,
+        });
+    }
+});
+
+// Update a quote (requires project editor)
+// Only the fields sent are changed; status can move between open and rejected,
+// awarded quotes cannot be changed
+projectRouter.put('/quotes/:quoteId', requireProjectEditor, async (req, res) => {
+    try {
+        const quote = await findQuote(req, res);
+        if (!quote) return;
+
+        if (quote.status === 'awarded') {
+            return res.status(400).json({ error: 'Awarded quotes cannot be changed' });
+        }
+
+        const { status } = req.body;
+        if (status !== undefined && !['open', 'rejected'].includes(status)) {
+            return res.status(400).json({ error: 'Status must be open or rejected; use award to award a quote' });
+        }
+
+        const current = quote.toObject();
+        const fields = parseQuote(
+            {
+                ...current,
+                // A new vendor names the contractor again
+                contractorName: req.body.vendor !== undefined && req.body.contractorName === undefined ? '' : current.contractorName,
+                ...req.body,
+            },
+            req.project.baseCurrency || money.DEFAULT_CURRENCY
+        );
+        if (fields.error) {
+            return res.status(400).json({ error: fields.error });
+        }
+
+        const refError = await resolveQuoteRefs(req, fields);
+        if (refError) {
+            return res.status(400).json({ error: refError });
+        }
+
+        quote.set(fields);
+        if (status !== undefined) {
+            quote.status = status;
+        }
+        await quote.save();
+
+        await AuditEvent.record(req, quoteAuditEvent('update', current, quote));
+
+        res.json({
+            success: true,
+            message: 'Quote updated successfully',
+            quote: quoteSummary(quote, await loadQuoteContext(req)),
+        });
+    } catch (error) {
+        console.error('Error updating quote:', error);
+        res.status(500).json({
+            error: 'Failed to update quote',
+            details: error.message,
+        });
+    }
+});
+
+// Delete a quote (requires project editor)
+// Items and expenses created by awarding it are kept
+projectRouter.delete('/quotes/:quoteId', requireProjectEditor, async (req, res) => {
+    try {
+        const quote = await findQuote(req, res);
+        if (!quote) return;
+
+        await quote.deleteOne();
+
+        await AuditEvent.record(req, quoteAuditEvent('delete', quote, null));
+
+        res.json({
+            success: true,
+            message: 'Quote deleted',
+        });
+    } catch (error) {
+        console.error('Error deleting quote:', error);
+        res.status(500).json({
+            error: 'Failed to delete quote',
+            details: error.message,
+        });
+    }
+});
+
+// Award a quote (requires project editor)
+// Its line items become budgeted (Pending) items of the quote's room, or expenses when it
+// has no room, from its vendor; the other open quotes of the same scope are rejected.
+// Expired quotes need confirmExpired: true
+projectRouter.post('/quotes/:quoteId/award', requireProjectEditor, async (req, res) => {
+    try {
+        const quote = await findQuote(req, res);
+        if (!quote) return;
+
+        if (quote.status !== 'open') {
+            return res.status(400).json({ error: 'Only open quotes can be awarded' });
+        }
+
+        if (quotes.quoteExpiry(quote) === 'expired' && !req.body.confirmExpired) {
+            return res.status(428).json({
+                error: `This quote expired on ${quote.validUntil.toISOString().split('T')[0]}; confirm to award it anyway`,
+                confirmationRequired: true,
+                validUntil: quote.validUntil,
+            });
+        }
+
+        const now = new Date();
+
+        // Everything is read inside the transaction: a retry starts over from the stored
+        // documents, and the award only goes ahead while the quote is still open
+        const result = await withTransaction(async (session) => {
+            const events = [];
+
+            const current = await Quote.findOne(inProject(req, { _id: quote._id })).session(session);
+            const room = current?.room
+                ? await Room.findOne(inProject(req, { slug: current.room })).session(session)
+                : null;
+            if (current?.room && !room) {
+                return { error: `Room not found: ${current.room}` };
+            }
+
+            // Claim the quote with a conditional update, so concurrent awards of it cannot both succeed
+            const awarded = await Quote.findOneAndUpdate(
+                inProject(req, { _id: quote._id, status: 'open' }),
+                { $set: { status: 'awarded', awardedAt: now } },
+                { session }
+            );
+            if (!awarded) {
+                return { error: 'Only open quotes can be awarded' };
+            }
+            const before = awarded.toObject();
+            awarded.status = 'awarded';
+            awarded.awardedAt = now;
+
+            const entries = awarded.lineItems.map((line) => ({
+                description: line.description,
+                category: line.category,
+                quantity: line.quantity,
+                unit: line.unit,
+                currency: awarded.currency,
+                budget_price: line.unit_price,
+                actual_price: 0,
+                priceIncludesTax: awarded.priceIncludesTax,
+                vendor: awarded.vendor,
+                status: 'Pending',
+                notes: [`Quote: ${awarded.scope} (${awarded.contractorName})`, awarded.paymentTerms].filter(Boolean).join(' · '),
+            }));
+
+            if (room) {
+                const firstNew = room.items.length;
+                entries.forEach((entry) =>
+                    room.items.push(Room.applyItemDates(Room.pickItemFields(entry, awarded.currency), null, now))
+                );
+                room.updateStatusFromItems();
+                await room.save({ session });
+
+                const items = room.items.slice(firstNew);
+                awarded.awardedEntries = items.map((item) => ({ source: 'rooms', room: room.slug, entryId: item._id.toString() }));
+                items.forEach((item) => events.push(itemAuditEvent('create', room.slug, null, item)));
+            } else {
+                const expenses = await Expense.create(
+                    entries.map((entry) => ({
+                        ...entry,
+                        project: req.project._id,
+                        amount: money.subtotal(entry),
+                        date: now,
+                        createdDate: now,
+                    })),
+                    { session, ordered: true }
+                );
+                awarded.awardedEntries = expenses.map((expense) => ({ source: 'expenses', entryId: expense._id.toString() }));
+                expenses.forEach((expense) => events.push(expenseAuditEvent('create', null, expense)));
+            }
+
+            await awarded.save({ session });
+            events.push(quoteAuditEvent('update', before, awarded));
+
+            const competing = await Quote.find(
+                inProject(req, { _id: { $ne: awarded._id }, scope: awarded.scope, room: awarded.room, phase: awarded.phase, status: 'open' })
+            ).session(session);
+            for (const other of competing) {
+                const otherBefore = other.toObject();
+                other.status = 'rejected';
+                await other.save({ session });
+                events.push(quoteAuditEvent('update', otherBefore, other));
+            }
+
+            return { quote: awarded, room, events };
+        });
+
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        await AuditEvent.record(req, result.events);
+
+        res.json({
+            success: true,
+            message: `Quote awarded: ${result.quote.awardedEntries.length} ${result.room ? 'items added to the room' : 'expenses added'}`,
+            quote: quoteSummary(result.quote, await loadQuoteContext(req)),
+            version: result.room ? result.room.__v : undefined,
+        });
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            const stored = await Quote.findOne(inProject(req, { _id: req.params.quoteId }));
+            return sendConflict(res, 'room', stored?.room ? await Room.findOne(inProject(req, { slug: stored.room })) : null);
+        }
+        console.error('Error awarding quote:', error);
+        res.status(500).json({
+            error: 'Failed to award quote',
+            details: error.message,
+        });
+    }
+});
+
+// ============================================================================
+// INVOICE ROUTES
+// ============================================================================
+
+// Category of the expenses each kind of adjustment is allocated as
+const ADJUSTMENT_CATEGORIES = {
+    tax: 'Taxes',
+    discount: 'Discounts',
+    delivery: 'Delivery',
+    other: 'Other',
+};
+
+// Validate the fields of an invoice
+// Returns { error } or the fields to save; linked entries are checked by resolveInvoiceLines
+function parseInvoice(body, baseCurrency) {
+    const { receiptType = 'factura', number, vendor, date, currency, total, lines, adjustments = [], notes } = body;
+
+    if (!tax.isReceiptType(receiptType)) {
+        return { error: `Receipt type must be one of: ${tax.RECEIPT_TYPES.join(', ')}` };
+    }
+
+    const invoiceDate = new Date(date);
+    if (!date || Number.isNaN(invoiceDate.getTime())) {
+        return { error: 'Invoice date is required (YYYY-MM-DD)' };
+    }
+
+    if (currency && !money.isCurrency(currency)) {
+        return { error: `Currency must be one of: ${money.CURRENCY_CODES.join(', ')}` };
+    }
+
+    const totalCents = money.asCents(total);
+    if (!(totalCents > 0)) {
+        return { error: 'Total must be a positive number of cents' };
+    }
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+        return { error: 'An invoice needs at least one line' };
+    }
+
+    if (lines.some((line) => !line.description || !String(line.description).trim())) {
+        return { error: 'Every line needs a description' };
+    }
+
+    if (lines.some((line) => line.source && !['rooms', 'expenses'].includes(line.source))) {
+        return { error: 'Line source must be rooms or expenses' };
+    }
+
+    if (!Array.isArray(adjustments) || adjustments.some((adjustment) => !invoices.isAdjustmentType(adjustment.type))) {
+        return { error: `Adjustment type must be one of: ${invoices.ADJUSTMENT_TYPES.join(', ')}` };
+    }
+
+    return {
+        receiptType,
+        number: String(number || '').trim(),
+        vendor: Vendor.toId(vendor),
+        date: invoiceDate,
+        currency: currency || baseCurrency,
+        total: totalCents,
+        lines: lines.map((line) => ({
+            description: String(line.description).trim(),
+            amount: money.asCents(line.amount),
+            source: line.source && line.entryId ? line.source : null,
+            entryId: line.source && line.entryId ? String(line.entryId) : null,
+            room: null,
+        })),
+        adjustments: adjustments.map((adjustment) => ({
+            type: adjustment.type,
+            description: String(adjustment.description || '').trim(),
+            amount: invoices.adjustmentAmount(adjustment.type, adjustment.amount),
+        })),
+        notes: notes || '',
+    };
+}
+
+// Key of a ledger row or invoice line, e.g. "rooms:<item id>"
+function entryKey(source, entryId) {
+    return `${source}:${entryId}`;
+}
+
+// What a ledger row records for its entry: quantity × price with IGV, in its own currency
+function entryGross(row) {
+    return tax.taxBreakdown(money.subtotal(row), row.taxRate ?? 0, row.priceIncludesTax).gross;
+}
+
+// Check the vendor and linked entries of invoice fields and fill in the room of linked items
+// Entries must be active and in the invoice currency, and each can be linked once
+// Returns an error message, or null when they are valid
+async function resolveInvoiceLines(req, fields, { rowsByKey }) {
+    if (fields.vendor && !(await Vendor.exists(inProject(req, { _id: fields.vendor })))) {
+        return 'Vendor not found';
+    }
+
+    const seen = new Set();
+    for (const line of fields.lines.filter(invoices.isLinked)) {
+        const key = entryKey(line.source, line.entryId);
+        const row = rowsByKey.get(key);
+
+        if (!row) {
+            return `Linked entry not found: ${line.description}`;
+        }
+        if (row.currency !== fields.currency) {
+            return `${row.description} is in ${row.currency}; only entries in ${fields.currency} can be linked`;
+        }
+        if (seen.has(key)) {
+            return `${row.description} is linked to more than one line`;
+        }
+
+        seen.add(key);
+        line.room = row.roomSlug || null;
+    }
+    return null;
+}
+
+// The ledger rows invoices link to, and the room names to show with them
+async function loadInvoiceContext(req) {
+    const { rows, rooms } = await ledger.loadRows(req.project);
+    return {
+        rowsByKey: new Map(rows.map((row) => [entryKey(row.source, row._id), row])),
+        roomNames: new Map(rooms.map((room) => [room.slug, room.name])),
+    };
+}
+
+// Split each adjustment across the linked entries by what they record, then across the
+// rooms of each entry as the ledger splits it; without linked entries it is general overhead.
+// Returns one { type, room, amount } per adjustment type and room (room null for general)
+function invoiceAllocation(invoice, linkedRows) {
+    const weights = linkedRows.map(entryGross);
+    const byKey = new Map();
+
+    invoice.adjustments.forEach((adjustment) => {
+        const parts = linkedRows.length > 0 ? money.allocate(adjustment.amount, weights) : [adjustment.amount];
+
+        parts.forEach((part, index) => {
+            const shares = linkedRows[index] ? ledger.roomShares(linkedRows[index]) : [{ room: ledger.GENERAL, share: 1 }];
+            const amounts = money.allocate(part, shares.map((share) => share.share));
+
+            shares.forEach(({ room }, shareIndex) => {
+                const key = `${adjustment.type}:${room}`;
+                if (!byKey.has(key)) {
+                    byKey.set(key, { type: adjustment.type, room: room === ledger.GENERAL ? null : room, amount: 0 });
+                }
+                byKey.get(key).amount += amounts[shareIndex];
+            });
+        });
+    });
+
+    return [...byKey.values()].filter((allocation) => allocation.amount !== 0);
+}
+
+// Whether two allocations split the same amounts between the same rooms
+function sameAllocation(a, b) {
+    const key = (allocation) => `${allocation.type}:${allocation.room}:${allocation.amount}`;
+    const keys = a.map(key).sort();
+    const otherKeys = b.map(key).sort();
+    return keys.length === otherKeys.length && keys.every((value, index) => value === otherKeys[index]);
+}
+
+// An invoice with its lines' linked entries, the reconciliation against them and the
+// allocation of its adjustments (see shared/invoices.js)
+// allocationOutdated is set when the adjustments were allocated and have changed since
+function invoiceSummary(invoice, { rowsByKey, roomNames }) {
+    const roomName = (slug) => (slug ? roomNames.get(slug) || slug : 'General');
+    const linkedRows = [];
+
+    const lines = invoice.lines.map((line) => {
+        const row = invoices.isLinked(line) ? rowsByKey.get(entryKey(line.source, line.entryId)) : null;
+        if (row) {
+            linkedRows.push(row);
+        }
+        return {
+            ...line.toObject(),
+            missing: invoices.isLinked(line) && !row,
+            entry: row
+                ? {
+                      description: row.description,
+                      roomName: row.roomSlug ? roomName(row.roomSlug) : (row.rooms || []).map(roomName).join(', ') || 'General',
+                      status: row.status,
+                      amount: entryGross(row),
+                  }
+                : null,
+        };
+    });
+
+    const allocation = invoiceAllocation(invoice, linkedRows).map((part) => ({ ...part, roomName: roomName(part.room) }));
+
+    return {
+        ...invoice.toJSON(),
+        lines,
+        reconciliation: invoices.reconcile(
+            invoice,
+            lines.map((line) => (line.entry ? line.entry.amount : null))
+        ),
+        allocation,
+        allocationOutdated: invoice.allocations.length > 0 && !sameAllocation(invoice.allocations, allocation),
+    };
+}
+
+// Label of an invoice in audit events and allocated expenses
+function invoiceLabel(invoice) {
+    return invoice.number || `Invoice ${invoice.date.toISOString().split('T')[0]}`;
+}
+
+// Find an invoice of the project, sending a 404 when it is missing
+async function findInvoice(req, res) {
+    const { invoiceId } = req.params;
+    const invoice = mongoose.isValidObjectId(invoiceId)
+        ? await Invoice.findOne(inProject(req, { _id: invoiceId }))
+        : null;
+
+    if (!invoice) {
+        res.status(404).json({ error: 'Invoice not found' });
+    }
+    return invoice;
+}
+
+// Delete the expenses of an invoice's last allocation and return their audit events
+async function removeAllocationExpenses(req, invoice, session) {
+    const ids = invoice.allocations.map((allocation) => allocation.expense);
+    if (ids.length === 0) return [];
+
+    const expenses = await Expense.find(inProject(req, { _id: { $in: ids } })).session(session);
+    await Expense.deleteMany(inProject(req, { _id: { $in: ids } }), { session });
+    return expenses.map((expense) => expenseAuditEvent('delete', expense, null));
+}
+
+// List invoices, newest first, with their reconciliation
+// Filters: ?vendor= (id), ?from=&to= (YYYY-MM-DD)
+// unreconciled counts the invoices whose total does not match their linked entries and adjustments
+projectRouter.get('/invoices', async (req, res) => {
+    try {
+        const { vendor, from, to } = req.query;
+
+        const filter = {};
+        if (vendor && mongoose.isValidObjectId(vendor)) filter.vendor = vendor;
+        if (from || to) {
+            filter.date = {};
+            if (from) filter.date.$gte = new Date(from);
+            if (to) filter.date.$lte = new Date(`${to}T23:59:59.999Z`);
+        }
+
+        const [found, context] = await Promise.all([
+            Invoice.find(inProject(req, filter)).sort({ date: -1 }),
+            loadInvoiceContext(req),
+        ]);
+        const summaries = found.map((invoice) => invoiceSummary(invoice, context));
+
+        res.json({
+            success: true,
+            unreconciled: summaries.filter((invoice) => !invoice.reconciliation.reconciled).length,
+            invoices: summaries,
+        });
+    } catch (error) {
+        console.error('Error loading invoices:', error);
+        res.status(500).json({
+            error: 'Failed to load invoices',
+            details: error.message,
+        });
+    }
+});
+
+// Get an invoice with its reconciliation
+projectRouter.get('/invoices/:invoiceId', async (req, res) => {
+    try {
+        const invoice = await findInvoice(req, res);
+        if (!invoice) return;
+
+        res.json({ success: true, invoice: invoiceSummary(invoice, await loadInvoiceContext(req)) });
+    } catch (error) {
+        console.error('Error loading invoice:', error);
+        res.status(500).json({
+            error: 'Failed to load invoice',
+            details: error.message,
+        });
+    }
+});
+
+// Add an invoice (requires project editor)
+// Body: { receiptType, number, vendor, date, currency, total,
+//         lines: [{ description, amount, source: 'rooms' | 'expenses' | null, entryId }],
+//         adjustments: [{ type, description, amount }], notes } with amounts in cents of the invoice currency
+projectRouter.post('/invoices', requireProjectEditor, async (req, res) => {
+    try {
+        const fields = parseInvoice(req.body, req.project.baseCurrency || money.DEFAULT_CURRENCY);
+        if (fields.error) {
+            return res.status(400).json({ error: fields.error });
+        }
+
+        const context = await loadInvoiceContext(req);
+        const refError = await resolveInvoiceLines(req, fields, context);
+        if (refError) {
+            return res.status(400).json({ error: refError });
+        }
+
+        const invoice = await Invoice.create({
+            ...fields,
+            project: req.project._id,
+            createdBy: req.user.id,
+        });
+
+        await AuditEvent.record(req, invoiceAuditEvent('create', null, invoice));
+
+        res.status(201).json({
+            success: true,
+            message: 'Invoice added successfully',
+            invoice: invoiceSummary(invoice, context),
+        });
+    } catch (error) {
+        console.error('Error adding invoice:', error);
+        res.status(500).json({
+            error: 'Failed to add invoice',
+            details: error.message,
+        });
+    }
+});
+
+// Update an invoice (requires project editor)
+// Only the fields sent are changed; expenses already allocated stay until it is allocated again
+projectRouter.put('/invoices/:invoiceId', requireProjectEditor, async (req, res) => {
+    try {
+        const invoice = await findInvoice(req, res);
+        if (!invoice) return;
+
+        const current = invoice.toObject();
+        const fields = parseInvoice({ ...current, ...req.body }, req.project.baseCurrency || money.DEFAULT_CURRENCY);
+        if (fields.error) {
+            return res.status(400).json({ error: fields.error });
+        }
+
+        const context = await loadInvoiceContext(req);
+        const refError = await resolveInvoiceLines(req, fields, context);
+        if (refError) {
+            return res.status(400).json({ error: refError });
+        }
+
+        invoice.set(fields);
+        await invoice.save();
+
+        await AuditEvent.record(req, invoiceAuditEvent('update', current, invoice));
+
+        res.json({
+            success: true,
+            message: 'Invoice updated successfully',
+            invoice: invoiceSummary(invoice, context),
+        });
+    } catch (error) {
+        console.error('Error updating invoice:', error);
+        res.status(500).json({
+            error: 'Failed to update invoice',
+            details: error.message,
+        });
+    }
+});
+
+// Delete an invoice and the expenses its adjustments were allocated as (requires project editor)
+// The linked items and expenses are kept
+projectRouter.delete('/invoices/:invoiceId', requireProjectEditor, async (req, res) => {
+    try {
+        const invoice = await findInvoice(req, res);
+        if (!invoice) return;
+
+        const events = await withTransaction(async (session) => {
+            const expenseEvents = await removeAllocationExpenses(req, invoice, session);
+            await invoice.deleteOne({ session });
+            return [...expenseEvents, invoiceAuditEvent('delete', invoice, null)];
+        });
+
+        await AuditEvent.record(req, events);
+
+        res.json({
+            success: true,
+            message: 'Invoice deleted',
+        });
+    } catch (error) {
+        console.error('Error deleting invoice:', error);
+        res.status(500).json({
+            error: 'Failed to delete invoice',
+            details: error.message,
+        });
+    }
+});
+
+// Allocate an invoice's adjustments across the rooms of its linked entries (requires project editor)
+// Each adjustment type and room becomes a completed expense dated like the invoice, from its
+// vendor and with its receipt; allocating again replaces the expenses of the last allocation
+projectRouter.post('/invoices/:invoiceId/allocate', requireProjectEditor, async (req, res) => {
+    try {
+        const invoice = await findInvoice(req, res);
+        if (!invoice) return;
+
+        const context = await loadInvoiceContext(req);
+
+        // The invoice is read again inside the transaction: a retry must start from the stored
+        // allocation, not from one set in memory by the rolled-back attempt
+        const { allocated, events } = await withTransaction(async (session) => {
+            const stored = await Invoice.findOne(inProject(req, { _id: invoice._id })).session(session);
+            if (!stored) return { allocated: null, events: [] };
+
+            const { allocation } = invoiceSummary(stored, context);
+            const label = invoiceLabel(stored);
+            const before = stored.toObject();
+
+            const removed = await removeAllocationExpenses(req, stored, session);
+
+            const expenses = await Expense.create(
+                allocation.map((part) => ({
+                    project: req.project._id,
+                    description: `${invoices.ADJUSTMENT_LABELS[part.type]}: ${label}`,
+                    category: ADJUSTMENT_CATEGORIES[part.type],
+                    quantity: 1,
+                    unit: 'unit',
+                    currency: stored.currency,
+                    // Both prices, so discounts (negative) count too: subtotals skip negative actual prices
+                    budget_price: part.amount,
+                    actual_price: part.amount,
+                    amount: part.amount,
+                    priceIncludesTax: true,
+                    receiptType: stored.receiptType,
+                    receiptNumber: stored.number,
+                    vendor: stored.vendor,
+                    status: 'Completed',
+                    date: stored.date,
+                    createdDate: stored.date,
+                    completedDate: stored.date,
+                    rooms: part.room ? [part.room] : [],
+                    notes: `Allocated from invoice ${label}`,
+                })),
+                { session, ordered: true }
+            );
+
+            stored.allocations = expenses.map((expense, index) => ({
+                expense: expense._id,
+                type: allocation[index].type,
+                room: allocation[index].room,
+                amount: allocation[index].amount,
+            }));
+            stored.allocatedAt = new Date();
+            await stored.save({ session });
+
+            return {
+                allocated: stored,
+                events: [
+                    ...removed,
+                    ...expenses.map((expense) => expenseAuditEvent('create', null, expense)),
+                    invoiceAuditEvent('update', before, stored),
+                ],
+            };
+        });
+        if (!allocated) {
+            return res.status(404).json({ error: 'Invoice not found' });
+        }
+
+        await AuditEvent.record(req, events);
+
+        console.log(`🧾 Allocated ${allocated.allocations.length} adjustment(s) of ${invoiceLabel(allocated)}`);
+
+        res.json({
+            success: true,
+            message: `Adjustments allocated as ${allocated.allocations.length} expense(s)`,
+            invoice: invoiceSummary(allocated, await loadInvoiceContext(req)),
+        });
+    } catch (error) {
+        console.error('Error allocating invoice:', error);
+        res.status(500).json({
+            error: 'Failed to allocate invoice',
+            details: error.message,
+        });
+    }
+});
+
+// ============================================================================
+// FUNDING ROUTES
+// ============================================================================
+
+// Months the cash flow forecast covers by default, and at most
+const CASH_FLOW_MONTHS = 12;
+const CASH_FLOW_MAX_MONTHS = 36;
+
+// Statuses of items and expenses still to be paid for beyond their recorded payments
+// (Planning items are not committed yet and stay out of the forecast)
+const FORECAST_STATUSES = ['Pending', 'Ordered'];
+
+// Céntimos (base currency) of a row with payments not covered by them yet: its budgeted
+// gross price less every payment recorded, paid or scheduled (a deposit leaves the rest)
+// Its actual price comes from the payments, so the budget is what it is expected to cost
+function unscheduledBalance(row) {
+    const budgeted = tax.taxBreakdown(
+        money.lineTotal(row.quantity, row.budget_price),
+        row.taxRate ?? 0,
+        row.priceIncludesTax
+    ).gross;
+    const { total } = payments.paymentTotals(row.payments);
+    return Math.max(money.convert(budgeted - total, row.exchangeRate) || 0, 0);
+}
+
+// Validate the fields of a funding entry
+// Returns { error } or the fields to save
+function parseFunding(body, baseCurrency) {
+    const { type = 'savings', description, amount, currency, date, status = 'expected', notes } = body;
+
+    if (!funding.isFundingType(type)) {
+        return { error: `Type must be one of: ${funding.FUNDING_TYPES.join(', ')}` };
+    }
+
+    if (!description || !String(description).trim()) {
+        return { error: 'Description is required' };
+    }
+
+    const cents = money.asCents(amount);
+    if (!(cents > 0)) {
+        return { error: 'Amount must be a positive number of cents' };
+    }
+
+    if (currency && !money.isCurrency(currency)) {
+        return { error: `Currency must be one of: ${money.CURRENCY_CODES.join(', ')}` };
+    }
+
+    const fundingDate = new Date(date);
+    if (!date || Number.isNaN(fundingDate.getTime())) {
+        return { error: 'Date is required (YYYY-MM-DD)' };
+    }
+
+    if (!funding.isFundingStatus(status)) {
+        return { error: `Status must be one of: ${funding.FUNDING_STATUSES.join(', ')}` };
+    }
+
+    return {
+        type,
+        description: String(description).trim(),
+        amount: cents,
+        currency: currency || baseCurrency,
+        date: fundingDate,
+        status,
+        notes: notes || '',
+    };
+}
+
+// Find a funding entry of the project, sending a 404 when it is missing
+async function findFunding(req, res) {
+    const { fundingId } = req.params;
+    const entry = mongoose.isValidObjectId(fundingId)
+        ? await Funding.findOne(inProject(req, { _id: fundingId }))
+        : null;
+
+    if (!entry) {
+        res.status(404).json({ error: 'Funding not found' });
+    }
+    return entry;
+}
+
+// Funding entries with their amount in the base currency (amountBase null without an exchange rate)
+async function loadFunding(req) {
+    const baseCurrency = req.project.baseCurrency || money.DEFAULT_CURRENCY;
+    const [entries, rates] = await Promise.all([
+        Funding.find(inProject(req)).sort({ date: 1 }),
+        ExchangeRate.find(inProject(req)).sort({ effectiveDate: 1 }),
+    ]);
+
+    const missingRates = new Set();
+    const withBase = entries.map((entry) => {
+        const rate = money.exchangeRate(rates, entry.currency, entry.date, baseCurrency);
+        if (rate === null) {
+            missingRates.add(entry.currency);
+        }
+        return { ...entry.toJSON(), date: entry.date.toISOString().split('T')[0], amountBase: money.convert(entry.amount, rate) };
+    });
+
+    return { entries: withBase, baseCurrency, missingRates: [...missingRates] };
+}
+
+// Start of the first phase not completed yet that each room is related to (its end when it
+// has no start), by room slug: when the room's pending items are expected to be paid for
+function roomPhaseDates(phases) {
+    const dates = new Map();
+    phases
+        .filter((phase) => phase.status !== 'Completed' && (phase.startDate || phase.endDate))
+        .forEach((phase) => {
+            const date = new Date(phase.startDate || phase.endDate).toISOString().split('T')[0];
+            (phase.relatedRooms || []).forEach((room) => {
+                if (!dates.has(room) || date < dates.get(room).date) {
+                    dates.set(room, { date, phase: phase.title });
+                }
+            });
+        });
+    return dates;
+}
+
+// List funding sources by date, with received and expected totals in the base currency
+projectRouter.get('/funding', async (req, res) => {
+    try {
+        const { entries, baseCurrency, missingRates } = await loadFunding(req);
+
+        const totals = { received: 0, expected: 0 };
+        entries.forEach((entry) => {
+            totals[entry.status] += entry.amountBase || 0;
+        });
+
+        res.json({
+            success: true,
+            baseCurrency,
+            missingRates,
+            totals,
+            funding: entries,
+        });
+    } catch (error) {
+        console.error('Error loading funding:', error);
+        res.status(500).json({
+            error: 'Failed to load funding',
+            details: error.message,
+        });
+    }
+});
+
+// Add a funding source (requires project editor)
+// Body: { type, description, amount, currency, date, status: 'received' | 'expected', notes }
+// with amount in cents of its currency
+projectRouter.post('/funding', requireProjectEditor, async (req, res) => {
+    try {
+        const fields = parseFunding(req.body, req.project.baseCurrency || money.DEFAULT_CURRENCY);
+        if (fields.error) {
+            return res.status(400).json({ error: fields.error });
+        }
+
+        const entry = await Funding.create({
+            ...fields,
+            project: req.project._id,
+            createdBy: req.user.id,
+        });
+
+        await AuditEvent.record(req, fundingAuditEvent('create', null, entry));
+
+        res.status(201).json({
+            success: true,
+            message: 'Funding added successfully',
+            funding: entry,
+        });
+    } catch (error) {
+        console.error('Error adding funding:', error);
+        res.status(500).json({
+            error: 'Failed to add funding',
+            details: error.message,
+        });
+    }
+});
+
+// Update a funding source (requires project editor)
+// Only the fields sent are changed, e.g. { status: 'received' } once the money arrived
+projectRouter.put('/funding/:fundingId', requireProjectEditor, async (req, res) => {
+    try {
+        const entry = await findFunding(req, res);
+        if (!entry) return;
+
+        const before = entry.toObject();
+        const fields = parseFunding({ ...before, ...req.body }, req.project.baseCurrency || money.DEFAULT_CURRENCY);
+        if (fields.error) {
+            return res.status(400).json({ error: fields.error });
+        }
+
+        entry.set(fields);
+        await entry.save();
+
+        await AuditEvent.record(req, fundingAuditEvent('update', before, entry));
+
+        res.json({
+            success: true,
+            message: 'Funding updated successfully',
+            funding: entry,
+        });
+    } catch (error) {
+        console.error('Error updating funding:', error);
+        res.status(500).json({
+            error: 'Failed to update funding',
+            details: error.message,
+        });
+    }
+});
+
+// Delete a funding source (requires project editor)
+projectRouter.delete('/funding/:fundingId', requireProjectEditor, async (req, res) => {
+    try {
+        const entry = await findFunding(req, res);
+        if (!entry) return;
+
+        await entry.deleteOne();
+        await AuditEvent.record(req, fundingAuditEvent('delete', entry, null));
+
+        res.json({
+            success: true,
+            message: 'Funding deleted',
+        });
+    } catch (error) {
+        console.error('Error deleting funding:', error);
+        res.status(500).json({
+            error: 'Failed to delete funding',
+            details: error.message,
+        });
+    }
+});
+
+// Cash flow forecast: funding against outflows month by month from this month, in the
+// project base currency (see shared/funding.js)
+// - received funding and paid payments (completed entries without payments, on their
+//   date) before this month make up the opening balance
+// - expected funding comes in on its date, scheduled payments go out on their due date
+// - Pending and Ordered entries go out when the first open phase of their room starts (all
+//   of it without payments, what their payments leave of the budget otherwise); Ordered ones
+//   without such a phase this month, Pending ones are listed as undated
+// Expected funding and payments already past their date count in this month (late / overdue)
+// Query: ?months= (default 12, at most 36)
+projectRouter.get('/cashflow', async (req, res) => {
+    try {
+        const months = req.query.months === undefined ? CASH_FLOW_MONTHS : parseInt(req.query.months, 10);
+        if (!(months >= 1 && months <= CASH_FLOW_MAX_MONTHS)) {
+            return res.status(400).json({ error: `months must be from 1 to ${CASH_FLOW_MAX_MONTHS}` });
+        }
+
+        const [{ rows, rooms, baseCurrency, missingRates }, fundingList, timeline] = await Promise.all([
+            ledger.loadRows(req.project),
+            loadFunding(req),
+            Timeline.findOne(inProject(req)),
+        ]);
+        const roomNames = new Map(rooms.map((room) => [room.slug, room.name]));
+        const phaseDates = roomPhaseDates(timeline ? timeline.activePhases() : []);
+        const today = new Date().toISOString().split('T')[0];
+        const startMonth = funding.monthKey(today);
+
+        let opening = 0;
+        const flows = [];
+        const undated = [];
+
+        // Settled flows of earlier months are only part of the opening balance
+        const addFlow = (flow, settled) => {
+            if (!flow.amount) return;
+            if (settled && flow.date < `${startMonth}-01`) {
+                opening += flow.amount;
+                return;
+            }
+            flows.push({ ...flow, month: funding.monthKey(flow.date) });
+        };
+
+        fundingList.entries.forEach((entry) => {
+            if (entry.amountBase === null) return;
+            addFlow(
+                {
+                    kind: 'funding',
+                    type: entry.type,
+                    description: entry.description,
+                    date: entry.date,
+                    amount: entry.amountBase,
+                    late: entry.status === 'expected' && entry.date < today,
+                },
+                entry.status === 'received'
+            );
+        });
+
+        rows.forEach((row) => {
+            if (row.exchangeRate === null) return;
+
+            const entry = {
+                source: row.source,
+                entryId: row._id,
+                description: row.description,
+                roomName: row.roomSlug
+                    ? roomNames.get(row.roomSlug) || row.roomSlug
+                    : row.rooms.map((room) => roomNames.get(room) || room).join(', ') || null,
+                status: row.status,
+            };
+
+            let amount;
+            if (row.payments.length > 0) {
+                row.payments.forEach((payment) => {
+                    const scheduled = payment.status === 'scheduled';
+                    addFlow(
+                        {
+                            ...entry,
+                            kind: scheduled ? 'installment' : 'payment',
+                            date: payment.date,
+                            amount: -(money.convert(payment.amount, row.exchangeRate) || 0),
+                            overdue: scheduled && payment.date < today,
+                        },
+                        !scheduled
+                    );
+                });
+                amount = -unscheduledBalance(row);
+            } else {
+                amount = -ledger.rowBalance(row).total;
+                if (row.status === 'Completed') {
+                    addFlow({ ...entry, kind: 'payment', date: row.date, amount }, true);
+                    return;
+                }
+            }
+            if (!FORECAST_STATUSES.includes(row.status) || !amount) return;
+
+            const roomSlugs = row.roomSlug ? [row.roomSlug] : row.rooms;
+            const planned = roomSlugs
+                .map((room) => phaseDates.get(room))
+                .filter(Boolean)
+                .sort((a, b) => a.date.localeCompare(b.date))[0];
+
+            if (planned) {
+                addFlow({ ...entry, kind: 'item', date: planned.date, phase: planned.phase, amount }, false);
+            } else if (row.status === 'Ordered') {
+                addFlow({ ...entry, kind: 'item', date: today, amount }, false);
+            } else {
+                undated.push({ ...entry, amount: -amount });
+            }
+        });
+
+        undated.sort((a, b) => b.amount - a.amount);
+
+        res.json({
+            success: true,
+            baseCurrency,
+            missingRates: [...new Set([...missingRates, ...fundingList.missingRates])],
+            today,
+            opening,
+            ...funding.cashFlow(opening, flows, startMonth, months),
+            undated: {
+                total: money.sum(undated.map((entry) => entry.amount)),
+                entries: undated,
+            },
+        });
+    } catch (error) {
+        console.error('Error loading cash flow:', error);
+        res.status(500).json({
+            error: 'Failed to load cash flow',
+            details: error.message,
+        });
+    }
+});
+
+// ============================================================================
+// EXCHANGE RATE ROUTES
+// ============================================================================
+
+// Validate the fields of an exchange rate against the project base currency
+// Returns { error } or the fields to save
+function parseExchangeRate(body, baseCurrency) {
+    const { currency, rate, effectiveDate, notes } = body;
+
+    if (!money.isCurrency(currency) || currency === baseCurrency) {
+        const others = money.CURRENCY_CODES.filter((code) => code !== baseCurrency);
+        return { error: `Currency must be one of: ${others.join(', ')}` };
+    }
+
+    const value = parseFloat(rate);
+    if (!(value > 0)) {
+        return { error: 'Rate must be a positive number' };
+    }
+
+    const date = new Date(effectiveDate);
+    if (!effectiveDate || Number.isNaN(date.getTime())) {
+        return { error: 'Effective date is required (YYYY-MM-DD)' };
+    }
+
+    return { currency, rate: value, effectiveDate: date, notes: notes || '' };
+}
+
+// List the project's exchange rates, newest first per currency
+projectRouter.get('/exchange-rates', async (req, res) => {
+    try {
+        const rates = await ExchangeRate.find(inProject(req)).sort({ currency: 1, effectiveDate: -1 });
+
+        res.json({
+            success: true,
+            baseCurrency: req.project.baseCurrency || money.DEFAULT_CURRENCY,
+            currencies: money.CURRENCY_CODES,
+            rates,
+        });
+    } catch (error) {
+        console.error('Error loading exchange rates:', error);
+        res.status(500).json({
+            error: 'Failed to load exchange rates',
+            details: error.message,
+        });
+    }
+});
+
+// Add an exchange rate (requires project editor)
+// Body: { currency, rate, effectiveDate, notes } where rate is base currency units per unit of currency
+projectRouter.post('/exchange-rates', requireProjectEditor, async (req, res) => {
+    try {
+        const fields = parseExchangeRate(req.body, req.project.baseCurrency || money.DEFAULT_CURRENCY);
+        if (fields.error) {
+            return res.status(400).json({ error: fields.error });
+        }
+
+        const exchangeRate = await ExchangeRate.create({
+            ...fields,
+            project: req.project._id,
+            createdBy: req.user.id,
+        });
+
+        await AuditEvent.record(req, exchangeRateAuditEvent('create', null, exchangeRate));
+
+        console.log(`💱 Added ${exchangeRate.currency} rate ${exchangeRate.rate} from ${fields.effectiveDate.toISOString().split('T')[0]}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Exchange rate added successfully',
+            rate: exchangeRate,
+        });
+    } catch (error) {
+        console.error('Error adding exchange rate:', error);
+        res.status(500).json({
+            error: 'Failed to add exchange rate',
+            details: error.message,
+        });
+    }
+});
+
+// Update an exchange rate (requires project editor)
+projectRouter.put('/exchange-rates/:rateId', requireProjectEditor, async (req, res) => {
+    try {
+        const { rateId } = req.params;
+
+        const exchangeRate = mongoose.isValidObjectId(rateId)
+            ? await ExchangeRate.findOne(inProject(req, { _id: rateId }))
+            : null;
+        if (!exchangeRate) {
+            return res.status(404).json({ error: 'Exchange rate not found' });
+        }
+
+        const fields = parseExchangeRate(
+            { ...exchangeRate.toObject(), ...req.body },
+            req.project.baseCurrency || money.DEFAULT_CURRENCY
+        );
+        if (fields.error) {
+            return res.status(400).json({ error: fields.error });
+        }
+
+        const before = exchangeRate.toObject();
+        exchangeRate.set(fields);
+        await exchangeRate.save();
+
+        await AuditEvent.record(req, exchangeRateAuditEvent('update', before, exchangeRate));
+
+        res.json({
+            success: true,
+            message: 'Exchange rate updated successfully',
+            rate: exchangeRate,
+        });
+    } catch (error) {
+        console.error('Error updating exchange rate:', error);
+        res.status(500).json({
+            error: 'Failed to update exchange rate',
+            details: error.message,
+        });
+    }
+});
+
+// Delete an exchange rate (requires project editor)
+// Entries it applied to fall back to the nearest other rate of their currency
+projectRouter.delete('/exchange-rates/:rateId', requireProjectEditor, async (req, res) => {
+    try {
+        const { rateId } = req.params;
+
+        const exchangeRate = mongoose.isValidObjectId(rateId)
+            ? await ExchangeRate.findOneAndDelete(inProject(req, { _id: rateId }))
+            : null;
+        if (!exchangeRate) {
+            return res.status(404).json({ error: 'Exchange rate not found' });
+        }
+
+        await AuditEvent.record(req, exchangeRateAuditEvent('delete', exchangeRate, null));
+
+        res.json({
+            success: true,
+            message: 'Exchange rate deleted',
+        });
+    } catch (error) {
+        console.error('Error deleting exchange rate:', error);
+        res.status(500).json({
+            error: 'Failed to delete exchange rate',
+            details: error.message,
+        });
+    }
+});
+
+// ============================================================================
+// TIMELINE ROUTES
+// ============================================================================
+
+// Get timeline data
+projectRouter.get('/timeline', async (req, res) => {
+    try {
+        let timeline = await Timeline.findOne(inProject(req));
+
+        // If no timeline exists, create an empty one
+        if (!timeline) {
+            timeline = new Timeline({ project: req.project._id, phases: [] });
+            await timeline.save();
+        }
+
+        res.json({ success: true, timeline });
+    } catch (error) {
+        console.error('Error loading timeline:', error);
+        res.status(500).json({
+            error: 'Failed to load timeline',
+            details: error.message,
+        });
+    }
+});
+
+// Save entire timeline (requires project editor)
+projectRouter.post('/timeline', requireProjectEditor, async (req, res) => {
+    try {
+        const { timeline: timelineData } = req.body;
+
+        let timeline = await Timeline.findOne(inProject(req));
+
+        if (!timeline) {
+            timeline = new Timeline({ project: req.project._id });
+        } else if (!checkVersion(req, res, timeline, 'timeline')) {
+            return;
+        }
+
+        const beforePhases = timeline.toObject().phases;
+        const trashedPhases = beforePhases.filter((phase) => !isActive(phase));
+        const trashedIds = new Set(trashedPhases.map((phase) => phase.id));
+
+        // Trashed phases are only changed through restore
+        const incomingPhases = (timelineData.phases || [])
+            .filter((phase) => !trashedIds.has(phase.id))
+            .map((phase) => ({ ...phase, deletedAt: null, deletedBy: null }));
+        const incomingIds = new Set(incomingPhases.map((phase) => phase.id));
+
+        // Phases left out of the list are moved to the trash
+        const removedPhases = beforePhases
+            .filter((phase) => isActive(phase) && !incomingIds.has(phase.id))
+            .map((phase) => {
+                markDeleted(phase, req);
+                return phase;
+            });
+
+        // Update timeline data
+        timeline.phases = [...incomingPhases, ...removedPhases, ...trashedPhases];
+
+        await timeline.save();
+
+        await AuditEvent.record(
+            req,
+            diffPhases(beforePhases.filter(isActive), timeline.activePhases())
+        );
+
+        res.json({
+            success: true,
+            message: 'Timeline saved successfully',
+            timeline,
+        });
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            return sendConflict(res, 'timeline', await Timeline.findOne(inProject(req)));
+        }
+        console.error('Error saving timeline:', error);
+        res.status(500).json({
+            error: 'Failed to save timeline',
+            details: error.message,
+        });
+    }
+});
+
+// Add a new phase (requires project editor)
+projectRouter.post('/timeline/phase', requireProjectEditor, async (req, res) => {
+    try {
+        const { phase } = req.body;
+
+        let timeline = await Timeline.findOne(inProject(req));
+
+        if (!timeline) {
+            timeline = new Timeline({ project: req.project._id, phases: [] });
+        } else if (!checkVersion(req, res, timeline, 'timeline', { required: false })) {
+            return;
+        }
+
+        // Add new phase
+        timeline.phases.push(phase);
+
+        await timeline.save();
+
+        await AuditEvent.record(req, diffPhases([], [timeline.phases[timeline.phases.length - 1]]));
+
+        res.json({
+            success: true,
+            message: 'Phase added successfully',
+            timeline,
+        });
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            return sendConflict(res, 'timeline', await Timeline.findOne(inProject(req)));
+        }
+        console.error('Error adding phase:', error);
+        res.status(500).json({
+            error: 'Failed to add phase',
+            details: error.message,
+        });
+    }
+});
+
+// Update a specific phase (requires project editor)
+projectRouter.put('/timeline/phase/:id', requireProjectEditor, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { phase: updatedPhase } = req.body;
+
+        const timeline = await Timeline.findOne(inProject(req));
+
+        if (!timeline) {
+            return res.status(404).json({ error: 'Timeline not found' });
+        }
+
+        if (!checkVersion(req, res, timeline, 'timeline', { required: false })) return;
+
+        // Find and update the phase
+        const phaseIndex = timeline.phases.findIndex(p => p.id === id && isActive(p));
+
+        if (phaseIndex === -1) {
+            return res.status(404).json({ error: 'Phase not found' });
+        }
+
+        const beforePhase = timeline.phases[phaseIndex].toObject();
+        timeline.phases[phaseIndex] = { ...updatedPhase, deletedAt: null, deletedBy: null };
+
+        await timeline.save();
+
+        await AuditEvent.record(req, diffPhases([beforePhase], [timeline.phases[phaseIndex]]));
+
+        res.json({
+            success: true,
+            message: 'Phase updated successfully',
+            timeline,
+        });
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            return sendConflict(res, 'timeline', await Timeline.findOne(inProject(req)));
+        }
+        console.error('Error updating phase:', error);
+        res.status(500).json({
+            error: 'Failed to update phase',
+            details: error.message,
         });
     }
 });
 
-// Save expenses (requires admin)
-// Routes to correct collection based on source field and handles deletions
-app.post('/api/save-expenses', requireAuth, requireAdmin, async (req, res) => {
+// Delete a phase (requires project editor)
+// The phase is moved to the trash; see TRASH ROUTES to restore or purge it
+projectRouter.delete('/timeline/phase/:id', requireProjectEditor, async (req, res) => {
     try {
-        const { expenses } = req.body;
+        const { id } = req.params;
 
-        if (!Array.isArray(expenses)) {
-            return res.status(400).json({ error: 'Expenses must be an array' });
+        const timeline = await Timeline.findOne(inProject(req));
+
+        if (!timeline) {
+            return res.status(404).json({ error: 'Timeline not found' });
         }
 
-        console.log(`\n💾 Saving ${expenses.length} expenses...`);
+        if (!checkVersion(req, res, timeline, 'timeline', { required: false })) return;
 
-        // Step 1: Detect deletions by comparing with DB
-        // Get all current expenses from DB
-        const dbExpenses = await Expense.find({});
-        const dbRooms = await Room.find({});
+        const phase = timeline.phases.find(p => p.id === id && isActive(p));
 
-        // Track incoming expense IDs
-        const incomingIds = new Set(expenses.map(e => e._id).filter(Boolean));
+        if (!phase) {
+            return res.status(404).json({ error: 'Phase not found' });
+        }
 
-        // Find deleted expenses from expenses collection
-        const deletedExpenseIds = [];
-        for (const dbExpense of dbExpenses) {
-            if (!incomingIds.has(dbExpense._id.toString())) {
-                deletedExpenseIds.push(dbExpense._id);
-            }
+        const beforePhase = phase.toObject();
+        markDeleted(phase, req);
+
+        await timeline.save();
+
+        await AuditEvent.record(req, diffPhases([beforePhase], []));
+
+        res.json({
+            success: true,
+            message: 'Phase moved to the trash',
+            timeline,
+        });
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            return sendConflict(res, 'timeline', await Timeline.findOne(inProject(req)));
         }
+        console.error('Error deleting phase:', error);
+        res.status(500).json({
+            error: 'Failed to delete phase',
+            details: error.message,
+        });
+    }
+});
 
-        // Find deleted items from rooms
-        const deletedRoomItems = []; // { roomSlug, itemId }
-        for (const room of dbRooms) {
-            for (const item of room.items) {
-                const itemIdStr = item._id.toString();
-                if (!incomingIds.has(itemIdStr)) {
-                    deletedRoomItems.push({ roomSlug: room.slug, itemId: item._id });
-                }
-            }
+// ============================================================================
+// MEDIA ROUTES
+// ============================================================================
+
+const MAX_UPLOAD_MB = 15;
+
+// Keep uploads in memory; sharp resizes them before they are stored
+const uploadImage = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+}).single('file');
+
+// Run the multer upload, answering 400 for oversized or malformed uploads
+function handleUpload(req, res, next) {
+    uploadImage(req, res, (error) => {
+        if (error) {
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `File is too large (max ${MAX_UPLOAD_MB}MB)`
+                : error.message;
+            return res.status(400).json({ error: message });
         }
+        next();
+    });
+}
 
-        // Step 2: Delete expenses/items that are no longer in the frontend
-        let totalDeleted = 0;
+// Upload an image (requires project editor)
+// Multipart form with a `file` field; returns the media with its original/medium/thumb URLs
+projectRouter.post('/media', requireProjectEditor, handleUpload, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'Image file is required (form field "file")' });
+        }
 
-        // Delete from expenses collection
-        if (deletedExpenseIds.length > 0) {
-            console.log(`\n🗑️  Deleting ${deletedExpenseIds.length} expenses from expenses collection...`);
-            for (const expenseId of deletedExpenseIds) {
-                const expense = await Expense.findByIdAndDelete(expenseId);
-                if (expense) {
-                    console.log(`   ✅ Deleted: ${expense.description.substring(0, 40)}...`);
-                    totalDeleted++;
-                }
-            }
+        let media;
+        try {
+            media = await mediaStore.saveImage({
+                project: req.project._id,
+                buffer: req.file.buffer,
+                filename: req.file.originalname,
+                uploadedBy: req.user.id,
+            });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
         }
 
-        // Delete from rooms
-        if (deletedRoomItems.length > 0) {
-            console.log(`\n🗑️  Deleting ${deletedRoomItems.length} items from rooms...`);
-            for (const { roomSlug, itemId } of deletedRoomItems) {
-                const room = await Room.findOne({ slug: roomSlug });
-                if (room) {
-                    const item = room.items.id(itemId);
-                    if (item) {
-                        console.log(`   ✅ Deleted: ${item.description.substring(0, 40)}... from ${roomSlug}`);
-                        item.remove(); // Mongoose subdocument remove
-                        await room.save();
-                        totalDeleted++;
-                    }
-                }
-            }
+        console.log(`🖼️  Stored ${media.filename} (${mediaStore.STORAGE})`);
+
+        res.status(201).json({ success: true, media });
+    } catch (error) {
+        console.error('Error uploading image:', error);
+        res.status(500).json({
+            error: 'Failed to upload image',
+            details: error.message,
+        });
+    }
+});
+
+// Stream a stored media variant; cacheControl says who may keep a copy
+function sendMedia(res, media, variant, cacheControl) {
+    // Inline, so PDF attachments open in the browser under their uploaded name
+    res.set({
+        'Content-Type': variant.contentType,
+        'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(media.filename || media.key)}`,
+        'Cache-Control': cacheControl,
+        'X-Content-Type-Options': 'nosniff',
+    });
+
+    const stream = mediaStore.openFile(media.storage, variant.storageId);
+    stream.on('error', (error) => {
+        console.error('Error reading image file:', error.message);
+        if (!res.headersSent) {
+            res.removeHeader('Cache-Control');
+            res.status(404).end();
+        } else {
+            res.end();
         }
+    });
+    stream.pipe(res);
+}
 
-        // Step 3: Separate expenses by source collection for updates/inserts
-        const expenseCollectionUpdates = [];
-        const expenseCollectionInserts = [];
-        const roomUpdates = new Map(); // roomSlug -> { room, updates[] }
+// Serve an image variant (original, medium or thumb) of room, product and timeline photos
+// Public so <img> tags can load it: the random key in the URL is the only way to find it
+// Files never change for a key, so browsers may cache them for good
+// Attachments hold receipts with personal and tax data: they are only served to project
+// members, by GET /attachments/:source/:entryId/:attachmentId/:variant
+app.get('/api/media/:key/:variant', async (req, res) => {
+    try {
+        const media = await Media.findOne({ key: req.params.key, source: { $ne: 'attachment' } });
+        const variant = media ? media.getVariant(req.params.variant) : null;
 
-        for (const expense of expenses) {
-            const { _id, source, roomSlug, description, category, status, date, createdDate, completedDate, rooms, roomAllocations, notes, quantity, unit, budget_price, actual_price } = expense;
+        if (!variant) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
 
-            // Validate ID
-            if (!_id) {
-                console.warn(`⚠️  Skipping expense without ID: ${description}`);
-                continue;
-            }
+        sendMedia(res, media, variant, 'public, max-age=31536000, immutable');
+    } catch (error) {
+        console.error('Error serving image:', error);
+        res.status(500).json({
+            error: 'Failed to load image',
+            details: error.message,
+        });
+    }
+});
 
-            // Validate description (required)
-            if (!description || description.trim() === '') {
-                console.warn(`⚠️  Skipping expense without description (ID: ${_id})`);
-                continue;
-            }
+// ============================================================================
+// ATTACHMENT ROUTES
+// ============================================================================
 
-            if (source === 'expenses') {
-                // This expense belongs to expenses collection
-                const expenseData = {
-                    _id,
-                    description,
-                    category,
-                    status,
-                    date,
-                    createdDate,
-                    completedDate,
-                    rooms: rooms || [],
-                    roomAllocations: roomAllocations || [],
-                    notes: notes || '',
-                    // New fields for quantity and unit prices
-                    quantity: parseFloat(quantity) || 1,
-                    unit: unit || 'unit',
-                    budget_price: parseFloat(budget_price) || 0,
-                    actual_price: parseFloat(actual_price) || 0
-                };
+// Receipts, invoices and photos of expenses and room items: images or PDFs kept in
+// the media store, uploaded with the same multipart `file` field as /media
+
+// Biggest receipts export built in memory (sum of the original files)
+const RECEIPT_EXPORT_MAX_MB = 250;
+
+// File extension of an attachment in the export, by its content type
+const ATTACHMENT_EXTENSIONS = {
+    'application/pdf': 'pdf',
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/avif': 'avif',
+    'image/heif': 'heic',
+};
 
-                // Check if this is a temp ID (needs to be created)
-                if (_id.startsWith('temp_')) {
-                    expenseCollectionInserts.push(expenseData);
-                } else {
-                    expenseCollectionUpdates.push(expenseData);
-                }
-            } else if (source === 'rooms') {
-                // This expense belongs to room collection
-                if (!roomSlug) {
-                    console.warn(`⚠️  Skipping room expense without roomSlug: ${description}`);
-                    continue;
-                }
+// Attachment fields kept on the entry for a stored media
+// No URLs: files are served by the project-scoped route below, images with medium and thumb variants
+function attachmentFields(media) {
+    const original = media.getVariant('original');
+    return {
+        mediaId: media._id,
+        filename: media.filename,
+        contentType: original.contentType,
+        size: original.size,
+    };
+}
 
-                // Get or create room update entry
-                if (!roomUpdates.has(roomSlug)) {
-                    const room = await Room.findOne({ slug: roomSlug });
-                    if (!room) {
-                        console.warn(`⚠️  Room not found: ${roomSlug}`);
-                        continue;
-                    }
-                    roomUpdates.set(roomSlug, { room, updates: [] });
-                }
+// Send an entry's attachments; room items also send the room version
+function sendAttachments(res, doc, entry, message, status = 200) {
+    res.status(status).json({
+        success: true,
+        message,
+        attachments: entry.attachments,
+        ...(doc instanceof Room ? { version: doc.__v } : {}),
+    });
+}
 
-                // Add update to this room's list
-                roomUpdates.get(roomSlug).updates.push({
-                    _id,
-                    description,
-                    category,
-                    status,
-                    date,
-                    createdDate,
-                    completedDate,
-                    rooms: rooms || [],
-                    roomAllocations: roomAllocations || [],
-                    // New fields for quantity and unit prices
-                    quantity: parseFloat(quantity) || 1,
-                    unit: unit || 'unit',
-                    budget_price: parseFloat(budget_price) || 0,
-                    actual_price: parseFloat(actual_price) || 0
-                });
-            }
-        }
+// Remove the stored files of attachments (missing media are ignored)
+async function removeAttachmentMedia(attachments) {
+    const ids = attachments.map((attachment) => attachment.mediaId);
+    if (ids.length === 0) return;
 
-        let totalUpdated = 0;
-        let totalCreated = 0;
-
-        // 1. Create new expenses with temp IDs
-        if (expenseCollectionInserts.length > 0) {
-            console.log(`\n➕ Creating ${expenseCollectionInserts.length} new expenses in expenses collection...`);
-
-            for (const insert of expenseCollectionInserts) {
-                const newExpense = new Expense({
-                    description: insert.description,
-                    category: insert.category,
-                    amount: parseFloat(insert.amount) || 0,
-                    status: insert.status || 'Pending',
-                    date: insert.date ? new Date(insert.date) : null,
-                    createdDate: insert.createdDate ? new Date(insert.createdDate) : new Date(),
-                    completedDate: insert.completedDate ? new Date(insert.completedDate) : null,
-                    rooms: insert.rooms || [],
-                    roomAllocations: insert.roomAllocations || [],
-                    isSharedExpense: (insert.rooms && insert.rooms.length > 1) || false,
-                    notes: insert.notes || ''
-                });
+    const media = await Media.find({ _id: { $in: ids } });
+    await Promise.all(media.map((item) => mediaStore.removeMedia(item)));
+}
 
-                await newExpense.save();
-                console.log(`   ✅ Created: ${insert.description.substring(0, 40)}... (ID: ${newExpense._id})`);
-                totalCreated++;
-            }
+// Value of a CSV cell, quoted when it holds a separator, quote or line break
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-            console.log(`   💾 Created ${totalCreated} new expenses`);
-        }
+// Part of a file name made from free text: accents dropped, other symbols as dashes
+function fileNamePart(text, maxLength = 40) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-zA-Z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, maxLength) || 'receipt';
+}
 
-        // 2. Update existing expenses in expenses collection
-        if (expenseCollectionUpdates.length > 0) {
-            console.log(`\n📝 Updating ${expenseCollectionUpdates.length} expenses in expenses collection...`);
+// Export the attachments of every expense and room item matching the filters as a zip:
+// receipts/<n>_<date>_<description>.<ext> files and an index.csv with one line per file
+// <n> numbers the files across the export, so rows with the same date and description never collide
+// Accepts the filters of /load-expenses (?from=&to=&category=&room=&status=&vendor=)
+// Amounts in the index include IGV, in the entry currency and in the project base currency
+projectRouter.get('/attachments/export', async (req, res) => {
+    try {
+        const q = parseExpenseQuery(req.query);
+        if (q.error) {
+            return res.status(400).json({ error: q.error });
+        }
 
-            for (const update of expenseCollectionUpdates) {
-                const expense = await Expense.findById(update._id);
+        const [{ rows, rooms, baseCurrency }, vendors] = await Promise.all([
+            ledger.loadRows(req.project, { expenseFilter: expenseCollectionFilter(q) }),
+            Vendor.find(inProject(req)),
+        ]);
+        const roomNames = new Map(rooms.map((room) => [room.slug, room.name]));
+        const vendorNames = new Map(vendors.map((vendor) => [vendor._id.toString(), vendor.name]));
+
+        const matching = rows
+            .filter((row) => row.attachments.length > 0 && matchesExpenseQuery(row, q))
+            .sort((a, b) => a.date.localeCompare(b.date) || a.description.localeCompare(b.description));
+
+        const exportSize = matching.reduce(
+            (sum, row) => sum + row.attachments.reduce((rowSum, attachment) => rowSum + attachment.size, 0),
+            0
+        );
+        if (exportSize > RECEIPT_EXPORT_MAX_MB * 1024 * 1024) {
+            return res.status(413).json({
+                error: `Receipts add up to more than ${RECEIPT_EXPORT_MAX_MB}MB; export a shorter date range`,
+            });
+        }
 
-                if (!expense) {
-                    console.warn(`   ⚠️  Expense not found: ${update._id}`);
+        const mediaIds = matching.flatMap((row) => row.attachments.map((attachment) => attachment.mediaId));
+        const media = await Media.find({ _id: { $in: mediaIds }, project: req.project._id });
+        const mediaById = new Map(media.map((item) => [item._id.toString(), item]));
+
+        const header = [
+            'date',
+            'description',
+            'room',
+            'category',
+            'status',
+            'receipt_type',
+            'receipt_number',
+            'vendor',
+            'currency',
+            'amount',
+            `amount_${baseCurrency}`,
+            'file',
+            'original_name',
+        ];
+        const lines = [header.join(',')];
+        const files = [];
+
+        for (const row of matching) {
+            const gross = tax.taxBreakdown(money.subtotal(row), row.taxRate ?? 0, row.priceIncludesTax).gross;
+            const roomName = row.roomSlug ? roomNames.get(row.roomSlug) || row.roomSlug : 'General';
+
+            for (const attachment of row.attachments) {
+                const stored = mediaById.get(attachment.mediaId);
+                const original = stored ? stored.getVariant('original') : null;
+                if (!original) {
+                    console.warn(`   ⚠️  Attachment file missing: ${attachment.filename} (${row.description})`);
                     continue;
                 }
 
-                // Update fields
-                expense.description = update.description;
-                expense.category = update.category;
-                expense.status = update.status;
-                expense.amount = parseFloat(update.amount) || 0;
-                expense.rooms = update.rooms;
-                expense.roomAllocations = update.roomAllocations;
-                expense.isSharedExpense = update.rooms.length > 1;
-                expense.notes = update.notes || '';
-
-                // Update dates
-                if (update.date) {
-                    expense.date = new Date(update.date);
-                }
-                if (update.createdDate) {
-                    expense.createdDate = new Date(update.createdDate);
-                }
-                if (update.completedDate) {
-                    expense.completedDate = new Date(update.completedDate);
-                }
-
-                await expense.save();
-                console.log(`   ✅ Updated: ${update.description.substring(0, 40)}...`);
-                totalUpdated++;
+                const extension = ATTACHMENT_EXTENSIONS[original.contentType] || 'bin';
+                const number = String(files.length + 1).padStart(3, '0');
+                const name = `receipts/${number}_${row.date}_${fileNamePart(row.description)}.${extension}`;
+                files.push({ name, data: await mediaStore.readFile(stored.storage, original.storageId) });
+
+                lines.push(
+                    [
+                        row.date,
+                        row.description,
+                        roomName,
+                        row.category,
+                        row.status,
+                        row.receiptType,
+                        row.receiptNumber,
+                        row.vendor ? vendorNames.get(row.vendor) || '' : '',
+                        row.currency,
+                        money.fromCents(gross).toFixed(2),
+                        money.fromCents(ledger.rowTax(row).gross).toFixed(2),
+                        name,
+                        attachment.filename,
+                    ]
+                        .map(csvCell)
+                        .join(',')
+                );
             }
-
-            console.log(`   💾 Saved expenses collection`);
         }
 
-        // 3. Update expenses in room collections
-        for (const [roomSlug, { room, updates }] of roomUpdates) {
-            console.log(`\n📝 Updating ${updates.length} items in ${roomSlug}...`);
+        // The index goes first; the BOM lets spreadsheet apps read accents as UTF-8
+        const index = Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+        const archive = zip.createZip([{ name: 'index.csv', data: index }, ...files]);
+        const range = `${q.from || 'start'}_${q.to || 'today'}`;
 
-            for (const update of updates) {
-                // Find item by MongoDB _id
-                const item = room.items.id(update._id);
+        console.log(`📦 Exported ${files.length} receipts (${range})`);
 
-                if (!item) {
-                    console.warn(`   ⚠️  Item not found: ${update._id}`);
-                    continue;
-                }
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="receipts_${range}.zip"`,
+        });
+        res.send(archive);
+    } catch (error) {
+        console.error('Error exporting receipts:', error);
+        res.status(500).json({
+            error: 'Failed to export receipts',
+            details: error.message,
+        });
+    }
+});
 
-                // Update item fields
-                item.description = update.description;
-                item.category = update.category;
-                item.status = update.status;
+// List the attachments of an expense or room item
+projectRouter.get('/attachments/:source/:entryId', async (req, res) => {
+    try {
+        const { doc, entry } = await findEntry(req, res);
+        if (!entry) return;
 
-                // Update dates
-                if (update.date) {
-                    item.date = new Date(update.date);
-                }
-                if (update.createdDate) {
-                    item.createdDate = new Date(update.createdDate);
-                }
-                if (update.completedDate) {
-                    item.completedDate = new Date(update.completedDate);
-                }
+        sendAttachments(res, doc, entry, 'Attachments loaded');
+    } catch (error) {
+        console.error('Error loading attachments:', error);
+        res.status(500).json({
+            error: 'Failed to load attachments',
+            details: error.message,
+        });
+    }
+});
 
-                // Update amount/allocations
-                const amount = parseFloat(update.amount) || 0;
-
-                if (update.rooms.length === 0) {
-                    // General expense (no rooms)
-                    item.actual_price = amount;
-                    item.totalAmount = amount;
-                    item.isSharedExpense = false;
-                    item.roomAllocations = [];
-                } else if (update.rooms.length === 1) {
-                    // Single room
-                    item.actual_price = amount;
-                    item.totalAmount = amount;
-                    item.isSharedExpense = false;
-                    item.roomAllocations = [{ room: update.rooms[0], amount, percentage: 100 }];
-                } else {
-                    // Multi-room shared expense
-                    item.totalAmount = amount;
-                    item.isSharedExpense = true;
+// Serve an attachment file (original, or the medium/thumb variant of an image)
+// Only the browser may cache it: receipts must not end up in shared caches
+projectRouter.get('/attachments/:source/:entryId/:attachmentId/:variant', async (req, res) => {
+    try {
+        const { entry } = await findEntry(req, res);
+        if (!entry) return;
+
+        const attachment = mongoose.isValidObjectId(req.params.attachmentId)
+            ? entry.attachments.id(req.params.attachmentId)
+            : null;
+        const media = attachment
+            ? await Media.findOne({ _id: attachment.mediaId, project: req.project._id })
+            : null;
+        const variant = media ? media.getVariant(req.params.variant) : null;
+        if (!variant) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
 
-                    if (update.roomAllocations && update.roomAllocations.length > 0) {
-                        // Use custom allocations
-                        item.roomAllocations = update.roomAllocations;
-                    } else {
-                        // Default: split equally
-                        const amountPerRoom = amount / update.rooms.length;
-                        const percentagePerRoom = 100 / update.rooms.length;
-                        item.roomAllocations = update.rooms.map(r => ({
-                            room: r,
-                            amount: amountPerRoom,
-                            percentage: percentagePerRoom
-                        }));
-                    }
-                }
+        sendMedia(res, media, variant, 'private, max-age=86400');
+    } catch (error) {
+        console.error('Error serving attachment:', error);
+        res.status(500).json({
+            error: 'Failed to load attachment',
+            details: error.message,
+        });
+    }
+});
 
-                console.log(`   ✅ Updated: ${update.description.substring(0, 40)}...`);
-                totalUpdated++;
-            }
+// Attach an image or PDF to an expense or room item (requires project editor)
+// Multipart form with a `file` field
+projectRouter.post('/attachments/:source/:entryId', requireProjectEditor, handleUpload, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'File is required (form field "file")' });
+        }
 
-            // Save room
-            await room.save();
-            console.log(`   💾 Saved ${roomSlug}`);
+        const { doc, entry, auditEvent } = await findEntry(req, res);
+        if (!entry) return;
+
+        let media;
+        try {
+            media = await mediaStore.saveAttachment({
+                project: req.project._id,
+                buffer: req.file.buffer,
+                filename: req.file.originalname,
+                uploadedBy: req.user.id,
+            });
+        } catch (error) {
+            return res.status(400).json({ error: `${error.message} or PDF` });
         }
 
-        console.log(`\n✨ Successfully created ${totalCreated}, updated ${totalUpdated}, and deleted ${totalDeleted} expenses\n`);
+        const before = entry.toObject();
+        entry.attachments.push(attachmentFields(media));
+        try {
+            await doc.save();
+        } catch (error) {
+            await mediaStore.removeMedia(media);
+            throw error;
+        }
+        await AuditEvent.record(req, auditEvent(before));
 
-        res.json({
-            success: true,
-            message: 'Expenses saved successfully',
-            stats: {
-                created: totalCreated,
-                updated: totalUpdated,
-                deleted: totalDeleted
-            }
-        });
+        console.log(`📎 Attached ${media.filename} to ${entry.description}`);
+
+        sendAttachments(res, doc, entry, 'Attachment added successfully', 201);
     } catch (error) {
-        console.error('Error saving expenses:', error);
+        if (error instanceof mongoose.Error.VersionError) {
+            return sendConflict(res, 'entry', null);
+        }
+        console.error('Error adding attachment:', error);
         res.status(500).json({
-            error: 'Failed to save expenses',
+            error: 'Failed to add attachment',
             details: error.message,
         });
     }
 });
 
-// ============================================================================
-// TIMELINE ROUTES
-// ============================================================================
-
-// Get timeline data
-app.get('/api/timeline', async (req, res) => {
+// Delete an attachment and its stored file (requires project editor)
+projectRouter.delete('/attachments/:source/:entryId/:attachmentId', requireProjectEditor, async (req, res) => {
     try {
-        let timeline = await Timeline.findOne({});
-
-        // If no timeline exists, create an empty one
-        if (!timeline) {
-            timeline = new Timeline({ phases: [] });
-            await timeline.save();
+        const { doc, entry, auditEvent } = await findEntry(req, res);
+        if (!entry) return;
+
+        const attachment = mongoose.isValidObjectId(req.params.attachmentId)
+            ? entry.attachments.id(req.params.attachmentId)
+            : null;
+        if (!attachment) {
+            return res.status(404).json({ error: 'Attachment not found' });
         }
 
-        res.json({ success: true, timeline });
+        const before = entry.toObject();
+        entry.attachments.pull(attachment._id);
+        await doc.save();
+        await AuditEvent.record(req, auditEvent(before));
+        await removeAttachmentMedia([attachment]);
+
+        sendAttachments(res, doc, entry, 'Attachment deleted');
     } catch (error) {
-        console.error('Error loading timeline:', error);
+        if (error instanceof mongoose.Error.VersionError) {
+            return sendConflict(res, 'entry', null);
+        }
+        console.error('Error deleting attachment:', error);
         res.status(500).json({
-            error: 'Failed to load timeline',
+            error: 'Failed to delete attachment',
             details: error.message,
         });
     }
 });
 
-// Save entire timeline (requires admin)
-app.post('/api/timeline', requireAuth, requireAdmin, async (req, res) => {
+// ============================================================================
+// TRASH ROUTES
+// ============================================================================
+
+const TRASH_TYPES = ['room_item', 'expense', 'phase'];
+
+// Audit event for restoring a trashed entity or purging it for good
+function trashAuditEvent(action, type, target, roomSlug = null) {
+    return {
+        action,
+        entityType: type,
+        entityId: type === 'phase' ? target.id : target._id,
+        entityLabel: type === 'phase' ? target.title : target.description,
+        room: roomSlug,
+        changes: [],
+    };
+}
+
+// Find a trashed room item, expense or phase of the project
+// Returns { target, parent } where parent is the document to save, or null
+async function findTrashed(req, type, id) {
+    if (type === 'room_item') {
+        if (!mongoose.isValidObjectId(id)) return null;
+        const room = await Room.findOne(inProject(req, { 'items._id': id }));
+        const item = room ? room.items.id(id) : null;
+        return item && !isActive(item) ? { target: item, parent: room } : null;
+    }
+
+    if (type === 'expense') {
+        if (!mongoose.isValidObjectId(id)) return null;
+        const expense = await Expense.findOne(inProject(req, { _id: id, deletedAt: { $ne: null } }));
+        return expense ? { target: expense, parent: expense } : null;
+    }
+
+    const timeline = await Timeline.findOne(inProject(req));
+    const phase = timeline ? timeline.phases.find((p) => p.id === id && !isActive(p)) : null;
+    return phase ? { target: phase, parent: timeline } : null;
+}
+
+// List trashed room items, expenses and phases, most recently deleted first
+// Optional ?type= limits the list to room_item, expense or phase
+projectRouter.get('/trash', async (req, res) => {
     try {
-        const { timeline: timelineData } = req.body;
+        const { type } = req.query;
 
-        let timeline = await Timeline.findOne({});
+        if (type && !TRASH_TYPES.includes(type)) {
+            return res.status(400).json({ error: `Type must be one of: ${TRASH_TYPES.join(', ')}` });
+        }
 
-        if (!timeline) {
-            timeline = new Timeline();
+        const entries = [];
+
+        if (!type || type === 'room_item') {
+            const rooms = await Room.find(inProject(req, { 'items.deletedAt': { $ne: null } }));
+            rooms.forEach((room) => {
+                room.items.filter((item) => !isActive(item)).forEach((item) => {
+                    entries.push({
+                        type: 'room_item',
+                        id: item._id,
+                        label: item.description,
+                        room: room.slug,
+                        roomName: room.name,
+                        amount: money.subtotal(item),
+                        currency: item.currency || money.DEFAULT_CURRENCY,
+                        deletedAt: item.deletedAt,
+                        deletedBy: item.deletedBy,
+                    });
+                });
+            });
         }
 
-        // Update timeline data
-        timeline.phases = timelineData.phases || [];
+        if (!type || type === 'expense') {
+            const expenses = await Expense.find(inProject(req, { deletedAt: { $ne: null } }));
+            expenses.forEach((expense) => {
+                entries.push({
+                    type: 'expense',
+                    id: expense._id,
+                    label: expense.description,
+                    room: null,
+                    roomName: null,
+                    amount: money.subtotal(expense),
+                    currency: expense.currency || money.DEFAULT_CURRENCY,
+                    deletedAt: expense.deletedAt,
+                    deletedBy: expense.deletedBy,
+                });
+            });
+        }
 
-        await timeline.save();
+        if (!type || type === 'phase') {
+            const timeline = await Timeline.findOne(inProject(req));
+            (timeline ? timeline.phases : []).filter((phase) => !isActive(phase)).forEach((phase) => {
+                entries.push({
+                    type: 'phase',
+                    id: phase.id,
+                    label: phase.title,
+                    room: null,
+                    roomName: null,
+                    amount: null,
+                    deletedAt: phase.deletedAt,
+                    deletedBy: phase.deletedBy,
+                });
+            });
+        }
 
-        res.json({
-            success: true,
-            message: 'Timeline saved successfully',
-            timeline,
+        // Show who deleted each entry
+        const userIds = [...new Set(entries.filter((e) => e.deletedBy).map((e) => String(e.deletedBy)))];
+        const users = await User.find({ _id: { $in: userIds } }).select('name');
+        const userNames = new Map(users.map((user) => [String(user._id), user.name]));
+
+        entries.forEach((entry) => {
+            entry.deletedBy = entry.deletedBy
+                ? { id: entry.deletedBy, name: userNames.get(String(entry.deletedBy)) || 'Unknown user' }
+                : null;
         });
+
+        entries.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+        res.json({ success: true, entries });
     } catch (error) {
-        console.error('Error saving timeline:', error);
+        console.error('Error loading trash:', error);
         res.status(500).json({
-            error: 'Failed to save timeline',
+            error: 'Failed to load trash',
             details: error.message,
         });
     }
 });
 
-// Add a new phase (requires admin)
-app.post('/api/timeline/phase', requireAuth, requireAdmin, async (req, res) => {
+// Restore a trashed room item, expense or phase (requires project editor)
+projectRouter.post('/trash/:type/:id/restore', requireProjectEditor, async (req, res) => {
     try {
-        const { phase } = req.body;
+        const { type, id } = req.params;
 
-        let timeline = await Timeline.findOne({});
+        if (!TRASH_TYPES.includes(type)) {
+            return res.status(400).json({ error: `Type must be one of: ${TRASH_TYPES.join(', ')}` });
+        }
 
-        if (!timeline) {
-            timeline = new Timeline({ phases: [] });
+        const found = await findTrashed(req, type, id);
+
+        if (!found) {
+            return res.status(404).json({ error: 'Entry not found in the trash' });
         }
 
-        // Add new phase
-        timeline.phases.push(phase);
+        const { target, parent } = found;
+        clearDeleted(target);
 
-        await timeline.save();
+        if (type === 'room_item') {
+            parent.updateStatusFromItems();
+        }
+
+        await parent.save();
+
+        await AuditEvent.record(
+            req,
+            trashAuditEvent('restore', type, target, type === 'room_item' ? parent.slug : null)
+        );
+
+        console.log(`♻️  Restored ${type} ${id}`);
 
         res.json({
             success: true,
-            message: 'Phase added successfully',
-            timeline,
+            message: 'Restored from the trash',
         });
     } catch (error) {
-        console.error('Error adding phase:', error);
+        console.error('Error restoring from trash:', error);
         res.status(500).json({
-            error: 'Failed to add phase',
+            error: 'Failed to restore from trash',
             details: error.message,
         });
     }
 });
 
-// Update a specific phase (requires admin)
-app.put('/api/timeline/phase/:id', requireAuth, requireAdmin, async (req, res) => {
+// Permanently delete a trashed room item, expense or phase (requires project owner)
+projectRouter.delete('/trash/:type/:id', requireProjectOwner, async (req, res) => {
     try {
-        const { id } = req.params;
-        const { phase: updatedPhase } = req.body;
+        const { type, id } = req.params;
 
-        const timeline = await Timeline.findOne({});
+        if (!TRASH_TYPES.includes(type)) {
+            return res.status(400).json({ error: `Type must be one of: ${TRASH_TYPES.join(', ')}` });
+        }
 
-        if (!timeline) {
-            return res.status(404).json({ error: 'Timeline not found' });
+        const found = await findTrashed(req, type, id);
+
+        if (!found) {
+            return res.status(404).json({ error: 'Entry not found in the trash' });
         }
 
-        // Find and update the phase
-        const phaseIndex = timeline.phases.findIndex(p => p.id === id);
+        const { target, parent } = found;
+        const event = trashAuditEvent('purge', type, target, type === 'room_item' ? parent.slug : null);
 
-        if (phaseIndex === -1) {
-            return res.status(404).json({ error: 'Phase not found' });
+        if (type === 'expense') {
+            await target.deleteOne();
+        } else {
+            if (type === 'room_item') {
+                target.deleteOne();
+            } else {
+                parent.phases = parent.phases.filter((phase) => phase.id !== id || isActive(phase));
+            }
+            await parent.save();
         }
 
-        timeline.phases[phaseIndex] = updatedPhase;
+        await AuditEvent.record(req, event);
+        if (type !== 'phase') {
+            await removeAttachmentMedia(target.attachments);
+        }
 
-        await timeline.save();
+        console.log(`🔥 Purged ${type} ${id}`);
 
         res.json({
             success: true,
-            message: 'Phase updated successfully',
-            timeline,
+            message: 'Permanently deleted',
         });
     } catch (error) {
-        console.error('Error updating phase:', error);
+        console.error('Error purging from trash:', error);
         res.status(500).json({
-            error: 'Failed to update phase',
+            error: 'Failed to purge from trash',
             details: error.message,
         });
     }
 });
 
-// Delete a phase (requires admin)
-app.delete('/api/timeline/phase/:id', requireAuth, requireAdmin, async (req, res) => {
+// ============================================================================
+// AUDIT ROUTES
+// ============================================================================
+
+const AUDIT_DEFAULT_LIMIT = 50;
+const AUDIT_MAX_LIMIT = 200;
+
+// List audit events of the project, newest first
+// Filters (all optional):
+//   entityType - one or more of room, room_item, expense, phase, exchange_rate (comma separated)
+//   entityId, room (slug), user (user id), action (create/update/delete)
+//   from, to - date range (ISO dates)
+//   limit - page size (default 50, max 200)
+//   before - return events older than this event id (use nextBefore from the previous page)
+projectRouter.get('/audit', async (req, res) => {
     try {
-        const { id } = req.params;
+        const { entityType, entityId, room, user, action, from, to, before } = req.query;
+        const filter = inProject(req);
+
+        if (entityType) {
+            filter.entityType = { $in: entityType.split(',') };
+        }
+        if (entityId) {
+            filter.entityId = entityId;
+        }
+        if (room) {
+            filter.room = room;
+        }
+        if (user) {
+            if (!mongoose.isValidObjectId(user)) {
+                return res.status(400).json({ error: 'Invalid user id' });
+            }
+            filter['user.id'] = user;
+        }
+        if (action) {
+            filter.action = action;
+        }
 
-        const timeline = await Timeline.findOne({});
+        if (from || to) {
+            filter.created_at = {};
+            if (from) filter.created_at.$gte = new Date(from);
+            if (to) filter.created_at.$lte = new Date(to);
+            if (Object.values(filter.created_at).some((date) => isNaN(date))) {
+                return res.status(400).json({ error: 'Invalid date filter' });
+            }
+        }
 
-        if (!timeline) {
-            return res.status(404).json({ error: 'Timeline not found' });
+        // Page by _id: events written in one request share a timestamp, ids never tie
+        if (before) {
+            if (!mongoose.isValidObjectId(before)) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            filter._id = { $lt: before };
         }
 
-        // Remove the phase
-        timeline.phases = timeline.phases.filter(p => p.id !== id);
+        // Between 1 and AUDIT_MAX_LIMIT: zero or negative limits would cut the page short
+        const limit = Math.max(
+            1,
+            Math.min(parseInt(req.query.limit, 10) || AUDIT_DEFAULT_LIMIT, AUDIT_MAX_LIMIT)
+        );
 
-        await timeline.save();
+        // Fetch one extra event to know if there is another page
+        const events = await AuditEvent.find(filter)
+            .sort({ _id: -1 })
+            .limit(limit + 1);
+
+        const hasMore = events.length > limit;
+        const page = events.slice(0, limit);
 
         res.json({
             success: true,
-            message: 'Phase deleted successfully',
-            timeline,
+            events: page,
+            hasMore,
+            nextBefore: hasMore ? page[page.length - 1]._id : null,
         });
     } catch (error) {
-        console.error('Error deleting phase:', error);
+        console.error('Error loading audit events:', error);
         res.status(500).json({
-            error: 'Failed to delete phase',
+            error: 'Failed to load audit events',
             details: error.message,
         });
     }
 });
 
+// ============================================================================
+// PROJECT ROUTER MOUNTS
+// ============================================================================
+
+// Answer 404 for paths the project router has no route for (by their first segment),
+// before the login and membership checks would answer them with 401 or 403
+function requireProjectRoute(req, res, next) {
+    const root = req.path.split('/')[1];
+    const known = projectRouter.stack.some((layer) => layer.route && layer.route.path.split('/')[1] === root);
+    if (!known) {
+        return res.status(404).json({ error: 'API endpoint not found' });
+    }
+    next();
+}
+
+// Every project route requires a logged-in project member;
+// writes additionally require the editor role via requireProjectEditor
+app.use('/api/projects/:projectId', requireProjectRoute, requireAuth, loadProject, requireProjectMember, projectRouter);
+
+// Unscoped routes (e.g. /api/rooms) work on the default project
+// Registered last so it only sees requests no other route handled
+app.use('/api', requireProjectRoute, requireAuth, loadDefaultProject, requireProjectMember, projectRouter);
+
 // ============================================================================
 // SERVER START
 // ============================================================================
@@ -1179,27 +5737,93 @@ async function startServer() {
     try {
         await connectDB();
 
+        if (!(await Project.exists({ isDefault: true }))) {
+            console.warn('⚠️  No default project found. Run "npm run migrate:projects" to create one');
+        }
+
         app.listen(port, () => {
             console.log(`\n🚀 Server running on http://localhost:${port}`);
             console.log(
                 `📊 Using MongoDB with Mongoose (apartment_remodel database)`
             );
             console.log(`\n📍 Available endpoints:`);
-            console.log(`   GET  /api/rooms - Get all rooms overview`);
+            console.log(`   POST /api/auth/login - Verify credentials`);
+            console.log(`   GET  /api/projects - List projects`);
+            console.log(`   POST /api/projects - Create project`);
+            console.log(`   GET  /api/projects/:projectId - Get project with members`);
+            console.log(`   PATCH /api/projects/:projectId - Update/archive project`);
+            console.log(`   POST /api/projects/:projectId/members - Add member or change role`);
+            console.log(`   DELETE /api/projects/:projectId/members/:userId - Remove member`);
+            console.log(`\n   Project routes below are also available under /api/projects/:projectId`);
+            console.log(`   (unscoped /api/... paths use the default project)`);
+            console.log(`   GET  /api/rooms - Get all rooms overview (?fields=, ?include=)`);
+            console.log(`   GET  /api/rooms/summary - Room totals and thumbnails, no items`);
+            console.log(`   POST /api/rooms - Create room`);
+            console.log(`   PATCH /api/rooms/:slug - Rename/update/archive room`);
+            console.log(`   DELETE /api/rooms/:slug - Delete (or archive) room`);
             console.log(
                 `   GET  /api/load-room/:roomName - Load specific room`
             );
             console.log(`   POST /api/save-room/:roomName - Save room data`);
+            console.log(`   GET  /api/rooms/:slug/items - List room items (?fields=, ?include=)`);
+            console.log(`   POST /api/rooms/:slug/items - Add room item`);
+            console.log(`   PATCH /api/rooms/:slug/items/:itemId - Update room item`);
+            console.log(`   DELETE /api/rooms/:slug/items/:itemId - Delete room item`);
+            console.log(`   POST /api/items/:itemId/move - Move item to another room`);
             console.log(`   GET  /api/get-all-categories - Get all categories`);
             console.log(`   GET  /api/totals - Get project totals`);
-            console.log(`   GET  /api/load-expenses - Load all expenses`);
+            console.log(`   GET  /api/load-expenses - Load expenses (filters, ?sort=, ?limit=&cursor=, ?fields=)`);
+            console.log(`   GET  /api/expenses-summary - Expense totals by month, category, room and status`);
+            console.log(`   GET  /api/tax-report - Expenses by receipt type with net, IGV and gross amounts`);
             console.log(`   POST /api/create-expense - Create new expense`);
-            console.log(`   POST /api/save-expenses - Save expenses`);
+            console.log(`   POST /api/save-expenses - Save expense changes (created/updated/deleted)`);
+            console.log(`   GET  /api/payments/due - Scheduled installments and outstanding balances`);
+            console.log(`   GET  /api/payments/:source/:entryId - List payments of an expense or room item`);
+            console.log(`   POST /api/payments/:source/:entryId - Add a payment`);
+            console.log(`   PUT  /api/payments/:source/:entryId/:paymentId - Update a payment`);
+            console.log(`   DELETE /api/payments/:source/:entryId/:paymentId - Delete a payment`);
+            console.log(`   GET  /api/vendors - List vendors with their spend`);
+            console.log(`   GET  /api/vendors/:vendorId - Vendor with its items, expenses and quotes`);
+            console.log(`   POST /api/vendors - Add a vendor`);
+            console.log(`   PUT  /api/vendors/:vendorId - Update a vendor`);
+            console.log(`   DELETE /api/vendors/:vendorId - Delete a vendor`);
+            console.log(`   GET  /api/quotes - List quotes by scope with expiry warnings`);
+            console.log(`   GET  /api/quotes/:quoteId - Get a quote`);
+            console.log(`   POST /api/quotes - Add a quote`);
+            console.log(`   PUT  /api/quotes/:quoteId - Update or reject a quote`);
+            console.log(`   DELETE /api/quotes/:quoteId - Delete a quote`);
+            console.log(`   POST /api/quotes/:quoteId/award - Award a quote into budgeted items or expenses`);
+            console.log(`   GET  /api/invoices - List invoices with their reconciliation (?vendor=&from=&to=)`);
+            console.log(`   GET  /api/invoices/:invoiceId - Get an invoice with its linked entries`);
+            console.log(`   POST /api/invoices - Add an invoice`);
+            console.log(`   PUT  /api/invoices/:invoiceId - Update an invoice`);
+            console.log(`   DELETE /api/invoices/:invoiceId - Delete an invoice and its allocated expenses`);
+            console.log(`   POST /api/invoices/:invoiceId/allocate - Allocate adjustments across rooms as expenses`);
+            console.log(`   GET  /api/funding - List funding sources with received and expected totals`);
+            console.log(`   POST /api/funding - Add a funding source`);
+            console.log(`   PUT  /api/funding/:fundingId - Update a funding source`);
+            console.log(`   DELETE /api/funding/:fundingId - Delete a funding source`);
+            console.log(`   GET  /api/cashflow - Month by month cash flow forecast (?months=)`);
+            console.log(`   GET  /api/exchange-rates - List exchange rates`);
+            console.log(`   POST /api/exchange-rates - Add an exchange rate`);
+            console.log(`   PUT  /api/exchange-rates/:rateId - Update an exchange rate`);
+            console.log(`   DELETE /api/exchange-rates/:rateId - Delete an exchange rate`);
             console.log(`   GET  /api/timeline - Get timeline data`);
             console.log(`   POST /api/timeline - Save timeline`);
             console.log(`   POST /api/timeline/phase - Add phase`);
             console.log(`   PUT  /api/timeline/phase/:id - Update phase`);
             console.log(`   DELETE /api/timeline/phase/:id - Delete phase`);
+            console.log(`   POST /api/media - Upload image (returns original/medium/thumb URLs)`);
+            console.log(`   GET  /api/media/:key/:variant - Serve image (public; not attachments)`);
+            console.log(`   GET  /api/attachments/export - Zip of receipts with a CSV index (expense filters)`);
+            console.log(`   GET  /api/attachments/:source/:entryId - List attachments of an expense or room item`);
+            console.log(`   GET  /api/attachments/:source/:entryId/:attachmentId/:variant - Serve an attachment file`);
+            console.log(`   POST /api/attachments/:source/:entryId - Attach an image or PDF`);
+            console.log(`   DELETE /api/attachments/:source/:entryId/:attachmentId - Delete an attachment`);
+            console.log(`   GET  /api/trash - List trashed items, expenses and phases`);
+            console.log(`   POST /api/trash/:type/:id/restore - Restore from trash`);
+            console.log(`   DELETE /api/trash/:type/:id - Permanently delete from trash`);
+            console.log(`   GET  /api/audit - List change history`);
             console.log(`\n✨ Ready to serve!\n`);
         });
     } catch (error) {
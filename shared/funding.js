@@ -0,0 +1,100 @@
+/**
+ * Funding
+ *
+ * What pays for the remodel: savings, loan disbursements, family contributions.
+ * Each funding entry is { type, description, amount, currency, date, status } with
+ * the amount in céntimos of its currency; expected funding is not in the account
+ * yet and arrives on its date.
+ *
+ * The cash flow sets funding against what goes out month by month: flows are
+ * { month, amount } with inflows positive and outflows negative, in céntimos of
+ * the project base currency, and each month closes with the running balance.
+ * A month closing below zero runs out of funds.
+ *
+ * Shared by the server (require('../shared/funding')) and the client (@shared/funding).
+ */
+
+const money = require('./money');
+
+const FUNDING_TYPES = ['savings', 'loan', 'family', 'other'];
+const FUNDING_STATUSES = ['received', 'expected'];
+
+function isFundingType(type) {
+    return FUNDING_TYPES.includes(type);
+}
+
+function isFundingStatus(status) {
+    return FUNDING_STATUSES.includes(status);
+}
+
+// Month of a date as YYYY-MM
+function monthKey(date) {
+    return new Date(date).toISOString().slice(0, 7);
+}
+
+// The YYYY-MM month count months after another
+function addMonths(month, count) {
+    const [year, index] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, index - 1 + count, 1)).toISOString().slice(0, 7);
+}
+
+// Cash flow of months months from startMonth, starting with the opening balance
+// Flows of earlier months count in the first month; later ones are only totalled in later
+// Returns { months: [{ month, opening, inflow, outflow, closing, negative, flows }],
+//           later: { inflow, outflow }, negativeMonths, lowest: { month, balance } }
+function cashFlow(opening, flows, startMonth, months) {
+    const rows = Array.from({ length: months }, (_, index) => ({
+        month: addMonths(startMonth, index),
+        opening: 0,
+        inflow: 0,
+        outflow: 0,
+        closing: 0,
+        negative: false,
+        flows: [],
+    }));
+    const byMonth = new Map(rows.map((row) => [row.month, row]));
+    const lastMonth = rows[rows.length - 1].month;
+    const later = { inflow: 0, outflow: 0 };
+
+    flows.forEach((flow) => {
+        const amount = money.asCents(flow.amount);
+        if (flow.month > lastMonth) {
+            later[amount >= 0 ? 'inflow' : 'outflow'] += Math.abs(amount);
+            return;
+        }
+
+        const row = flow.month < startMonth ? rows[0] : byMonth.get(flow.month);
+        row[amount >= 0 ? 'inflow' : 'outflow'] += Math.abs(amount);
+        row.flows.push(flow);
+    });
+
+    let balance = money.asCents(opening);
+    let lowest = { month: startMonth, balance };
+    rows.forEach((row) => {
+        row.opening = balance;
+        balance += row.inflow - row.outflow;
+        row.closing = balance;
+        row.negative = balance < 0;
+        row.flows.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+        if (balance < lowest.balance) {
+            lowest = { month: row.month, balance };
+        }
+    });
+
+    return {
+        months: rows,
+        later,
+        negativeMonths: rows.filter((row) => row.negative).map((row) => row.month),
+        lowest,
+    };
+}
+
+module.exports = {
+    FUNDING_TYPES,
+    FUNDING_STATUSES,
+    isFundingType,
+    isFundingStatus,
+    monthKey,
+    addMonths,
+    cashFlow,
+};
@@ -0,0 +1,79 @@
+/**
+ * Invoices
+ *
+ * One receipt often pays for items of several rooms: a Sodimac factura with the
+ * kitchen tiles, the bathroom faucet and the living room paint. An invoice records
+ * its total and its lines { description, amount }, each linked to the room item or
+ * expense it paid for, with amounts in céntimos of the invoice currency, IGV
+ * included (what the invoice charges).
+ *
+ * The total is reconciled against the linked entries as recorded: the difference
+ * is explained by adjustments { type, description, amount } such as IGV, discounts
+ * or delivery, which are allocated back across the rooms of the linked entries.
+ * Discounts are negative amounts.
+ *
+ * Shared by the server (require('../shared/invoices')) and the client (@shared/invoices).
+ */
+
+const money = require('./money');
+
+const ADJUSTMENT_TYPES = ['tax', 'discount', 'delivery', 'other'];
+
+// Names of the adjustment types; also name the expenses they are allocated as
+const ADJUSTMENT_LABELS = {
+    tax: 'IGV',
+    discount: 'Discount',
+    delivery: 'Delivery',
+    other: 'Other',
+};
+
+function isAdjustmentType(type) {
+    return ADJUSTMENT_TYPES.includes(type);
+}
+
+// Discounts always lower the total, whatever sign they were entered with
+function adjustmentAmount(type, amount) {
+    const cents = money.asCents(amount);
+    return type === 'discount' ? -Math.abs(cents) : cents;
+}
+
+// Whether an invoice line is linked to a room item or expense
+function isLinked(line) {
+    return Boolean(line.source && line.entryId);
+}
+
+// Reconciliation of an invoice against its linked entries
+// linkedAmounts holds the recorded amount of each line's entry (null when unlinked or missing)
+//   difference - total minus what the linked entries record
+//   unexplained - the part of the difference not covered by adjustments
+//   lineDifference - invoiced minus recorded amounts of the linked lines
+function reconcile(invoice, linkedAmounts) {
+    const lines = invoice.lines || [];
+    const total = money.asCents(invoice.total);
+    const linesTotal = money.sum(lines.map((line) => line.amount));
+    const adjustmentsTotal = money.sum((invoice.adjustments || []).map((adjustment) => adjustment.amount));
+    const linkedTotal = money.sum(linkedAmounts.filter((amount) => amount !== null));
+    const linkedLinesTotal = money.sum(lines.filter((_, index) => linkedAmounts[index] !== null).map((line) => line.amount));
+    const difference = total - linkedTotal;
+
+    return {
+        total,
+        linesTotal,
+        adjustmentsTotal,
+        linkedTotal,
+        unlinked: linkedAmounts.filter((amount) => amount === null).length,
+        difference,
+        unexplained: difference - adjustmentsTotal,
+        lineDifference: linkedLinesTotal - linkedTotal,
+        reconciled: difference === adjustmentsTotal && linkedAmounts.every((amount) => amount !== null),
+    };
+}
+
+module.exports = {
+    ADJUSTMENT_TYPES,
+    ADJUSTMENT_LABELS,
+    isAdjustmentType,
+    adjustmentAmount,
+    isLinked,
+    reconcile,
+};
@@ -0,0 +1,147 @@
+/**
+ * Money
+ *
+ * Amounts are integer céntimos everywhere: in the database, the API and client
+ * state (S/ 12.50 is stored and sent as 1250). Only form inputs and labels deal
+ * in soles, through toCents/toInputValue/formatCurrency.
+ *
+ * Items, product options and expenses carry the currency they were bought in;
+ * amounts in other currencies are cents of that currency (US$ 12.50 is 1250 too).
+ * Totals are converted into the project base currency with the project's
+ * exchange rates (see ExchangeRate model and exchangeRate below).
+ *
+ * Shared by the server (require('../shared/money')) and the client (@shared/money),
+ * so subtotals, room splits and formatting are calculated the same way on both.
+ */
+
+const CENTS_PER_SOL = 100;
+
+// Supported currencies, all with two decimals
+const CURRENCIES = {
+    PEN: { symbol: 'S/', locale: 'es-PE' },
+    USD: { symbol: 'US$', locale: 'en-US' },
+    EUR: { symbol: '€', locale: 'es-ES' },
+};
+const CURRENCY_CODES = Object.keys(CURRENCIES);
+const DEFAULT_CURRENCY = 'PEN';
+
+function isCurrency(code) {
+    return CURRENCY_CODES.includes(code);
+}
+
+// Céntimos from a sol amount typed by a user ("12.5", 12.5, "S/ 1,200.00")
+// Invalid input is 0
+function toCents(soles) {
+    const number = typeof soles === 'number' ? soles : parseFloat(String(soles ?? '').replace(/[^\d.-]/g, ''));
+    if (!Number.isFinite(number)) return 0;
+
+    // toFixed first so 1.005 soles becomes 101 céntimos, not 100 (1.005 * 100 = 100.49999...)
+    return Math.round(parseFloat((number * CENTS_PER_SOL).toFixed(6)));
+}
+
+// Céntimos from a value that should already be céntimos (request bodies, stored documents)
+function asCents(value) {
+    return Math.round(Number(value)) || 0;
+}
+
+function fromCents(cents) {
+    return asCents(cents) / CENTS_PER_SOL;
+}
+
+// Value of a number input showing a céntimos amount in soles ("12.50")
+function toInputValue(cents) {
+    return fromCents(cents).toFixed(2);
+}
+
+// Céntimos of quantity × unit price; quantities can be fractional (2.5 m²)
+function lineTotal(quantity, unitCents) {
+    return Math.round((parseFloat(quantity) || 0) * asCents(unitCents));
+}
+
+// Subtotal of an item or expense: quantity × actual price if set, otherwise budget price
+function subtotal({ quantity, budget_price, actual_price }) {
+    const actualPrice = asCents(actual_price);
+    return lineTotal(quantity, actualPrice > 0 ? actualPrice : budget_price);
+}
+
+function sum(amounts) {
+    return amounts.reduce((total, amount) => total + asCents(amount), 0);
+}
+
+// Split a céntimos total by weights (percentages, shares...) with the largest-remainder
+// method: every part is whole céntimos and the parts always add up to the total.
+// Equal split when no weight is positive
+function allocate(total, weights) {
+    if (weights.length === 0) return [];
+
+    const cents = asCents(total);
+    const positive = weights.map((weight) => Math.max(parseFloat(weight) || 0, 0));
+    const weightTotal = positive.reduce((acc, weight) => acc + weight, 0);
+    const shares = weightTotal > 0 ? positive.map((weight) => weight / weightTotal) : weights.map(() => 1 / weights.length);
+
+    const exact = shares.map((share) => Math.abs(cents) * share);
+    const parts = exact.map(Math.floor);
+    const remainder = Math.abs(cents) - parts.reduce((acc, part) => acc + part, 0);
+
+    // Hand out the remaining céntimos to the largest fractions (earlier parts win ties)
+    exact
+        .map((value, index) => ({ index, fraction: value - parts[index] }))
+        .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+        .slice(0, remainder)
+        .forEach(({ index }) => parts[index]++);
+
+    return cents < 0 ? parts.map((part) => -part) : parts;
+}
+
+// Rate of a currency into the base currency on a date: the latest rate in effect
+// on that date, or the earliest one for dates before the table starts.
+// rates are { currency, rate, effectiveDate } where rate is base units per unit of currency.
+// Returns 1 for the base currency and null when the currency has no rates
+function exchangeRate(rates, currency, date, baseCurrency = DEFAULT_CURRENCY) {
+    if (!currency || currency === baseCurrency) return 1;
+
+    const time = new Date(date || Date.now()).getTime();
+    const candidates = (rates || [])
+        .filter((r) => r.currency === currency && r.rate > 0)
+        .map((r) => ({ rate: r.rate, time: new Date(r.effectiveDate).getTime() }))
+        .sort((a, b) => a.time - b.time);
+    if (candidates.length === 0) return null;
+
+    const inEffect = candidates.filter((r) => r.time <= time);
+    return (inEffect.length > 0 ? inEffect[inEffect.length - 1] : candidates[0]).rate;
+}
+
+// Cents converted at a rate from exchangeRate (null stays null: no rate to convert with)
+function convert(cents, rate) {
+    if (rate === null || rate === undefined) return null;
+    return Math.round(asCents(cents) * rate);
+}
+
+// "S/ 1,234.50", "US$ 1,234.50"
+function formatCurrency(cents, currency = DEFAULT_CURRENCY) {
+    const { symbol, locale } = CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY];
+    const amount = fromCents(cents).toLocaleString(locale, {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+    });
+    return `${symbol} ${amount}`;
+}
+
+module.exports = {
+    CENTS_PER_SOL,
+    CURRENCIES,
+    CURRENCY_CODES,
+    DEFAULT_CURRENCY,
+    isCurrency,
+    toCents,
+    asCents,
+    fromCents,
+    toInputValue,
+    lineTotal,
+    subtotal,
+    sum,
+    allocate,
+    exchangeRate,
+    convert,
+    formatCurrency,
+};
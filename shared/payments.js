@@ -0,0 +1,69 @@
+/**
+ * Payments
+ *
+ * Room items and expenses can record the payments made for them: a contractor
+ * paid 50% upfront and 50% on completion, an appliance bought in cuotas. Each
+ * payment is { date, amount, status, method, payer, reference } with the amount
+ * in céntimos of the entry currency, tax included (what is actually paid).
+ * Scheduled payments are installments not paid yet; their date is the due date.
+ *
+ * An entry with payments takes its actual price from them: their total split over
+ * its quantity. Entries without payments count as paid once completed.
+ *
+ * Shared by the server (require('../shared/payments')) and the client (@shared/payments).
+ */
+
+const money = require('./money');
+const tax = require('./tax');
+
+const PAYMENT_STATUSES = ['paid', 'scheduled'];
+const PAYMENT_METHODS = ['transfer', 'cash', 'card', 'yape', 'check', 'financing', 'other'];
+
+function isPaymentStatus(status) {
+    return PAYMENT_STATUSES.includes(status);
+}
+
+function isPaymentMethod(method) {
+    return PAYMENT_METHODS.includes(method);
+}
+
+// Total, paid and scheduled céntimos of a list of payments
+function paymentTotals(payments = []) {
+    const totals = { total: 0, paid: 0, scheduled: 0 };
+    payments.forEach((payment) => {
+        const amount = money.asCents(payment.amount);
+        totals.total += amount;
+        totals[payment.status === 'scheduled' ? 'scheduled' : 'paid'] += amount;
+    });
+    return totals;
+}
+
+// Unit price of an entry paid with these payments (rounded to the céntimo)
+function priceFromPayments(payments, quantity = 1) {
+    return Math.round(paymentTotals(payments).total / (parseFloat(quantity) || 1));
+}
+
+// Total, paid and outstanding céntimos of an item or expense, in its own currency
+// Without payments the total is its gross subtotal, paid once the entry is completed
+function paymentBalance(entry, taxRate = tax.DEFAULT_TAX_RATE) {
+    const entryPayments = entry.payments || [];
+
+    if (entryPayments.length > 0) {
+        const { total, paid } = paymentTotals(entryPayments);
+        return { total, paid, outstanding: Math.max(total - paid, 0) };
+    }
+
+    const total = tax.taxBreakdown(money.subtotal(entry), taxRate, entry.priceIncludesTax).gross;
+    const paid = entry.status === 'Completed' ? total : 0;
+    return { total, paid, outstanding: total - paid };
+}
+
+module.exports = {
+    PAYMENT_STATUSES,
+    PAYMENT_METHODS,
+    isPaymentStatus,
+    isPaymentMethod,
+    paymentTotals,
+    priceFromPayments,
+    paymentBalance,
+};
@@ -0,0 +1,63 @@
+/**
+ * Quotes
+ *
+ * Contractors quote labor scopes (plumbing, drywall, electrical) with line items
+ * { description, category, quantity, unit, unit_price }, unit prices in céntimos
+ * of the quote currency. Quotes of the same scope are compared side by side; the
+ * awarded one becomes budgeted room items or expenses and the others are rejected.
+ *
+ * Open quotes past their validUntil date are expired, and expiring within
+ * EXPIRY_WARNING_DAYS days before that.
+ *
+ * Shared by the server (require('../shared/quotes')) and the client (@shared/quotes).
+ */
+
+const money = require('./money');
+const tax = require('./tax');
+
+const QUOTE_STATUSES = ['open', 'awarded', 'rejected'];
+const EXPIRY_WARNING_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isQuoteStatus(status) {
+    return QUOTE_STATUSES.includes(status);
+}
+
+// Total céntimos of the line items, as quoted (with or without IGV, see priceIncludesTax)
+function quoteSubtotal(quote) {
+    return money.sum((quote.lineItems || []).map((line) => money.lineTotal(line.quantity, line.unit_price)));
+}
+
+// Total céntimos of a quote including IGV, in its currency
+function quoteTotal(quote, taxRate = tax.DEFAULT_TAX_RATE) {
+    return tax.taxBreakdown(quoteSubtotal(quote), taxRate, quote.priceIncludesTax).gross;
+}
+
+// Days from today to the quote's validUntil (negative once expired), null without a date
+function daysUntilExpiry(quote, today = new Date()) {
+    if (!quote.validUntil) return null;
+
+    const validUntil = new Date(quote.validUntil);
+    const start = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+    const end = Date.UTC(validUntil.getUTCFullYear(), validUntil.getUTCMonth(), validUntil.getUTCDate());
+    return Math.round((end - start) / DAY_MS);
+}
+
+// 'expired', 'expiring' or null; only open quotes expire
+function quoteExpiry(quote, today = new Date()) {
+    const days = daysUntilExpiry(quote, today);
+    if (quote.status !== 'open' || days === null) return null;
+    if (days < 0) return 'expired';
+    return days <= EXPIRY_WARNING_DAYS ? 'expiring' : null;
+}
+
+module.exports = {
+    QUOTE_STATUSES,
+    EXPIRY_WARNING_DAYS,
+    isQuoteStatus,
+    quoteSubtotal,
+    quoteTotal,
+    daysUntilExpiry,
+    quoteExpiry,
+};
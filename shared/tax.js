@@ -0,0 +1,54 @@
+/**
+ * Tax
+ *
+ * IGV (Peruvian sales tax) on prices. Every item, product option and expense
+ * records whether its prices include tax; the rate is set per project
+ * (Project.taxRate, a percentage). Prices that include tax are split into net and
+ * tax; prices without it have the tax added on top. Totals count gross amounts,
+ * what is actually paid.
+ *
+ * Expenses also record the receipt they were paid with: a factura (tax shown
+ * separately, issued to a RUC) or a boleta (tax included, issued to a person).
+ *
+ * Shared by the server (require('../shared/tax')) and the client (@shared/tax).
+ */
+
+const money = require('./money');
+
+const DEFAULT_TAX_RATE = 18;
+
+// Receipt types, 'none' for expenses without a receipt (or not entered yet)
+const RECEIPT_TYPES = ['none', 'boleta', 'factura'];
+
+function isReceiptType(type) {
+    return RECEIPT_TYPES.includes(type);
+}
+
+// Valid tax rate: a percentage from 0 to 100
+function isTaxRate(rate) {
+    const value = Number(rate);
+    return rate !== null && rate !== '' && Number.isFinite(value) && value >= 0 && value <= 100;
+}
+
+// Net, tax and gross céntimos of an amount at a tax rate (percent)
+// Prices include tax unless priceIncludesTax is false (entries saved before taxes did)
+function taxBreakdown(cents, taxRate = DEFAULT_TAX_RATE, priceIncludesTax = true) {
+    const amount = money.asCents(cents);
+    const rate = (Number(taxRate) || 0) / 100;
+
+    if (priceIncludesTax !== false) {
+        const net = Math.round(amount / (1 + rate));
+        return { net, tax: amount - net, gross: amount };
+    }
+
+    const tax = Math.round(amount * rate);
+    return { net: amount, tax, gross: amount + tax };
+}
+
+module.exports = {
+    DEFAULT_TAX_RATE,
+    RECEIPT_TYPES,
+    isReceiptType,
+    isTaxRate,
+    taxBreakdown,
+};